@@ -39,23 +39,38 @@ CREATE TABLE IF NOT EXISTS application_documents (
 );
 
 -- Create the application_collections table
+-- The collection_version is the document version of the last change to the collection, NULL if unknown.
+-- An unknown collection version reads as the document version.
 CREATE TABLE IF NOT EXISTS application_collections (
     collection_id SERIAL PRIMARY KEY,
     collection_name VARCHAR(255) NOT NULL,
+    collection_version BIGINT UNSIGNED NULL DEFAULT NULL,
     created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
     updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP
 );
 
+-- Add the collection_version to an application_collections table created without it
+ALTER TABLE application_collections
+    ADD COLUMN IF NOT EXISTS collection_version BIGINT UNSIGNED NULL DEFAULT NULL AFTER collection_name;
+
 -- Create the application_properties table
+-- A property with an expires_at is excluded from reads once expired, and removed by the expired property sweep
 CREATE TABLE IF NOT EXISTS application_properties (
     property_id SERIAL PRIMARY KEY,
     property_name VARCHAR(255) NOT NULL,
     property_value JSON,
+    expires_at TIMESTAMP NULL DEFAULT NULL,
     created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
     updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+    INDEX (expires_at),
     CHECK (JSON_VALID(property_value))
 );
 
+-- Add the expires_at to an application_properties table created without it
+ALTER TABLE application_properties
+    ADD COLUMN IF NOT EXISTS expires_at TIMESTAMP NULL DEFAULT NULL AFTER property_value,
+    ADD INDEX IF NOT EXISTS expires_at (expires_at);
+
 -- Create the application_documents_collections junction table
 CREATE TABLE IF NOT EXISTS application_documents_collections (
     document_id BIGINT UNSIGNED NOT NULL,
@@ -88,23 +103,38 @@ CREATE TABLE IF NOT EXISTS user_documents (
 );
 
 -- Create the user_collections table
+-- The collection_version is the document version of the last change to the collection, NULL if unknown.
+-- An unknown collection version reads as the document version.
 CREATE TABLE IF NOT EXISTS user_collections (
     collection_id SERIAL PRIMARY KEY,
     collection_name VARCHAR(255) NOT NULL,
+    collection_version BIGINT UNSIGNED NULL DEFAULT NULL,
     created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
     updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP
 );
 
+-- Add the collection_version to a user_collections table created without it
+ALTER TABLE user_collections
+    ADD COLUMN IF NOT EXISTS collection_version BIGINT UNSIGNED NULL DEFAULT NULL AFTER collection_name;
+
 -- Create the user_properties table
+-- A property with an expires_at is excluded from reads once expired, and removed by the expired property sweep
 CREATE TABLE IF NOT EXISTS user_properties (
     property_id SERIAL PRIMARY KEY,
     property_name VARCHAR(255) NOT NULL,
     property_value JSON,
+    expires_at TIMESTAMP NULL DEFAULT NULL,
     created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
     updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+    INDEX (expires_at),
     CHECK (JSON_VALID(property_value))
 );
 
+-- Add the expires_at to a user_properties table created without it
+ALTER TABLE user_properties
+    ADD COLUMN IF NOT EXISTS expires_at TIMESTAMP NULL DEFAULT NULL AFTER property_value,
+    ADD INDEX IF NOT EXISTS expires_at (expires_at);
+
 -- Create the user_documents_collections junction table
 CREATE TABLE IF NOT EXISTS user_documents_collections (
     document_id BIGINT UNSIGNED NOT NULL,
@@ -121,4 +151,147 @@ CREATE TABLE IF NOT EXISTS user_collections_properties (
     PRIMARY KEY (collection_id, property_id),
     FOREIGN KEY (collection_id) REFERENCES user_collections(collection_id) ON DELETE CASCADE,
     FOREIGN KEY (property_id) REFERENCES user_properties(property_id) ON DELETE CASCADE
-);
\ No newline at end of file
+);
+
+-- Create the application_documents_history table
+-- One row per document version with a snapshot of the document state, survives document deletion
+-- Rows are retired instead of deleted when another document is renamed to their name
+CREATE TABLE IF NOT EXISTS application_documents_history (
+    history_id SERIAL PRIMARY KEY,
+    document_name VARCHAR(255) NOT NULL,
+    document_version BIGINT UNSIGNED NOT NULL,
+    operation VARCHAR(16) NOT NULL,
+    changes JSON,
+    snapshot JSON,
+    restored_from BIGINT UNSIGNED,
+    renamed_from VARCHAR(255),
+    changed_by CHAR(36),
+    changed_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    retired_at TIMESTAMP NULL DEFAULT NULL,
+    INDEX (document_name, document_version),
+    CHECK (JSON_VALID(changes)),
+    CHECK (JSON_VALID(snapshot))
+);
+
+-- Create the user_documents_history table
+-- One row per user document version with a snapshot of the document state, survives document deletion
+-- Rows are retired instead of deleted when another document is renamed to their name
+CREATE TABLE IF NOT EXISTS user_documents_history (
+    history_id SERIAL PRIMARY KEY,
+    user_id CHAR(36) NOT NULL,
+    document_name VARCHAR(255) NOT NULL,
+    document_version BIGINT UNSIGNED NOT NULL,
+    operation VARCHAR(16) NOT NULL,
+    changes JSON,
+    snapshot JSON,
+    restored_from BIGINT UNSIGNED,
+    renamed_from VARCHAR(255),
+    changed_by CHAR(36),
+    changed_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    retired_at TIMESTAMP NULL DEFAULT NULL,
+    INDEX (user_id, document_name, document_version),
+    FOREIGN KEY (user_id) REFERENCES authorizer.authorizer_users(id) ON DELETE CASCADE,
+    CHECK (JSON_VALID(changes)),
+    CHECK (JSON_VALID(snapshot))
+);
+
+-- Create the application_document_schemas table
+-- One JSON Schema per application document name, and per collection name, an empty collection_name is the document schema
+CREATE TABLE IF NOT EXISTS application_document_schemas (
+    schema_id SERIAL PRIMARY KEY,
+    document_name VARCHAR(255) NOT NULL,
+    collection_name VARCHAR(255) NOT NULL DEFAULT '',
+    json_schema JSON NOT NULL,
+    updated_by CHAR(36),
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+    UNIQUE KEY (document_name, collection_name),
+    CHECK (JSON_VALID(json_schema))
+);
+
+-- Create the user_document_schemas table
+-- One JSON Schema per user document name, and per collection name, an empty collection_name is the document schema
+CREATE TABLE IF NOT EXISTS user_document_schemas (
+    schema_id SERIAL PRIMARY KEY,
+    document_name VARCHAR(255) NOT NULL,
+    collection_name VARCHAR(255) NOT NULL DEFAULT '',
+    json_schema JSON NOT NULL,
+    updated_by CHAR(36),
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+    UNIQUE KEY (document_name, collection_name),
+    CHECK (JSON_VALID(json_schema))
+);
+
+-- Create the user_document_shares table
+-- The access control list of user documents shared by the owner with other users, 'read' or 'write' (read-write) access
+CREATE TABLE IF NOT EXISTS user_document_shares (
+    user_id CHAR(36) NOT NULL,
+    document_name VARCHAR(255) NOT NULL,
+    grantee_id CHAR(36) NOT NULL,
+    access ENUM('read', 'write') NOT NULL DEFAULT 'read',
+    granted_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+    PRIMARY KEY (user_id, document_name, grantee_id),
+    INDEX (grantee_id),
+    FOREIGN KEY (user_id, document_name) REFERENCES user_documents(user_id, document_name) ON DELETE CASCADE ON UPDATE CASCADE,
+    FOREIGN KEY (grantee_id) REFERENCES authorizer.authorizer_users(id) ON DELETE CASCADE
+);
+
+-- Create the user_document_links table
+-- Public read-only links to user documents, by the SHA-256 hex digest of the link token, optionally expiring
+CREATE TABLE IF NOT EXISTS user_document_links (
+    link_id SERIAL PRIMARY KEY,
+    user_id CHAR(36) NOT NULL,
+    document_name VARCHAR(255) NOT NULL,
+    token_hash CHAR(64) NOT NULL,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    expires_at TIMESTAMP NULL DEFAULT NULL,
+    UNIQUE KEY (token_hash),
+    INDEX (user_id, document_name),
+    FOREIGN KEY (user_id, document_name) REFERENCES user_documents(user_id, document_name) ON DELETE CASCADE ON UPDATE CASCADE
+);
+
+-- Create the application_trash table
+-- Deleted application documents and collections with a snapshot in the document history format, an empty collection_name is the whole document
+CREATE TABLE IF NOT EXISTS application_trash (
+    trash_id SERIAL PRIMARY KEY,
+    document_name VARCHAR(255) NOT NULL,
+    collection_name VARCHAR(255) NOT NULL DEFAULT '',
+    document_version BIGINT UNSIGNED NOT NULL,
+    snapshot JSON NOT NULL,
+    deleted_by CHAR(36),
+    deleted_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    INDEX (deleted_at),
+    CHECK (JSON_VALID(snapshot))
+);
+
+-- Create the user_trash table
+-- Deleted user documents and collections with a snapshot in the document history format, an empty collection_name is the whole document
+CREATE TABLE IF NOT EXISTS user_trash (
+    trash_id SERIAL PRIMARY KEY,
+    user_id CHAR(36) NOT NULL,
+    document_name VARCHAR(255) NOT NULL,
+    collection_name VARCHAR(255) NOT NULL DEFAULT '',
+    document_version BIGINT UNSIGNED NOT NULL,
+    snapshot JSON NOT NULL,
+    deleted_by CHAR(36),
+    deleted_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    INDEX (user_id, deleted_at),
+    INDEX (deleted_at),
+    FOREIGN KEY (user_id) REFERENCES authorizer.authorizer_users(id) ON DELETE CASCADE,
+    CHECK (JSON_VALID(snapshot))
+);
+
+-- Create the idempotency_keys table
+-- The responses of mutations made with an Idempotency-Key by a user, so a replay of the same request gets the same response
+-- A key is reserved with a NULL response while its request is in flight
+CREATE TABLE IF NOT EXISTS idempotency_keys (
+    user_id CHAR(36) NOT NULL,
+    idempotency_key VARCHAR(255) CHARACTER SET ascii COLLATE ascii_bin NOT NULL,
+    request_hash CHAR(64) NOT NULL,
+    response_status SMALLINT UNSIGNED NULL DEFAULT NULL,
+    response_body JSON NULL DEFAULT NULL,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    PRIMARY KEY (user_id, idempotency_key),
+    INDEX (created_at),
+    FOREIGN KEY (user_id) REFERENCES authorizer.authorizer_users(id) ON DELETE CASCADE,
+    CHECK (JSON_VALID(response_body))
+);
@@ -1,5 +1,6 @@
 --
 -- Jam-build database stored procedures.
+-- Mutations own their transaction, unless @in_batch_transaction is set by a caller that owns it instead.
 --
 -- Jam-build, a web application practical reference.
 -- Copyright (c) 2025 Alex Grant <info@localnerve.com> (https://www.localnerve.com), LocalNerve LLC
@@ -38,17 +39,50 @@ BEGIN
     IF @temp_count <= 0 THEN
         SET p_notfound = 1;
     ELSE
-        SELECT d.document_name, d.document_version, c.collection_id, c.collection_name, p.property_id, p.property_name, p.property_value
+        SELECT d.document_name, d.document_version, c.collection_id, c.collection_name, IFNULL(c.collection_version, d.document_version) AS collection_version, p.property_id, p.property_name, p.property_value, p.expires_at
         FROM application_documents d
         JOIN application_documents_collections dc ON d.document_id = dc.document_id
         JOIN application_collections c ON dc.collection_id = c.collection_id
         JOIN application_collections_properties cp ON c.collection_id = cp.collection_id
-        JOIN application_properties p ON cp.property_id = p.property_id
+        JOIN application_properties p ON cp.property_id = p.property_id AND (p.expires_at IS NULL OR p.expires_at > NOW())
         WHERE d.document_name = p_document_name AND c.collection_name = p_collection_name;
     END IF;
 END;
 $$
 
+CREATE PROCEDURE IF NOT EXISTS jam_build.GetPropertyForApplicationDocumentAndCollection(
+    IN p_document_name VARCHAR(255),
+    IN p_collection_name VARCHAR(255),
+    IN p_property_name VARCHAR(255),
+    OUT p_notfound INT
+)
+BEGIN
+    SET p_notfound = 0;
+
+    SELECT COUNT(*) INTO @temp_count
+    FROM application_documents d
+    JOIN application_documents_collections dc ON d.document_id = dc.document_id
+    JOIN application_collections c ON dc.collection_id = c.collection_id
+    JOIN application_collections_properties cp ON c.collection_id = cp.collection_id
+    JOIN application_properties p ON cp.property_id = p.property_id AND (p.expires_at IS NULL OR p.expires_at > NOW())
+    WHERE d.document_name = p_document_name AND c.collection_name = p_collection_name
+      AND p.property_name = p_property_name;
+
+    IF @temp_count <= 0 THEN
+        SET p_notfound = 1;
+    ELSE
+        SELECT d.document_name, d.document_version, c.collection_id, c.collection_name, IFNULL(c.collection_version, d.document_version) AS collection_version, p.property_id, p.property_name, p.property_value, p.expires_at
+        FROM application_documents d
+        JOIN application_documents_collections dc ON d.document_id = dc.document_id
+        JOIN application_collections c ON dc.collection_id = c.collection_id
+        JOIN application_collections_properties cp ON c.collection_id = cp.collection_id
+        JOIN application_properties p ON cp.property_id = p.property_id AND (p.expires_at IS NULL OR p.expires_at > NOW())
+        WHERE d.document_name = p_document_name AND c.collection_name = p_collection_name
+          AND p.property_name = p_property_name;
+    END IF;
+END;
+$$
+
 CREATE PROCEDURE IF NOT EXISTS jam_build.GetPropertiesAndCollectionsForApplicationDocument(
     IN p_document_name VARCHAR(255),
     IN p_collections VARCHAR(2048),
@@ -75,22 +109,22 @@ BEGIN
     ELSE
         -- Use FIND_IN_SET to filter collections based on the provided CSV string
         IF p_collections <> '' THEN
-            SELECT d.document_name, d.document_version, c.collection_id, c.collection_name, p.property_id, p.property_name, p.property_value
+            SELECT d.document_name, d.document_version, c.collection_id, c.collection_name, IFNULL(c.collection_version, d.document_version) AS collection_version, p.property_id, p.property_name, p.property_value, p.expires_at
             FROM application_documents d
             JOIN application_documents_collections dc ON d.document_id = dc.document_id
             JOIN application_collections c ON dc.collection_id = c.collection_id
             LEFT JOIN application_collections_properties cp ON c.collection_id = cp.collection_id
-            LEFT JOIN application_properties p ON cp.property_id = p.property_id
+            LEFT JOIN application_properties p ON cp.property_id = p.property_id AND (p.expires_at IS NULL OR p.expires_at > NOW())
             WHERE d.document_name = p_document_name
               AND FIND_IN_SET(c.collection_name, p_collections);
         ELSE
             -- If no collections string is provided, try to get all available
-            SELECT d.document_name, d.document_version, c.collection_id, c.collection_name, p.property_id, p.property_name, p.property_value
+            SELECT d.document_name, d.document_version, c.collection_id, c.collection_name, IFNULL(c.collection_version, d.document_version) AS collection_version, p.property_id, p.property_name, p.property_value, p.expires_at
             FROM application_documents d
             JOIN application_documents_collections dc ON d.document_id = dc.document_id
             JOIN application_collections c ON dc.collection_id = c.collection_id
             LEFT JOIN application_collections_properties cp ON c.collection_id = cp.collection_id
-            LEFT JOIN application_properties p ON cp.property_id = p.property_id
+            LEFT JOIN application_properties p ON cp.property_id = p.property_id AND (p.expires_at IS NULL OR p.expires_at > NOW())
             WHERE d.document_name = p_document_name;
         END IF;
     END IF;
@@ -98,24 +132,232 @@ END;
 $$
 
 CREATE PROCEDURE IF NOT EXISTS jam_build.GetPropertiesAndCollectionsAndDocumentsForApplication(
+    IN p_cursor VARCHAR(255),
+    IN p_limit INT UNSIGNED,
     OUT p_notfound INT
 )
 BEGIN
+    DECLARE v_limit BIGINT UNSIGNED DEFAULT 18446744073709551615;
+
     SET p_notfound = 0;
 
+    -- Page by document name after the cursor, one more document than the page tells there is a next page
+    IF p_limit > 0 THEN
+        SET v_limit = p_limit + 1;
+    END IF;
+
     SELECT COUNT(*) INTO @temp_count
     FROM application_documents d;
 
     IF @temp_count <= 0 THEN
         SET p_notfound = 1;
     ELSE
-        SELECT d.document_name, d.document_version, c.collection_id, c.collection_name, p.property_id, p.property_name, p.property_value
-        FROM application_documents d
+        SELECT d.document_name, d.document_version, c.collection_id, c.collection_name, IFNULL(c.collection_version, d.document_version) AS collection_version, p.property_id, p.property_name, p.property_value, p.expires_at
+        FROM (
+            SELECT sd.document_id, sd.document_name, sd.document_version
+            FROM application_documents sd
+            WHERE sd.document_name > COALESCE(p_cursor, '')
+                AND EXISTS (SELECT 1 FROM application_documents_collections sdc WHERE sdc.document_id = sd.document_id)
+            ORDER BY sd.document_name
+            LIMIT v_limit
+        ) d
         JOIN application_documents_collections dc ON d.document_id = dc.document_id
         JOIN application_collections c ON dc.collection_id = c.collection_id
         LEFT JOIN application_collections_properties cp ON c.collection_id = cp.collection_id
-        LEFT JOIN application_properties p ON cp.property_id = p.property_id;
+        LEFT JOIN application_properties p ON cp.property_id = p.property_id AND (p.expires_at IS NULL OR p.expires_at > NOW())
+        ORDER BY d.document_name;
+    END IF;
+END;
+$$
+
+CREATE PROCEDURE IF NOT EXISTS jam_build.GetHistoryForApplicationDocument(
+    IN p_document_name VARCHAR(255),
+    OUT p_notfound INT
+)
+BEGIN
+    SET p_notfound = 0;
+
+    SELECT COUNT(*) INTO @temp_count
+    FROM application_documents_history h
+    WHERE h.document_name = p_document_name AND h.retired_at IS NULL;
+
+    IF @temp_count <= 0 THEN
+        SET p_notfound = 1;
+    ELSE
+        SELECT h.history_id, h.document_name, h.document_version, h.operation, h.changes, h.restored_from, h.renamed_from, h.changed_by, h.changed_at
+        FROM application_documents_history h
+        WHERE h.document_name = p_document_name AND h.retired_at IS NULL
+        ORDER BY h.history_id DESC;
+    END IF;
+END;
+$$
+
+CREATE PROCEDURE IF NOT EXISTS jam_build.GetHistoryVersionForApplicationDocument(
+    IN p_document_name VARCHAR(255),
+    IN p_document_version BIGINT UNSIGNED,
+    OUT p_notfound INT
+)
+BEGIN
+    SET p_notfound = 0;
+
+    SELECT COUNT(*) INTO @temp_count
+    FROM application_documents_history h
+    WHERE h.document_name = p_document_name AND h.retired_at IS NULL AND h.document_version = p_document_version;
+
+    IF @temp_count <= 0 THEN
+        SET p_notfound = 1;
+    ELSE
+        -- A document deleted and created again reuses versions, the latest one wins
+        SELECT h.history_id, h.document_name, h.document_version, h.operation, h.changes, h.restored_from, h.renamed_from, h.changed_by, h.changed_at
+        FROM application_documents_history h
+        WHERE h.document_name = p_document_name AND h.retired_at IS NULL AND h.document_version = p_document_version
+        ORDER BY h.history_id DESC
+        LIMIT 1;
+    END IF;
+END;
+$$
+
+CREATE PROCEDURE IF NOT EXISTS jam_build.GetChangesSinceForApplicationDocument(
+    IN p_document_name VARCHAR(255),
+    IN p_since_version BIGINT UNSIGNED,
+    OUT p_notfound INT
+)
+BEGIN
+    DECLARE v_since_history_id BIGINT UNSIGNED DEFAULT NULL;
+
+    SET p_notfound = 0;
+
+    -- A document deleted and created again reuses versions, the latest one wins
+    SELECT MAX(h.history_id) INTO v_since_history_id
+    FROM application_documents_history h
+    WHERE h.document_name = p_document_name AND h.retired_at IS NULL AND h.document_version = p_since_version
+        AND h.changes IS NOT NULL;
+
+    IF v_since_history_id IS NULL THEN
+        SET p_notfound = 1;
+    ELSE
+        SELECT h.history_id, h.document_name, h.document_version, h.operation, h.changes
+        FROM application_documents_history h
+        WHERE h.document_name = p_document_name AND h.retired_at IS NULL AND h.history_id > v_since_history_id
+        ORDER BY h.history_id ASC;
+    END IF;
+END;
+$$
+
+CREATE PROCEDURE IF NOT EXISTS jam_build.GetSchemasForApplicationDocument(
+    IN p_document_name VARCHAR(255),
+    OUT p_notfound INT
+)
+BEGIN
+    SET p_notfound = 0;
+
+    SELECT s.schema_id, s.document_name, s.collection_name, s.json_schema, s.updated_at
+    FROM application_document_schemas s
+    WHERE s.document_name = p_document_name
+    ORDER BY s.collection_name;
+END;
+$$
+
+CREATE PROCEDURE IF NOT EXISTS jam_build.UpsertApplicationDocumentSchema(
+    IN p_document_name VARCHAR(255),
+    IN p_collection_name VARCHAR(255),
+    IN p_json_schema JSON,
+    IN p_changed_by CHAR(36)
+)
+BEGIN
+    INSERT INTO application_document_schemas (document_name, collection_name, json_schema, updated_by)
+    VALUES (p_document_name, COALESCE(p_collection_name, ''), p_json_schema, p_changed_by)
+    ON DUPLICATE KEY UPDATE json_schema = VALUES(json_schema), updated_by = VALUES(updated_by);
+END;
+$$
+
+CREATE PROCEDURE IF NOT EXISTS jam_build.DeleteApplicationDocumentSchema(
+    IN p_document_name VARCHAR(255),
+    IN p_collection_name VARCHAR(255),
+    OUT p_notfound INT
+)
+BEGIN
+    DELETE FROM application_document_schemas
+    WHERE document_name = p_document_name AND collection_name = COALESCE(p_collection_name, '');
+
+    SET p_notfound = IF(ROW_COUNT() > 0, 0, 1);
+END;
+$$
+
+CREATE PROCEDURE IF NOT EXISTS jam_build.InsertApplicationDocumentHistory (
+    IN p_document_name VARCHAR(255),
+    IN p_document_id BIGINT UNSIGNED,
+    IN p_document_version BIGINT UNSIGNED,
+    IN p_operation VARCHAR(16),
+    IN p_changes JSON,
+    IN p_restored_from BIGINT UNSIGNED,
+    IN p_renamed_from VARCHAR(255),
+    IN p_changed_by CHAR(36)
+)
+BEGIN
+    DECLARE v_snapshot JSON DEFAULT NULL;
+
+    -- Snapshot the current document state, a deleted document has no snapshot
+    IF p_document_id IS NOT NULL THEN
+        SELECT COALESCE(JSON_ARRAYAGG(JSON_OBJECT(
+            'collection_name', c.collection_name,
+            'properties', JSON_EXTRACT((
+                SELECT COALESCE(JSON_ARRAYAGG(JSON_OBJECT(
+                    'property_name', p.property_name,
+                    'property_value', JSON_EXTRACT(p.property_value, '$')
+                )), JSON_ARRAY())
+                FROM application_collections_properties cp
+                JOIN application_properties p ON cp.property_id = p.property_id AND (p.expires_at IS NULL OR p.expires_at > NOW())
+                WHERE cp.collection_id = c.collection_id
+            ), '$')
+        )), JSON_ARRAY()) INTO v_snapshot
+        FROM application_documents_collections dc
+        JOIN application_collections c ON dc.collection_id = c.collection_id
+        WHERE dc.document_id = p_document_id;
+    END IF;
+
+    INSERT INTO application_documents_history (document_name, document_version, operation, changes, snapshot, restored_from, renamed_from, changed_by)
+    VALUES (p_document_name, p_document_version, p_operation, p_changes, v_snapshot, p_restored_from, p_renamed_from, p_changed_by);
+END;
+$$
+
+CREATE PROCEDURE IF NOT EXISTS jam_build.InsertApplicationTrash (
+    IN p_document_name VARCHAR(255),
+    IN p_document_id BIGINT UNSIGNED,
+    IN p_collection_id BIGINT UNSIGNED,
+    IN p_deleted_by CHAR(36)
+)
+BEGIN
+    DECLARE v_document_version BIGINT UNSIGNED;
+    DECLARE v_collection_name VARCHAR(255) DEFAULT '';
+    DECLARE v_snapshot JSON DEFAULT NULL;
+
+    SELECT document_version INTO v_document_version FROM application_documents WHERE document_id = p_document_id;
+
+    -- A NULL p_collection_id trashes the whole document
+    IF p_collection_id IS NOT NULL THEN
+        SELECT collection_name INTO v_collection_name FROM application_collections WHERE collection_id = p_collection_id;
     END IF;
+
+    -- Snapshot the collection or the whole document before it is deleted, in the document history snapshot format
+    SELECT COALESCE(JSON_ARRAYAGG(JSON_OBJECT(
+        'collection_name', c.collection_name,
+        'properties', JSON_EXTRACT((
+            SELECT COALESCE(JSON_ARRAYAGG(JSON_OBJECT(
+                'property_name', p.property_name,
+                'property_value', JSON_EXTRACT(p.property_value, '$')
+            )), JSON_ARRAY())
+            FROM application_collections_properties cp
+            JOIN application_properties p ON cp.property_id = p.property_id AND (p.expires_at IS NULL OR p.expires_at > NOW())
+            WHERE cp.collection_id = c.collection_id
+        ), '$')
+    )), JSON_ARRAY()) INTO v_snapshot
+    FROM application_documents_collections dc
+    JOIN application_collections c ON dc.collection_id = c.collection_id
+    WHERE dc.document_id = p_document_id AND (p_collection_id IS NULL OR dc.collection_id = p_collection_id);
+
+    INSERT INTO application_trash (document_name, collection_name, document_version, snapshot, deleted_by)
+    VALUES (p_document_name, v_collection_name, v_document_version, v_snapshot, p_deleted_by);
 END;
 $$
 
@@ -123,6 +365,7 @@ CREATE PROCEDURE IF NOT EXISTS jam_build.UpsertApplicationDocumentWithCollection
     IN p_document_name VARCHAR(255),
     IN p_document_version BIGINT UNSIGNED,
     IN p_data JSON,
+    IN p_changed_by CHAR(36),
     OUT p_new_document_version BIGINT UNSIGNED
 )
 BEGIN
@@ -135,7 +378,14 @@ BEGIN
     DECLARE v_property_id BIGINT UNSIGNED;
     DECLARE v_property_name VARCHAR(255);
     DECLARE v_property_value JSON;
+    DECLARE v_ttl INT UNSIGNED;
+    DECLARE v_expires_at TIMESTAMP NULL;
+    DECLARE v_changed_property JSON;
     DECLARE v_properties JSON;
+    DECLARE v_collection_updated INT DEFAULT 0;
+    DECLARE v_collection_version BIGINT UNSIGNED;
+    DECLARE v_changed_properties JSON;
+    DECLARE v_changes JSON DEFAULT JSON_ARRAY();
     DECLARE v_message VARCHAR(255);
     DECLARE i INT DEFAULT 0;
     DECLARE j INT DEFAULT 0;
@@ -144,13 +394,17 @@ BEGIN
     DECLARE EXIT HANDLER FOR SQLEXCEPTION
     BEGIN
         -- Rollback the transaction on any error
-        ROLLBACK;
+        IF @in_batch_transaction IS NULL THEN
+            ROLLBACK;
+        END IF;
         -- Optionally, you can raise an error to notify the caller
         RESIGNAL;
     END;
 
     -- Start a new transaction
-    START TRANSACTION;
+    IF @in_batch_transaction IS NULL THEN
+        START TRANSACTION;
+    END IF;
 
     SET v_document_version = 0;
 
@@ -190,6 +444,8 @@ BEGIN
     -- Process collections and their associated properties
     WHILE i < JSON_LENGTH(p_data) DO
         SET v_collection_id = NULL;
+        SET v_collection_updated = 0;
+        SET v_changed_properties = JSON_ARRAY();
         SET v_collection_name = JSON_UNQUOTE(JSON_EXTRACT(p_data, CONCAT('$[', i, '].collection_name')));
     
         IF v_collection_name IS NULL THEN
@@ -206,6 +462,15 @@ BEGIN
             WHERE collection_name = v_collection_name
         );
 
+        -- Check the collection version, if given, a collection that does not exist is at version 0
+        SET v_collection_version = JSON_VALUE(p_data, CONCAT('$[', i, '].collection_version'));
+        IF v_collection_version IS NOT NULL AND v_collection_version <> IFNULL((
+            SELECT IFNULL(collection_version, v_document_version) FROM application_collections WHERE collection_id = v_collection_id
+        ), 0) THEN
+            SIGNAL SQLSTATE '45000'
+            SET MESSAGE_TEXT = 'E_VERSION - Refresh and reconcile with current collection version and retry.';
+        END IF;
+
         IF v_collection_id IS NULL THEN
             -- Insert collection if it doesn't exist
             INSERT INTO application_collections (collection_name)
@@ -219,6 +484,7 @@ BEGIN
             VALUES (v_document_id, v_collection_id);
 
             SET v_document_updated = 1;
+            SET v_collection_updated = 1;
         END IF;
 
         -- Process properties for the current collection, can have 0 properties
@@ -235,6 +501,19 @@ BEGIN
                 SET MESSAGE_TEXT = v_message;
             END IF;
 
+            -- A property with a ttl in seconds expires, a property without one never does
+            SET v_expires_at = NULL;
+            SET v_ttl = JSON_VALUE(p_data, CONCAT('$[', i, '].properties[', j, '].ttl'));
+            IF v_ttl IS NOT NULL THEN
+                SET v_expires_at = NOW() + INTERVAL v_ttl SECOND;
+            END IF;
+
+            -- The change for the document history has the expiry in seconds since the epoch, instead of the ttl
+            SET v_changed_property = JSON_REMOVE(JSON_EXTRACT(p_data, CONCAT('$[', i, '].properties[', j, ']')), '$.ttl');
+            IF v_expires_at IS NOT NULL THEN
+                SET v_changed_property = JSON_SET(v_changed_property, '$.expires_at', UNIX_TIMESTAMP(v_expires_at));
+            END IF;
+
             -- Check if the property already exists in this collection
             SELECT property_id INTO v_property_id 
             FROM application_collections_properties 
@@ -246,8 +525,8 @@ BEGIN
 
             IF v_property_id IS NULL THEN
                 -- Insert property if it doesn't exist
-                INSERT INTO application_properties (property_name, property_value)
-                VALUES (v_property_name, v_property_value);
+                INSERT INTO application_properties (property_name, property_value, expires_at)
+                VALUES (v_property_name, v_property_value, v_expires_at);
 
                 -- Get the newly inserted property_id
                 SET v_property_id = LAST_INSERT_ID();
@@ -257,25 +536,41 @@ BEGIN
                 VALUES (v_collection_id, v_property_id);
 
                 SET v_document_updated = 1;
+                SET v_collection_updated = 1;
+                SET v_changed_properties = JSON_ARRAY_APPEND(v_changed_properties, '$', v_changed_property);
             ELSE
-                -- Check if the property_value is different to update
-                SELECT property_value INTO @current_property_value 
+                -- Check if the property_value or expiry is different to update
+                SELECT property_value, expires_at INTO @current_property_value, @current_expires_at
                 FROM application_properties 
                 WHERE property_id = v_property_id;
 
-                IF NOT JSON_EQUALS(@current_property_value, v_property_value) THEN
+                IF NOT JSON_EQUALS(@current_property_value, v_property_value) OR NOT (@current_expires_at <=> v_expires_at) THEN
                     -- Update property value if it already exists for this collection
                     UPDATE application_properties
-                    SET property_value = v_property_value
+                    SET property_value = v_property_value, expires_at = v_expires_at
                     WHERE property_id = v_property_id;
 
                     SET v_document_updated = 1;
+                    SET v_collection_updated = 1;
+                    SET v_changed_properties = JSON_ARRAY_APPEND(v_changed_properties, '$', v_changed_property);
                 END IF;
             END IF;
 
             SET j = j + 1;
         END WHILE;
 
+        -- Record the changed properties of this collection for the document history, and its new version
+        IF v_collection_updated > 0 THEN
+            UPDATE application_collections
+            SET collection_version = v_document_version + 1
+            WHERE collection_id = v_collection_id;
+
+            SET v_changes = JSON_ARRAY_APPEND(v_changes, '$', JSON_OBJECT(
+                'collection_name', v_collection_name,
+                'properties', JSON_EXTRACT(v_changed_properties, '$')
+            ));
+        END IF;
+
         SET i = i + 1;
     END WHILE;
 
@@ -291,6 +586,9 @@ BEGIN
             SET v_message = CONCAT('E_VERSION - Failed to update document "', p_document_name, '" because of another transaction.');
             SIGNAL SQLSTATE '45000' SET MESSAGE_TEXT = v_message;
         END IF;
+
+        -- Record the new version in the document history
+        CALL jam_build.InsertApplicationDocumentHistory(p_document_name, v_document_id, v_new_document_version, 'upsert', v_changes, NULL, NULL, p_changed_by);
     ELSE
         SET v_new_document_version = v_document_version;
     END IF;
@@ -298,13 +596,16 @@ BEGIN
     SET p_new_document_version = v_new_document_version;
 
     -- Commit the transaction
-    COMMIT;
+    IF @in_batch_transaction IS NULL THEN
+        COMMIT;
+    END IF;
 END;
 $$
 
 CREATE PROCEDURE IF NOT EXISTS jam_build.DeleteApplicationDocument (
     IN p_document_name VARCHAR(255),
     IN p_document_version BIGINT UNSIGNED,
+    IN p_changed_by CHAR(36),
     OUT p_new_document_version BIGINT UNSIGNED
 )
 BEGIN
@@ -317,13 +618,17 @@ BEGIN
     DECLARE EXIT HANDLER FOR SQLEXCEPTION
     BEGIN
         -- Rollback the transaction on any error
-        ROLLBACK;
+        IF @in_batch_transaction IS NULL THEN
+            ROLLBACK;
+        END IF;
         -- Optionally, you can raise an error to notify the caller
         RESIGNAL;
     END;
 
     -- Start a new transaction
-    START TRANSACTION;
+    IF @in_batch_transaction IS NULL THEN
+        START TRANSACTION;
+    END IF;
 
     SET v_document_version = 0;
 
@@ -343,6 +648,9 @@ BEGIN
     SELECT document_id INTO v_document_id FROM application_documents WHERE document_name = p_document_name;
 
     IF v_document_id IS NOT NULL THEN
+        -- Move the document to the trash
+        CALL jam_build.InsertApplicationTrash(p_document_name, v_document_id, NULL, p_changed_by);
+
         -- Delete the document itself (CASCADE will handle deletions in application_documents_collections)
         DELETE FROM application_documents WHERE document_id = v_document_id;
         
@@ -363,6 +671,9 @@ BEGIN
         WHERE property_id NOT IN (
             SELECT property_id FROM application_collections_properties
         );
+
+        -- Record the deletion in the document history, the document itself is gone
+        CALL jam_build.InsertApplicationDocumentHistory(p_document_name, NULL, v_document_version + 1, 'delete', NULL, NULL, NULL, p_changed_by);
     ELSE
         SET v_message = CONCAT('Could not find document_id for the input document_name "', p_document_name, '"');
         SIGNAL SQLSTATE '45000'
@@ -372,7 +683,9 @@ BEGIN
     SET p_new_document_version = 0;
 
     -- Commit the transaction
-    COMMIT;
+    IF @in_batch_transaction IS NULL THEN
+        COMMIT;
+    END IF;
 END;
 $$
 
@@ -380,6 +693,7 @@ CREATE PROCEDURE IF NOT EXISTS jam_build.DeleteApplicationCollection (
     IN p_document_name VARCHAR(255),
     IN p_document_version BIGINT UNSIGNED,
     IN p_collection_name VARCHAR(255),
+    IN p_changed_by CHAR(36),
     OUT p_new_document_version BIGINT UNSIGNED
 )
 BEGIN
@@ -394,7 +708,9 @@ BEGIN
     BEGIN
         IF @in_transaction IS NULL THEN
             -- Rollback the transaction on any error
-            ROLLBACK;
+            IF @in_batch_transaction IS NULL THEN
+                ROLLBACK;
+            END IF;
         END IF;
         -- Optionally, you can raise an error to notify the caller
         RESIGNAL;
@@ -402,7 +718,9 @@ BEGIN
 
     IF @in_transaction IS NULL THEN
         -- Start a new transaction
-        START TRANSACTION;
+        IF @in_batch_transaction IS NULL THEN
+            START TRANSACTION;
+        END IF;
 
         SET v_document_version = 0;
 
@@ -435,6 +753,9 @@ BEGIN
         );
 
         IF v_collection_id IS NOT NULL THEN
+            -- Move the collection to the trash
+            CALL jam_build.InsertApplicationTrash(p_document_name, v_document_id, v_collection_id, p_changed_by);
+
             -- Delete the collection from application_documents_collections (CASCADE will handle deletions in application_collections_properties)
             DELETE FROM application_documents_collections 
             WHERE document_id = v_document_id AND collection_id = v_collection_id;
@@ -480,10 +801,15 @@ BEGIN
             SIGNAL SQLSTATE '45000' SET MESSAGE_TEXT = v_message;
         END IF;
 
+        -- Record the new version in the document history
+        CALL jam_build.InsertApplicationDocumentHistory(p_document_name, v_document_id, v_new_document_version, 'delete', JSON_ARRAY(JSON_OBJECT('collection_name', p_collection_name, 'property_names', JSON_ARRAY())), NULL, NULL, p_changed_by);
+
         SET p_new_document_version = v_new_document_version;
 
         -- Commit the transaction
-        COMMIT;
+        IF @in_batch_transaction IS NULL THEN
+            COMMIT;
+        END IF;
     END IF;
 END;
 $$
@@ -492,6 +818,7 @@ CREATE PROCEDURE IF NOT EXISTS jam_build.DeleteApplicationProperties (
     IN p_document_name VARCHAR(255),
     IN p_document_version BIGINT UNSIGNED,
     IN p_collection_data JSON,
+    IN p_changed_by CHAR(36),
     OUT p_new_document_version BIGINT UNSIGNED
 )
 BEGIN
@@ -500,8 +827,11 @@ BEGIN
     DECLARE v_document_updated INT DEFAULT 0;
     DECLARE v_new_document_version BIGINT UNSIGNED;
     DECLARE v_collection_name VARCHAR(255);
+    DECLARE v_collection_version BIGINT UNSIGNED;
     DECLARE v_collection_id BIGINT UNSIGNED;
     DECLARE v_property_names JSON;
+    DECLARE v_deleted_property_names JSON;
+    DECLARE v_changes JSON DEFAULT JSON_ARRAY();
     DECLARE v_property_name VARCHAR(255);
     DECLARE v_property_id INT;
     DECLARE v_message VARCHAR(255);
@@ -512,14 +842,18 @@ BEGIN
     DECLARE EXIT HANDLER FOR SQLEXCEPTION
     BEGIN
         -- Rollback the transaction on any error
-        ROLLBACK;
+        IF @in_batch_transaction IS NULL THEN
+            ROLLBACK;
+        END IF;
         SET @in_transaction = NULL;
         -- Optionally, you can raise an error to notify the caller
         RESIGNAL;
     END;
 
     -- Start a new transaction
-    START TRANSACTION;
+    IF @in_batch_transaction IS NULL THEN
+        START TRANSACTION;
+    END IF;
 
     SET v_document_version = 0;
 
@@ -567,12 +901,24 @@ BEGIN
                 )
             );
 
+            -- Check the collection version, if given
+            SET v_collection_version = JSON_VALUE(p_collection_data, CONCAT('$[', i, '].collection_version'));
+            IF v_collection_id IS NOT NULL AND v_collection_version IS NOT NULL AND v_collection_version <> (
+                SELECT IFNULL(collection_version, v_document_version) FROM application_collections WHERE collection_id = v_collection_id
+            ) THEN
+                SIGNAL SQLSTATE '45000'
+                SET MESSAGE_TEXT = 'E_VERSION - Refresh and reconcile with current collection version before continuing.';
+            END IF;
+
             IF v_collection_id IS NOT NULL THEN
                 -- If property_names is empty, delete the whole collection
                 IF v_property_names IS NULL OR JSON_LENGTH(v_property_names) = 0 THEN
-                    CALL jam_build.DeleteApplicationCollection(p_document_name, p_document_version, v_collection_name, @p_new_document_version);
+                    CALL jam_build.DeleteApplicationCollection(p_document_name, p_document_version, v_collection_name, p_changed_by, @p_new_document_version);
                     SET v_document_updated = 1;
+                    SET v_changes = JSON_ARRAY_APPEND(v_changes, '$', JSON_OBJECT('collection_name', v_collection_name, 'property_names', JSON_ARRAY()));
                 ELSE
+                    SET v_deleted_property_names = JSON_ARRAY();
+
                     -- Delete specified properties for this collection
                     WHILE j < JSON_LENGTH(v_property_names) DO
                         SET v_property_id = NULL;
@@ -596,10 +942,23 @@ BEGIN
                             WHERE collection_id = v_collection_id AND property_id = v_property_id;
 
                             SET v_document_updated = 1;
+                            SET v_deleted_property_names = JSON_ARRAY_APPEND(v_deleted_property_names, '$', v_property_name);
                         END IF;
 
                         SET j = j + 1;
                     END WHILE;
+
+                    -- Record the deleted properties of this collection for the document history, and its new version
+                    IF JSON_LENGTH(v_deleted_property_names) > 0 THEN
+                        UPDATE application_collections
+                        SET collection_version = v_document_version + 1
+                        WHERE collection_id = v_collection_id;
+
+                        SET v_changes = JSON_ARRAY_APPEND(v_changes, '$', JSON_OBJECT(
+                            'collection_name', v_collection_name,
+                            'property_names', JSON_EXTRACT(v_deleted_property_names, '$')
+                        ));
+                    END IF;
                 END IF;
             END IF;
 
@@ -641,6 +1000,9 @@ BEGIN
             SET v_message = CONCAT('E_VERSION - Failed to update document "', p_document_name, '" because of another transaction.');
             SIGNAL SQLSTATE '45000' SET MESSAGE_TEXT = v_message;
         END IF;
+
+        -- Record the new version in the document history
+        CALL jam_build.InsertApplicationDocumentHistory(p_document_name, v_document_id, v_new_document_version, 'delete', v_changes, NULL, NULL, p_changed_by);
     ELSE
         SET v_new_document_version = v_document_version;
     END IF;
@@ -648,268 +1010,125 @@ BEGIN
     SET p_new_document_version = v_new_document_version;
 
     -- Commit the transaction
-    COMMIT;
+    IF @in_batch_transaction IS NULL THEN
+        COMMIT;
+    END IF;
     SET @in_transaction = NULL;
 END;
 $$
 
-CREATE PROCEDURE IF NOT EXISTS jam_build.GetPropertiesForUserDocumentAndCollection(
-    IN p_user_id CHAR(36),
+CREATE PROCEDURE IF NOT EXISTS jam_build.RestoreApplicationDocument (
     IN p_document_name VARCHAR(255),
-    IN p_collection_name VARCHAR(255),
-    OUT p_notfound INT
+    IN p_document_version BIGINT UNSIGNED,
+    IN p_target_version BIGINT UNSIGNED,
+    IN p_changed_by CHAR(36),
+    OUT p_new_document_version BIGINT UNSIGNED
 )
 BEGIN
-    SET p_notfound = 0;
+    DECLARE v_document_id BIGINT UNSIGNED;
+    DECLARE v_document_version BIGINT UNSIGNED;
+    DECLARE v_new_document_version BIGINT UNSIGNED;
+    DECLARE v_collection_id BIGINT UNSIGNED;
+    DECLARE v_collection_name VARCHAR(255);
+    DECLARE v_property_id BIGINT UNSIGNED;
+    DECLARE v_property_name VARCHAR(255);
+    DECLARE v_property_value JSON;
+    DECLARE v_properties JSON;
+    DECLARE v_snapshot JSON;
+    DECLARE v_message VARCHAR(255);
+    DECLARE i INT DEFAULT 0;
+    DECLARE j INT DEFAULT 0;
 
-    SELECT COUNT(*) INTO @temp_count
-    FROM user_documents d
-    JOIN user_documents_collections dc ON d.document_id = dc.document_id
-    JOIN user_collections c ON dc.collection_id = c.collection_id
-    WHERE d.user_id = p_user_id AND d.document_name = p_document_name AND c.collection_name = p_collection_name;
+    -- Declare a handler for SQL exceptions
+    DECLARE EXIT HANDLER FOR SQLEXCEPTION
+    BEGIN
+        -- Rollback the transaction on any error
+        IF @in_batch_transaction IS NULL THEN
+            ROLLBACK;
+        END IF;
+        -- Optionally, you can raise an error to notify the caller
+        RESIGNAL;
+    END;
 
-    IF @temp_count <= 0 THEN
-        SET p_notfound = 1;
-    ELSE
-        SELECT d.document_name, d.document_version, c.collection_id, c.collection_name, p.property_id, p.property_name, p.property_value
-        FROM user_documents d
-        JOIN user_documents_collections dc ON d.document_id = dc.document_id
-        JOIN user_collections c ON dc.collection_id = c.collection_id
-        JOIN user_collections_properties cp ON c.collection_id = cp.collection_id
-        JOIN user_properties p ON cp.property_id = p.property_id
-        WHERE d.user_id = p_user_id AND d.document_name = p_document_name AND c.collection_name = p_collection_name;
+    -- Start a new transaction
+    IF @in_batch_transaction IS NULL THEN
+        START TRANSACTION;
     END IF;
-END;
-$$
 
-CREATE PROCEDURE IF NOT EXISTS jam_build.GetPropertiesAndCollectionsForUserDocument(
-    IN p_user_id CHAR(36),
-    IN p_document_name VARCHAR(255),
-    IN p_collections VARCHAR(2048),
-    OUT p_notfound INT
-)
-BEGIN
-    SET p_notfound = 0;
+    SET v_document_version = 0;
 
-    IF p_collections <> '' THEN
-        SELECT COUNT(*) INTO @temp_count
-        FROM user_documents d
-        JOIN user_documents_collections dc ON d.document_id = dc.document_id
-        JOIN user_collections c ON dc.collection_id = c.collection_id
-        WHERE d.document_name = p_document_name AND d.user_id = p_user_id
-          AND FIND_IN_SET(c.collection_name, p_collections);
-    ELSE
-        SELECT COUNT(*) INTO @temp_count
-        FROM user_documents d
-        WHERE d.document_name = p_document_name AND d.user_id = p_user_id;
+    -- Serialize access to the transaction and check version
+    SELECT document_version INTO v_document_version
+    FROM application_documents
+    WHERE document_name = p_document_name FOR UPDATE;
+
+    IF v_document_version <> p_document_version THEN
+        SIGNAL SQLSTATE '45000'
+        SET MESSAGE_TEXT = 'E_VERSION - Refresh and reconcile with current version and retry.';
     END IF;
 
-    IF @temp_count <= 0 THEN
-        SET p_notfound = 1;
-    ELSE
-        -- Use FIND_IN_SET to filter collections based on the provided CSV string
-        IF p_collections <> '' THEN
-            SELECT d.document_name, d.document_version, c.collection_id, c.collection_name, p.property_id, p.property_name, p.property_value
-            FROM user_documents d
-            JOIN user_documents_collections dc ON d.document_id = dc.document_id
-            JOIN user_collections c ON dc.collection_id = c.collection_id
-            LEFT JOIN user_collections_properties cp ON c.collection_id = cp.collection_id
-            LEFT JOIN user_properties p ON cp.property_id = p.property_id
-            WHERE d.user_id = p_user_id AND d.document_name = p_document_name
-              AND FIND_IN_SET(c.collection_name, p_collections);
-        ELSE
-            -- No CSV collections string provided, try to get all
-            SELECT d.document_name, d.document_version, c.collection_id, c.collection_name, p.property_id, p.property_name, p.property_value
-            FROM user_documents d
-            JOIN user_documents_collections dc ON d.document_id = dc.document_id
-            JOIN user_collections c ON dc.collection_id = c.collection_id
-            LEFT JOIN user_collections_properties cp ON c.collection_id = cp.collection_id
-            LEFT JOIN user_properties p ON cp.property_id = p.property_id
-            WHERE d.user_id = p_user_id AND d.document_name = p_document_name;
-        END IF;
-    END IF;
-END;
-$$
-
-CREATE PROCEDURE IF NOT EXISTS jam_build.GetPropertiesAndCollectionsAndDocumentsForUser(
-    IN p_user_id CHAR(36),
-    OUT p_notfound INT
-)
-BEGIN
-    SET p_notfound = 0;
-
-    SELECT COUNT(*) INTO @temp_count
-    FROM user_documents d
-    WHERE d.user_id = p_user_id;
-
-    IF @temp_count <= 0 THEN
-        SET p_notfound = 1;
-    ELSE    
-        SELECT d.document_name, d.document_version, c.collection_id, c.collection_name, p.property_id, p.property_name, p.property_value
-        FROM user_documents d
-        JOIN user_documents_collections dc ON d.document_id = dc.document_id
-        JOIN user_collections c ON dc.collection_id = c.collection_id
-        LEFT JOIN user_collections_properties cp ON c.collection_id = cp.collection_id
-        LEFT JOIN user_properties p ON cp.property_id = p.property_id
-        WHERE d.user_id = p_user_id;
-    END IF;
-END;
-$$
-
-CREATE PROCEDURE IF NOT EXISTS jam_build.UpsertUserDocumentWithCollectionsAndProperties (
-    IN p_user_id CHAR(36),
-    IN p_document_name VARCHAR(255),
-    IN p_document_version BIGINT UNSIGNED,
-    IN p_data JSON,
-    OUT p_new_document_version BIGINT UNSIGNED
-)
-BEGIN
-    DECLARE v_document_id INT;
-    DECLARE v_document_version BIGINT UNSIGNED;
-    DECLARE v_document_updated INT DEFAULT 0;
-    DECLARE v_new_document_version BIGINT UNSIGNED;
-    DECLARE v_collection_id INT;
-    DECLARE v_collection_name VARCHAR(255);
-    DECLARE v_property_id INT;
-    DECLARE v_property_name VARCHAR(255);
-    DECLARE v_property_value JSON;
-    DECLARE v_properties JSON;
-    DECLARE v_message VARCHAR(255);
-    DECLARE i INT DEFAULT 0;
-    DECLARE j INT DEFAULT 0;
-
-    -- Declare a handler for SQL exceptions
-    DECLARE EXIT HANDLER FOR SQLEXCEPTION
-    BEGIN
-        -- Rollback the transaction on any error
-        ROLLBACK;
-        -- Optionally, you can raise an error to notify the caller
-        RESIGNAL;
-    END;
-
-    -- Start a new transaction
-    START TRANSACTION;
-
-    SET v_document_version = 0;
-
-    -- Serialize access to the transaction and check version
-    SELECT document_version INTO v_document_version
-    FROM user_documents 
-    WHERE user_id = p_user_id AND document_name = p_document_name FOR UPDATE;
+    -- Get the document snapshot for the target version, a document created again reuses versions, the latest one wins
+    SET v_snapshot = NULL;
+    SELECT h.snapshot INTO v_snapshot
+    FROM application_documents_history h
+    WHERE h.document_name = p_document_name AND h.retired_at IS NULL AND h.document_version = p_target_version AND h.snapshot IS NOT NULL
+    ORDER BY h.history_id DESC
+    LIMIT 1;
 
-    IF v_document_version <> p_document_version THEN
+    IF v_snapshot IS NULL THEN
+        SET v_message = CONCAT('E_NOTFOUND - Could not find version ', p_target_version, ' of document "', p_document_name, '"');
         SIGNAL SQLSTATE '45000'
-        SET MESSAGE_TEXT = 'E_VERSION - Refresh and reconcile with current version before continuing.';
+        SET MESSAGE_TEXT = v_message;
     END IF;
 
-    SET v_document_id = NULL;
-    SET v_document_updated = 0;
-
-    -- Insert or update document
-    INSERT INTO user_documents (user_id, document_name)
-    VALUES (p_user_id, p_document_name)
+    -- Insert the document if it was deleted
+    INSERT INTO application_documents (document_name)
+    VALUES (p_document_name)
     ON DUPLICATE KEY UPDATE document_name = VALUES(document_name);
 
-    -- Get the document_id for the given user_id and document_name
-    SELECT document_id INTO v_document_id FROM user_documents WHERE user_id = p_user_id AND document_name = p_document_name;
-
-    IF v_document_id IS NULL THEN
-        SET v_message = CONCAT('Could not find document for INPUT document_name "', p_document_name, '" and user_id "', p_user_id, '"');
-        SIGNAL SQLSTATE '45000'
-        SET MESSAGE_TEXT = v_message;
-    END IF;
-
-    IF JSON_LENGTH(p_data) = 0 THEN
-        SET v_message = CONCAT('No data supplied for collections and properties for document "', p_document_name, '" and user_id "', p_user_id, '"');
-        SIGNAL SQLSTATE '45000'
-        SET MESSAGE_TEXT = v_message;
-    END IF;
+    SET v_document_id = NULL;
+    SELECT document_id INTO v_document_id FROM application_documents WHERE document_name = p_document_name;
 
-    -- Process collections and their associated properties
-    WHILE i < JSON_LENGTH(p_data) DO
-        SET v_collection_id = NULL;
-        SET v_collection_name = JSON_UNQUOTE(JSON_EXTRACT(p_data, CONCAT('$[', i, '].collection_name')));
+    -- Remove the current collections (CASCADE will handle deletions in application_collections_properties)
+    DELETE FROM application_documents_collections WHERE document_id = v_document_id;
 
-        IF v_collection_name IS NULL THEN
-            SIGNAL SQLSTATE '45000'
-            SET MESSAGE_TEXT = 'JSON input did not contain a proper collection_name';
-        END IF;
+    -- Clean up unused application_collections
+    DELETE FROM application_collections
+    WHERE collection_id NOT IN (
+        SELECT collection_id FROM application_documents_collections
+    );
 
-        -- Check if the collection already exists for this user's document
-        SELECT collection_id INTO v_collection_id
-        FROM user_documents_collections
-        WHERE document_id = v_document_id AND collection_id IN (
-            SELECT collection_id
-            FROM user_collections
-            WHERE collection_name = v_collection_name
-        );
+    -- Clean up unused application_properties
+    DELETE FROM application_properties
+    WHERE property_id NOT IN (
+        SELECT property_id FROM application_collections_properties
+    );
 
-        IF v_collection_id IS NULL THEN
-            -- Insert collection if it doesn't exist
-            INSERT INTO user_collections (collection_name)
-            VALUES (v_collection_name);
+    -- Rewrite the collections and properties from the snapshot
+    WHILE i < JSON_LENGTH(v_snapshot) DO
+        SET v_collection_name = JSON_UNQUOTE(JSON_EXTRACT(v_snapshot, CONCAT('$[', i, '].collection_name')));
 
-            -- Get the newly inserted collection_id
-            SET v_collection_id = LAST_INSERT_ID();
+        INSERT INTO application_collections (collection_name)
+        VALUES (v_collection_name);
 
-            -- Associate document with collection
-            INSERT INTO user_documents_collections (document_id, collection_id)
-            VALUES (v_document_id, v_collection_id);
+        SET v_collection_id = LAST_INSERT_ID();
 
-            SET v_document_updated = 1;
-        END IF;
+        INSERT INTO application_documents_collections (document_id, collection_id)
+        VALUES (v_document_id, v_collection_id);
 
-        -- Process properties for the current collection, can have 0 properties
         SET j = 0;
-        SET v_properties = JSON_EXTRACT(p_data, CONCAT('$[', i, '].properties'));
-        WHILE j < (SELECT CASE WHEN v_properties IS NULL THEN 0 ELSE JSON_LENGTH(v_properties) END) DO
-            SET v_property_id = NULL;
-            SET v_property_name = JSON_UNQUOTE(JSON_EXTRACT(p_data, CONCAT('$[', i, '].properties[', j, '].property_name')));
-            SET v_property_value = JSON_EXTRACT(p_data, CONCAT('$[', i, '].properties[', j, '].property_value'));
+        SET v_properties = JSON_EXTRACT(v_snapshot, CONCAT('$[', i, '].properties'));
+        WHILE j < JSON_LENGTH(v_properties) DO
+            SET v_property_name = JSON_UNQUOTE(JSON_EXTRACT(v_properties, CONCAT('$[', j, '].property_name')));
+            SET v_property_value = JSON_EXTRACT(v_properties, CONCAT('$[', j, '].property_value'));
 
-            IF v_property_name IS NULL OR v_property_value IS NULL THEN
-                SET v_message = CONCAT('JSON input for collection_name "', v_collection_name, '" had bad property_name or property_value');
-                SIGNAL SQLSTATE '45000'
-                SET MESSAGE_TEXT = v_message;
-            END IF;
-
-            -- Check if the property already exists in this collection
-            SELECT property_id INTO v_property_id 
-            FROM user_collections_properties 
-            WHERE collection_id = v_collection_id AND property_id IN (
-                SELECT property_id 
-                FROM user_properties 
-                WHERE property_name = v_property_name
-            );
-
-            IF v_property_id IS NULL THEN
-                -- Insert property if it doesn't exist
-                INSERT INTO user_properties (property_name, property_value)
-                VALUES (v_property_name, v_property_value);
-
-                -- Get the newly inserted property_id
-                SET v_property_id = LAST_INSERT_ID();
-
-                -- Associate collection with property if not already associated
-                INSERT INTO user_collections_properties (collection_id, property_id)
-                VALUES (v_collection_id, v_property_id);
+            INSERT INTO application_properties (property_name, property_value)
+            VALUES (v_property_name, v_property_value);
 
-                SET v_document_updated = 1;
-            ELSE
-                -- Check if the property_value is different to update
-                SELECT property_value INTO @current_property_value 
-                FROM user_properties 
-                WHERE property_id = v_property_id;
-
-                IF NOT JSON_EQUALS(@current_property_value, v_property_value) THEN
-                    -- Update property value if it already exists for this collection
-                    UPDATE user_properties
-                    SET property_value = v_property_value
-                    WHERE property_id = v_property_id;
+            SET v_property_id = LAST_INSERT_ID();
 
-                    SET v_document_updated = 1;
-                END IF;
-            END IF;
+            INSERT INTO application_collections_properties (collection_id, property_id)
+            VALUES (v_collection_id, v_property_id);
 
             SET j = j + 1;
         END WHILE;
@@ -917,33 +1136,35 @@ BEGIN
         SET i = i + 1;
     END WHILE;
 
-    -- Update the document version and return it
-    IF v_document_updated > 0 THEN
-        SET v_new_document_version = v_document_version + 1;
-    
-        UPDATE user_documents
-        SET document_version = v_new_document_version
-        WHERE document_id = v_document_id AND document_version = v_document_version;
+    -- Restoring is always a new version, the version counter never rewinds
+    SET v_new_document_version = v_document_version + 1;
 
-        IF ROW_COUNT() <= 0 THEN
-            SET v_message = CONCAT('E_VERSION - Failed to update document "', p_document_name, '" for user "', p_user_id, '" because of another transaction.');
-            SIGNAL SQLSTATE '45000' SET MESSAGE_TEXT = v_message;
-        END IF;
-    ELSE
-        SET v_new_document_version = v_document_version;
+    UPDATE application_documents
+    SET document_version = v_new_document_version
+    WHERE document_id = v_document_id AND document_version = v_document_version;
+
+    IF ROW_COUNT() <= 0 THEN
+        SET v_message = CONCAT('E_VERSION - Failed to update document "', p_document_name, '" because of another transaction.');
+        SIGNAL SQLSTATE '45000' SET MESSAGE_TEXT = v_message;
     END IF;
 
+    -- Record the new version in the document history
+    CALL jam_build.InsertApplicationDocumentHistory(p_document_name, v_document_id, v_new_document_version, 'restore', v_snapshot, p_target_version, NULL, p_changed_by);
+
     SET p_new_document_version = v_new_document_version;
 
-    -- Commit the transaction if all operations are successful
-    COMMIT;
+    -- Commit the transaction
+    IF @in_batch_transaction IS NULL THEN
+        COMMIT;
+    END IF;
 END;
 $$
 
-CREATE PROCEDURE IF NOT EXISTS jam_build.DeleteUserDocument (
-    IN p_user_id CHAR(36),
+CREATE PROCEDURE IF NOT EXISTS jam_build.RenameApplicationDocument (
     IN p_document_name VARCHAR(255),
     IN p_document_version BIGINT UNSIGNED,
+    IN p_new_document_name VARCHAR(255),
+    IN p_changed_by CHAR(36),
     OUT p_new_document_version BIGINT UNSIGNED
 )
 BEGIN
@@ -956,195 +1177,2798 @@ BEGIN
     DECLARE EXIT HANDLER FOR SQLEXCEPTION
     BEGIN
         -- Rollback the transaction on any error
-        ROLLBACK;
+        IF @in_batch_transaction IS NULL THEN
+            ROLLBACK;
+        END IF;
         -- Optionally, you can raise an error to notify the caller
         RESIGNAL;
     END;
 
     -- Start a new transaction
-    START TRANSACTION;
+    IF @in_batch_transaction IS NULL THEN
+        START TRANSACTION;
+    END IF;
 
+    SET v_document_id = NULL;
     SET v_document_version = 0;
 
     -- Serialize access to the transaction and check version
-    SELECT document_version INTO v_document_version
-    FROM user_documents
-    WHERE user_id = p_user_id AND document_name = p_document_name FOR UPDATE;
+    SELECT document_id, document_version INTO v_document_id, v_document_version
+    FROM application_documents
+    WHERE document_name = p_document_name FOR UPDATE;
 
     IF v_document_version <> p_document_version THEN
         SIGNAL SQLSTATE '45000'
         SET MESSAGE_TEXT = 'E_VERSION - Refresh and reconcile with current version and retry.';
     END IF;
 
-    SET v_document_id = NULL;
+    IF v_document_id IS NULL THEN
+        SET v_message = CONCAT('E_NOTFOUND - Could not find document "', p_document_name, '"');
+        SIGNAL SQLSTATE '45000'
+        SET MESSAGE_TEXT = v_message;
+    END IF;
 
-    -- Get the document_id for the given user_id and document_name
-    SELECT document_id INTO v_document_id FROM user_documents WHERE user_id = p_user_id AND document_name = p_document_name;
+    -- The new document name must not be taken
+    SELECT COUNT(*) INTO @temp_count
+    FROM application_documents
+    WHERE document_name = p_new_document_name FOR UPDATE;
 
-    IF v_document_id IS NOT NULL THEN
-        -- Delete the document itself (CASCADE will handle deletions in user_documents_collections)
-        DELETE FROM user_documents WHERE document_id = v_document_id;
-        
-        -- Clean up unused user_collections
-        DELETE FROM user_collections 
-        WHERE collection_id NOT IN (
-            SELECT collection_id FROM user_documents_collections
-        );
-        
-        -- Clean up unused user_collections_properties
-        DELETE FROM user_collections_properties 
-        WHERE collection_id NOT IN (
-            SELECT collection_id FROM user_documents_collections
-        );
-        
-        -- Clean up unused user_properties
-        DELETE FROM user_properties 
-        WHERE property_id NOT IN (
-            SELECT property_id FROM user_collections_properties
-        );
-    ELSE
-        SET v_message = CONCAT('Could not find document_id for the input document_name "', p_document_name, '" and user_id "', p_user_id, '"');
+    IF @temp_count > 0 THEN
+        SET v_message = CONCAT('E_CONFLICT - Document "', p_new_document_name, '" already exists');
         SIGNAL SQLSTATE '45000'
         SET MESSAGE_TEXT = v_message;
     END IF;
 
-    SET p_new_document_version = 0;
+    -- Rename the document, it keeps its collections and properties
+    SET v_new_document_version = v_document_version + 1;
+
+    UPDATE application_documents
+    SET document_name = p_new_document_name, document_version = v_new_document_version
+    WHERE document_id = v_document_id AND document_version = v_document_version;
+
+    IF ROW_COUNT() <= 0 THEN
+        SET v_message = CONCAT('E_VERSION - Failed to update document "', p_document_name, '" because of another transaction.');
+        SIGNAL SQLSTATE '45000' SET MESSAGE_TEXT = v_message;
+    END IF;
+
+    -- The document history follows the document, the history of a deleted document of the new name is retired
+    UPDATE application_documents_history
+    SET retired_at = NOW()
+    WHERE document_name = p_new_document_name AND retired_at IS NULL;
+
+    UPDATE application_documents_history
+    SET document_name = p_new_document_name
+    WHERE document_name = p_document_name AND retired_at IS NULL;
+
+    -- Record the new version in the document history, the content did not change
+    CALL jam_build.InsertApplicationDocumentHistory(p_new_document_name, v_document_id, v_new_document_version, 'rename', JSON_ARRAY(), NULL, p_document_name, p_changed_by);
+
+    SET p_new_document_version = v_new_document_version;
 
     -- Commit the transaction
-    COMMIT;
+    IF @in_batch_transaction IS NULL THEN
+        COMMIT;
+    END IF;
 END;
 $$
 
-CREATE PROCEDURE IF NOT EXISTS jam_build.DeleteUserCollection (
-    IN p_user_id CHAR(36),
+CREATE PROCEDURE IF NOT EXISTS jam_build.MoveApplicationCollection (
     IN p_document_name VARCHAR(255),
     IN p_document_version BIGINT UNSIGNED,
     IN p_collection_name VARCHAR(255),
-    OUT p_new_document_version BIGINT UNSIGNED
+    IN p_target_document_name VARCHAR(255),
+    IN p_target_document_version BIGINT UNSIGNED,
+    IN p_new_collection_name VARCHAR(255),
+    IN p_changed_by CHAR(36),
+    OUT p_new_document_version BIGINT UNSIGNED,
+    OUT p_new_target_document_version BIGINT UNSIGNED
 )
 BEGIN
     DECLARE v_document_id BIGINT UNSIGNED;
     DECLARE v_document_version BIGINT UNSIGNED;
     DECLARE v_new_document_version BIGINT UNSIGNED;
+    DECLARE v_target_document_id BIGINT UNSIGNED;
+    DECLARE v_target_document_version BIGINT UNSIGNED;
+    DECLARE v_new_target_document_version BIGINT UNSIGNED;
     DECLARE v_collection_id BIGINT UNSIGNED;
+    DECLARE v_properties JSON;
+    DECLARE v_is_move BOOLEAN;
     DECLARE v_message VARCHAR(255);
 
     -- Declare a handler for SQL exceptions
     DECLARE EXIT HANDLER FOR SQLEXCEPTION
     BEGIN
-        IF @in_user_transaction IS NULL THEN
-            -- Rollback the transaction on any error
+        -- Rollback the transaction on any error
+        IF @in_batch_transaction IS NULL THEN
             ROLLBACK;
         END IF;
         -- Optionally, you can raise an error to notify the caller
         RESIGNAL;
     END;
 
-    IF @in_user_transaction IS NULL THEN
-        -- Start a new transaction
+    -- Start a new transaction
+    IF @in_batch_transaction IS NULL THEN
         START TRANSACTION;
+    END IF;
 
-        SET v_document_version = 0;
+    SET v_is_move = p_target_document_name <> p_document_name;
+    SET v_document_id = NULL;
+    SET v_document_version = 0;
 
-        -- Serialize access to the transaction and check version
-        SELECT document_version INTO v_document_version
-        FROM user_documents 
-        WHERE user_id = p_user_id AND document_name = p_document_name FOR UPDATE;
+    -- Serialize access to the transaction and check version
+    SELECT document_id, document_version INTO v_document_id, v_document_version
+    FROM application_documents
+    WHERE document_name = p_document_name FOR UPDATE;
 
-        IF v_document_version <> p_document_version THEN
+    IF v_document_version <> p_document_version THEN
+        SIGNAL SQLSTATE '45000'
+        SET MESSAGE_TEXT = 'E_VERSION - Refresh and reconcile with current version and retry.';
+    END IF;
+
+    IF v_document_id IS NULL THEN
+        SET v_message = CONCAT('E_NOTFOUND - Could not find document "', p_document_name, '"');
+        SIGNAL SQLSTATE '45000'
+        SET MESSAGE_TEXT = v_message;
+    END IF;
+
+    -- Get the collection_id for the given collection_name within the document
+    SET v_collection_id = NULL;
+    SELECT c.collection_id INTO v_collection_id
+    FROM application_documents_collections dc
+    JOIN application_collections c ON dc.collection_id = c.collection_id
+    WHERE dc.document_id = v_document_id AND c.collection_name = p_collection_name;
+
+    IF v_collection_id IS NULL THEN
+        SET v_message = CONCAT('E_NOTFOUND - Could not find collection "', p_collection_name, '" in document "', p_document_name, '"');
+        SIGNAL SQLSTATE '45000'
+        SET MESSAGE_TEXT = v_message;
+    END IF;
+
+    IF v_is_move THEN
+        SET v_target_document_id = NULL;
+        SET v_target_document_version = 0;
+
+        -- Serialize access to the target document and check its version, 0 if it is to be created
+        SELECT document_id, document_version INTO v_target_document_id, v_target_document_version
+        FROM application_documents
+        WHERE document_name = p_target_document_name FOR UPDATE;
+
+        IF v_target_document_version <> p_target_document_version THEN
             SIGNAL SQLSTATE '45000'
             SET MESSAGE_TEXT = 'E_VERSION - Refresh and reconcile with current version and retry.';
         END IF;
+
+        IF v_target_document_id IS NULL THEN
+            INSERT INTO application_documents (document_name)
+            VALUES (p_target_document_name);
+
+            SELECT document_id INTO v_target_document_id
+            FROM application_documents
+            WHERE document_name = p_target_document_name;
+        END IF;
+    ELSE
+        SET v_target_document_id = v_document_id;
     END IF;
 
-    SET v_document_id = NULL;
+    -- The new collection name must not be taken in the target document
+    SELECT COUNT(*) INTO @temp_count
+    FROM application_documents_collections dc
+    JOIN application_collections c ON dc.collection_id = c.collection_id
+    WHERE dc.document_id = v_target_document_id AND c.collection_name = p_new_collection_name
+        AND c.collection_id <> v_collection_id;
 
-    -- Get the document_id for the given user_id and document_name
-    SELECT document_id INTO v_document_id FROM user_documents WHERE user_id = p_user_id AND document_name = p_document_name;
+    IF @temp_count > 0 THEN
+        SET v_message = CONCAT('E_CONFLICT - Collection "', p_new_collection_name, '" already exists in document "', p_target_document_name, '"');
+        SIGNAL SQLSTATE '45000'
+        SET MESSAGE_TEXT = v_message;
+    END IF;
 
-    IF v_document_id IS NOT NULL THEN
-        SET v_collection_id = NULL;
+    -- Rename and move the collection, it keeps its properties, its version becomes unknown so it reads as the new document version
+    UPDATE application_collections
+    SET collection_name = p_new_collection_name, collection_version = NULL
+    WHERE collection_id = v_collection_id;
 
-        -- Get the collection_id for the given collection_name within the document
-        SELECT collection_id INTO v_collection_id FROM user_collections 
-        WHERE collection_id IN (
-            SELECT collection_id FROM user_documents_collections 
-            WHERE document_id = v_document_id AND collection_id IN (
-                SELECT collection_id FROM user_collections WHERE collection_name = p_collection_name
-            )
-        );
+    IF v_is_move THEN
+        UPDATE application_documents_collections
+        SET document_id = v_target_document_id
+        WHERE document_id = v_document_id AND collection_id = v_collection_id;
+    END IF;
 
-        IF v_collection_id IS NOT NULL THEN
-            -- Delete the collection from user_documents_collections (CASCADE will handle deletions in user_collections_properties)
-            DELETE FROM user_documents_collections 
-            WHERE document_id = v_document_id AND collection_id = v_collection_id;
-            
-            -- Clean up unused user_collections
-            DELETE FROM user_collections 
-            WHERE collection_id NOT IN (
-                SELECT collection_id FROM user_documents_collections
-            );
-            
-            -- Clean up unused user_collections_properties
-            DELETE FROM user_collections_properties 
-            WHERE collection_id NOT IN (
-                SELECT collection_id FROM user_documents_collections
-            );
-            
-            -- Clean up unused user_properties
-            DELETE FROM user_properties 
-            WHERE property_id NOT IN (
-                SELECT property_id FROM user_collections_properties
-            );
+    -- The properties of the collection for the document history
+    SELECT COALESCE(JSON_ARRAYAGG(JSON_OBJECT(
+        'property_name', p.property_name,
+        'property_value', JSON_EXTRACT(p.property_value, '$')
+    )), JSON_ARRAY()) INTO v_properties
+    FROM application_collections_properties cp
+    JOIN application_properties p ON cp.property_id = p.property_id AND (p.expires_at IS NULL OR p.expires_at > NOW())
+    WHERE cp.collection_id = v_collection_id;
+
+    -- Update the document version
+    SET v_new_document_version = v_document_version + 1;
+
+    UPDATE application_documents
+    SET document_version = v_new_document_version
+    WHERE document_id = v_document_id AND document_version = v_document_version;
+
+    IF ROW_COUNT() <= 0 THEN
+        SET v_message = CONCAT('E_VERSION - Failed to update document "', p_document_name, '" because of another transaction.');
+        SIGNAL SQLSTATE '45000' SET MESSAGE_TEXT = v_message;
+    END IF;
+
+    -- Record the new versions in the document history, as the delete of the old collection and the upsert of the new one
+    IF v_is_move THEN
+        SET v_new_target_document_version = v_target_document_version + 1;
+
+        UPDATE application_documents
+        SET document_version = v_new_target_document_version
+        WHERE document_id = v_target_document_id AND document_version = v_target_document_version;
+
+        IF ROW_COUNT() <= 0 THEN
+            SET v_message = CONCAT('E_VERSION - Failed to update document "', p_target_document_name, '" because of another transaction.');
+            SIGNAL SQLSTATE '45000' SET MESSAGE_TEXT = v_message;
+        END IF;
+
+        CALL jam_build.InsertApplicationDocumentHistory(p_document_name, v_document_id, v_new_document_version, 'move', JSON_ARRAY(
+            JSON_OBJECT('collection_name', p_collection_name, 'property_names', JSON_ARRAY())
+        ), NULL, NULL, p_changed_by);
+        CALL jam_build.InsertApplicationDocumentHistory(p_target_document_name, v_target_document_id, v_new_target_document_version, 'move', JSON_ARRAY(
+            JSON_OBJECT('collection_name', p_new_collection_name, 'properties', JSON_EXTRACT(v_properties, '$'))
+        ), NULL, p_document_name, p_changed_by);
+    ELSE
+        SET v_new_target_document_version = v_new_document_version;
+
+        CALL jam_build.InsertApplicationDocumentHistory(p_document_name, v_document_id, v_new_document_version, 'rename', JSON_ARRAY(
+            JSON_OBJECT('collection_name', p_collection_name, 'property_names', JSON_ARRAY()),
+            JSON_OBJECT('collection_name', p_new_collection_name, 'properties', JSON_EXTRACT(v_properties, '$'))
+        ), NULL, NULL, p_changed_by);
+    END IF;
+
+    SET p_new_document_version = v_new_document_version;
+    SET p_new_target_document_version = v_new_target_document_version;
+
+    -- Commit the transaction
+    IF @in_batch_transaction IS NULL THEN
+        COMMIT;
+    END IF;
+END;
+$$
+
+CREATE PROCEDURE IF NOT EXISTS jam_build.GetPropertiesForUserDocumentAndCollection(
+    IN p_user_id CHAR(36),
+    IN p_document_name VARCHAR(255),
+    IN p_collection_name VARCHAR(255),
+    OUT p_notfound INT
+)
+BEGIN
+    SET p_notfound = 0;
+
+    SELECT COUNT(*) INTO @temp_count
+    FROM user_documents d
+    JOIN user_documents_collections dc ON d.document_id = dc.document_id
+    JOIN user_collections c ON dc.collection_id = c.collection_id
+    WHERE d.user_id = p_user_id AND d.document_name = p_document_name AND c.collection_name = p_collection_name;
+
+    IF @temp_count <= 0 THEN
+        SET p_notfound = 1;
+    ELSE
+        SELECT d.document_name, d.document_version, c.collection_id, c.collection_name, IFNULL(c.collection_version, d.document_version) AS collection_version, p.property_id, p.property_name, p.property_value, p.expires_at
+        FROM user_documents d
+        JOIN user_documents_collections dc ON d.document_id = dc.document_id
+        JOIN user_collections c ON dc.collection_id = c.collection_id
+        JOIN user_collections_properties cp ON c.collection_id = cp.collection_id
+        JOIN user_properties p ON cp.property_id = p.property_id AND (p.expires_at IS NULL OR p.expires_at > NOW())
+        WHERE d.user_id = p_user_id AND d.document_name = p_document_name AND c.collection_name = p_collection_name;
+    END IF;
+END;
+$$
+
+CREATE PROCEDURE IF NOT EXISTS jam_build.GetPropertyForUserDocumentAndCollection(
+    IN p_user_id CHAR(36),
+    IN p_document_name VARCHAR(255),
+    IN p_collection_name VARCHAR(255),
+    IN p_property_name VARCHAR(255),
+    OUT p_notfound INT
+)
+BEGIN
+    SET p_notfound = 0;
+
+    SELECT COUNT(*) INTO @temp_count
+    FROM user_documents d
+    JOIN user_documents_collections dc ON d.document_id = dc.document_id
+    JOIN user_collections c ON dc.collection_id = c.collection_id
+    JOIN user_collections_properties cp ON c.collection_id = cp.collection_id
+    JOIN user_properties p ON cp.property_id = p.property_id AND (p.expires_at IS NULL OR p.expires_at > NOW())
+    WHERE d.user_id = p_user_id AND d.document_name = p_document_name AND c.collection_name = p_collection_name
+      AND p.property_name = p_property_name;
+
+    IF @temp_count <= 0 THEN
+        SET p_notfound = 1;
+    ELSE
+        SELECT d.document_name, d.document_version, c.collection_id, c.collection_name, IFNULL(c.collection_version, d.document_version) AS collection_version, p.property_id, p.property_name, p.property_value, p.expires_at
+        FROM user_documents d
+        JOIN user_documents_collections dc ON d.document_id = dc.document_id
+        JOIN user_collections c ON dc.collection_id = c.collection_id
+        JOIN user_collections_properties cp ON c.collection_id = cp.collection_id
+        JOIN user_properties p ON cp.property_id = p.property_id AND (p.expires_at IS NULL OR p.expires_at > NOW())
+        WHERE d.user_id = p_user_id AND d.document_name = p_document_name AND c.collection_name = p_collection_name
+          AND p.property_name = p_property_name;
+    END IF;
+END;
+$$
+
+CREATE PROCEDURE IF NOT EXISTS jam_build.GetPropertiesAndCollectionsForUserDocument(
+    IN p_user_id CHAR(36),
+    IN p_document_name VARCHAR(255),
+    IN p_collections VARCHAR(2048),
+    OUT p_notfound INT
+)
+BEGIN
+    SET p_notfound = 0;
+
+    IF p_collections <> '' THEN
+        SELECT COUNT(*) INTO @temp_count
+        FROM user_documents d
+        JOIN user_documents_collections dc ON d.document_id = dc.document_id
+        JOIN user_collections c ON dc.collection_id = c.collection_id
+        WHERE d.document_name = p_document_name AND d.user_id = p_user_id
+          AND FIND_IN_SET(c.collection_name, p_collections);
+    ELSE
+        SELECT COUNT(*) INTO @temp_count
+        FROM user_documents d
+        WHERE d.document_name = p_document_name AND d.user_id = p_user_id;
+    END IF;
+
+    IF @temp_count <= 0 THEN
+        SET p_notfound = 1;
+    ELSE
+        -- Use FIND_IN_SET to filter collections based on the provided CSV string
+        IF p_collections <> '' THEN
+            SELECT d.document_name, d.document_version, c.collection_id, c.collection_name, IFNULL(c.collection_version, d.document_version) AS collection_version, p.property_id, p.property_name, p.property_value, p.expires_at
+            FROM user_documents d
+            JOIN user_documents_collections dc ON d.document_id = dc.document_id
+            JOIN user_collections c ON dc.collection_id = c.collection_id
+            LEFT JOIN user_collections_properties cp ON c.collection_id = cp.collection_id
+            LEFT JOIN user_properties p ON cp.property_id = p.property_id AND (p.expires_at IS NULL OR p.expires_at > NOW())
+            WHERE d.user_id = p_user_id AND d.document_name = p_document_name
+              AND FIND_IN_SET(c.collection_name, p_collections);
         ELSE
-            SET v_message = CONCAT('Could not find collection_id for the input collection_name "', p_collection_name, '"');
-            SIGNAL SQLSTATE '45000'
-            SET MESSAGE_TEXT = v_message;
+            -- No CSV collections string provided, try to get all
+            SELECT d.document_name, d.document_version, c.collection_id, c.collection_name, IFNULL(c.collection_version, d.document_version) AS collection_version, p.property_id, p.property_name, p.property_value, p.expires_at
+            FROM user_documents d
+            JOIN user_documents_collections dc ON d.document_id = dc.document_id
+            JOIN user_collections c ON dc.collection_id = c.collection_id
+            LEFT JOIN user_collections_properties cp ON c.collection_id = cp.collection_id
+            LEFT JOIN user_properties p ON cp.property_id = p.property_id AND (p.expires_at IS NULL OR p.expires_at > NOW())
+            WHERE d.user_id = p_user_id AND d.document_name = p_document_name;
         END IF;
+    END IF;
+END;
+$$
+
+CREATE PROCEDURE IF NOT EXISTS jam_build.GetPropertiesAndCollectionsAndDocumentsForUser(
+    IN p_user_id CHAR(36),
+    IN p_cursor VARCHAR(255),
+    IN p_limit INT UNSIGNED,
+    OUT p_notfound INT
+)
+BEGIN
+    DECLARE v_limit BIGINT UNSIGNED DEFAULT 18446744073709551615;
+
+    SET p_notfound = 0;
+
+    -- Page by document name after the cursor, one more document than the page tells there is a next page
+    IF p_limit > 0 THEN
+        SET v_limit = p_limit + 1;
+    END IF;
+
+    SELECT COUNT(*) INTO @temp_count
+    FROM user_documents d
+    WHERE d.user_id = p_user_id;
+
+    IF @temp_count <= 0 THEN
+        SET p_notfound = 1;
+    ELSE    
+        SELECT d.document_name, d.document_version, d.created_at, d.updated_at, c.collection_id, c.collection_name, p.property_id, p.property_name, p.property_value, p.expires_at
+        FROM (
+            SELECT sd.document_id, sd.document_name, sd.document_version, sd.created_at, sd.updated_at
+            FROM user_documents sd
+            WHERE sd.user_id = p_user_id AND sd.document_name > COALESCE(p_cursor, '')
+                AND EXISTS (SELECT 1 FROM user_documents_collections sdc WHERE sdc.document_id = sd.document_id)
+            ORDER BY sd.document_name
+            LIMIT v_limit
+        ) d
+        JOIN user_documents_collections dc ON d.document_id = dc.document_id
+        JOIN user_collections c ON dc.collection_id = c.collection_id
+        LEFT JOIN user_collections_properties cp ON c.collection_id = cp.collection_id
+        LEFT JOIN user_properties p ON cp.property_id = p.property_id AND (p.expires_at IS NULL OR p.expires_at > NOW())
+        ORDER BY d.document_name;
+    END IF;
+END;
+$$
+
+CREATE PROCEDURE IF NOT EXISTS jam_build.GetHistoryForUserDocument(
+    IN p_user_id CHAR(36),
+    IN p_document_name VARCHAR(255),
+    OUT p_notfound INT
+)
+BEGIN
+    SET p_notfound = 0;
+
+    SELECT COUNT(*) INTO @temp_count
+    FROM user_documents_history h
+    WHERE h.user_id = p_user_id AND h.document_name = p_document_name AND h.retired_at IS NULL;
+
+    IF @temp_count <= 0 THEN
+        SET p_notfound = 1;
     ELSE
-        SET v_message = CONCAT('Could not find document_id for the input document_name "', p_document_name, '" and user_id "', p_user_id, '"');
-        SIGNAL SQLSTATE '45000'
-        SET MESSAGE_TEXT = v_message;
+        SELECT h.history_id, h.document_name, h.document_version, h.operation, h.changes, h.restored_from, h.renamed_from, h.changed_by, h.changed_at
+        FROM user_documents_history h
+        WHERE h.user_id = p_user_id AND h.document_name = p_document_name AND h.retired_at IS NULL
+        ORDER BY h.history_id DESC;
     END IF;
+END;
+$$
 
-    IF @in_user_transaction IS NULL THEN
-        -- Update the document version and return the new version
-        SET v_new_document_version = v_document_version + 1;
+CREATE PROCEDURE IF NOT EXISTS jam_build.GetHistoryVersionForUserDocument(
+    IN p_user_id CHAR(36),
+    IN p_document_name VARCHAR(255),
+    IN p_document_version BIGINT UNSIGNED,
+    OUT p_notfound INT
+)
+BEGIN
+    SET p_notfound = 0;
 
-        UPDATE user_documents
-        SET document_version = v_new_document_version
-        WHERE document_id = v_document_id AND document_version = v_document_version;
+    SELECT COUNT(*) INTO @temp_count
+    FROM user_documents_history h
+    WHERE h.user_id = p_user_id AND h.document_name = p_document_name AND h.retired_at IS NULL AND h.document_version = p_document_version;
+
+    IF @temp_count <= 0 THEN
+        SET p_notfound = 1;
+    ELSE
+        -- A document deleted and created again reuses versions, the latest one wins
+        SELECT h.history_id, h.document_name, h.document_version, h.operation, h.changes, h.restored_from, h.renamed_from, h.changed_by, h.changed_at
+        FROM user_documents_history h
+        WHERE h.user_id = p_user_id AND h.document_name = p_document_name AND h.retired_at IS NULL AND h.document_version = p_document_version
+        ORDER BY h.history_id DESC
+        LIMIT 1;
+    END IF;
+END;
+$$
+
+CREATE PROCEDURE IF NOT EXISTS jam_build.GetUsageForUser(
+    IN p_user_id CHAR(36),
+    OUT p_notfound INT
+)
+BEGIN
+    SET p_notfound = 0;
+
+    -- One row per document collection, a document without collections has a NULL collection
+    -- The document history is one more row with a NULL document, its version count and bytes
+    SELECT d.document_name, c.collection_name, COUNT(p.property_id) AS property_count,
+        COALESCE(SUM(LENGTH(p.property_name) + LENGTH(p.property_value)), 0) AS bytes
+    FROM user_documents d
+    LEFT JOIN user_documents_collections dc ON d.document_id = dc.document_id
+    LEFT JOIN user_collections c ON dc.collection_id = c.collection_id
+    LEFT JOIN user_collections_properties cp ON c.collection_id = cp.collection_id
+    LEFT JOIN user_properties p ON cp.property_id = p.property_id AND (p.expires_at IS NULL OR p.expires_at > NOW())
+    WHERE d.user_id = p_user_id
+    GROUP BY d.document_id, d.document_name, c.collection_id, c.collection_name
+    UNION ALL
+    SELECT NULL, NULL, COUNT(h.history_id),
+        COALESCE(SUM(COALESCE(LENGTH(h.snapshot), 0) + COALESCE(LENGTH(h.changes), 0)), 0)
+    FROM user_documents_history h
+    WHERE h.user_id = p_user_id
+    ORDER BY document_name, collection_name;
+END;
+$$
+
+CREATE PROCEDURE IF NOT EXISTS jam_build.GetSharesForUserDocument(
+    IN p_user_id CHAR(36),
+    IN p_document_name VARCHAR(255),
+    OUT p_notfound INT
+)
+BEGIN
+    SET p_notfound = 0;
+
+    SELECT s.document_name, u.email, s.access, s.granted_at
+    FROM user_document_shares s
+    JOIN authorizer.authorizer_users u ON s.grantee_id = u.id
+    WHERE s.user_id = p_user_id AND s.document_name = p_document_name
+    ORDER BY u.email;
+END;
+$$
+
+CREATE PROCEDURE IF NOT EXISTS jam_build.GetGranteesForUserDocument(
+    IN p_user_id CHAR(36),
+    IN p_document_name VARCHAR(255),
+    OUT p_notfound INT
+)
+BEGIN
+    SET p_notfound = 0;
+
+    SELECT s.grantee_id
+    FROM user_document_shares s
+    WHERE s.user_id = p_user_id AND s.document_name = p_document_name;
+END;
+$$
+
+CREATE PROCEDURE IF NOT EXISTS jam_build.GetSharedDocumentsForUser(
+    IN p_user_id CHAR(36),
+    OUT p_notfound INT
+)
+BEGIN
+    SET p_notfound = 0;
+
+    SELECT s.user_id AS owner_id, o.email AS owner_email, s.document_name, s.access, s.granted_at, d.document_version
+    FROM user_document_shares s
+    JOIN authorizer.authorizer_users o ON s.user_id = o.id
+    JOIN user_documents d ON s.user_id = d.user_id AND s.document_name = d.document_name
+    WHERE s.grantee_id = p_user_id
+    ORDER BY s.user_id, s.document_name;
+END;
+$$
+
+CREATE PROCEDURE IF NOT EXISTS jam_build.GetShareAccessForUserDocument(
+    IN p_user_id CHAR(36),
+    IN p_document_name VARCHAR(255),
+    IN p_grantee_id CHAR(36),
+    OUT p_notfound INT
+)
+BEGIN
+    SET p_notfound = 0;
+
+    SELECT COUNT(*) INTO @temp_count
+    FROM user_document_shares s
+    WHERE s.user_id = p_user_id AND s.document_name = p_document_name AND s.grantee_id = p_grantee_id;
+
+    IF @temp_count <= 0 THEN
+        SET p_notfound = 1;
+    ELSE
+        SELECT s.user_id AS owner_id, o.email AS owner_email, s.document_name, s.access
+        FROM user_document_shares s
+        JOIN authorizer.authorizer_users o ON s.user_id = o.id
+        WHERE s.user_id = p_user_id AND s.document_name = p_document_name AND s.grantee_id = p_grantee_id;
+    END IF;
+END;
+$$
+
+CREATE PROCEDURE IF NOT EXISTS jam_build.UpsertUserDocumentShare(
+    IN p_user_id CHAR(36),
+    IN p_document_name VARCHAR(255),
+    IN p_grantee_email VARCHAR(256),
+    IN p_access VARCHAR(16),
+    OUT p_notfound INT
+)
+BEGIN
+    DECLARE v_grantee_id CHAR(36) DEFAULT NULL;
+
+    SET p_notfound = 0;
+
+    SELECT u.id INTO v_grantee_id
+    FROM authorizer.authorizer_users u
+    WHERE u.email = p_grantee_email AND u.id <> p_user_id;
+
+    SELECT COUNT(*) INTO @temp_count
+    FROM user_documents d
+    WHERE d.user_id = p_user_id AND d.document_name = p_document_name;
+
+    IF v_grantee_id IS NULL OR @temp_count <= 0 THEN
+        SET p_notfound = 1;
+    ELSE
+        INSERT INTO user_document_shares (user_id, document_name, grantee_id, access)
+        VALUES (p_user_id, p_document_name, v_grantee_id, p_access)
+        ON DUPLICATE KEY UPDATE access = VALUES(access);
+    END IF;
+END;
+$$
+
+CREATE PROCEDURE IF NOT EXISTS jam_build.DeleteUserDocumentShare(
+    IN p_user_id CHAR(36),
+    IN p_document_name VARCHAR(255),
+    IN p_grantee_email VARCHAR(256),
+    OUT p_notfound INT
+)
+BEGIN
+    DELETE s FROM user_document_shares s
+    JOIN authorizer.authorizer_users u ON s.grantee_id = u.id
+    WHERE s.user_id = p_user_id AND s.document_name = p_document_name AND u.email = p_grantee_email;
+
+    SET p_notfound = IF(ROW_COUNT() > 0, 0, 1);
+END;
+$$
+
+CREATE PROCEDURE IF NOT EXISTS jam_build.GetLinksForUserDocument(
+    IN p_user_id CHAR(36),
+    IN p_document_name VARCHAR(255),
+    OUT p_notfound INT
+)
+BEGIN
+    SET p_notfound = 0;
+
+    SELECT l.link_id, l.document_name, l.created_at, l.expires_at
+    FROM user_document_links l
+    WHERE l.user_id = p_user_id AND l.document_name = p_document_name
+    ORDER BY l.link_id;
+END;
+$$
+
+CREATE PROCEDURE IF NOT EXISTS jam_build.InsertUserDocumentLink(
+    IN p_user_id CHAR(36),
+    IN p_document_name VARCHAR(255),
+    IN p_token_hash CHAR(64),
+    IN p_expires_in INT UNSIGNED,
+    OUT p_notfound INT
+)
+BEGIN
+    SET p_notfound = 0;
+
+    SELECT COUNT(*) INTO @temp_count
+    FROM user_documents d
+    WHERE d.user_id = p_user_id AND d.document_name = p_document_name;
+
+    IF @temp_count <= 0 THEN
+        SET p_notfound = 1;
+    ELSE
+        -- An expires_in of 0 never expires
+        INSERT INTO user_document_links (user_id, document_name, token_hash, expires_at)
+        VALUES (
+            p_user_id, p_document_name, p_token_hash,
+            IF(p_expires_in > 0, CURRENT_TIMESTAMP + INTERVAL p_expires_in SECOND, NULL)
+        );
+
+        SELECT l.link_id, l.document_name, l.created_at, l.expires_at
+        FROM user_document_links l
+        WHERE l.link_id = LAST_INSERT_ID();
+    END IF;
+END;
+$$
+
+CREATE PROCEDURE IF NOT EXISTS jam_build.DeleteUserDocumentLink(
+    IN p_user_id CHAR(36),
+    IN p_document_name VARCHAR(255),
+    IN p_link_id BIGINT UNSIGNED,
+    OUT p_notfound INT
+)
+BEGIN
+    DELETE FROM user_document_links
+    WHERE user_id = p_user_id AND document_name = p_document_name AND link_id = p_link_id;
+
+    SET p_notfound = IF(ROW_COUNT() > 0, 0, 1);
+END;
+$$
+
+CREATE PROCEDURE IF NOT EXISTS jam_build.GetPropertiesAndCollectionsForUserDocumentLink(
+    IN p_token_hash CHAR(64),
+    OUT p_notfound INT
+)
+BEGIN
+    DECLARE v_user_id CHAR(36) DEFAULT NULL;
+    DECLARE v_document_name VARCHAR(255) DEFAULT NULL;
+
+    SELECT l.user_id, l.document_name INTO v_user_id, v_document_name
+    FROM user_document_links l
+    WHERE l.token_hash = p_token_hash AND (l.expires_at IS NULL OR l.expires_at > CURRENT_TIMESTAMP);
+
+    IF v_user_id IS NULL THEN
+        SET p_notfound = 1;
+    ELSE
+        CALL jam_build.GetPropertiesAndCollectionsForUserDocument(v_user_id, v_document_name, '', p_notfound);
+    END IF;
+END;
+$$
+
+CREATE PROCEDURE IF NOT EXISTS jam_build.GetChangesSinceForUserDocument(
+    IN p_user_id CHAR(36),
+    IN p_document_name VARCHAR(255),
+    IN p_since_version BIGINT UNSIGNED,
+    OUT p_notfound INT
+)
+BEGIN
+    DECLARE v_since_history_id BIGINT UNSIGNED DEFAULT NULL;
+
+    SET p_notfound = 0;
+
+    -- A document deleted and created again reuses versions, the latest one wins
+    SELECT MAX(h.history_id) INTO v_since_history_id
+    FROM user_documents_history h
+    WHERE h.user_id = p_user_id AND h.document_name = p_document_name AND h.retired_at IS NULL AND h.document_version = p_since_version
+        AND h.changes IS NOT NULL;
+
+    IF v_since_history_id IS NULL THEN
+        SET p_notfound = 1;
+    ELSE
+        SELECT h.history_id, h.document_name, h.document_version, h.operation, h.changes
+        FROM user_documents_history h
+        WHERE h.user_id = p_user_id AND h.document_name = p_document_name AND h.retired_at IS NULL AND h.history_id > v_since_history_id
+        ORDER BY h.history_id ASC;
+    END IF;
+END;
+$$
+
+CREATE PROCEDURE IF NOT EXISTS jam_build.GetSchemasForUserDocument(
+    IN p_document_name VARCHAR(255),
+    OUT p_notfound INT
+)
+BEGIN
+    SET p_notfound = 0;
+
+    SELECT s.schema_id, s.document_name, s.collection_name, s.json_schema, s.updated_at
+    FROM user_document_schemas s
+    WHERE s.document_name = p_document_name
+    ORDER BY s.collection_name;
+END;
+$$
+
+CREATE PROCEDURE IF NOT EXISTS jam_build.UpsertUserDocumentSchema(
+    IN p_document_name VARCHAR(255),
+    IN p_collection_name VARCHAR(255),
+    IN p_json_schema JSON,
+    IN p_changed_by CHAR(36)
+)
+BEGIN
+    INSERT INTO user_document_schemas (document_name, collection_name, json_schema, updated_by)
+    VALUES (p_document_name, COALESCE(p_collection_name, ''), p_json_schema, p_changed_by)
+    ON DUPLICATE KEY UPDATE json_schema = VALUES(json_schema), updated_by = VALUES(updated_by);
+END;
+$$
+
+CREATE PROCEDURE IF NOT EXISTS jam_build.DeleteUserDocumentSchema(
+    IN p_document_name VARCHAR(255),
+    IN p_collection_name VARCHAR(255),
+    OUT p_notfound INT
+)
+BEGIN
+    DELETE FROM user_document_schemas
+    WHERE document_name = p_document_name AND collection_name = COALESCE(p_collection_name, '');
+
+    SET p_notfound = IF(ROW_COUNT() > 0, 0, 1);
+END;
+$$
+
+CREATE PROCEDURE IF NOT EXISTS jam_build.InsertUserDocumentHistory (
+    IN p_user_id CHAR(36),
+    IN p_document_name VARCHAR(255),
+    IN p_document_id BIGINT UNSIGNED,
+    IN p_document_version BIGINT UNSIGNED,
+    IN p_operation VARCHAR(16),
+    IN p_changes JSON,
+    IN p_restored_from BIGINT UNSIGNED,
+    IN p_renamed_from VARCHAR(255),
+    IN p_changed_by CHAR(36)
+)
+BEGIN
+    DECLARE v_snapshot JSON DEFAULT NULL;
+
+    -- Snapshot the current document state, a deleted document has no snapshot
+    IF p_document_id IS NOT NULL THEN
+        SELECT COALESCE(JSON_ARRAYAGG(JSON_OBJECT(
+            'collection_name', c.collection_name,
+            'properties', JSON_EXTRACT((
+                SELECT COALESCE(JSON_ARRAYAGG(JSON_OBJECT(
+                    'property_name', p.property_name,
+                    'property_value', JSON_EXTRACT(p.property_value, '$')
+                )), JSON_ARRAY())
+                FROM user_collections_properties cp
+                JOIN user_properties p ON cp.property_id = p.property_id AND (p.expires_at IS NULL OR p.expires_at > NOW())
+                WHERE cp.collection_id = c.collection_id
+            ), '$')
+        )), JSON_ARRAY()) INTO v_snapshot
+        FROM user_documents_collections dc
+        JOIN user_collections c ON dc.collection_id = c.collection_id
+        WHERE dc.document_id = p_document_id;
+    END IF;
+
+    INSERT INTO user_documents_history (user_id, document_name, document_version, operation, changes, snapshot, restored_from, renamed_from, changed_by)
+    VALUES (p_user_id, p_document_name, p_document_version, p_operation, p_changes, v_snapshot, p_restored_from, p_renamed_from, p_changed_by);
+END;
+$$
+
+CREATE PROCEDURE IF NOT EXISTS jam_build.InsertUserTrash (
+    IN p_user_id CHAR(36),
+    IN p_document_name VARCHAR(255),
+    IN p_document_id BIGINT UNSIGNED,
+    IN p_collection_id BIGINT UNSIGNED,
+    IN p_deleted_by CHAR(36)
+)
+BEGIN
+    DECLARE v_document_version BIGINT UNSIGNED;
+    DECLARE v_collection_name VARCHAR(255) DEFAULT '';
+    DECLARE v_snapshot JSON DEFAULT NULL;
+
+    SELECT document_version INTO v_document_version FROM user_documents WHERE document_id = p_document_id;
+
+    -- A NULL p_collection_id trashes the whole document
+    IF p_collection_id IS NOT NULL THEN
+        SELECT collection_name INTO v_collection_name FROM user_collections WHERE collection_id = p_collection_id;
+    END IF;
+
+    -- Snapshot the collection or the whole document before it is deleted, in the document history snapshot format
+    SELECT COALESCE(JSON_ARRAYAGG(JSON_OBJECT(
+        'collection_name', c.collection_name,
+        'properties', JSON_EXTRACT((
+            SELECT COALESCE(JSON_ARRAYAGG(JSON_OBJECT(
+                'property_name', p.property_name,
+                'property_value', JSON_EXTRACT(p.property_value, '$')
+            )), JSON_ARRAY())
+            FROM user_collections_properties cp
+            JOIN user_properties p ON cp.property_id = p.property_id AND (p.expires_at IS NULL OR p.expires_at > NOW())
+            WHERE cp.collection_id = c.collection_id
+        ), '$')
+    )), JSON_ARRAY()) INTO v_snapshot
+    FROM user_documents_collections dc
+    JOIN user_collections c ON dc.collection_id = c.collection_id
+    WHERE dc.document_id = p_document_id AND (p_collection_id IS NULL OR dc.collection_id = p_collection_id);
+
+    INSERT INTO user_trash (user_id, document_name, collection_name, document_version, snapshot, deleted_by)
+    VALUES (p_user_id, p_document_name, v_collection_name, v_document_version, v_snapshot, p_deleted_by);
+END;
+$$
+
+CREATE PROCEDURE IF NOT EXISTS jam_build.UpsertUserDocumentWithCollectionsAndProperties (
+    IN p_user_id CHAR(36),
+    IN p_document_name VARCHAR(255),
+    IN p_document_version BIGINT UNSIGNED,
+    IN p_data JSON,
+    IN p_changed_by CHAR(36),
+    OUT p_new_document_version BIGINT UNSIGNED
+)
+BEGIN
+    DECLARE v_document_id INT;
+    DECLARE v_document_version BIGINT UNSIGNED;
+    DECLARE v_document_updated INT DEFAULT 0;
+    DECLARE v_new_document_version BIGINT UNSIGNED;
+    DECLARE v_collection_id INT;
+    DECLARE v_collection_name VARCHAR(255);
+    DECLARE v_property_id INT;
+    DECLARE v_property_name VARCHAR(255);
+    DECLARE v_property_value JSON;
+    DECLARE v_ttl INT UNSIGNED;
+    DECLARE v_expires_at TIMESTAMP NULL;
+    DECLARE v_changed_property JSON;
+    DECLARE v_properties JSON;
+    DECLARE v_collection_updated INT DEFAULT 0;
+    DECLARE v_collection_version BIGINT UNSIGNED;
+    DECLARE v_changed_properties JSON;
+    DECLARE v_changes JSON DEFAULT JSON_ARRAY();
+    DECLARE v_message VARCHAR(255);
+    DECLARE i INT DEFAULT 0;
+    DECLARE j INT DEFAULT 0;
+
+    -- Declare a handler for SQL exceptions
+    DECLARE EXIT HANDLER FOR SQLEXCEPTION
+    BEGIN
+        -- Rollback the transaction on any error
+        IF @in_batch_transaction IS NULL THEN
+            ROLLBACK;
+        END IF;
+        -- Optionally, you can raise an error to notify the caller
+        RESIGNAL;
+    END;
+
+    -- Start a new transaction
+    IF @in_batch_transaction IS NULL THEN
+        START TRANSACTION;
+    END IF;
+
+    SET v_document_version = 0;
+
+    -- Serialize access to the transaction and check version
+    SELECT document_version INTO v_document_version
+    FROM user_documents 
+    WHERE user_id = p_user_id AND document_name = p_document_name FOR UPDATE;
+
+    IF v_document_version <> p_document_version THEN
+        SIGNAL SQLSTATE '45000'
+        SET MESSAGE_TEXT = 'E_VERSION - Refresh and reconcile with current version before continuing.';
+    END IF;
+
+    SET v_document_id = NULL;
+    SET v_document_updated = 0;
+
+    -- Insert or update document
+    INSERT INTO user_documents (user_id, document_name)
+    VALUES (p_user_id, p_document_name)
+    ON DUPLICATE KEY UPDATE document_name = VALUES(document_name);
+
+    -- Get the document_id for the given user_id and document_name
+    SELECT document_id INTO v_document_id FROM user_documents WHERE user_id = p_user_id AND document_name = p_document_name;
+
+    IF v_document_id IS NULL THEN
+        SET v_message = CONCAT('Could not find document for INPUT document_name "', p_document_name, '" and user_id "', p_user_id, '"');
+        SIGNAL SQLSTATE '45000'
+        SET MESSAGE_TEXT = v_message;
+    END IF;
+
+    IF JSON_LENGTH(p_data) = 0 THEN
+        SET v_message = CONCAT('No data supplied for collections and properties for document "', p_document_name, '" and user_id "', p_user_id, '"');
+        SIGNAL SQLSTATE '45000'
+        SET MESSAGE_TEXT = v_message;
+    END IF;
+
+    -- Process collections and their associated properties
+    WHILE i < JSON_LENGTH(p_data) DO
+        SET v_collection_id = NULL;
+        SET v_collection_updated = 0;
+        SET v_changed_properties = JSON_ARRAY();
+        SET v_collection_name = JSON_UNQUOTE(JSON_EXTRACT(p_data, CONCAT('$[', i, '].collection_name')));
+
+        IF v_collection_name IS NULL THEN
+            SIGNAL SQLSTATE '45000'
+            SET MESSAGE_TEXT = 'JSON input did not contain a proper collection_name';
+        END IF;
+
+        -- Check if the collection already exists for this user's document
+        SELECT collection_id INTO v_collection_id
+        FROM user_documents_collections
+        WHERE document_id = v_document_id AND collection_id IN (
+            SELECT collection_id
+            FROM user_collections
+            WHERE collection_name = v_collection_name
+        );
+
+        -- Check the collection version, if given, a collection that does not exist is at version 0
+        SET v_collection_version = JSON_VALUE(p_data, CONCAT('$[', i, '].collection_version'));
+        IF v_collection_version IS NOT NULL AND v_collection_version <> IFNULL((
+            SELECT IFNULL(collection_version, v_document_version) FROM user_collections WHERE collection_id = v_collection_id
+        ), 0) THEN
+            SIGNAL SQLSTATE '45000'
+            SET MESSAGE_TEXT = 'E_VERSION - Refresh and reconcile with current collection version and retry.';
+        END IF;
+
+        IF v_collection_id IS NULL THEN
+            -- Insert collection if it doesn't exist
+            INSERT INTO user_collections (collection_name)
+            VALUES (v_collection_name);
+
+            -- Get the newly inserted collection_id
+            SET v_collection_id = LAST_INSERT_ID();
+
+            -- Associate document with collection
+            INSERT INTO user_documents_collections (document_id, collection_id)
+            VALUES (v_document_id, v_collection_id);
+
+            SET v_document_updated = 1;
+            SET v_collection_updated = 1;
+        END IF;
+
+        -- Process properties for the current collection, can have 0 properties
+        SET j = 0;
+        SET v_properties = JSON_EXTRACT(p_data, CONCAT('$[', i, '].properties'));
+        WHILE j < (SELECT CASE WHEN v_properties IS NULL THEN 0 ELSE JSON_LENGTH(v_properties) END) DO
+            SET v_property_id = NULL;
+            SET v_property_name = JSON_UNQUOTE(JSON_EXTRACT(p_data, CONCAT('$[', i, '].properties[', j, '].property_name')));
+            SET v_property_value = JSON_EXTRACT(p_data, CONCAT('$[', i, '].properties[', j, '].property_value'));
+
+            IF v_property_name IS NULL OR v_property_value IS NULL THEN
+                SET v_message = CONCAT('JSON input for collection_name "', v_collection_name, '" had bad property_name or property_value');
+                SIGNAL SQLSTATE '45000'
+                SET MESSAGE_TEXT = v_message;
+            END IF;
+
+            -- A property with a ttl in seconds expires, a property without one never does
+            SET v_expires_at = NULL;
+            SET v_ttl = JSON_VALUE(p_data, CONCAT('$[', i, '].properties[', j, '].ttl'));
+            IF v_ttl IS NOT NULL THEN
+                SET v_expires_at = NOW() + INTERVAL v_ttl SECOND;
+            END IF;
+
+            -- The change for the document history has the expiry in seconds since the epoch, instead of the ttl
+            SET v_changed_property = JSON_REMOVE(JSON_EXTRACT(p_data, CONCAT('$[', i, '].properties[', j, ']')), '$.ttl');
+            IF v_expires_at IS NOT NULL THEN
+                SET v_changed_property = JSON_SET(v_changed_property, '$.expires_at', UNIX_TIMESTAMP(v_expires_at));
+            END IF;
+
+            -- Check if the property already exists in this collection
+            SELECT property_id INTO v_property_id 
+            FROM user_collections_properties 
+            WHERE collection_id = v_collection_id AND property_id IN (
+                SELECT property_id 
+                FROM user_properties 
+                WHERE property_name = v_property_name
+            );
+
+            IF v_property_id IS NULL THEN
+                -- Insert property if it doesn't exist
+                INSERT INTO user_properties (property_name, property_value, expires_at)
+                VALUES (v_property_name, v_property_value, v_expires_at);
+
+                -- Get the newly inserted property_id
+                SET v_property_id = LAST_INSERT_ID();
+
+                -- Associate collection with property if not already associated
+                INSERT INTO user_collections_properties (collection_id, property_id)
+                VALUES (v_collection_id, v_property_id);
+
+                SET v_document_updated = 1;
+                SET v_collection_updated = 1;
+                SET v_changed_properties = JSON_ARRAY_APPEND(v_changed_properties, '$', v_changed_property);
+            ELSE
+                -- Check if the property_value or expiry is different to update
+                SELECT property_value, expires_at INTO @current_property_value, @current_expires_at
+                FROM user_properties 
+                WHERE property_id = v_property_id;
+
+                IF NOT JSON_EQUALS(@current_property_value, v_property_value) OR NOT (@current_expires_at <=> v_expires_at) THEN
+                    -- Update property value if it already exists for this collection
+                    UPDATE user_properties
+                    SET property_value = v_property_value, expires_at = v_expires_at
+                    WHERE property_id = v_property_id;
+
+                    SET v_document_updated = 1;
+                    SET v_collection_updated = 1;
+                    SET v_changed_properties = JSON_ARRAY_APPEND(v_changed_properties, '$', v_changed_property);
+                END IF;
+            END IF;
+
+            SET j = j + 1;
+        END WHILE;
+
+        -- Record the changed properties of this collection for the document history, and its new version
+        IF v_collection_updated > 0 THEN
+            UPDATE user_collections
+            SET collection_version = v_document_version + 1
+            WHERE collection_id = v_collection_id;
+
+            SET v_changes = JSON_ARRAY_APPEND(v_changes, '$', JSON_OBJECT(
+                'collection_name', v_collection_name,
+                'properties', JSON_EXTRACT(v_changed_properties, '$')
+            ));
+        END IF;
+
+        SET i = i + 1;
+    END WHILE;
+
+    -- Update the document version and return it
+    IF v_document_updated > 0 THEN
+        SET v_new_document_version = v_document_version + 1;
+    
+        UPDATE user_documents
+        SET document_version = v_new_document_version
+        WHERE document_id = v_document_id AND document_version = v_document_version;
+
+        IF ROW_COUNT() <= 0 THEN
+            SET v_message = CONCAT('E_VERSION - Failed to update document "', p_document_name, '" for user "', p_user_id, '" because of another transaction.');
+            SIGNAL SQLSTATE '45000' SET MESSAGE_TEXT = v_message;
+        END IF;
+
+        -- Record the new version in the document history
+        CALL jam_build.InsertUserDocumentHistory(p_user_id, p_document_name, v_document_id, v_new_document_version, 'upsert', v_changes, NULL, NULL, p_changed_by);
+    ELSE
+        SET v_new_document_version = v_document_version;
+    END IF;
+
+    SET p_new_document_version = v_new_document_version;
+
+    -- Commit the transaction if all operations are successful
+    IF @in_batch_transaction IS NULL THEN
+        COMMIT;
+    END IF;
+END;
+$$
+
+CREATE PROCEDURE IF NOT EXISTS jam_build.DeleteUserDocument (
+    IN p_user_id CHAR(36),
+    IN p_document_name VARCHAR(255),
+    IN p_document_version BIGINT UNSIGNED,
+    IN p_changed_by CHAR(36),
+    OUT p_new_document_version BIGINT UNSIGNED
+)
+BEGIN
+    DECLARE v_document_id BIGINT UNSIGNED;
+    DECLARE v_document_version BIGINT UNSIGNED;
+    DECLARE v_new_document_version BIGINT UNSIGNED;
+    DECLARE v_message VARCHAR(255);
+
+    -- Declare a handler for SQL exceptions
+    DECLARE EXIT HANDLER FOR SQLEXCEPTION
+    BEGIN
+        -- Rollback the transaction on any error
+        IF @in_batch_transaction IS NULL THEN
+            ROLLBACK;
+        END IF;
+        -- Optionally, you can raise an error to notify the caller
+        RESIGNAL;
+    END;
+
+    -- Start a new transaction
+    IF @in_batch_transaction IS NULL THEN
+        START TRANSACTION;
+    END IF;
+
+    SET v_document_version = 0;
+
+    -- Serialize access to the transaction and check version
+    SELECT document_version INTO v_document_version
+    FROM user_documents
+    WHERE user_id = p_user_id AND document_name = p_document_name FOR UPDATE;
+
+    IF v_document_version <> p_document_version THEN
+        SIGNAL SQLSTATE '45000'
+        SET MESSAGE_TEXT = 'E_VERSION - Refresh and reconcile with current version and retry.';
+    END IF;
+
+    SET v_document_id = NULL;
+
+    -- Get the document_id for the given user_id and document_name
+    SELECT document_id INTO v_document_id FROM user_documents WHERE user_id = p_user_id AND document_name = p_document_name;
+
+    IF v_document_id IS NOT NULL THEN
+        -- Move the document to the trash
+        CALL jam_build.InsertUserTrash(p_user_id, p_document_name, v_document_id, NULL, p_changed_by);
+
+        -- Delete the document itself (CASCADE will handle deletions in user_documents_collections)
+        DELETE FROM user_documents WHERE document_id = v_document_id;
+        
+        -- Clean up unused user_collections
+        DELETE FROM user_collections 
+        WHERE collection_id NOT IN (
+            SELECT collection_id FROM user_documents_collections
+        );
+        
+        -- Clean up unused user_collections_properties
+        DELETE FROM user_collections_properties 
+        WHERE collection_id NOT IN (
+            SELECT collection_id FROM user_documents_collections
+        );
+        
+        -- Clean up unused user_properties
+        DELETE FROM user_properties 
+        WHERE property_id NOT IN (
+            SELECT property_id FROM user_collections_properties
+        );
+
+        -- Record the deletion in the document history, the document itself is gone
+        CALL jam_build.InsertUserDocumentHistory(p_user_id, p_document_name, NULL, v_document_version + 1, 'delete', NULL, NULL, NULL, p_changed_by);
+    ELSE
+        SET v_message = CONCAT('Could not find document_id for the input document_name "', p_document_name, '" and user_id "', p_user_id, '"');
+        SIGNAL SQLSTATE '45000'
+        SET MESSAGE_TEXT = v_message;
+    END IF;
+
+    SET p_new_document_version = 0;
+
+    -- Commit the transaction
+    IF @in_batch_transaction IS NULL THEN
+        COMMIT;
+    END IF;
+END;
+$$
+
+CREATE PROCEDURE IF NOT EXISTS jam_build.DeleteUserCollection (
+    IN p_user_id CHAR(36),
+    IN p_document_name VARCHAR(255),
+    IN p_document_version BIGINT UNSIGNED,
+    IN p_collection_name VARCHAR(255),
+    IN p_changed_by CHAR(36),
+    OUT p_new_document_version BIGINT UNSIGNED
+)
+BEGIN
+    DECLARE v_document_id BIGINT UNSIGNED;
+    DECLARE v_document_version BIGINT UNSIGNED;
+    DECLARE v_new_document_version BIGINT UNSIGNED;
+    DECLARE v_collection_id BIGINT UNSIGNED;
+    DECLARE v_message VARCHAR(255);
+
+    -- Declare a handler for SQL exceptions
+    DECLARE EXIT HANDLER FOR SQLEXCEPTION
+    BEGIN
+        IF @in_user_transaction IS NULL THEN
+            -- Rollback the transaction on any error
+            IF @in_batch_transaction IS NULL THEN
+                ROLLBACK;
+            END IF;
+        END IF;
+        -- Optionally, you can raise an error to notify the caller
+        RESIGNAL;
+    END;
+
+    IF @in_user_transaction IS NULL THEN
+        -- Start a new transaction
+        IF @in_batch_transaction IS NULL THEN
+            START TRANSACTION;
+        END IF;
+
+        SET v_document_version = 0;
+
+        -- Serialize access to the transaction and check version
+        SELECT document_version INTO v_document_version
+        FROM user_documents 
+        WHERE user_id = p_user_id AND document_name = p_document_name FOR UPDATE;
+
+        IF v_document_version <> p_document_version THEN
+            SIGNAL SQLSTATE '45000'
+            SET MESSAGE_TEXT = 'E_VERSION - Refresh and reconcile with current version and retry.';
+        END IF;
+    END IF;
+
+    SET v_document_id = NULL;
+
+    -- Get the document_id for the given user_id and document_name
+    SELECT document_id INTO v_document_id FROM user_documents WHERE user_id = p_user_id AND document_name = p_document_name;
+
+    IF v_document_id IS NOT NULL THEN
+        SET v_collection_id = NULL;
+
+        -- Get the collection_id for the given collection_name within the document
+        SELECT collection_id INTO v_collection_id FROM user_collections 
+        WHERE collection_id IN (
+            SELECT collection_id FROM user_documents_collections 
+            WHERE document_id = v_document_id AND collection_id IN (
+                SELECT collection_id FROM user_collections WHERE collection_name = p_collection_name
+            )
+        );
+
+        IF v_collection_id IS NOT NULL THEN
+            -- Move the collection to the trash
+            CALL jam_build.InsertUserTrash(p_user_id, p_document_name, v_document_id, v_collection_id, p_changed_by);
+
+            -- Delete the collection from user_documents_collections (CASCADE will handle deletions in user_collections_properties)
+            DELETE FROM user_documents_collections 
+            WHERE document_id = v_document_id AND collection_id = v_collection_id;
+            
+            -- Clean up unused user_collections
+            DELETE FROM user_collections 
+            WHERE collection_id NOT IN (
+                SELECT collection_id FROM user_documents_collections
+            );
+            
+            -- Clean up unused user_collections_properties
+            DELETE FROM user_collections_properties 
+            WHERE collection_id NOT IN (
+                SELECT collection_id FROM user_documents_collections
+            );
+            
+            -- Clean up unused user_properties
+            DELETE FROM user_properties 
+            WHERE property_id NOT IN (
+                SELECT property_id FROM user_collections_properties
+            );
+        ELSE
+            SET v_message = CONCAT('Could not find collection_id for the input collection_name "', p_collection_name, '"');
+            SIGNAL SQLSTATE '45000'
+            SET MESSAGE_TEXT = v_message;
+        END IF;
+    ELSE
+        SET v_message = CONCAT('Could not find document_id for the input document_name "', p_document_name, '" and user_id "', p_user_id, '"');
+        SIGNAL SQLSTATE '45000'
+        SET MESSAGE_TEXT = v_message;
+    END IF;
+
+    IF @in_user_transaction IS NULL THEN
+        -- Update the document version and return the new version
+        SET v_new_document_version = v_document_version + 1;
+
+        UPDATE user_documents
+        SET document_version = v_new_document_version
+        WHERE document_id = v_document_id AND document_version = v_document_version;
+
+        IF ROW_COUNT() <= 0 THEN
+            SET v_message = CONCAT('E_VERSION - Failed to update document "', p_document_name, '" for user "', p_user_id, '" because of another transaction.');
+            SIGNAL SQLSTATE '45000' SET MESSAGE_TEXT = v_message;
+        END IF;
+
+        -- Record the new version in the document history
+        CALL jam_build.InsertUserDocumentHistory(p_user_id, p_document_name, v_document_id, v_new_document_version, 'delete', JSON_ARRAY(JSON_OBJECT('collection_name', p_collection_name, 'property_names', JSON_ARRAY())), NULL, NULL, p_changed_by);
+
+        SET p_new_document_version = v_new_document_version;
+
+        -- Commit the transaction
+        IF @in_batch_transaction IS NULL THEN
+            COMMIT;
+        END IF;
+    END IF;
+END;
+$$
+
+CREATE PROCEDURE IF NOT EXISTS jam_build.DeleteUserProperties (
+    IN p_user_id CHAR(36),
+    IN p_document_name VARCHAR(255),
+    IN p_document_version BIGINT UNSIGNED,
+    IN p_collection_data JSON,
+    IN p_changed_by CHAR(36),
+    OUT p_new_document_version BIGINT UNSIGNED
+)
+BEGIN
+    DECLARE v_document_id BIGINT UNSIGNED;
+    DECLARE v_document_version BIGINT UNSIGNED;
+    DECLARE v_document_updated INT DEFAULT 0;
+    DECLARE v_new_document_version BIGINT UNSIGNED;
+    DECLARE v_collection_id BIGINT UNSIGNED;
+    DECLARE v_collection_name VARCHAR(255);
+    DECLARE v_collection_version BIGINT UNSIGNED;
+    DECLARE v_property_name VARCHAR(255);
+    DECLARE v_property_id INT;
+    DECLARE v_property_names JSON;
+    DECLARE v_deleted_property_names JSON;
+    DECLARE v_changes JSON DEFAULT JSON_ARRAY();
+    DECLARE v_message VARCHAR(255);
+    DECLARE i INT DEFAULT 0;
+    DECLARE j INT DEFAULT 0;
+
+    -- Declare a handler for SQL exceptions
+    DECLARE EXIT HANDLER FOR SQLEXCEPTION
+    BEGIN
+        -- Rollback the transaction on any error
+        IF @in_batch_transaction IS NULL THEN
+            ROLLBACK;
+        END IF;
+        SET @in_user_transaction = NULL;
+        -- Optionally, you can raise an error to notify the caller
+        RESIGNAL;
+    END;
+
+    -- Start a new transaction
+    IF @in_batch_transaction IS NULL THEN
+        START TRANSACTION;
+    END IF;
+    
+    SET v_document_version = 0;
+
+    -- Serialize access to the transaction and check version
+    SELECT document_version INTO v_document_version
+    FROM user_documents 
+    WHERE user_id = p_user_id AND document_name = p_document_name FOR UPDATE;
+
+    IF v_document_version <> p_document_version THEN
+        SIGNAL SQLSTATE '45000'
+        SET MESSAGE_TEXT = 'E_VERSION - Refresh and reconcile with current version before continuing.';
+    END IF;
+
+    SET @in_user_transaction = 1;
+    SET v_document_id = NULL;
+    SET v_document_updated = 0;
+
+    IF JSON_LENGTH(p_collection_data) = 0 THEN
+        SET v_message = CONCAT('No collection data was supplied for document "', p_document_name, '"');
+        SIGNAL SQLSTATE '45000'
+        SET MESSAGE_TEXT = v_message;
+    END IF;
+
+    -- Get the document_id for the given user_id and document_name
+    SELECT document_id INTO v_document_id FROM user_documents WHERE user_id = p_user_id AND document_name = p_document_name;
+
+    IF v_document_id IS NOT NULL THEN
+        WHILE i < JSON_LENGTH(p_collection_data) DO
+            SET v_collection_id = NULL;
+
+            -- Get the collection name and property names for this iteration
+            SET v_collection_name = JSON_UNQUOTE(JSON_EXTRACT(p_collection_data, CONCAT('$[', i, '].collection_name')));
+            SET v_property_names = JSON_EXTRACT(p_collection_data, CONCAT('$[', i, '].property_names'));
+
+            IF v_collection_name IS NULL THEN
+                SIGNAL SQLSTATE '45000' SET MESSAGE_TEXT = 'JSON input did not contain an expected collection_name';
+            END IF;
+            
+            -- Get the collection_id for the given collection_name within the document
+            SELECT collection_id INTO v_collection_id FROM user_collections 
+            WHERE collection_id IN (
+                SELECT collection_id FROM user_documents_collections 
+                WHERE document_id = v_document_id AND collection_id IN (
+                    SELECT collection_id FROM user_collections WHERE collection_name = v_collection_name
+                )
+            );
+
+            -- Check the collection version, if given
+            SET v_collection_version = JSON_VALUE(p_collection_data, CONCAT('$[', i, '].collection_version'));
+            IF v_collection_id IS NOT NULL AND v_collection_version IS NOT NULL AND v_collection_version <> (
+                SELECT IFNULL(collection_version, v_document_version) FROM user_collections WHERE collection_id = v_collection_id
+            ) THEN
+                SIGNAL SQLSTATE '45000'
+                SET MESSAGE_TEXT = 'E_VERSION - Refresh and reconcile with current collection version before continuing.';
+            END IF;
+
+            IF v_collection_id IS NOT NULL THEN
+                -- if v_property_names is empty, then delete the whole collection
+                IF v_property_names IS NULL OR JSON_LENGTH(v_property_names) = 0 THEN
+                    CALL jam_build.DeleteUserCollection(p_user_id, p_document_name, p_document_version, v_collection_name, p_changed_by, NULL);
+                    SET v_document_updated = 1;
+                    SET v_changes = JSON_ARRAY_APPEND(v_changes, '$', JSON_OBJECT('collection_name', v_collection_name, 'property_names', JSON_ARRAY()));
+                ELSE
+                    SET v_deleted_property_names = JSON_ARRAY();
+
+                    -- Delete specified properties for this collection
+                    WHILE j < JSON_LENGTH(v_property_names) DO
+                        SET v_property_id = NULL;
+            
+                        -- Get the property name for this iteration
+                        SET v_property_name = JSON_UNQUOTE(JSON_EXTRACT(v_property_names, CONCAT('$[', j, ']')));
+
+                        IF v_property_name IS NULL THEN
+                            SIGNAL SQLSTATE '45000' SET MESSAGE_TEXT = 'JSON input did not contain expected array of property names';
+                        END IF;
+
+                        -- Get the property_id for the given property_name
+                        SELECT property_id INTO v_property_id FROM user_properties
+                            WHERE property_name = v_property_name AND property_id IN (
+                                SELECT property_id from user_collections_properties WHERE collection_id = v_collection_id
+                            );
+
+                        IF v_property_id IS NOT NULL THEN
+                            -- Delete the property from the collection (CASCADE will handle deletions in user_collections_properties)
+                            DELETE FROM user_collections_properties 
+                            WHERE collection_id = v_collection_id AND property_id = v_property_id;
+
+                            SET v_document_updated = 1;
+                            SET v_deleted_property_names = JSON_ARRAY_APPEND(v_deleted_property_names, '$', v_property_name);
+                        END IF;
+
+                        SET j = j + 1;
+                    END WHILE;
+
+                    -- Record the deleted properties of this collection for the document history, and its new version
+                    IF JSON_LENGTH(v_deleted_property_names) > 0 THEN
+                        UPDATE user_collections
+                        SET collection_version = v_document_version + 1
+                        WHERE collection_id = v_collection_id;
+
+                        SET v_changes = JSON_ARRAY_APPEND(v_changes, '$', JSON_OBJECT(
+                            'collection_name', v_collection_name,
+                            'property_names', JSON_EXTRACT(v_deleted_property_names, '$')
+                        ));
+                    END IF;
+                END IF;
+            END IF;
+
+            SET i = i + 1;
+        END WHILE;
+
+        -- Clean up unused user_collections
+        DELETE FROM user_collections 
+        WHERE collection_id NOT IN (
+            SELECT collection_id FROM user_documents_collections
+        );
+
+        -- Clean up unused user_collections_properties
+        DELETE FROM user_collections_properties 
+        WHERE collection_id NOT IN (
+            SELECT collection_id FROM user_documents_collections
+        );
+        
+        -- Clean up unused user_properties
+        DELETE FROM user_properties 
+        WHERE property_id NOT IN (
+            SELECT property_id FROM user_collections_properties
+        );
+    ELSE
+        SET v_message = CONCAT('Could not find document_id for the input document_name "', p_document_name, '" and user_id "', p_user_id, '"');
+        SIGNAL SQLSTATE '45000'
+        SET MESSAGE_TEXT = v_message;
+    END IF;
+
+    -- Update the document version and return it
+    IF v_document_updated > 0 THEN
+        SET v_new_document_version = v_document_version + 1;
+    
+        UPDATE user_documents
+        SET document_version = v_new_document_version
+        WHERE document_id = v_document_id AND document_version = v_document_version;
+
+        IF ROW_COUNT() <= 0 THEN
+            SET v_message = CONCAT('E_VERSION - Failed to update document "', p_document_name, '" for user "', p_user_id, '" because of another transaction.');
+            SIGNAL SQLSTATE '45000' SET MESSAGE_TEXT = v_message;
+        END IF;
+
+        -- Record the new version in the document history
+        CALL jam_build.InsertUserDocumentHistory(p_user_id, p_document_name, v_document_id, v_new_document_version, 'delete', v_changes, NULL, NULL, p_changed_by);
+    ELSE
+        SET v_new_document_version = v_document_version;
+    END IF;
+
+    SET p_new_document_version = v_new_document_version;
+
+    -- Commit the transaction
+    IF @in_batch_transaction IS NULL THEN
+        COMMIT;
+    END IF;
+    SET @in_user_transaction = NULL;
+END;
+$$
+
+CREATE PROCEDURE IF NOT EXISTS jam_build.RestoreUserDocument (
+    IN p_user_id CHAR(36),
+    IN p_document_name VARCHAR(255),
+    IN p_document_version BIGINT UNSIGNED,
+    IN p_target_version BIGINT UNSIGNED,
+    IN p_changed_by CHAR(36),
+    OUT p_new_document_version BIGINT UNSIGNED
+)
+BEGIN
+    DECLARE v_document_id BIGINT UNSIGNED;
+    DECLARE v_document_version BIGINT UNSIGNED;
+    DECLARE v_new_document_version BIGINT UNSIGNED;
+    DECLARE v_collection_id BIGINT UNSIGNED;
+    DECLARE v_collection_name VARCHAR(255);
+    DECLARE v_property_id BIGINT UNSIGNED;
+    DECLARE v_property_name VARCHAR(255);
+    DECLARE v_property_value JSON;
+    DECLARE v_properties JSON;
+    DECLARE v_snapshot JSON;
+    DECLARE v_message VARCHAR(255);
+    DECLARE i INT DEFAULT 0;
+    DECLARE j INT DEFAULT 0;
+
+    -- Declare a handler for SQL exceptions
+    DECLARE EXIT HANDLER FOR SQLEXCEPTION
+    BEGIN
+        -- Rollback the transaction on any error
+        IF @in_batch_transaction IS NULL THEN
+            ROLLBACK;
+        END IF;
+        -- Optionally, you can raise an error to notify the caller
+        RESIGNAL;
+    END;
+
+    -- Start a new transaction
+    IF @in_batch_transaction IS NULL THEN
+        START TRANSACTION;
+    END IF;
+
+    SET v_document_version = 0;
+
+    -- Serialize access to the transaction and check version
+    SELECT document_version INTO v_document_version
+    FROM user_documents
+    WHERE user_id = p_user_id AND document_name = p_document_name FOR UPDATE;
+
+    IF v_document_version <> p_document_version THEN
+        SIGNAL SQLSTATE '45000'
+        SET MESSAGE_TEXT = 'E_VERSION - Refresh and reconcile with current version and retry.';
+    END IF;
+
+    -- Get the document snapshot for the target version, a document created again reuses versions, the latest one wins
+    SET v_snapshot = NULL;
+    SELECT h.snapshot INTO v_snapshot
+    FROM user_documents_history h
+    WHERE h.user_id = p_user_id AND h.document_name = p_document_name AND h.retired_at IS NULL AND h.document_version = p_target_version AND h.snapshot IS NOT NULL
+    ORDER BY h.history_id DESC
+    LIMIT 1;
+
+    IF v_snapshot IS NULL THEN
+        SET v_message = CONCAT('E_NOTFOUND - Could not find version ', p_target_version, ' of document "', p_document_name, '" for user "', p_user_id, '"');
+        SIGNAL SQLSTATE '45000'
+        SET MESSAGE_TEXT = v_message;
+    END IF;
+
+    -- Insert the document if it was deleted
+    INSERT INTO user_documents (user_id, document_name)
+    VALUES (p_user_id, p_document_name)
+    ON DUPLICATE KEY UPDATE document_name = VALUES(document_name);
+
+    SET v_document_id = NULL;
+    SELECT document_id INTO v_document_id FROM user_documents WHERE user_id = p_user_id AND document_name = p_document_name;
+
+    -- Remove the current collections (CASCADE will handle deletions in user_collections_properties)
+    DELETE FROM user_documents_collections WHERE document_id = v_document_id;
+
+    -- Clean up unused user_collections
+    DELETE FROM user_collections
+    WHERE collection_id NOT IN (
+        SELECT collection_id FROM user_documents_collections
+    );
+
+    -- Clean up unused user_properties
+    DELETE FROM user_properties
+    WHERE property_id NOT IN (
+        SELECT property_id FROM user_collections_properties
+    );
+
+    -- Rewrite the collections and properties from the snapshot
+    WHILE i < JSON_LENGTH(v_snapshot) DO
+        SET v_collection_name = JSON_UNQUOTE(JSON_EXTRACT(v_snapshot, CONCAT('$[', i, '].collection_name')));
+
+        INSERT INTO user_collections (collection_name)
+        VALUES (v_collection_name);
+
+        SET v_collection_id = LAST_INSERT_ID();
+
+        INSERT INTO user_documents_collections (document_id, collection_id)
+        VALUES (v_document_id, v_collection_id);
+
+        SET j = 0;
+        SET v_properties = JSON_EXTRACT(v_snapshot, CONCAT('$[', i, '].properties'));
+        WHILE j < JSON_LENGTH(v_properties) DO
+            SET v_property_name = JSON_UNQUOTE(JSON_EXTRACT(v_properties, CONCAT('$[', j, '].property_name')));
+            SET v_property_value = JSON_EXTRACT(v_properties, CONCAT('$[', j, '].property_value'));
+
+            INSERT INTO user_properties (property_name, property_value)
+            VALUES (v_property_name, v_property_value);
+
+            SET v_property_id = LAST_INSERT_ID();
+
+            INSERT INTO user_collections_properties (collection_id, property_id)
+            VALUES (v_collection_id, v_property_id);
+
+            SET j = j + 1;
+        END WHILE;
+
+        SET i = i + 1;
+    END WHILE;
+
+    -- Restoring is always a new version, the version counter never rewinds
+    SET v_new_document_version = v_document_version + 1;
+
+    UPDATE user_documents
+    SET document_version = v_new_document_version
+    WHERE document_id = v_document_id AND document_version = v_document_version;
+
+    IF ROW_COUNT() <= 0 THEN
+        SET v_message = CONCAT('E_VERSION - Failed to update document "', p_document_name, '" for user "', p_user_id, '" because of another transaction.');
+        SIGNAL SQLSTATE '45000' SET MESSAGE_TEXT = v_message;
+    END IF;
+
+    -- Record the new version in the document history
+    CALL jam_build.InsertUserDocumentHistory(p_user_id, p_document_name, v_document_id, v_new_document_version, 'restore', v_snapshot, p_target_version, NULL, p_changed_by);
+
+    SET p_new_document_version = v_new_document_version;
+
+    -- Commit the transaction
+    IF @in_batch_transaction IS NULL THEN
+        COMMIT;
+    END IF;
+END;
+$$
+
+CREATE PROCEDURE IF NOT EXISTS jam_build.RenameUserDocument (
+    IN p_user_id CHAR(36),
+    IN p_document_name VARCHAR(255),
+    IN p_document_version BIGINT UNSIGNED,
+    IN p_new_document_name VARCHAR(255),
+    IN p_changed_by CHAR(36),
+    OUT p_new_document_version BIGINT UNSIGNED
+)
+BEGIN
+    DECLARE v_document_id BIGINT UNSIGNED;
+    DECLARE v_document_version BIGINT UNSIGNED;
+    DECLARE v_new_document_version BIGINT UNSIGNED;
+    DECLARE v_message VARCHAR(255);
+
+    -- Declare a handler for SQL exceptions
+    DECLARE EXIT HANDLER FOR SQLEXCEPTION
+    BEGIN
+        -- Rollback the transaction on any error
+        IF @in_batch_transaction IS NULL THEN
+            ROLLBACK;
+        END IF;
+        -- Optionally, you can raise an error to notify the caller
+        RESIGNAL;
+    END;
+
+    -- Start a new transaction
+    IF @in_batch_transaction IS NULL THEN
+        START TRANSACTION;
+    END IF;
+
+    SET v_document_id = NULL;
+    SET v_document_version = 0;
+
+    -- Serialize access to the transaction and check version
+    SELECT document_id, document_version INTO v_document_id, v_document_version
+    FROM user_documents
+    WHERE user_id = p_user_id AND document_name = p_document_name FOR UPDATE;
+
+    IF v_document_version <> p_document_version THEN
+        SIGNAL SQLSTATE '45000'
+        SET MESSAGE_TEXT = 'E_VERSION - Refresh and reconcile with current version and retry.';
+    END IF;
+
+    IF v_document_id IS NULL THEN
+        SET v_message = CONCAT('E_NOTFOUND - Could not find document "', p_document_name, '" for user "', p_user_id, '"');
+        SIGNAL SQLSTATE '45000'
+        SET MESSAGE_TEXT = v_message;
+    END IF;
+
+    -- The new document name must not be taken
+    SELECT COUNT(*) INTO @temp_count
+    FROM user_documents
+    WHERE user_id = p_user_id AND document_name = p_new_document_name FOR UPDATE;
+
+    IF @temp_count > 0 THEN
+        SET v_message = CONCAT('E_CONFLICT - Document "', p_new_document_name, '" already exists');
+        SIGNAL SQLSTATE '45000'
+        SET MESSAGE_TEXT = v_message;
+    END IF;
+
+    -- Rename the document, it keeps its collections and properties, shares and links follow it
+    SET v_new_document_version = v_document_version + 1;
+
+    UPDATE user_documents
+    SET document_name = p_new_document_name, document_version = v_new_document_version
+    WHERE document_id = v_document_id AND document_version = v_document_version;
+
+    IF ROW_COUNT() <= 0 THEN
+        SET v_message = CONCAT('E_VERSION - Failed to update document "', p_document_name, '" for user "', p_user_id, '" because of another transaction.');
+        SIGNAL SQLSTATE '45000' SET MESSAGE_TEXT = v_message;
+    END IF;
+
+    -- The document history follows the document, the history of a deleted document of the new name is retired
+    UPDATE user_documents_history
+    SET retired_at = NOW()
+    WHERE user_id = p_user_id AND document_name = p_new_document_name AND retired_at IS NULL;
+
+    UPDATE user_documents_history
+    SET document_name = p_new_document_name
+    WHERE user_id = p_user_id AND document_name = p_document_name AND retired_at IS NULL;
+
+    -- Record the new version in the document history, the content did not change
+    CALL jam_build.InsertUserDocumentHistory(p_user_id, p_new_document_name, v_document_id, v_new_document_version, 'rename', JSON_ARRAY(), NULL, p_document_name, p_changed_by);
+
+    SET p_new_document_version = v_new_document_version;
+
+    -- Commit the transaction
+    IF @in_batch_transaction IS NULL THEN
+        COMMIT;
+    END IF;
+END;
+$$
+
+CREATE PROCEDURE IF NOT EXISTS jam_build.MoveUserCollection (
+    IN p_user_id CHAR(36),
+    IN p_document_name VARCHAR(255),
+    IN p_document_version BIGINT UNSIGNED,
+    IN p_collection_name VARCHAR(255),
+    IN p_target_document_name VARCHAR(255),
+    IN p_target_document_version BIGINT UNSIGNED,
+    IN p_new_collection_name VARCHAR(255),
+    IN p_changed_by CHAR(36),
+    OUT p_new_document_version BIGINT UNSIGNED,
+    OUT p_new_target_document_version BIGINT UNSIGNED
+)
+BEGIN
+    DECLARE v_document_id BIGINT UNSIGNED;
+    DECLARE v_document_version BIGINT UNSIGNED;
+    DECLARE v_new_document_version BIGINT UNSIGNED;
+    DECLARE v_target_document_id BIGINT UNSIGNED;
+    DECLARE v_target_document_version BIGINT UNSIGNED;
+    DECLARE v_new_target_document_version BIGINT UNSIGNED;
+    DECLARE v_collection_id BIGINT UNSIGNED;
+    DECLARE v_properties JSON;
+    DECLARE v_is_move BOOLEAN;
+    DECLARE v_message VARCHAR(255);
+
+    -- Declare a handler for SQL exceptions
+    DECLARE EXIT HANDLER FOR SQLEXCEPTION
+    BEGIN
+        -- Rollback the transaction on any error
+        IF @in_batch_transaction IS NULL THEN
+            ROLLBACK;
+        END IF;
+        -- Optionally, you can raise an error to notify the caller
+        RESIGNAL;
+    END;
+
+    -- Start a new transaction
+    IF @in_batch_transaction IS NULL THEN
+        START TRANSACTION;
+    END IF;
+
+    SET v_is_move = p_target_document_name <> p_document_name;
+    SET v_document_id = NULL;
+    SET v_document_version = 0;
+
+    -- Serialize access to the transaction and check version
+    SELECT document_id, document_version INTO v_document_id, v_document_version
+    FROM user_documents
+    WHERE user_id = p_user_id AND document_name = p_document_name FOR UPDATE;
+
+    IF v_document_version <> p_document_version THEN
+        SIGNAL SQLSTATE '45000'
+        SET MESSAGE_TEXT = 'E_VERSION - Refresh and reconcile with current version and retry.';
+    END IF;
+
+    IF v_document_id IS NULL THEN
+        SET v_message = CONCAT('E_NOTFOUND - Could not find document "', p_document_name, '" for user "', p_user_id, '"');
+        SIGNAL SQLSTATE '45000'
+        SET MESSAGE_TEXT = v_message;
+    END IF;
+
+    -- Get the collection_id for the given collection_name within the document
+    SET v_collection_id = NULL;
+    SELECT c.collection_id INTO v_collection_id
+    FROM user_documents_collections dc
+    JOIN user_collections c ON dc.collection_id = c.collection_id
+    WHERE dc.document_id = v_document_id AND c.collection_name = p_collection_name;
+
+    IF v_collection_id IS NULL THEN
+        SET v_message = CONCAT('E_NOTFOUND - Could not find collection "', p_collection_name, '" in document "', p_document_name, '"');
+        SIGNAL SQLSTATE '45000'
+        SET MESSAGE_TEXT = v_message;
+    END IF;
+
+    IF v_is_move THEN
+        SET v_target_document_id = NULL;
+        SET v_target_document_version = 0;
+
+        -- Serialize access to the target document and check its version, 0 if it is to be created
+        SELECT document_id, document_version INTO v_target_document_id, v_target_document_version
+        FROM user_documents
+        WHERE user_id = p_user_id AND document_name = p_target_document_name FOR UPDATE;
+
+        IF v_target_document_version <> p_target_document_version THEN
+            SIGNAL SQLSTATE '45000'
+            SET MESSAGE_TEXT = 'E_VERSION - Refresh and reconcile with current version and retry.';
+        END IF;
+
+        IF v_target_document_id IS NULL THEN
+            INSERT INTO user_documents (user_id, document_name)
+            VALUES (p_user_id, p_target_document_name);
+
+            SELECT document_id INTO v_target_document_id
+            FROM user_documents
+            WHERE user_id = p_user_id AND document_name = p_target_document_name;
+        END IF;
+    ELSE
+        SET v_target_document_id = v_document_id;
+    END IF;
+
+    -- The new collection name must not be taken in the target document
+    SELECT COUNT(*) INTO @temp_count
+    FROM user_documents_collections dc
+    JOIN user_collections c ON dc.collection_id = c.collection_id
+    WHERE dc.document_id = v_target_document_id AND c.collection_name = p_new_collection_name
+        AND c.collection_id <> v_collection_id;
+
+    IF @temp_count > 0 THEN
+        SET v_message = CONCAT('E_CONFLICT - Collection "', p_new_collection_name, '" already exists in document "', p_target_document_name, '"');
+        SIGNAL SQLSTATE '45000'
+        SET MESSAGE_TEXT = v_message;
+    END IF;
+
+    -- Rename and move the collection, it keeps its properties, its version becomes unknown so it reads as the new document version
+    UPDATE user_collections
+    SET collection_name = p_new_collection_name, collection_version = NULL
+    WHERE collection_id = v_collection_id;
+
+    IF v_is_move THEN
+        UPDATE user_documents_collections
+        SET document_id = v_target_document_id
+        WHERE document_id = v_document_id AND collection_id = v_collection_id;
+    END IF;
+
+    -- The properties of the collection for the document history
+    SELECT COALESCE(JSON_ARRAYAGG(JSON_OBJECT(
+        'property_name', p.property_name,
+        'property_value', JSON_EXTRACT(p.property_value, '$')
+    )), JSON_ARRAY()) INTO v_properties
+    FROM user_collections_properties cp
+    JOIN user_properties p ON cp.property_id = p.property_id AND (p.expires_at IS NULL OR p.expires_at > NOW())
+    WHERE cp.collection_id = v_collection_id;
+
+    -- Update the document version
+    SET v_new_document_version = v_document_version + 1;
+
+    UPDATE user_documents
+    SET document_version = v_new_document_version
+    WHERE document_id = v_document_id AND document_version = v_document_version;
+
+    IF ROW_COUNT() <= 0 THEN
+        SET v_message = CONCAT('E_VERSION - Failed to update document "', p_document_name, '" for user "', p_user_id, '" because of another transaction.');
+        SIGNAL SQLSTATE '45000' SET MESSAGE_TEXT = v_message;
+    END IF;
+
+    -- Record the new versions in the document history, as the delete of the old collection and the upsert of the new one
+    IF v_is_move THEN
+        SET v_new_target_document_version = v_target_document_version + 1;
+
+        UPDATE user_documents
+        SET document_version = v_new_target_document_version
+        WHERE document_id = v_target_document_id AND document_version = v_target_document_version;
+
+        IF ROW_COUNT() <= 0 THEN
+            SET v_message = CONCAT('E_VERSION - Failed to update document "', p_target_document_name, '" for user "', p_user_id, '" because of another transaction.');
+            SIGNAL SQLSTATE '45000' SET MESSAGE_TEXT = v_message;
+        END IF;
+
+        CALL jam_build.InsertUserDocumentHistory(p_user_id, p_document_name, v_document_id, v_new_document_version, 'move', JSON_ARRAY(
+            JSON_OBJECT('collection_name', p_collection_name, 'property_names', JSON_ARRAY())
+        ), NULL, NULL, p_changed_by);
+        CALL jam_build.InsertUserDocumentHistory(p_user_id, p_target_document_name, v_target_document_id, v_new_target_document_version, 'move', JSON_ARRAY(
+            JSON_OBJECT('collection_name', p_new_collection_name, 'properties', JSON_EXTRACT(v_properties, '$'))
+        ), NULL, p_document_name, p_changed_by);
+    ELSE
+        SET v_new_target_document_version = v_new_document_version;
+
+        CALL jam_build.InsertUserDocumentHistory(p_user_id, p_document_name, v_document_id, v_new_document_version, 'rename', JSON_ARRAY(
+            JSON_OBJECT('collection_name', p_collection_name, 'property_names', JSON_ARRAY()),
+            JSON_OBJECT('collection_name', p_new_collection_name, 'properties', JSON_EXTRACT(v_properties, '$'))
+        ), NULL, NULL, p_changed_by);
+    END IF;
+
+    SET p_new_document_version = v_new_document_version;
+    SET p_new_target_document_version = v_new_target_document_version;
+
+    -- Commit the transaction
+    IF @in_batch_transaction IS NULL THEN
+        COMMIT;
+    END IF;
+END;
+$$
+
+CREATE PROCEDURE IF NOT EXISTS jam_build.CopyApplicationDocumentToUser (
+    IN p_user_id CHAR(36),
+    IN p_document_name VARCHAR(255),
+    IN p_app_document_name VARCHAR(255),
+    IN p_changed_by CHAR(36),
+    OUT p_new_document_version BIGINT UNSIGNED
+)
+BEGIN
+    DECLARE v_document_id BIGINT UNSIGNED;
+    DECLARE v_app_document_id BIGINT UNSIGNED;
+    DECLARE v_new_document_version BIGINT UNSIGNED DEFAULT 1;
+    DECLARE v_collection_id BIGINT UNSIGNED;
+    DECLARE v_collection_name VARCHAR(255);
+    DECLARE v_property_id BIGINT UNSIGNED;
+    DECLARE v_property_name VARCHAR(255);
+    DECLARE v_property_value JSON;
+    DECLARE v_properties JSON;
+    DECLARE v_snapshot JSON;
+    DECLARE v_message VARCHAR(255);
+    DECLARE i INT DEFAULT 0;
+    DECLARE j INT DEFAULT 0;
+
+    -- Declare a handler for SQL exceptions
+    DECLARE EXIT HANDLER FOR SQLEXCEPTION
+    BEGIN
+        -- Rollback the transaction on any error
+        IF @in_batch_transaction IS NULL THEN
+            ROLLBACK;
+        END IF;
+        -- Optionally, you can raise an error to notify the caller
+        RESIGNAL;
+    END;
+
+    -- Start a new transaction
+    IF @in_batch_transaction IS NULL THEN
+        START TRANSACTION;
+    END IF;
+
+    -- Serialize access to the transaction, the new document name must not be taken
+    SELECT COUNT(*) INTO @temp_count
+    FROM user_documents
+    WHERE user_id = p_user_id AND document_name = p_document_name FOR UPDATE;
+
+    IF @temp_count > 0 THEN
+        SET v_message = CONCAT('E_CONFLICT - Document "', p_document_name, '" already exists');
+        SIGNAL SQLSTATE '45000'
+        SET MESSAGE_TEXT = v_message;
+    END IF;
+
+    -- Get the application document, it must not change during the copy
+    SET v_app_document_id = NULL;
+    SELECT document_id INTO v_app_document_id
+    FROM application_documents
+    WHERE document_name = p_app_document_name LOCK IN SHARE MODE;
+
+    IF v_app_document_id IS NULL THEN
+        SET v_message = CONCAT('E_NOTFOUND - Could not find application document "', p_app_document_name, '"');
+        SIGNAL SQLSTATE '45000'
+        SET MESSAGE_TEXT = v_message;
+    END IF;
+
+    -- Snapshot the application document collections and properties
+    SELECT COALESCE(JSON_ARRAYAGG(JSON_OBJECT(
+        'collection_name', c.collection_name,
+        'properties', JSON_EXTRACT((
+            SELECT COALESCE(JSON_ARRAYAGG(JSON_OBJECT(
+                'property_name', p.property_name,
+                'property_value', JSON_EXTRACT(p.property_value, '$')
+            )), JSON_ARRAY())
+            FROM application_collections_properties cp
+            JOIN application_properties p ON cp.property_id = p.property_id AND (p.expires_at IS NULL OR p.expires_at > NOW())
+            WHERE cp.collection_id = c.collection_id
+        ), '$')
+    )), JSON_ARRAY()) INTO v_snapshot
+    FROM application_documents_collections dc
+    JOIN application_collections c ON dc.collection_id = c.collection_id
+    WHERE dc.document_id = v_app_document_id;
+
+    -- Insert the new document
+    INSERT INTO user_documents (user_id, document_name, document_version)
+    VALUES (p_user_id, p_document_name, v_new_document_version);
+
+    SET v_document_id = NULL;
+    SELECT document_id INTO v_document_id FROM user_documents WHERE user_id = p_user_id AND document_name = p_document_name;
+
+    -- Write the collections and properties from the snapshot
+    WHILE i < JSON_LENGTH(v_snapshot) DO
+        SET v_collection_name = JSON_UNQUOTE(JSON_EXTRACT(v_snapshot, CONCAT('$[', i, '].collection_name')));
+
+        INSERT INTO user_collections (collection_name)
+        VALUES (v_collection_name);
+
+        SET v_collection_id = LAST_INSERT_ID();
+
+        INSERT INTO user_documents_collections (document_id, collection_id)
+        VALUES (v_document_id, v_collection_id);
+
+        SET j = 0;
+        SET v_properties = JSON_EXTRACT(v_snapshot, CONCAT('$[', i, '].properties'));
+        WHILE j < JSON_LENGTH(v_properties) DO
+            SET v_property_name = JSON_UNQUOTE(JSON_EXTRACT(v_properties, CONCAT('$[', j, '].property_name')));
+            SET v_property_value = JSON_EXTRACT(v_properties, CONCAT('$[', j, '].property_value'));
+
+            INSERT INTO user_properties (property_name, property_value)
+            VALUES (v_property_name, v_property_value);
+
+            SET v_property_id = LAST_INSERT_ID();
+
+            INSERT INTO user_collections_properties (collection_id, property_id)
+            VALUES (v_collection_id, v_property_id);
+
+            SET j = j + 1;
+        END WHILE;
+
+        SET i = i + 1;
+    END WHILE;
+
+    -- Record the new version in the document history, as an upsert of every collection
+    CALL jam_build.InsertUserDocumentHistory(p_user_id, p_document_name, v_document_id, v_new_document_version, 'copy', v_snapshot, NULL, NULL, p_changed_by);
+
+    SET p_new_document_version = v_new_document_version;
+
+    -- Commit the transaction
+    IF @in_batch_transaction IS NULL THEN
+        COMMIT;
+    END IF;
+END;
+$$
+
+CREATE PROCEDURE IF NOT EXISTS jam_build.PurgeUserData (
+    IN p_user_id CHAR(36),
+    OUT p_documents BIGINT UNSIGNED,
+    OUT p_collections BIGINT UNSIGNED,
+    OUT p_properties BIGINT UNSIGNED,
+    OUT p_shares BIGINT UNSIGNED,
+    OUT p_idempotency_keys BIGINT UNSIGNED
+)
+BEGIN
+    -- Declare a handler for SQL exceptions
+    DECLARE EXIT HANDLER FOR SQLEXCEPTION
+    BEGIN
+        -- Rollback the transaction on any error
+        IF @in_batch_transaction IS NULL THEN
+            ROLLBACK;
+        END IF;
+        -- Optionally, you can raise an error to notify the caller
+        RESIGNAL;
+    END;
+
+    -- Start a new transaction
+    IF @in_batch_transaction IS NULL THEN
+        START TRANSACTION;
+    END IF;
+
+    -- Serialize access to the transaction, lock all the user documents
+    SELECT COUNT(*) INTO p_documents
+    FROM user_documents
+    WHERE user_id = p_user_id FOR UPDATE;
+
+    -- Count the collections and properties of the user documents for the caller
+    SELECT COUNT(DISTINCT dc.collection_id), COUNT(cp.property_id) INTO p_collections, p_properties
+    FROM user_documents d
+    JOIN user_documents_collections dc ON d.document_id = dc.document_id
+    LEFT JOIN user_collections_properties cp ON dc.collection_id = cp.collection_id
+    WHERE d.user_id = p_user_id;
+
+    -- Delete the documents (CASCADE will handle deletions in user_documents_collections, shares, and links)
+    DELETE FROM user_documents WHERE user_id = p_user_id;
+
+    -- Clean up unused user_collections
+    DELETE FROM user_collections
+    WHERE collection_id NOT IN (
+        SELECT collection_id FROM user_documents_collections
+    );
+
+    -- Clean up unused user_collections_properties
+    DELETE FROM user_collections_properties
+    WHERE collection_id NOT IN (
+        SELECT collection_id FROM user_documents_collections
+    );
+
+    -- Clean up unused user_properties
+    DELETE FROM user_properties
+    WHERE property_id NOT IN (
+        SELECT property_id FROM user_collections_properties
+    );
+
+    -- The document history holds the document snapshots, purge it too
+    DELETE FROM user_documents_history WHERE user_id = p_user_id;
+
+    -- The trash holds document snapshots too
+    DELETE FROM user_trash WHERE user_id = p_user_id;
+
+    -- The shares of other users' documents with the caller
+    DELETE FROM user_document_shares WHERE grantee_id = p_user_id;
+    SET p_shares = ROW_COUNT();
+
+    -- The kept responses of the caller's mutations hold document data too
+    DELETE FROM idempotency_keys WHERE user_id = p_user_id;
+    SET p_idempotency_keys = ROW_COUNT();
+
+    -- Commit the transaction
+    IF @in_batch_transaction IS NULL THEN
+        COMMIT;
+    END IF;
+END;
+$$
+
+CREATE PROCEDURE IF NOT EXISTS jam_build.CollectApplicationOrphans (
+    IN p_batch_size INT UNSIGNED,
+    IN p_dry_run BOOLEAN,
+    OUT p_collections BIGINT UNSIGNED,
+    OUT p_properties BIGINT UNSIGNED
+)
+BEGIN
+    -- Declare a handler for SQL exceptions
+    DECLARE EXIT HANDLER FOR SQLEXCEPTION
+    BEGIN
+        -- Rollback the transaction on any error
+        ROLLBACK;
+        -- Optionally, you can raise an error to notify the caller
+        RESIGNAL;
+    END;
+
+    IF p_dry_run THEN
+        -- Count the application_collections that are in no document
+        SELECT COUNT(*) INTO p_collections
+        FROM application_collections c
+        WHERE NOT EXISTS (
+            SELECT 1 FROM application_documents_collections dc WHERE dc.collection_id = c.collection_id
+        );
+
+        -- Count the application_properties that are in no collection of a document, they are orphaned or will be
+        SELECT COUNT(*) INTO p_properties
+        FROM application_properties p
+        WHERE NOT EXISTS (
+            SELECT 1
+            FROM application_collections_properties cp
+            JOIN application_documents_collections dc ON cp.collection_id = dc.collection_id
+            WHERE cp.property_id = p.property_id
+        );
+    ELSE
+        -- Start a new transaction for this batch
+        START TRANSACTION;
+
+        -- Delete a batch of unused application_collections (CASCADE will handle deletions in application_collections_properties)
+        DELETE FROM application_collections
+        WHERE NOT EXISTS (
+            SELECT 1 FROM application_documents_collections dc WHERE dc.collection_id = application_collections.collection_id
+        )
+        LIMIT p_batch_size;
+        SET p_collections = ROW_COUNT();
+
+        -- Delete a batch of unused application_properties, including those of the collections just deleted
+        DELETE FROM application_properties
+        WHERE NOT EXISTS (
+            SELECT 1 FROM application_collections_properties cp WHERE cp.property_id = application_properties.property_id
+        )
+        LIMIT p_batch_size;
+        SET p_properties = ROW_COUNT();
+
+        -- Commit the batch
+        COMMIT;
+    END IF;
+END;
+$$
+
+CREATE PROCEDURE IF NOT EXISTS jam_build.CollectUserOrphans (
+    IN p_batch_size INT UNSIGNED,
+    IN p_dry_run BOOLEAN,
+    OUT p_collections BIGINT UNSIGNED,
+    OUT p_properties BIGINT UNSIGNED
+)
+BEGIN
+    -- Declare a handler for SQL exceptions
+    DECLARE EXIT HANDLER FOR SQLEXCEPTION
+    BEGIN
+        -- Rollback the transaction on any error
+        ROLLBACK;
+        -- Optionally, you can raise an error to notify the caller
+        RESIGNAL;
+    END;
+
+    IF p_dry_run THEN
+        -- Count the user_collections that are in no document
+        SELECT COUNT(*) INTO p_collections
+        FROM user_collections c
+        WHERE NOT EXISTS (
+            SELECT 1 FROM user_documents_collections dc WHERE dc.collection_id = c.collection_id
+        );
+
+        -- Count the user_properties that are in no collection of a document, they are orphaned or will be
+        SELECT COUNT(*) INTO p_properties
+        FROM user_properties p
+        WHERE NOT EXISTS (
+            SELECT 1
+            FROM user_collections_properties cp
+            JOIN user_documents_collections dc ON cp.collection_id = dc.collection_id
+            WHERE cp.property_id = p.property_id
+        );
+    ELSE
+        -- Start a new transaction for this batch
+        START TRANSACTION;
+
+        -- Delete a batch of unused user_collections (CASCADE will handle deletions in user_collections_properties)
+        DELETE FROM user_collections
+        WHERE NOT EXISTS (
+            SELECT 1 FROM user_documents_collections dc WHERE dc.collection_id = user_collections.collection_id
+        )
+        LIMIT p_batch_size;
+        SET p_collections = ROW_COUNT();
+
+        -- Delete a batch of unused user_properties, including those of the collections just deleted
+        DELETE FROM user_properties
+        WHERE NOT EXISTS (
+            SELECT 1 FROM user_collections_properties cp WHERE cp.property_id = user_properties.property_id
+        )
+        LIMIT p_batch_size;
+        SET p_properties = ROW_COUNT();
+
+        -- Commit the batch
+        COMMIT;
+    END IF;
+END;
+$$
+
+CREATE FUNCTION IF NOT EXISTS jam_build.PropertyMatchesFilter (
+    p_property_value JSON,
+    p_path VARCHAR(1024),
+    p_type VARCHAR(8),
+    p_op VARCHAR(8),
+    p_value VARCHAR(1024)
+)
+RETURNS BOOLEAN
+DETERMINISTIC
+BEGIN
+    -- The property value at the filter JSON path, NULL if the path does not exist
+    DECLARE v_value JSON DEFAULT JSON_EXTRACT(p_property_value, p_path);
+    DECLARE v_type VARCHAR(16) DEFAULT JSON_TYPE(v_value);
+    DECLARE v_cmp INT DEFAULT NULL;
+
+    IF v_value IS NULL THEN
+        RETURN FALSE;
+    END IF;
+
+    -- Only compare values of the filter type
+    CASE p_type
+        WHEN 'number' THEN
+            IF v_type NOT IN ('INTEGER', 'DOUBLE') THEN
+                RETURN FALSE;
+            END IF;
+            SET v_cmp = SIGN(CAST(JSON_VALUE(v_value, '$') AS DOUBLE) - CAST(p_value AS DOUBLE));
+        WHEN 'string' THEN
+            IF v_type <> 'STRING' THEN
+                RETURN FALSE;
+            END IF;
+            IF p_op = 'contains' THEN
+                RETURN LOCATE(p_value, JSON_VALUE(v_value, '$')) > 0;
+            END IF;
+            SET v_cmp = STRCMP(JSON_VALUE(v_value, '$'), p_value);
+        WHEN 'boolean' THEN
+            IF v_type <> 'BOOLEAN' THEN
+                RETURN FALSE;
+            END IF;
+            SET v_cmp = STRCMP(JSON_VALUE(v_value, '$'), p_value);
+        WHEN 'null' THEN
+            SET v_cmp = IF(v_type = 'NULL', 0, 1);
+        ELSE
+            RETURN FALSE;
+    END CASE;
+
+    RETURN CASE p_op
+        WHEN 'eq' THEN v_cmp = 0
+        WHEN 'ne' THEN v_cmp <> 0
+        WHEN 'gt' THEN v_cmp > 0
+        WHEN 'gte' THEN v_cmp >= 0
+        WHEN 'lt' THEN v_cmp < 0
+        WHEN 'lte' THEN v_cmp <= 0
+        ELSE FALSE
+    END;
+END;
+$$
+
+CREATE PROCEDURE IF NOT EXISTS jam_build.GetPropertiesAndCollectionsForApplicationDocumentWhere(
+    IN p_document_name VARCHAR(255),
+    IN p_collections VARCHAR(2048),
+    IN p_properties VARCHAR(2048),
+    IN p_filters JSON,
+    OUT p_notfound INT
+)
+BEGIN
+    SET p_notfound = 0;
+
+    SELECT COUNT(*) INTO @temp_count
+    FROM application_documents d
+    WHERE d.document_name = p_document_name;
+
+    IF @temp_count <= 0 THEN
+        SET p_notfound = 1;
+    ELSE
+        -- Only the collections with a property that matches every filter [{ property, path, type, op, value }]
+        -- Use FIND_IN_SET to project the properties based on the provided CSV string, if any
+        SELECT d.document_name, d.document_version, c.collection_id, c.collection_name, IFNULL(c.collection_version, d.document_version) AS collection_version, p.property_id, p.property_name, p.property_value, p.expires_at
+        FROM application_documents d
+        JOIN application_documents_collections dc ON d.document_id = dc.document_id
+        JOIN application_collections c ON dc.collection_id = c.collection_id
+        LEFT JOIN (
+            application_collections_properties cp
+            JOIN application_properties p ON cp.property_id = p.property_id AND (p.expires_at IS NULL OR p.expires_at > NOW())
+              AND (p_properties = '' OR FIND_IN_SET(p.property_name, p_properties))
+        ) ON c.collection_id = cp.collection_id
+        WHERE d.document_name = p_document_name
+          AND (p_collections = '' OR FIND_IN_SET(c.collection_name, p_collections))
+          AND NOT EXISTS (
+            SELECT 1
+            FROM JSON_TABLE(p_filters, '$[*]' COLUMNS (
+                property_name VARCHAR(255) PATH '$.property',
+                value_path VARCHAR(1024) PATH '$.path',
+                value_type VARCHAR(8) PATH '$.type',
+                op VARCHAR(8) PATH '$.op',
+                filter_value VARCHAR(1024) PATH '$.value'
+            )) f
+            WHERE NOT EXISTS (
+                SELECT 1
+                FROM application_collections_properties fcp
+                JOIN application_properties fp ON fcp.property_id = fp.property_id AND (fp.expires_at IS NULL OR fp.expires_at > NOW())
+                WHERE fcp.collection_id = c.collection_id
+                  AND fp.property_name = f.property_name
+                  AND jam_build.PropertyMatchesFilter(fp.property_value, f.value_path, f.value_type, f.op, f.filter_value)
+            )
+          );
+    END IF;
+END;
+$$
+
+CREATE PROCEDURE IF NOT EXISTS jam_build.GetPropertiesAndCollectionsForUserDocumentWhere(
+    IN p_user_id CHAR(36),
+    IN p_document_name VARCHAR(255),
+    IN p_collections VARCHAR(2048),
+    IN p_properties VARCHAR(2048),
+    IN p_filters JSON,
+    OUT p_notfound INT
+)
+BEGIN
+    SET p_notfound = 0;
+
+    SELECT COUNT(*) INTO @temp_count
+    FROM user_documents d
+    WHERE d.document_name = p_document_name AND d.user_id = p_user_id;
+
+    IF @temp_count <= 0 THEN
+        SET p_notfound = 1;
+    ELSE
+        -- Only the collections with a property that matches every filter [{ property, path, type, op, value }]
+        -- Use FIND_IN_SET to project the properties based on the provided CSV string, if any
+        SELECT d.document_name, d.document_version, c.collection_id, c.collection_name, IFNULL(c.collection_version, d.document_version) AS collection_version, p.property_id, p.property_name, p.property_value, p.expires_at
+        FROM user_documents d
+        JOIN user_documents_collections dc ON d.document_id = dc.document_id
+        JOIN user_collections c ON dc.collection_id = c.collection_id
+        LEFT JOIN (
+            user_collections_properties cp
+            JOIN user_properties p ON cp.property_id = p.property_id AND (p.expires_at IS NULL OR p.expires_at > NOW())
+              AND (p_properties = '' OR FIND_IN_SET(p.property_name, p_properties))
+        ) ON c.collection_id = cp.collection_id
+        WHERE d.document_name = p_document_name AND d.user_id = p_user_id
+          AND (p_collections = '' OR FIND_IN_SET(c.collection_name, p_collections))
+          AND NOT EXISTS (
+            SELECT 1
+            FROM JSON_TABLE(p_filters, '$[*]' COLUMNS (
+                property_name VARCHAR(255) PATH '$.property',
+                value_path VARCHAR(1024) PATH '$.path',
+                value_type VARCHAR(8) PATH '$.type',
+                op VARCHAR(8) PATH '$.op',
+                filter_value VARCHAR(1024) PATH '$.value'
+            )) f
+            WHERE NOT EXISTS (
+                SELECT 1
+                FROM user_collections_properties fcp
+                JOIN user_properties fp ON fcp.property_id = fp.property_id AND (fp.expires_at IS NULL OR fp.expires_at > NOW())
+                WHERE fcp.collection_id = c.collection_id
+                  AND fp.property_name = f.property_name
+                  AND jam_build.PropertyMatchesFilter(fp.property_value, f.value_path, f.value_type, f.op, f.filter_value)
+            )
+          );
+    END IF;
+END;
+$$
+
+CREATE PROCEDURE IF NOT EXISTS jam_build.GetProjectedPropertiesAndCollectionsForApplicationDocument(
+    IN p_document_name VARCHAR(255),
+    IN p_collections VARCHAR(2048),
+    IN p_properties VARCHAR(2048),
+    OUT p_notfound INT
+)
+BEGIN
+    SET p_notfound = 0;
+
+    SELECT COUNT(*) INTO @temp_count
+    FROM application_documents d
+    WHERE d.document_name = p_document_name
+      AND (p_collections = '' OR EXISTS (
+        SELECT 1
+        FROM application_documents_collections dc
+        JOIN application_collections c ON dc.collection_id = c.collection_id
+        WHERE dc.document_id = d.document_id AND FIND_IN_SET(c.collection_name, p_collections)
+      ));
+
+    IF @temp_count <= 0 THEN
+        SET p_notfound = 1;
+    ELSE
+        -- Every collection, use FIND_IN_SET to project the properties based on the provided CSV string
+        SELECT d.document_name, d.document_version, c.collection_id, c.collection_name, IFNULL(c.collection_version, d.document_version) AS collection_version, p.property_id, p.property_name, p.property_value, p.expires_at
+        FROM application_documents d
+        JOIN application_documents_collections dc ON d.document_id = dc.document_id
+        JOIN application_collections c ON dc.collection_id = c.collection_id
+        LEFT JOIN (
+            application_collections_properties cp
+            JOIN application_properties p ON cp.property_id = p.property_id AND (p.expires_at IS NULL OR p.expires_at > NOW())
+              AND FIND_IN_SET(p.property_name, p_properties)
+        ) ON c.collection_id = cp.collection_id
+        WHERE d.document_name = p_document_name
+          AND (p_collections = '' OR FIND_IN_SET(c.collection_name, p_collections));
+    END IF;
+END;
+$$
+
+CREATE PROCEDURE IF NOT EXISTS jam_build.GetProjectedPropertiesAndCollectionsForUserDocument(
+    IN p_user_id CHAR(36),
+    IN p_document_name VARCHAR(255),
+    IN p_collections VARCHAR(2048),
+    IN p_properties VARCHAR(2048),
+    OUT p_notfound INT
+)
+BEGIN
+    SET p_notfound = 0;
+
+    SELECT COUNT(*) INTO @temp_count
+    FROM user_documents d
+    WHERE d.document_name = p_document_name AND d.user_id = p_user_id
+      AND (p_collections = '' OR EXISTS (
+        SELECT 1
+        FROM user_documents_collections dc
+        JOIN user_collections c ON dc.collection_id = c.collection_id
+        WHERE dc.document_id = d.document_id AND FIND_IN_SET(c.collection_name, p_collections)
+      ));
+
+    IF @temp_count <= 0 THEN
+        SET p_notfound = 1;
+    ELSE
+        -- Every collection, use FIND_IN_SET to project the properties based on the provided CSV string
+        SELECT d.document_name, d.document_version, c.collection_id, c.collection_name, IFNULL(c.collection_version, d.document_version) AS collection_version, p.property_id, p.property_name, p.property_value, p.expires_at
+        FROM user_documents d
+        JOIN user_documents_collections dc ON d.document_id = dc.document_id
+        JOIN user_collections c ON dc.collection_id = c.collection_id
+        LEFT JOIN (
+            user_collections_properties cp
+            JOIN user_properties p ON cp.property_id = p.property_id AND (p.expires_at IS NULL OR p.expires_at > NOW())
+              AND FIND_IN_SET(p.property_name, p_properties)
+        ) ON c.collection_id = cp.collection_id
+        WHERE d.document_name = p_document_name AND d.user_id = p_user_id
+          AND (p_collections = '' OR FIND_IN_SET(c.collection_name, p_collections));
+    END IF;
+END;
+$$
+
+CREATE PROCEDURE IF NOT EXISTS jam_build.GetProjectedPropertiesAndCollectionsAndDocumentsForApplication(
+    IN p_cursor VARCHAR(255),
+    IN p_limit INT UNSIGNED,
+    IN p_properties VARCHAR(2048),
+    OUT p_notfound INT
+)
+BEGIN
+    DECLARE v_limit BIGINT UNSIGNED DEFAULT 18446744073709551615;
+
+    SET p_notfound = 0;
+
+    -- Page by document name after the cursor, one more document than the page tells there is a next page
+    IF p_limit > 0 THEN
+        SET v_limit = p_limit + 1;
+    END IF;
+
+    SELECT COUNT(*) INTO @temp_count
+    FROM application_documents d;
+
+    IF @temp_count <= 0 THEN
+        SET p_notfound = 1;
+    ELSE
+        -- Every collection, use FIND_IN_SET to project the properties based on the provided CSV string
+        SELECT d.document_name, d.document_version, c.collection_id, c.collection_name, IFNULL(c.collection_version, d.document_version) AS collection_version, p.property_id, p.property_name, p.property_value, p.expires_at
+        FROM (
+            SELECT sd.document_id, sd.document_name, sd.document_version
+            FROM application_documents sd
+            WHERE sd.document_name > COALESCE(p_cursor, '')
+                AND EXISTS (SELECT 1 FROM application_documents_collections sdc WHERE sdc.document_id = sd.document_id)
+            ORDER BY sd.document_name
+            LIMIT v_limit
+        ) d
+        JOIN application_documents_collections dc ON d.document_id = dc.document_id
+        JOIN application_collections c ON dc.collection_id = c.collection_id
+        LEFT JOIN (
+            application_collections_properties cp
+            JOIN application_properties p ON cp.property_id = p.property_id AND (p.expires_at IS NULL OR p.expires_at > NOW())
+              AND FIND_IN_SET(p.property_name, p_properties)
+        ) ON c.collection_id = cp.collection_id
+        ORDER BY d.document_name;
+    END IF;
+END;
+$$
+
+CREATE PROCEDURE IF NOT EXISTS jam_build.GetProjectedPropertiesAndCollectionsAndDocumentsForUser(
+    IN p_user_id CHAR(36),
+    IN p_cursor VARCHAR(255),
+    IN p_limit INT UNSIGNED,
+    IN p_properties VARCHAR(2048),
+    OUT p_notfound INT
+)
+BEGIN
+    DECLARE v_limit BIGINT UNSIGNED DEFAULT 18446744073709551615;
+
+    SET p_notfound = 0;
+
+    -- Page by document name after the cursor, one more document than the page tells there is a next page
+    IF p_limit > 0 THEN
+        SET v_limit = p_limit + 1;
+    END IF;
+
+    SELECT COUNT(*) INTO @temp_count
+    FROM user_documents d
+    WHERE d.user_id = p_user_id;
+
+    IF @temp_count <= 0 THEN
+        SET p_notfound = 1;
+    ELSE
+        -- Every collection, use FIND_IN_SET to project the properties based on the provided CSV string
+        SELECT d.document_name, d.document_version, c.collection_id, c.collection_name, IFNULL(c.collection_version, d.document_version) AS collection_version, p.property_id, p.property_name, p.property_value, p.expires_at
+        FROM (
+            SELECT sd.document_id, sd.document_name, sd.document_version
+            FROM user_documents sd
+            WHERE sd.user_id = p_user_id AND sd.document_name > COALESCE(p_cursor, '')
+                AND EXISTS (SELECT 1 FROM user_documents_collections sdc WHERE sdc.document_id = sd.document_id)
+            ORDER BY sd.document_name
+            LIMIT v_limit
+        ) d
+        JOIN user_documents_collections dc ON d.document_id = dc.document_id
+        JOIN user_collections c ON dc.collection_id = c.collection_id
+        LEFT JOIN (
+            user_collections_properties cp
+            JOIN user_properties p ON cp.property_id = p.property_id AND (p.expires_at IS NULL OR p.expires_at > NOW())
+              AND FIND_IN_SET(p.property_name, p_properties)
+        ) ON c.collection_id = cp.collection_id
+        ORDER BY d.document_name;
+    END IF;
+END;
+$$
+
+CREATE PROCEDURE IF NOT EXISTS jam_build.GetTrashForApplication(
+    IN p_retention INT UNSIGNED,
+    OUT p_notfound INT
+)
+BEGIN
+    SET p_notfound = 0;
+
+    -- Expired items are not listed, a p_retention of 0 keeps the trash forever
+    SELECT
+        trash_id,
+        document_name,
+        collection_name,
+        document_version,
+        deleted_by,
+        deleted_at,
+        IF(p_retention = 0, NULL, deleted_at + INTERVAL p_retention SECOND) AS expires_at
+    FROM application_trash
+    WHERE (p_retention = 0 OR deleted_at > NOW() - INTERVAL p_retention SECOND)
+    ORDER BY deleted_at DESC, trash_id DESC;
+END;
+$$
+
+CREATE PROCEDURE IF NOT EXISTS jam_build.RestoreApplicationTrash (
+    IN p_trash_id BIGINT UNSIGNED,
+    IN p_retention INT UNSIGNED,
+    IN p_document_version BIGINT UNSIGNED,
+    IN p_changed_by CHAR(36),
+    OUT p_document_name VARCHAR(255),
+    OUT p_collection_name VARCHAR(255),
+    OUT p_new_document_version BIGINT UNSIGNED
+)
+BEGIN
+    DECLARE v_document_id BIGINT UNSIGNED;
+    DECLARE v_document_name VARCHAR(255);
+    DECLARE v_document_version BIGINT UNSIGNED;
+    DECLARE v_new_document_version BIGINT UNSIGNED;
+    DECLARE v_collection_id BIGINT UNSIGNED;
+    DECLARE v_collection_name VARCHAR(255);
+    DECLARE v_trash_collection_name VARCHAR(255);
+    DECLARE v_property_id BIGINT UNSIGNED;
+    DECLARE v_property_name VARCHAR(255);
+    DECLARE v_property_value JSON;
+    DECLARE v_properties JSON;
+    DECLARE v_snapshot JSON;
+    DECLARE v_message VARCHAR(255);
+    DECLARE i INT DEFAULT 0;
+    DECLARE j INT DEFAULT 0;
+
+    -- Declare a handler for SQL exceptions
+    DECLARE EXIT HANDLER FOR SQLEXCEPTION
+    BEGIN
+        -- Rollback the transaction on any error
+        IF @in_batch_transaction IS NULL THEN
+            ROLLBACK;
+        END IF;
+        -- Optionally, you can raise an error to notify the caller
+        RESIGNAL;
+    END;
+
+    -- Start a new transaction
+    IF @in_batch_transaction IS NULL THEN
+        START TRANSACTION;
+    END IF;
+
+    -- Get and lock the trash item, expired items cannot be restored
+    SET v_snapshot = NULL;
+    SELECT document_name, collection_name, snapshot INTO v_document_name, v_trash_collection_name, v_snapshot
+    FROM application_trash
+    WHERE trash_id = p_trash_id
+        AND (p_retention = 0 OR deleted_at > NOW() - INTERVAL p_retention SECOND)
+    FOR UPDATE;
+
+    IF v_snapshot IS NULL THEN
+        SET v_message = CONCAT('E_NOTFOUND - Could not find trash item ', p_trash_id);
+        SIGNAL SQLSTATE '45000'
+        SET MESSAGE_TEXT = v_message;
+    END IF;
+
+    SET v_document_version = 0;
+    SET v_document_id = NULL;
+
+    -- Serialize access to the transaction and check version, a deleted document is version 0
+    SELECT document_id, document_version INTO v_document_id, v_document_version
+    FROM application_documents
+    WHERE document_name = v_document_name FOR UPDATE;
+
+    IF v_document_version <> p_document_version THEN
+        SIGNAL SQLSTATE '45000'
+        SET MESSAGE_TEXT = 'E_VERSION - Refresh and reconcile with current version and retry.';
+    END IF;
+
+    IF v_document_id IS NOT NULL THEN
+        -- A trashed document or collection never overwrites one that exists
+        IF v_trash_collection_name = '' OR EXISTS (
+            SELECT 1
+            FROM application_documents_collections dc
+            JOIN application_collections c ON dc.collection_id = c.collection_id
+            WHERE dc.document_id = v_document_id AND c.collection_name = v_trash_collection_name
+        ) THEN
+            SET v_message = CONCAT('E_CONFLICT - "', v_document_name, IF(v_trash_collection_name = '', '', CONCAT('.', v_trash_collection_name)), '" already exists');
+            SIGNAL SQLSTATE '45000'
+            SET MESSAGE_TEXT = v_message;
+        END IF;
+    ELSE
+        -- Insert the document, a trashed collection is restored into a new document if its document was deleted
+        INSERT INTO application_documents (document_name)
+        VALUES (v_document_name);
+
+        SELECT document_id INTO v_document_id FROM application_documents WHERE document_name = v_document_name;
+    END IF;
+
+    -- Write the collections and properties from the snapshot
+    WHILE i < JSON_LENGTH(v_snapshot) DO
+        SET v_collection_name = JSON_UNQUOTE(JSON_EXTRACT(v_snapshot, CONCAT('$[', i, '].collection_name')));
+
+        INSERT INTO application_collections (collection_name)
+        VALUES (v_collection_name);
+
+        SET v_collection_id = LAST_INSERT_ID();
+
+        INSERT INTO application_documents_collections (document_id, collection_id)
+        VALUES (v_document_id, v_collection_id);
+
+        SET j = 0;
+        SET v_properties = JSON_EXTRACT(v_snapshot, CONCAT('$[', i, '].properties'));
+        WHILE j < JSON_LENGTH(v_properties) DO
+            SET v_property_name = JSON_UNQUOTE(JSON_EXTRACT(v_properties, CONCAT('$[', j, '].property_name')));
+            SET v_property_value = JSON_EXTRACT(v_properties, CONCAT('$[', j, '].property_value'));
+
+            INSERT INTO application_properties (property_name, property_value)
+            VALUES (v_property_name, v_property_value);
+
+            SET v_property_id = LAST_INSERT_ID();
+
+            INSERT INTO application_collections_properties (collection_id, property_id)
+            VALUES (v_collection_id, v_property_id);
+
+            SET j = j + 1;
+        END WHILE;
+
+        SET i = i + 1;
+    END WHILE;
+
+    -- Restoring is always a new version
+    SET v_new_document_version = v_document_version + 1;
+
+    UPDATE application_documents
+    SET document_version = v_new_document_version
+    WHERE document_id = v_document_id AND document_version = v_document_version;
+
+    IF ROW_COUNT() <= 0 THEN
+        SET v_message = CONCAT('E_VERSION - Failed to update document "', v_document_name, '" because of another transaction.');
+        SIGNAL SQLSTATE '45000' SET MESSAGE_TEXT = v_message;
+    END IF;
+
+    -- Record the new version in the document history, the changes are the restored collections
+    CALL jam_build.InsertApplicationDocumentHistory(v_document_name, v_document_id, v_new_document_version, 'restore', v_snapshot, NULL, NULL, p_changed_by);
+
+    -- The item is out of the trash
+    DELETE FROM application_trash WHERE trash_id = p_trash_id;
+
+    SET p_document_name = v_document_name;
+    SET p_collection_name = v_trash_collection_name;
+    SET p_new_document_version = v_new_document_version;
+
+    -- Commit the transaction
+    IF @in_batch_transaction IS NULL THEN
+        COMMIT;
+    END IF;
+END;
+$$
+
+CREATE PROCEDURE IF NOT EXISTS jam_build.DeleteApplicationTrash (
+    IN p_trash_id BIGINT UNSIGNED,
+    OUT p_deleted BIGINT UNSIGNED
+)
+BEGIN
+    -- A NULL p_trash_id empties the trash
+    DELETE FROM application_trash
+    WHERE (p_trash_id IS NULL OR trash_id = p_trash_id);
 
-        IF ROW_COUNT() <= 0 THEN
-            SET v_message = CONCAT('E_VERSION - Failed to update document "', p_document_name, '" for user "', p_user_id, '" because of another transaction.');
-            SIGNAL SQLSTATE '45000' SET MESSAGE_TEXT = v_message;
-        END IF;
+    SET p_deleted = ROW_COUNT();
+END;
+$$
 
-        SET p_new_document_version = v_new_document_version;
+CREATE PROCEDURE IF NOT EXISTS jam_build.GetTrashForUser(
+    IN p_user_id CHAR(36),
+    IN p_retention INT UNSIGNED,
+    OUT p_notfound INT
+)
+BEGIN
+    SET p_notfound = 0;
 
-        -- Commit the transaction
-        COMMIT;
-    END IF;
+    -- Expired items are not listed, a p_retention of 0 keeps the trash forever
+    SELECT
+        trash_id,
+        document_name,
+        collection_name,
+        document_version,
+        deleted_by,
+        deleted_at,
+        IF(p_retention = 0, NULL, deleted_at + INTERVAL p_retention SECOND) AS expires_at
+    FROM user_trash
+    WHERE user_id = p_user_id AND (p_retention = 0 OR deleted_at > NOW() - INTERVAL p_retention SECOND)
+    ORDER BY deleted_at DESC, trash_id DESC;
 END;
 $$
 
-CREATE PROCEDURE IF NOT EXISTS jam_build.DeleteUserProperties (
+CREATE PROCEDURE IF NOT EXISTS jam_build.RestoreUserTrash (
     IN p_user_id CHAR(36),
-    IN p_document_name VARCHAR(255),
+    IN p_trash_id BIGINT UNSIGNED,
+    IN p_retention INT UNSIGNED,
     IN p_document_version BIGINT UNSIGNED,
-    IN p_collection_data JSON,
+    IN p_changed_by CHAR(36),
+    OUT p_document_name VARCHAR(255),
+    OUT p_collection_name VARCHAR(255),
     OUT p_new_document_version BIGINT UNSIGNED
 )
 BEGIN
     DECLARE v_document_id BIGINT UNSIGNED;
+    DECLARE v_document_name VARCHAR(255);
     DECLARE v_document_version BIGINT UNSIGNED;
-    DECLARE v_document_updated INT DEFAULT 0;
     DECLARE v_new_document_version BIGINT UNSIGNED;
     DECLARE v_collection_id BIGINT UNSIGNED;
     DECLARE v_collection_name VARCHAR(255);
+    DECLARE v_trash_collection_name VARCHAR(255);
+    DECLARE v_property_id BIGINT UNSIGNED;
     DECLARE v_property_name VARCHAR(255);
-    DECLARE v_property_id INT;
-    DECLARE v_property_names JSON;
+    DECLARE v_property_value JSON;
+    DECLARE v_properties JSON;
+    DECLARE v_snapshot JSON;
     DECLARE v_message VARCHAR(255);
     DECLARE i INT DEFAULT 0;
     DECLARE j INT DEFAULT 0;
@@ -1153,144 +3977,410 @@ BEGIN
     DECLARE EXIT HANDLER FOR SQLEXCEPTION
     BEGIN
         -- Rollback the transaction on any error
-        ROLLBACK;
-        SET @in_user_transaction = NULL;
+        IF @in_batch_transaction IS NULL THEN
+            ROLLBACK;
+        END IF;
         -- Optionally, you can raise an error to notify the caller
         RESIGNAL;
     END;
 
     -- Start a new transaction
-    START TRANSACTION;
-    
-    SET v_document_version = 0;
+    IF @in_batch_transaction IS NULL THEN
+        START TRANSACTION;
+    END IF;
 
-    -- Serialize access to the transaction and check version
-    SELECT document_version INTO v_document_version
-    FROM user_documents 
-    WHERE user_id = p_user_id AND document_name = p_document_name FOR UPDATE;
+    -- Get and lock the trash item, expired items cannot be restored
+    SET v_snapshot = NULL;
+    SELECT document_name, collection_name, snapshot INTO v_document_name, v_trash_collection_name, v_snapshot
+    FROM user_trash
+    WHERE trash_id = p_trash_id AND user_id = p_user_id
+        AND (p_retention = 0 OR deleted_at > NOW() - INTERVAL p_retention SECOND)
+    FOR UPDATE;
 
-    IF v_document_version <> p_document_version THEN
+    IF v_snapshot IS NULL THEN
+        SET v_message = CONCAT('E_NOTFOUND - Could not find trash item ', p_trash_id, ' for user "', p_user_id, '"');
         SIGNAL SQLSTATE '45000'
-        SET MESSAGE_TEXT = 'E_VERSION - Refresh and reconcile with current version before continuing.';
+        SET MESSAGE_TEXT = v_message;
     END IF;
 
-    SET @in_user_transaction = 1;
+    SET v_document_version = 0;
     SET v_document_id = NULL;
-    SET v_document_updated = 0;
 
-    IF JSON_LENGTH(p_collection_data) = 0 THEN
-        SET v_message = CONCAT('No collection data was supplied for document "', p_document_name, '"');
+    -- Serialize access to the transaction and check version, a deleted document is version 0
+    SELECT document_id, document_version INTO v_document_id, v_document_version
+    FROM user_documents
+    WHERE user_id = p_user_id AND document_name = v_document_name FOR UPDATE;
+
+    IF v_document_version <> p_document_version THEN
         SIGNAL SQLSTATE '45000'
-        SET MESSAGE_TEXT = v_message;
+        SET MESSAGE_TEXT = 'E_VERSION - Refresh and reconcile with current version and retry.';
     END IF;
 
-    -- Get the document_id for the given user_id and document_name
-    SELECT document_id INTO v_document_id FROM user_documents WHERE user_id = p_user_id AND document_name = p_document_name;
-
     IF v_document_id IS NOT NULL THEN
-        WHILE i < JSON_LENGTH(p_collection_data) DO
-            SET v_collection_id = NULL;
+        -- A trashed document or collection never overwrites one that exists
+        IF v_trash_collection_name = '' OR EXISTS (
+            SELECT 1
+            FROM user_documents_collections dc
+            JOIN user_collections c ON dc.collection_id = c.collection_id
+            WHERE dc.document_id = v_document_id AND c.collection_name = v_trash_collection_name
+        ) THEN
+            SET v_message = CONCAT('E_CONFLICT - "', v_document_name, IF(v_trash_collection_name = '', '', CONCAT('.', v_trash_collection_name)), '" already exists');
+            SIGNAL SQLSTATE '45000'
+            SET MESSAGE_TEXT = v_message;
+        END IF;
+    ELSE
+        -- Insert the document, a trashed collection is restored into a new document if its document was deleted
+        INSERT INTO user_documents (user_id, document_name)
+        VALUES (p_user_id, v_document_name);
 
-            -- Get the collection name and property names for this iteration
-            SET v_collection_name = JSON_UNQUOTE(JSON_EXTRACT(p_collection_data, CONCAT('$[', i, '].collection_name')));
-            SET v_property_names = JSON_EXTRACT(p_collection_data, CONCAT('$[', i, '].property_names'));
+        SELECT document_id INTO v_document_id FROM user_documents WHERE user_id = p_user_id AND document_name = v_document_name;
+    END IF;
 
-            IF v_collection_name IS NULL THEN
-                SIGNAL SQLSTATE '45000' SET MESSAGE_TEXT = 'JSON input did not contain an expected collection_name';
-            END IF;
-            
-            -- Get the collection_id for the given collection_name within the document
-            SELECT collection_id INTO v_collection_id FROM user_collections 
-            WHERE collection_id IN (
-                SELECT collection_id FROM user_documents_collections 
-                WHERE document_id = v_document_id AND collection_id IN (
-                    SELECT collection_id FROM user_collections WHERE collection_name = v_collection_name
-                )
-            );
+    -- Write the collections and properties from the snapshot
+    WHILE i < JSON_LENGTH(v_snapshot) DO
+        SET v_collection_name = JSON_UNQUOTE(JSON_EXTRACT(v_snapshot, CONCAT('$[', i, '].collection_name')));
 
-            IF v_collection_id IS NOT NULL THEN
-                -- if v_property_names is empty, then delete the whole collection
-                IF v_property_names IS NULL OR JSON_LENGTH(v_property_names) = 0 THEN
-                    CALL jam_build.DeleteUserCollection(p_user_id, p_document_name, p_document_version, v_collection_name, NULL);
-                    SET v_document_updated = 1;
-                ELSE
-                    -- Delete specified properties for this collection
-                    WHILE j < JSON_LENGTH(v_property_names) DO
-                        SET v_property_id = NULL;
-            
-                        -- Get the property name for this iteration
-                        SET v_property_name = JSON_UNQUOTE(JSON_EXTRACT(v_property_names, CONCAT('$[', j, ']')));
+        INSERT INTO user_collections (collection_name)
+        VALUES (v_collection_name);
 
-                        IF v_property_name IS NULL THEN
-                            SIGNAL SQLSTATE '45000' SET MESSAGE_TEXT = 'JSON input did not contain expected array of property names';
-                        END IF;
+        SET v_collection_id = LAST_INSERT_ID();
 
-                        -- Get the property_id for the given property_name
-                        SELECT property_id INTO v_property_id FROM user_properties
-                            WHERE property_name = v_property_name AND property_id IN (
-                                SELECT property_id from user_collections_properties WHERE collection_id = v_collection_id
-                            );
+        INSERT INTO user_documents_collections (document_id, collection_id)
+        VALUES (v_document_id, v_collection_id);
 
-                        IF v_property_id IS NOT NULL THEN
-                            -- Delete the property from the collection (CASCADE will handle deletions in user_collections_properties)
-                            DELETE FROM user_collections_properties 
-                            WHERE collection_id = v_collection_id AND property_id = v_property_id;
+        SET j = 0;
+        SET v_properties = JSON_EXTRACT(v_snapshot, CONCAT('$[', i, '].properties'));
+        WHILE j < JSON_LENGTH(v_properties) DO
+            SET v_property_name = JSON_UNQUOTE(JSON_EXTRACT(v_properties, CONCAT('$[', j, '].property_name')));
+            SET v_property_value = JSON_EXTRACT(v_properties, CONCAT('$[', j, '].property_value'));
 
-                            SET v_document_updated = 1;
-                        END IF;
+            INSERT INTO user_properties (property_name, property_value)
+            VALUES (v_property_name, v_property_value);
 
-                        SET j = j + 1;
-                    END WHILE;
-                END IF;
-            END IF;
+            SET v_property_id = LAST_INSERT_ID();
 
-            SET i = i + 1;
+            INSERT INTO user_collections_properties (collection_id, property_id)
+            VALUES (v_collection_id, v_property_id);
+
+            SET j = j + 1;
         END WHILE;
 
-        -- Clean up unused user_collections
-        DELETE FROM user_collections 
-        WHERE collection_id NOT IN (
-            SELECT collection_id FROM user_documents_collections
-        );
+        SET i = i + 1;
+    END WHILE;
 
-        -- Clean up unused user_collections_properties
-        DELETE FROM user_collections_properties 
-        WHERE collection_id NOT IN (
-            SELECT collection_id FROM user_documents_collections
-        );
-        
-        -- Clean up unused user_properties
-        DELETE FROM user_properties 
-        WHERE property_id NOT IN (
-            SELECT property_id FROM user_collections_properties
-        );
+    -- Restoring is always a new version
+    SET v_new_document_version = v_document_version + 1;
+
+    UPDATE user_documents
+    SET document_version = v_new_document_version
+    WHERE document_id = v_document_id AND document_version = v_document_version;
+
+    IF ROW_COUNT() <= 0 THEN
+        SET v_message = CONCAT('E_VERSION - Failed to update document "', v_document_name, '" for user "', p_user_id, '" because of another transaction.');
+        SIGNAL SQLSTATE '45000' SET MESSAGE_TEXT = v_message;
+    END IF;
+
+    -- Record the new version in the document history, the changes are the restored collections
+    CALL jam_build.InsertUserDocumentHistory(p_user_id, v_document_name, v_document_id, v_new_document_version, 'restore', v_snapshot, NULL, NULL, p_changed_by);
+
+    -- The item is out of the trash
+    DELETE FROM user_trash WHERE trash_id = p_trash_id;
+
+    SET p_document_name = v_document_name;
+    SET p_collection_name = v_trash_collection_name;
+    SET p_new_document_version = v_new_document_version;
+
+    -- Commit the transaction
+    IF @in_batch_transaction IS NULL THEN
+        COMMIT;
+    END IF;
+END;
+$$
+
+CREATE PROCEDURE IF NOT EXISTS jam_build.DeleteUserTrash (
+    IN p_user_id CHAR(36),
+    IN p_trash_id BIGINT UNSIGNED,
+    OUT p_deleted BIGINT UNSIGNED
+)
+BEGIN
+    -- A NULL p_trash_id empties the trash
+    DELETE FROM user_trash
+    WHERE user_id = p_user_id AND (p_trash_id IS NULL OR trash_id = p_trash_id);
+
+    SET p_deleted = ROW_COUNT();
+END;
+$$
+
+CREATE PROCEDURE IF NOT EXISTS jam_build.CollectExpiredTrash (
+    IN p_retention INT UNSIGNED,
+    IN p_batch_size INT UNSIGNED,
+    IN p_dry_run BOOLEAN,
+    OUT p_application BIGINT UNSIGNED,
+    OUT p_user BIGINT UNSIGNED
+)
+BEGIN
+    -- Declare a handler for SQL exceptions
+    DECLARE EXIT HANDLER FOR SQLEXCEPTION
+    BEGIN
+        -- Rollback the transaction on any error
+        ROLLBACK;
+        -- Optionally, you can raise an error to notify the caller
+        RESIGNAL;
+    END;
+
+    -- A p_retention of 0 keeps the trash forever
+    IF p_retention = 0 THEN
+        SET p_application = 0;
+        SET p_user = 0;
+    ELSEIF p_dry_run THEN
+        -- Count the expired trash items
+        SELECT COUNT(*) INTO p_application
+        FROM application_trash
+        WHERE deleted_at <= NOW() - INTERVAL p_retention SECOND;
+
+        SELECT COUNT(*) INTO p_user
+        FROM user_trash
+        WHERE deleted_at <= NOW() - INTERVAL p_retention SECOND;
     ELSE
-        SET v_message = CONCAT('Could not find document_id for the input document_name "', p_document_name, '" and user_id "', p_user_id, '"');
-        SIGNAL SQLSTATE '45000'
-        SET MESSAGE_TEXT = v_message;
+        -- Start a new transaction for this batch
+        START TRANSACTION;
+
+        -- Delete a batch of expired trash items
+        DELETE FROM application_trash
+        WHERE deleted_at <= NOW() - INTERVAL p_retention SECOND
+        LIMIT p_batch_size;
+        SET p_application = ROW_COUNT();
+
+        DELETE FROM user_trash
+        WHERE deleted_at <= NOW() - INTERVAL p_retention SECOND
+        LIMIT p_batch_size;
+        SET p_user = ROW_COUNT();
+
+        -- Commit the batch
+        COMMIT;
     END IF;
+END;
+$$
 
-    -- Update the document version and return it
-    IF v_document_updated > 0 THEN
-        SET v_new_document_version = v_document_version + 1;
-    
-        UPDATE user_documents
-        SET document_version = v_new_document_version
-        WHERE document_id = v_document_id AND document_version = v_document_version;
+CREATE PROCEDURE IF NOT EXISTS jam_build.CollectExpiredProperties (
+    IN p_batch_size INT UNSIGNED,
+    IN p_dry_run BOOLEAN,
+    OUT p_application BIGINT UNSIGNED,
+    OUT p_user BIGINT UNSIGNED
+)
+BEGIN
+    -- Declare a handler for SQL exceptions
+    DECLARE EXIT HANDLER FOR SQLEXCEPTION
+    BEGIN
+        -- Rollback the transaction on any error
+        ROLLBACK;
+        -- Optionally, you can raise an error to notify the caller
+        RESIGNAL;
+    END;
 
-        IF ROW_COUNT() <= 0 THEN
-            SET v_message = CONCAT('E_VERSION - Failed to update document "', p_document_name, '" for user "', p_user_id, '" because of another transaction.');
-            SIGNAL SQLSTATE '45000' SET MESSAGE_TEXT = v_message;
-        END IF;
+    IF p_dry_run THEN
+        -- Count the expired properties
+        SELECT COUNT(*) INTO p_application
+        FROM application_properties
+        WHERE expires_at <= NOW();
+
+        SELECT COUNT(*) INTO p_user
+        FROM user_properties
+        WHERE expires_at <= NOW();
     ELSE
-        SET v_new_document_version = v_document_version;
+        -- Start a new transaction for this batch
+        START TRANSACTION;
+
+        -- Delete a batch of expired properties (CASCADE will handle deletions in the collections_properties tables)
+        DELETE FROM application_properties
+        WHERE expires_at <= NOW()
+        LIMIT p_batch_size;
+        SET p_application = ROW_COUNT();
+
+        DELETE FROM user_properties
+        WHERE expires_at <= NOW()
+        LIMIT p_batch_size;
+        SET p_user = ROW_COUNT();
+
+        -- Commit the batch
+        COMMIT;
     END IF;
+END;
+$$
 
-    SET p_new_document_version = v_new_document_version;
+CREATE PROCEDURE IF NOT EXISTS jam_build.GetIdempotencyKey (
+    IN p_user_id CHAR(36),
+    IN p_idempotency_key VARCHAR(255),
+    IN p_retention INT UNSIGNED,
+    OUT p_notfound INT
+)
+BEGIN
+    -- Expired keys are not found
+    SELECT request_hash, response_status, response_body
+    FROM idempotency_keys
+    WHERE user_id = p_user_id AND idempotency_key = p_idempotency_key
+        AND created_at > NOW() - INTERVAL p_retention SECOND;
 
-    -- Commit the transaction
-    COMMIT;
-    SET @in_user_transaction = NULL;
+    SET p_notfound = FOUND_ROWS() = 0;
+END;
+$$
+
+CREATE PROCEDURE IF NOT EXISTS jam_build.ReserveIdempotencyKey (
+    IN p_user_id CHAR(36),
+    IN p_idempotency_key VARCHAR(255),
+    IN p_request_hash CHAR(64),
+    IN p_retention INT UNSIGNED,
+    IN p_pending_timeout INT UNSIGNED,
+    OUT p_reserved INT
+)
+BEGIN
+    -- Remove the expired keys of the user, so an expired key can be used again
+    -- A reservation past the pending timeout was abandoned, by a server that stopped for example
+    DELETE FROM idempotency_keys
+    WHERE user_id = p_user_id AND (
+        created_at <= NOW() - INTERVAL p_retention SECOND
+        OR (response_status IS NULL AND created_at <= NOW() - INTERVAL p_pending_timeout SECOND)
+    );
+
+    -- Only the first request for a key is reserved, until its response is kept or the reservation released
+    INSERT IGNORE INTO idempotency_keys (user_id, idempotency_key, request_hash)
+    VALUES (p_user_id, p_idempotency_key, p_request_hash);
+
+    SET p_reserved = ROW_COUNT() > 0;
+END;
+$$
+
+CREATE PROCEDURE IF NOT EXISTS jam_build.KeepIdempotencyResponse (
+    IN p_user_id CHAR(36),
+    IN p_idempotency_key VARCHAR(255),
+    IN p_response_status SMALLINT UNSIGNED,
+    IN p_response_body JSON
+)
+BEGIN
+    UPDATE idempotency_keys
+    SET response_status = p_response_status, response_body = p_response_body
+    WHERE user_id = p_user_id AND idempotency_key = p_idempotency_key AND response_status IS NULL;
+END;
+$$
+
+CREATE PROCEDURE IF NOT EXISTS jam_build.ReleaseIdempotencyKey (
+    IN p_user_id CHAR(36),
+    IN p_idempotency_key VARCHAR(255)
+)
+BEGIN
+    DELETE FROM idempotency_keys
+    WHERE user_id = p_user_id AND idempotency_key = p_idempotency_key AND response_status IS NULL;
+END;
+$$
+
+CREATE PROCEDURE IF NOT EXISTS jam_build.CollectExpiredIdempotencyKeys (
+    IN p_retention INT UNSIGNED,
+    IN p_batch_size INT UNSIGNED,
+    IN p_dry_run BOOLEAN,
+    OUT p_keys BIGINT UNSIGNED
+)
+BEGIN
+    IF p_dry_run THEN
+        -- Count the expired keys
+        SELECT COUNT(*) INTO p_keys
+        FROM idempotency_keys
+        WHERE created_at <= NOW() - INTERVAL p_retention SECOND;
+    ELSE
+        -- Delete a batch of expired keys
+        DELETE FROM idempotency_keys
+        WHERE created_at <= NOW() - INTERVAL p_retention SECOND
+        LIMIT p_batch_size;
+        SET p_keys = ROW_COUNT();
+    END IF;
+END;
+$$
+
+CREATE PROCEDURE IF NOT EXISTS jam_build.CollectExpiredHistory (
+    IN p_max_versions INT UNSIGNED,
+    IN p_retention INT UNSIGNED,
+    IN p_batch_size INT UNSIGNED,
+    IN p_dry_run BOOLEAN,
+    OUT p_application BIGINT UNSIGNED,
+    OUT p_user BIGINT UNSIGNED
+)
+BEGIN
+    -- Declare a handler for SQL exceptions
+    DECLARE EXIT HANDLER FOR SQLEXCEPTION
+    BEGIN
+        -- Rollback the transaction on any error
+        ROLLBACK;
+        -- Optionally, you can raise an error to notify the caller
+        RESIGNAL;
+    END;
+
+    -- A p_max_versions of 0 keeps all versions, a p_retention of 0 keeps them by count only.
+    -- The latest version of each document is always kept (version_rank 1), retired histories are ranked on their own.
+    IF p_max_versions = 0 AND p_retention = 0 THEN
+        SET p_application = 0;
+        SET p_user = 0;
+    ELSEIF p_dry_run THEN
+        -- Count the expired versions
+        SELECT COUNT(*) INTO p_application
+        FROM (
+            SELECT changed_at,
+                ROW_NUMBER() OVER (PARTITION BY document_name, retired_at ORDER BY history_id DESC) AS version_rank
+            FROM application_documents_history
+        ) ranked
+        WHERE version_rank > 1 AND (
+            (p_max_versions > 0 AND version_rank > p_max_versions) OR
+            (p_retention > 0 AND changed_at <= NOW() - INTERVAL p_retention SECOND)
+        );
+
+        SELECT COUNT(*) INTO p_user
+        FROM (
+            SELECT changed_at,
+                ROW_NUMBER() OVER (PARTITION BY user_id, document_name, retired_at ORDER BY history_id DESC) AS version_rank
+            FROM user_documents_history
+        ) ranked
+        WHERE version_rank > 1 AND (
+            (p_max_versions > 0 AND version_rank > p_max_versions) OR
+            (p_retention > 0 AND changed_at <= NOW() - INTERVAL p_retention SECOND)
+        );
+    ELSE
+        -- Start a new transaction for this batch
+        START TRANSACTION;
+
+        -- Delete a batch of expired versions, the derived table is materialized before the delete
+        DELETE h FROM application_documents_history h
+        JOIN (
+            SELECT history_id
+            FROM (
+                SELECT history_id, changed_at,
+                    ROW_NUMBER() OVER (PARTITION BY document_name, retired_at ORDER BY history_id DESC) AS version_rank
+                FROM application_documents_history
+            ) ranked
+            WHERE version_rank > 1 AND (
+                (p_max_versions > 0 AND version_rank > p_max_versions) OR
+                (p_retention > 0 AND changed_at <= NOW() - INTERVAL p_retention SECOND)
+            )
+            LIMIT p_batch_size
+        ) expired ON h.history_id = expired.history_id;
+        SET p_application = ROW_COUNT();
+
+        DELETE h FROM user_documents_history h
+        JOIN (
+            SELECT history_id
+            FROM (
+                SELECT history_id, changed_at,
+                    ROW_NUMBER() OVER (PARTITION BY user_id, document_name, retired_at ORDER BY history_id DESC) AS version_rank
+                FROM user_documents_history
+            ) ranked
+            WHERE version_rank > 1 AND (
+                (p_max_versions > 0 AND version_rank > p_max_versions) OR
+                (p_retention > 0 AND changed_at <= NOW() - INTERVAL p_retention SECOND)
+            )
+            LIMIT p_batch_size
+        ) expired ON h.history_id = expired.history_id;
+        SET p_user = ROW_COUNT();
+
+        -- Commit the batch
+        COMMIT;
+    END IF;
 END;
 $$
 
@@ -43,12 +43,50 @@ GRANT SELECT, INSERT, UPDATE, DELETE ON jam_build.user_properties TO 'jbadmin'@'
 GRANT SELECT ON jam_build.application_properties TO 'jbuser'@'%';
 GRANT SELECT, INSERT, UPDATE, DELETE ON jam_build.user_properties TO 'jbuser'@'%';
 
+-- Grant SELECT, INSERT, UPDATE, DELETE permissions on the application_documents_history and user_documents_history tables to jbadmin
+-- Grant SELECT, INSERT, UPDATE, DELETE permissions on user_documents_history to jbuser
+-- (UPDATE is for the history to follow a renamed document and retire the history it replaces, DELETE is for purge and pruning)
+GRANT SELECT, INSERT, UPDATE, DELETE ON jam_build.application_documents_history TO 'jbadmin'@'%';
+GRANT SELECT, INSERT, UPDATE, DELETE ON jam_build.user_documents_history TO 'jbadmin'@'%';
+GRANT SELECT, INSERT, UPDATE, DELETE ON jam_build.user_documents_history TO 'jbuser'@'%';
+
+-- Grant SELECT, INSERT, UPDATE, DELETE permissions on the application_document_schemas and user_document_schemas tables to jbadmin
+-- Grant SELECT permissions on application_document_schemas and user_document_schemas to jbuser
+GRANT SELECT, INSERT, UPDATE, DELETE ON jam_build.application_document_schemas TO 'jbadmin'@'%';
+GRANT SELECT, INSERT, UPDATE, DELETE ON jam_build.user_document_schemas TO 'jbadmin'@'%';
+GRANT SELECT ON jam_build.application_document_schemas TO 'jbuser'@'%';
+GRANT SELECT ON jam_build.user_document_schemas TO 'jbuser'@'%';
+
+-- Grant SELECT, INSERT, UPDATE, DELETE permissions on the user_document_shares table to jbadmin, jbuser
+GRANT SELECT, INSERT, UPDATE, DELETE ON jam_build.user_document_shares TO 'jbadmin'@'%';
+GRANT SELECT, INSERT, UPDATE, DELETE ON jam_build.user_document_shares TO 'jbuser'@'%';
+
+-- Grant SELECT, INSERT, DELETE permissions on the user_document_links table to jbadmin, jbuser
+GRANT SELECT, INSERT, DELETE ON jam_build.user_document_links TO 'jbadmin'@'%';
+GRANT SELECT, INSERT, DELETE ON jam_build.user_document_links TO 'jbuser'@'%';
+
+-- Grant SELECT, INSERT, DELETE permissions on the application_trash and user_trash tables to jbadmin
+-- Grant SELECT, INSERT, DELETE permissions on user_trash to jbuser
+GRANT SELECT, INSERT, DELETE ON jam_build.application_trash TO 'jbadmin'@'%';
+GRANT SELECT, INSERT, DELETE ON jam_build.user_trash TO 'jbadmin'@'%';
+GRANT SELECT, INSERT, DELETE ON jam_build.user_trash TO 'jbuser'@'%';
+
+-- Grant SELECT, INSERT, DELETE permissions on the idempotency_keys table to jbadmin and jbuser
+GRANT SELECT, INSERT, DELETE ON jam_build.idempotency_keys TO 'jbadmin'@'%';
+GRANT SELECT, INSERT, DELETE ON jam_build.idempotency_keys TO 'jbuser'@'%';
+
 -- Grant execute permission on GetPropertiesForApplication/UserDocumentAndCollection to jbadmin, jbuser
 GRANT EXECUTE ON PROCEDURE jam_build.GetPropertiesForApplicationDocumentAndCollection TO 'jbadmin'@'%';
 GRANT EXECUTE ON PROCEDURE jam_build.GetPropertiesForApplicationDocumentAndCollection TO 'jbuser'@'%';
 GRANT EXECUTE ON PROCEDURE jam_build.GetPropertiesForUserDocumentAndCollection TO 'jbadmin'@'%';
 GRANT EXECUTE ON PROCEDURE jam_build.GetPropertiesForUserDocumentAndCollection TO 'jbuser'@'%';
 
+-- Grant execute permission on GetPropertyForApplication/UserDocumentAndCollection to jbadmin, jbuser
+GRANT EXECUTE ON PROCEDURE jam_build.GetPropertyForApplicationDocumentAndCollection TO 'jbadmin'@'%';
+GRANT EXECUTE ON PROCEDURE jam_build.GetPropertyForApplicationDocumentAndCollection TO 'jbuser'@'%';
+GRANT EXECUTE ON PROCEDURE jam_build.GetPropertyForUserDocumentAndCollection TO 'jbadmin'@'%';
+GRANT EXECUTE ON PROCEDURE jam_build.GetPropertyForUserDocumentAndCollection TO 'jbuser'@'%';
+
 -- Grant execute permission on GetPropertiesAndCollectionsForApplication/UserDocument to jbadmin, jbuser
 GRANT EXECUTE ON PROCEDURE jam_build.GetPropertiesAndCollectionsForApplicationDocument TO 'jbadmin'@'%';
 GRANT EXECUTE ON PROCEDURE jam_build.GetPropertiesAndCollectionsForApplicationDocument TO 'jbuser'@'%';
@@ -61,6 +99,62 @@ GRANT EXECUTE ON PROCEDURE jam_build.GetPropertiesAndCollectionsAndDocumentsForA
 GRANT EXECUTE ON PROCEDURE jam_build.GetPropertiesAndCollectionsAndDocumentsForUser TO 'jbadmin'@'%';
 GRANT EXECUTE ON PROCEDURE jam_build.GetPropertiesAndCollectionsAndDocumentsForUser TO 'jbuser'@'%';
 
+-- Grant execute permission on GetHistory[Version]ForApplicationDocument to jbadmin
+GRANT EXECUTE ON PROCEDURE jam_build.GetHistoryForApplicationDocument TO 'jbadmin'@'%';
+GRANT EXECUTE ON PROCEDURE jam_build.GetHistoryVersionForApplicationDocument TO 'jbadmin'@'%';
+
+-- Grant execute permission on GetHistory[Version]ForUserDocument to jbadmin, jbuser
+GRANT EXECUTE ON PROCEDURE jam_build.GetHistoryForUserDocument TO 'jbadmin'@'%';
+GRANT EXECUTE ON PROCEDURE jam_build.GetHistoryForUserDocument TO 'jbuser'@'%';
+GRANT EXECUTE ON PROCEDURE jam_build.GetHistoryVersionForUserDocument TO 'jbadmin'@'%';
+GRANT EXECUTE ON PROCEDURE jam_build.GetHistoryVersionForUserDocument TO 'jbuser'@'%';
+
+-- Grant execute permission on GetChangesSinceForApplication/UserDocument to jbadmin, jbuser
+GRANT EXECUTE ON PROCEDURE jam_build.GetChangesSinceForApplicationDocument TO 'jbadmin'@'%';
+GRANT EXECUTE ON PROCEDURE jam_build.GetChangesSinceForApplicationDocument TO 'jbuser'@'%';
+GRANT EXECUTE ON PROCEDURE jam_build.GetChangesSinceForUserDocument TO 'jbadmin'@'%';
+GRANT EXECUTE ON PROCEDURE jam_build.GetChangesSinceForUserDocument TO 'jbuser'@'%';
+
+-- Grant execute permission on GetUsageForUser to jbadmin, jbuser
+GRANT EXECUTE ON PROCEDURE jam_build.GetUsageForUser TO 'jbadmin'@'%';
+GRANT EXECUTE ON PROCEDURE jam_build.GetUsageForUser TO 'jbuser'@'%';
+
+-- Grant execute permission on the user document share procedures to jbadmin, jbuser
+GRANT EXECUTE ON PROCEDURE jam_build.GetSharesForUserDocument TO 'jbadmin'@'%';
+GRANT EXECUTE ON PROCEDURE jam_build.GetSharesForUserDocument TO 'jbuser'@'%';
+GRANT EXECUTE ON PROCEDURE jam_build.GetGranteesForUserDocument TO 'jbadmin'@'%';
+GRANT EXECUTE ON PROCEDURE jam_build.GetGranteesForUserDocument TO 'jbuser'@'%';
+GRANT EXECUTE ON PROCEDURE jam_build.GetSharedDocumentsForUser TO 'jbadmin'@'%';
+GRANT EXECUTE ON PROCEDURE jam_build.GetSharedDocumentsForUser TO 'jbuser'@'%';
+GRANT EXECUTE ON PROCEDURE jam_build.GetShareAccessForUserDocument TO 'jbadmin'@'%';
+GRANT EXECUTE ON PROCEDURE jam_build.GetShareAccessForUserDocument TO 'jbuser'@'%';
+GRANT EXECUTE ON PROCEDURE jam_build.UpsertUserDocumentShare TO 'jbadmin'@'%';
+GRANT EXECUTE ON PROCEDURE jam_build.UpsertUserDocumentShare TO 'jbuser'@'%';
+GRANT EXECUTE ON PROCEDURE jam_build.DeleteUserDocumentShare TO 'jbadmin'@'%';
+GRANT EXECUTE ON PROCEDURE jam_build.DeleteUserDocumentShare TO 'jbuser'@'%';
+
+-- Grant execute permission on the user document link procedures to jbadmin, jbuser
+GRANT EXECUTE ON PROCEDURE jam_build.GetLinksForUserDocument TO 'jbadmin'@'%';
+GRANT EXECUTE ON PROCEDURE jam_build.GetLinksForUserDocument TO 'jbuser'@'%';
+GRANT EXECUTE ON PROCEDURE jam_build.InsertUserDocumentLink TO 'jbadmin'@'%';
+GRANT EXECUTE ON PROCEDURE jam_build.InsertUserDocumentLink TO 'jbuser'@'%';
+GRANT EXECUTE ON PROCEDURE jam_build.DeleteUserDocumentLink TO 'jbadmin'@'%';
+GRANT EXECUTE ON PROCEDURE jam_build.DeleteUserDocumentLink TO 'jbuser'@'%';
+GRANT EXECUTE ON PROCEDURE jam_build.GetPropertiesAndCollectionsForUserDocumentLink TO 'jbadmin'@'%';
+GRANT EXECUTE ON PROCEDURE jam_build.GetPropertiesAndCollectionsForUserDocumentLink TO 'jbuser'@'%';
+
+-- Grant execute permission on GetSchemasForApplication/UserDocument to jbadmin, jbuser
+GRANT EXECUTE ON PROCEDURE jam_build.GetSchemasForApplicationDocument TO 'jbadmin'@'%';
+GRANT EXECUTE ON PROCEDURE jam_build.GetSchemasForApplicationDocument TO 'jbuser'@'%';
+GRANT EXECUTE ON PROCEDURE jam_build.GetSchemasForUserDocument TO 'jbadmin'@'%';
+GRANT EXECUTE ON PROCEDURE jam_build.GetSchemasForUserDocument TO 'jbuser'@'%';
+
+-- Grant execute permission on Upsert/DeleteApplication/UserDocumentSchema to jbadmin
+GRANT EXECUTE ON PROCEDURE jam_build.UpsertApplicationDocumentSchema TO 'jbadmin'@'%';
+GRANT EXECUTE ON PROCEDURE jam_build.DeleteApplicationDocumentSchema TO 'jbadmin'@'%';
+GRANT EXECUTE ON PROCEDURE jam_build.UpsertUserDocumentSchema TO 'jbadmin'@'%';
+GRANT EXECUTE ON PROCEDURE jam_build.DeleteUserDocumentSchema TO 'jbadmin'@'%';
+
 -- Grant execute permission on InsertPropertiesForApplicationDocumentCollection to jbadmin
 GRANT EXECUTE ON PROCEDURE jam_build.UpsertApplicationDocumentWithCollectionsAndProperties TO 'jbadmin'@'%';
 
@@ -85,5 +179,87 @@ GRANT EXECUTE ON PROCEDURE jam_build.DeleteUserCollection TO 'jbuser'@'%';
 -- Grant execute permission on DeleteUserProperties to jbuser
 GRANT EXECUTE ON PROCEDURE jam_build.DeleteUserProperties TO 'jbuser'@'%';
 
+-- Grant execute permission on RestoreApplicationDocument to jbadmin
+GRANT EXECUTE ON PROCEDURE jam_build.RestoreApplicationDocument TO 'jbadmin'@'%';
+
+-- Grant execute permission on RestoreUserDocument to jbuser
+GRANT EXECUTE ON PROCEDURE jam_build.RestoreUserDocument TO 'jbuser'@'%';
+
+-- Grant execute permission on RenameApplicationDocument, MoveApplicationCollection to jbadmin
+GRANT EXECUTE ON PROCEDURE jam_build.RenameApplicationDocument TO 'jbadmin'@'%';
+GRANT EXECUTE ON PROCEDURE jam_build.MoveApplicationCollection TO 'jbadmin'@'%';
+
+-- Grant execute permission on RenameUserDocument, MoveUserCollection to jbuser
+GRANT EXECUTE ON PROCEDURE jam_build.RenameUserDocument TO 'jbuser'@'%';
+GRANT EXECUTE ON PROCEDURE jam_build.MoveUserCollection TO 'jbuser'@'%';
+-- Grant execute permission on CopyApplicationDocumentToUser to jbadmin, jbuser
+GRANT EXECUTE ON PROCEDURE jam_build.CopyApplicationDocumentToUser TO 'jbadmin'@'%';
+GRANT EXECUTE ON PROCEDURE jam_build.CopyApplicationDocumentToUser TO 'jbuser'@'%';
+-- Grant execute permission on PurgeUserData to jbadmin, jbuser
+GRANT EXECUTE ON PROCEDURE jam_build.PurgeUserData TO 'jbadmin'@'%';
+GRANT EXECUTE ON PROCEDURE jam_build.PurgeUserData TO 'jbuser'@'%';
+
+-- Grant execute permission on CollectApplicationOrphans to jbadmin
+GRANT EXECUTE ON PROCEDURE jam_build.CollectApplicationOrphans TO 'jbadmin'@'%';
+
+-- Grant execute permission on CollectUserOrphans to jbadmin
+GRANT EXECUTE ON PROCEDURE jam_build.CollectUserOrphans TO 'jbadmin'@'%';
+
+-- Grant execute permission on GetPropertiesAndCollectionsForApplicationDocumentWhere to jbadmin, jbuser
+GRANT EXECUTE ON PROCEDURE jam_build.GetPropertiesAndCollectionsForApplicationDocumentWhere TO 'jbadmin'@'%';
+GRANT EXECUTE ON PROCEDURE jam_build.GetPropertiesAndCollectionsForApplicationDocumentWhere TO 'jbuser'@'%';
+
+-- Grant execute permission on GetPropertiesAndCollectionsForUserDocumentWhere to jbadmin, jbuser
+GRANT EXECUTE ON PROCEDURE jam_build.GetPropertiesAndCollectionsForUserDocumentWhere TO 'jbadmin'@'%';
+GRANT EXECUTE ON PROCEDURE jam_build.GetPropertiesAndCollectionsForUserDocumentWhere TO 'jbuser'@'%';
+
+-- Grant execute permission on GetProjectedPropertiesAndCollectionsForApplicationDocument to jbadmin, jbuser
+GRANT EXECUTE ON PROCEDURE jam_build.GetProjectedPropertiesAndCollectionsForApplicationDocument TO 'jbadmin'@'%';
+GRANT EXECUTE ON PROCEDURE jam_build.GetProjectedPropertiesAndCollectionsForApplicationDocument TO 'jbuser'@'%';
+
+-- Grant execute permission on GetProjectedPropertiesAndCollectionsForUserDocument to jbadmin, jbuser
+GRANT EXECUTE ON PROCEDURE jam_build.GetProjectedPropertiesAndCollectionsForUserDocument TO 'jbadmin'@'%';
+GRANT EXECUTE ON PROCEDURE jam_build.GetProjectedPropertiesAndCollectionsForUserDocument TO 'jbuser'@'%';
+
+-- Grant execute permission on GetProjectedPropertiesAndCollectionsAndDocumentsForApplication to jbadmin, jbuser
+GRANT EXECUTE ON PROCEDURE jam_build.GetProjectedPropertiesAndCollectionsAndDocumentsForApplication TO 'jbadmin'@'%';
+GRANT EXECUTE ON PROCEDURE jam_build.GetProjectedPropertiesAndCollectionsAndDocumentsForApplication TO 'jbuser'@'%';
+
+-- Grant execute permission on GetProjectedPropertiesAndCollectionsAndDocumentsForUser to jbadmin, jbuser
+GRANT EXECUTE ON PROCEDURE jam_build.GetProjectedPropertiesAndCollectionsAndDocumentsForUser TO 'jbadmin'@'%';
+GRANT EXECUTE ON PROCEDURE jam_build.GetProjectedPropertiesAndCollectionsAndDocumentsForUser TO 'jbuser'@'%';
+
+-- Grant execute permission on GetTrashForApplication, RestoreApplicationTrash, DeleteApplicationTrash to jbadmin
+GRANT EXECUTE ON PROCEDURE jam_build.GetTrashForApplication TO 'jbadmin'@'%';
+GRANT EXECUTE ON PROCEDURE jam_build.RestoreApplicationTrash TO 'jbadmin'@'%';
+GRANT EXECUTE ON PROCEDURE jam_build.DeleteApplicationTrash TO 'jbadmin'@'%';
+
+-- Grant execute permission on GetTrashForUser, RestoreUserTrash, DeleteUserTrash to jbuser
+GRANT EXECUTE ON PROCEDURE jam_build.GetTrashForUser TO 'jbuser'@'%';
+GRANT EXECUTE ON PROCEDURE jam_build.RestoreUserTrash TO 'jbuser'@'%';
+GRANT EXECUTE ON PROCEDURE jam_build.DeleteUserTrash TO 'jbuser'@'%';
+
+-- Grant execute permission on CollectExpiredTrash to jbadmin
+GRANT EXECUTE ON PROCEDURE jam_build.CollectExpiredTrash TO 'jbadmin'@'%';
+
+-- Grant execute permission on CollectExpiredProperties to jbadmin
+GRANT EXECUTE ON PROCEDURE jam_build.CollectExpiredProperties TO 'jbadmin'@'%';
+
+-- Grant execute permission on the idempotency key procedures to jbadmin and jbuser
+GRANT EXECUTE ON PROCEDURE jam_build.GetIdempotencyKey TO 'jbadmin'@'%';
+GRANT EXECUTE ON PROCEDURE jam_build.GetIdempotencyKey TO 'jbuser'@'%';
+GRANT EXECUTE ON PROCEDURE jam_build.ReserveIdempotencyKey TO 'jbadmin'@'%';
+GRANT EXECUTE ON PROCEDURE jam_build.ReserveIdempotencyKey TO 'jbuser'@'%';
+GRANT EXECUTE ON PROCEDURE jam_build.KeepIdempotencyResponse TO 'jbadmin'@'%';
+GRANT EXECUTE ON PROCEDURE jam_build.KeepIdempotencyResponse TO 'jbuser'@'%';
+GRANT EXECUTE ON PROCEDURE jam_build.ReleaseIdempotencyKey TO 'jbadmin'@'%';
+GRANT EXECUTE ON PROCEDURE jam_build.ReleaseIdempotencyKey TO 'jbuser'@'%';
+
+-- Grant execute permission on CollectExpiredIdempotencyKeys to jbadmin
+GRANT EXECUTE ON PROCEDURE jam_build.CollectExpiredIdempotencyKeys TO 'jbadmin'@'%';
+
+-- Grant execute permission on CollectExpiredHistory to jbadmin
+GRANT EXECUTE ON PROCEDURE jam_build.CollectExpiredHistory TO 'jbadmin'@'%';
+
 -- Apply the changes immediately
 FLUSH PRIVILEGES;
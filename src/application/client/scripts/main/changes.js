@@ -0,0 +1,85 @@
+/**
+ * Remote data change subscription.
+ * Subscribes to the data service change feed and forwards changes to the serviceWorker for targeted refreshes.
+ * The subscription lives in the page because serviceWorkers are not kept alive for long-lived streams.
+ *
+ * Jam-build, a web application practical reference.
+ * Copyright (c) 2025 Alex Grant <info@localnerve.com> (https://www.localnerve.com), LocalNerve LLC
+ *
+ * This file is part of Jam-build.
+ * Jam-build is free software: you can redistribute it and/or modify it
+ * under the terms of the GNU Affero General Public License as published by the Free Software
+ * Foundation, either version 3 of the License, or (at your option) any later version.
+ * Jam-build is distributed in the hope that it will be useful, but WITHOUT ANY WARRANTY;
+ * without even the implied warranty of MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.
+ * See the GNU Affero General Public License for more details.
+ * You should have received a copy of the GNU Affero General Public License along with Jam-build.
+ * If not, see <https://www.gnu.org/licenses/>.
+ * Additional terms under GNU AGPL version 3 section 7:
+ * a) The reasonable legal notice of original copyright and author attribution must be preserved
+ *    by including the string: "Copyright (c) 2025 Alex Grant <info@localnerve.com> (https://www.localnerve.com), LocalNerve LLC"
+ *    in this material, copies, or source code of derived works.
+ */
+import debugLib from '@localnerve/debug';
+import { makeStoreType, getStoreTypeStore } from '#client-utils/storeType.js';
+import { getUserProfile, loginEvents } from './login.js';
+
+const debug = debugLib('changes');
+const appPublic = makeStoreType('app', 'public');
+const changesUrl = '/api/data/changes';
+
+let changeSource = null;
+
+/**
+ * Forward a remote change to the serviceWorker.
+ * Only changes to public app data, the current user's data, and the data shared with the current user are forwarded.
+ *
+ * @param {MessageEvent} event - The change event, data is { storeType, document, version, collections }
+ */
+async function changeHandler (event) {
+  const change = JSON.parse(event.data);
+  const profile = getUserProfile();
+
+  const isShared = !!profile && getStoreTypeStore(change.storeType) === 'shared';
+
+  if (change.storeType !== appPublic && change.storeType !== profile?.storeType && !isShared) {
+    debug(`Ignoring change for ${change.storeType}`);
+    return;
+  }
+
+  debug('Sending remote-change to sw', change);
+
+  const reg = await navigator.serviceWorker.ready;
+  reg.active.postMessage({
+    action: 'remote-change',
+    payload: change
+  });
+}
+
+/**
+ * (Re)connect to the change feed.
+ * The feed is scoped by the login session, so it is reconnected on login and logout.
+ */
+function connect () {
+  if (changeSource) {
+    changeSource.close();
+  }
+
+  debug('Connecting to the change feed');
+
+  changeSource = new EventSource(changesUrl, { withCredentials: true });
+  changeSource.addEventListener('change', changeHandler);
+}
+
+/**
+ * Setup the remote data change subscription.
+ *
+ * @param {Object} support - The browser support matrix
+ */
+export default function setup (support) {
+  if (support.serviceWorker && 'EventSource' in window) {
+    connect();
+    loginEvents.addEventListener('login', connect);
+    loginEvents.addEventListener('logout', connect);
+  }
+}
@@ -29,6 +29,7 @@ import setupPrompts from './prompts.js';
 import setupLogin from './login.js';
 import setupData from './data.js';
 import setupHeartbeat from './heartbeat.js';
+import setupChanges from './changes.js';
 
 const debug = debugLib('main');
 
@@ -115,6 +116,7 @@ async function setup () {
 
   setupPrompts(support);
   setupHeartbeat(support);
+  setupChanges(support);
   updateCurrentYear();
 
   return Promise.all([
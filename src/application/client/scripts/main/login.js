@@ -282,8 +282,11 @@ async function logoutComplete (event) {
  * Do the entire logout sequence.
  * Sends message to the service worker and waits for the 'logout-complete' message.
  * The worker may be batch processing, so we have to wait before credentials are destroyed.
+ *
+ * @param {Object} [options] - logout options
+ * @param {Boolean} [options.purge] - true if the remote user data was purged, @see purge
  */
-export async function logout () {
+export async function logout ({ purge = false } = {}) {
   if ('serviceWorker' in navigator) {
     const pageSpinner = document.querySelector('.page-spinner');
     const profile = getUserProfile();
@@ -294,7 +297,8 @@ export async function logout () {
     reg.active.postMessage({
       action: 'logout',
       payload: {
-        storeType: profile.storeType
+        storeType: profile.storeType,
+        purge
       }
     });
   } else {
@@ -306,6 +310,28 @@ export async function logout () {
   }
 }
 
+/**
+ * Purge all of the user data from the data service, then logout and wipe the local user data.
+ *
+ * @returns {Promise<Object>} Resolves to the purged counts { documents, collections, properties }
+ */
+export async function purge () {
+  const response = await fetch('/api/data/user', {
+    method: 'DELETE',
+    credentials: 'same-origin'
+  });
+
+  if (!response.ok) {
+    throw new Error(`Failed to purge the user data, status ${response.status}`);
+  }
+
+  const { purged } = await response.json();
+  debug('purged user data', purged);
+
+  await logout({ purge: true });
+  return purged;
+}
+
 /**
  * Event handler for login/logout click events.
  * 
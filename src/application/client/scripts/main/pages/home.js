@@ -26,6 +26,7 @@ import setupStores, { storeEvents, buildNewDocumentIfRequired } from '#client-ma
 import { getUserStore } from '#client-main/user.js';
 import { getApplicationStore } from '#client-main/app.js';
 import { isLoginActive, getUserProfile, loginEvents } from '#client-main/login.js';
+import { getSchemas, validateCollection } from '#client-main/schema.js';
 
 const store = {};
 const page = 'home';
@@ -38,6 +39,7 @@ let appStoreReady;
 /**
  * Listen for updates coming off the web component, update the data store(s) (and databases) on change.
  * Once the store is updated, the changes are batched and combined in the worker backend, upsert/delete.
+ * Changes that fail the document schemas are rejected, and the web component is reset to the store.
  * This demo just shows multiple instances updates and deletes on collections...
  *   ...But you could add and delete entire collections and even entire documents.
  *
@@ -46,12 +48,34 @@ let appStoreReady;
  * @param {String} collection - The collection to update
  * @param {Event} e - The 'change' event from the web component
  */
-function updateData (storeType, doc, collection, e) {
+async function updateData (storeType, doc, collection, e) {
   const { detail } = e;
   const { key: prop, new: val } = detail;
+  const ctrl = e.currentTarget;
 
   debug('editable-object change', detail);
 
+  const next = { ...store[storeType][doc][collection] };
+  if (detail.action === 'remove') {
+    delete next[prop];
+  } else {
+    next[prop] = val;
+  }
+
+  const errors = await validateCollection(storeType, doc, store[storeType][doc], collection, next);
+  if (errors.length > 0) {
+    debug('editable-object change rejected', errors);
+    ctrl.object = { ...store[storeType][doc][collection] };
+    window.App.exec('pageGeneralMessage', {
+      args: {
+        message: errors.map(error => `${error.path} ${error.message}`).join(', '),
+        class: 'error',
+        duration: 4000
+      }
+    });
+    return;
+  }
+
   // It's safe to update the store here because we DONT listen to 'put' or 'delete' mutations with this handler
   // Just 'update', otherwise we'd get called multiple times
   switch(detail.action) {
@@ -227,6 +251,7 @@ export default async function setup (support) {
   });
 
   debug('requesting app (and user) data...');
+  getSchemas(appStoreType, page); // prefetch for validation
   await Promise.all([
     (async () => {
       appStoreReady = getApplicationStore(page, appStoreType);
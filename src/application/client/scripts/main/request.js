@@ -34,6 +34,7 @@ const debug = debugLib('request');
  * @param {Object} [filterObject] - Request seed filter @see data.js/filterSeed
  * @param {Array} [filterObject.storeTypes] - The storeTypes to update
  * @param {Array} [filterObject.collections] - The collections to update
+ * @param {Array} [filterObject.properties] - The properties to update, omit for all
  */
 export async function updatePageData (page, filter = {
   storeTypes: [appPublic]
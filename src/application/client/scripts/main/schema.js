@@ -0,0 +1,79 @@
+/**
+ * Document schema retrieval and validation for the page.
+ * Validates local changes against the data service document schemas before they are stored and batched.
+ * The data service enforces the same schemas, this just rejects bad input early.
+ *
+ * Jam-build, a web application practical reference.
+ * Copyright (c) 2025 Alex Grant <info@localnerve.com> (https://www.localnerve.com), LocalNerve LLC
+ *
+ * This file is part of Jam-build.
+ * Jam-build is free software: you can redistribute it and/or modify it
+ * under the terms of the GNU Affero General Public License as published by the Free Software
+ * Foundation, either version 3 of the License, or (at your option) any later version.
+ * Jam-build is distributed in the hope that it will be useful, but WITHOUT ANY WARRANTY;
+ * without even the implied warranty of MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.
+ * See the GNU Affero General Public License for more details.
+ * You should have received a copy of the GNU Affero General Public License along with Jam-build.
+ * If not, see <https://www.gnu.org/licenses/>.
+ * Additional terms under GNU AGPL version 3 section 7:
+ * a) The reasonable legal notice of original copyright and author attribution must be preserved
+ *    by including the string: "Copyright (c) 2025 Alex Grant <info@localnerve.com> (https://www.localnerve.com), LocalNerve LLC"
+ *    in this material, copies, or source code of derived works.
+ */
+import debugLib from '@localnerve/debug';
+import { getStoreTypeStore } from '#client-utils/storeType.js';
+import { validateDocument } from '#client-utils/schema.js';
+
+const debug = debugLib('schema');
+const noSchemas = { collections: {} };
+const schemaCache = new Map();
+
+/**
+ * Get the schemas for a document from the data service.
+ * Schemas are cached for the life of the page. If they can't be retrieved, nothing is validated locally.
+ *
+ * @param {String} storeType - The storeType path to the document
+ * @param {String} document - The document name
+ * @returns {Promise<Object>} Resolves to the document schemas { document, collections: { collection: schema } }
+ */
+export async function getSchemas (storeType, document) {
+  const key = `${getStoreTypeStore(storeType)}/${document}`;
+
+  if (!schemaCache.has(key)) {
+    schemaCache.set(key, (async () => {
+      try {
+        const response = await fetch(`/api/data/${key}/_schema`, {
+          credentials: 'same-origin'
+        });
+
+        if (response.status === 200) {
+          const json = await response.json();
+          return json[document] ?? noSchemas;
+        }
+
+        debug(`No schemas for ${key}, status ${response.status}`);
+      } catch (error) {
+        debug(`Failed to get schemas for ${key}`, error);
+        schemaCache.delete(key); // try again next time
+      }
+      return noSchemas;
+    })());
+  }
+
+  return schemaCache.get(key);
+}
+
+/**
+ * Validate the next state of a collection against the document schemas.
+ *
+ * @param {String} storeType - The storeType path to the document
+ * @param {Object} document - The document name
+ * @param {Object} current - The current document { collection: { propName: propVal } }
+ * @param {String} collection - The collection name
+ * @param {Object} next - The next state of the collection { propName: propVal }
+ * @returns {Promise<Array<Object>>} Resolves to the validation errors [{ path, message }], empty if valid
+ */
+export async function validateCollection (storeType, document, current, collection, next) {
+  const schemas = await getSchemas(storeType, document);
+  return validateDocument(schemas, { ...current, [collection]: next }, [collection]);
+}
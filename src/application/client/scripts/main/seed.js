@@ -65,11 +65,13 @@ export function pageSeed (page, seed = {}, next = null) {
  * @param {Object} filterOptions - How to reduce to the seed
  * @param {Array} filterOptions.storeTypes - The storeType of interest
  * @param {Array} filterOptions.collections - The collections of interest
+ * @param {Array} [filterOptions.properties] - The properties of interest, omit for all
  * @returns {Object} The filtered request seed
  */
 export function filterSeed (page, seed, {
   storeTypes = [appStoreType],
-  collections = []
+  collections = [],
+  properties = []
 } = {}) {
   if (!seed) {
     return seed;
@@ -87,7 +89,8 @@ export function filterSeed (page, seed, {
       acc[storeType] = {
         storeType,
         document: page,
-        collections: !filteredColl.length ? undefined : filteredColl
+        collections: !filteredColl.length ? undefined : filteredColl,
+        properties: !properties.length ? undefined : properties
       };
     }
 
@@ -82,9 +82,10 @@ async function handlePageDataUpdate (payload) {
  * @param {String} params.storeName - The full, versioned objectStore name 
  * @param {String} params.scope - The data scope part of the key
  * @param {Array} params.keys - The document part of the key [doc, col]
+ * @param {Object} [params.rename] - The renamed document or collection { document, collection, newDocument, newCollection }
  */
-async function updateStore ({ dbname, storeType, storeName, scope, keys }) {
-  debug('"database-data-update" updateStore', dbname, storeType, storeName, scope, keys);
+async function updateStore ({ dbname, storeType, storeName, scope, keys, rename }) {
+  debug('"database-data-update" updateStore', dbname, storeType, storeName, scope, keys, rename);
 
   if (!db) {
     db = await openDB(dbname);
@@ -99,7 +100,11 @@ async function updateStore ({ dbname, storeType, storeName, scope, keys }) {
     dataScopes.set(storeType, scope);
   }
 
-  if (keys.length === 0) { // No Data
+  if (rename) {
+    removeRenamed(storeType, rename);
+  }
+
+  if (keys.length === 0 && !rename) { // No Data
     onChange('update', [storeType, '', ''], {});
   }
 
@@ -120,6 +125,33 @@ async function updateStore ({ dbname, storeType, storeName, scope, keys }) {
   }
 }
 
+/**
+ * Remove the old document or collection of a rename from the store, send the 'update' message.
+ * The renamed data arrives under the new names in the same update.
+ *
+ * @param {String} storeType - The path to the document
+ * @param {Object} rename - The rename
+ * @param {String} rename.document - The old document name
+ * @param {String} [rename.collection] - The old collection name, empty if the document was renamed
+ * @param {String} rename.newDocument - The new document name
+ * @param {String} [rename.newCollection] - The new collection name
+ */
+function removeRenamed (storeType, { document, collection, newDocument, newCollection }) {
+  const doc = store[storeType][document];
+
+  if (!doc || (document === newDocument && collection === newCollection)) {
+    return;
+  }
+
+  if (collection) {
+    delete doc[collection];
+    onChange('update', [storeType, document, collection], undefined);
+  } else {
+    delete store[storeType][document];
+    onChange('update', [storeType, document], undefined);
+  }
+}
+
 /**
  * Update a single collection on the store, send the 'update' message.
  * 
@@ -173,6 +205,7 @@ async function updateDatabase (op, storeType, keyPath, propertyName = null) {
           debug(`deleting propertyName '${propertyName}' from item.properties...`, item.properties);
           if (item.properties && propertyName in item.properties) {
             delete item.properties[propertyName];
+            delete item.expires?.[propertyName];
             await db.put(storeName, item);
             debug(`deleted propertyName '${propertyName}' from '${collection}'`);
           }
@@ -200,11 +233,13 @@ async function updateDatabase (op, storeType, keyPath, propertyName = null) {
       if (collection) { // put collection and/or properties
         debug(`putting collection ${collection}...`);
         if (await isDifferent(storeName, [scope, ...keyPath], store[storeType][document][collection])) {
+          const properties = store[storeType][document][collection];
           await db.put(storeName, {
             scope,
             document_name: document,
             collection_name: collection,
-            properties: store[storeType][document][collection]
+            properties,
+            expires: await keepExpires(storeName, [scope, ...keyPath], properties)
           });
           debug(`put collection ${collection}`);
           result = true;
@@ -216,11 +251,13 @@ async function updateDatabase (op, storeType, keyPath, propertyName = null) {
         for (const coll of Object.keys(doc)) {
           if (await isDifferent(storeName, [scope, document, coll], doc[coll] || {})) {
             changedOne = true;
+            const properties = doc[coll] || {};
             await db.put(storeName, {
               scope,
               document_name : document,
               collection_name: coll,
-              properties: doc[coll] || {}
+              properties,
+              expires: await keepExpires(storeName, [scope, document, coll], properties)
             });
           }
         }
@@ -388,6 +425,22 @@ function containsSubarray (mainArray, subArray) {
   return false;
 }
 
+/**
+ * Get the existing expiration times of the properties that remain on the keyPath.
+ * The service worker keeps the expiration times of expiring properties with their collections.
+ *
+ * @param {String} storeName - The storeName
+ * @param {String} keyPath - [scope, document, collection] keyPath
+ * @param {Object} properties - The properties that remain
+ * @returns {Object} The remaining expiration times { propName: ISODate }
+ */
+async function keepExpires (storeName, keyPath, properties) {
+  const existing = await db.get(storeName, keyPath);
+  return Object.fromEntries(
+    Object.entries(existing?.expires ?? {}).filter(([propName]) => propName in properties)
+  );
+}
+
 /**
  * Compare proposedProperties with existing properties on the keyPath.
  * 
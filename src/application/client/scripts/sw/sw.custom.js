@@ -28,6 +28,9 @@ import {
   installDatabase,
   activateDatabase,
   refreshData,
+  remoteChange,
+  renameData,
+  copyData,
   batchUpdate,
   mayUpdate,
   logout,
@@ -135,6 +138,27 @@ self.addEventListener('message', event => {
       );
       break;
 
+    case 'remote-change':
+      debug('remote-change message');
+      waitOrPassThru(
+        remoteChange(payload)
+      );
+      break;
+
+    case 'rename-data':
+      debug('rename-data message');
+      waitOrPassThru(
+        renameData(payload)
+      );
+      break;
+
+    case 'copy-data':
+      debug('copy-data message');
+      waitOrPassThru(
+        copyData(payload)
+      );
+      break;
+
     case 'batch-update':
       debug('batch-update message');
       waitOrPassThru(
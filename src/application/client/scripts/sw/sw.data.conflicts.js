@@ -27,7 +27,6 @@ import {
   conflictBackoffMax,
   conflictMaxRetries,
   conflictStoreType,
-  nominalTimerInterval,
   dbname,
   versionStoreType,
   batchStoreType,
@@ -41,11 +40,12 @@ import {
   isConflictSentinel,
   setConflictSentinel,
   clearConflictSentinel,
+  keepExpires,
   mayUpdate,
   storeData
 } from './sw.data.helpers.js';
 import { debug, sendMessage, sendBeacon } from './sw.utils.js';
-import { startTimer } from './sw.timer.js';
+import { startTimer, computeTimerResolution } from './sw.timer.js';
 import { getDB, makeStoreName } from './sw.data.source.js';
 
 const jsonDiffPatch = jsonDiffPatchLib.create({ omitRemovedValues: true });
@@ -152,33 +152,6 @@ function threeWayMerge (base, remote, local) {
   return mergedObject;
 }
 
-/**
- * Compute a timer resolution interval that targets a median value (nominalTimerInterval).
- * Never give a resolution below a minimum floor value.
- * Favor overshooting over undershooting.
- * 
- * @param {Number} delay - The total time delay to derive a timer resolution from
- * @returns {Number} The calculated interval resolution time closest to nominalTimerInterval
- */
-function computeTimerResolution (delay) {
-  const target = nominalTimerInterval;
-  const floor = Math.ceil(nominalTimerInterval * 0.6);
-
-  if (delay <= floor) return floor;
-
-  // Use Math.ceil to ensure we don't under-count intervals
-  // Example: 1300 / 500 = 2.6 -> 3 intervals
-  const intervalCount = Math.ceil(delay / target);
-  
-  // Use Math.ceil again to ensure the interval duration 
-  // slightly overshoots the target delay rather than undershooting.
-  // Example: 1300 / 3 = 433.33 -> 434ms
-  const resolution = Math.ceil(delay / intervalCount);
-
-  // Ensure we respect the CPU floor
-  return Math.max(resolution, floor);
-}
-
 /**
  * Complete processVersionConflicts by restarting batch processing, update the UI on success.
  * The batch restart contained here can be in an ongoing timer loop during conflict thrashing.
@@ -318,7 +291,7 @@ async function failProcessVersionConflicts (allConflictValues, resetRetries, cle
  * 3. Build the corresponding local data documents
  * 4. Merge the local onto the remote
  * 5. Write the result back into the local data document store
- * 6. Update the versionStore with the new document version
+ * 6. Update the versionStore with the new document and collection versions
  * 7. Schedule batch updates for the new data
  * 8. Notify the client of the new data documents
  * 9. Delete all the used conflictStore records
@@ -420,11 +393,13 @@ export async function processVersionConflicts ({
   // Set aside doc version, batch & base commands, and build the remote document objects.
   const remoteData = {};
   const versions = {};
+  const collectionVersions = {};
   const batch = {};
   const baseKeys = [];
   for await (const cursor of conflictDocs.iterate(null, 'prev')) { // latest version first
     const {
       new_version,
+      collection_version,
       storeType,
       document_name: doc,
       collection_name: col,
@@ -457,6 +432,10 @@ export async function processVersionConflicts ({
       remoteData[storeType][doc][col] = {
         ...props
       };
+
+      collectionVersions[storeType] = collectionVersions[storeType] ?? {};
+      collectionVersions[storeType][doc] = collectionVersions[storeType][doc] ?? {};
+      collectionVersions[storeType][doc][col] = collection_version ?? `${version}`;
     }
   }
 
@@ -513,9 +492,10 @@ export async function processVersionConflicts ({
   for (const storeType of Object.keys(localData)) {
     for (const doc of Object.keys(localData[storeType])) {
       for (const col of Object.keys(localData[storeType][doc])) {
+        // A remote restore to a previous version can drop a collection that exists locally, keep the local one
         const newCol = threeWayMerge(
           baseData?.[storeType]?.[doc]?.[col],
-          remoteData[storeType][doc][col],
+          remoteData[storeType][doc][col] ?? localData[storeType][doc][col],
           localData[storeType][doc][col]
         );
 
@@ -544,11 +524,13 @@ export async function processVersionConflicts ({
       for (const [col_name, props] of Object.entries(doc)) {
         message[storeType].keys.push([doc_name, col_name]);
 
+        const existing = await db.get(storeName, [scope, doc_name, col_name]);
         await db.put(storeName, {
           scope,
           document_name: doc_name,
           collection_name: col_name,
-          properties: props
+          properties: props,
+          expires: keepExpires(existing?.expires, props)
         });
       }
     }
@@ -564,6 +546,7 @@ export async function processVersionConflicts ({
           storeType,
           document,
           version: `${version}`,
+          versions: collectionVersions[storeType]?.[document] ?? {},
           retryCount: maxRetryCount + 1
         });
       }
@@ -26,21 +26,27 @@
 export * from '#client-utils/constants.js'; // shared constants
 export const opGet = 'get';
 export const opLogout = 'logout';
+export const opRename = 'rename';
 export const schemaVersion = SCHEMA_VERSION; // eslint-disable-line -- assigned at bundle time
 export const apiVersion = API_VERSION; // eslint-disable-line -- assigned at bundle time
 export const appVersion = APP_VERSION; // eslint-disable-line -- assigned at bundle time
 export const versionStoreType = 'version';
 export const batchStoreType = 'batch';
 export const conflictStoreType = 'conflict';
+export const requestStoreType = 'request'; // mutation requests sent, but not acknowledged by the remote data service
 export const dbname = 'jam_build';
 export const baseStoreType = 'base';
 export const fetchTimeout = 4500;
+export const pageLimit = 100; // documents per page of a whole store refresh
 export const nominalTimerInterval = 500;
 export const E_REPLAY = 0x062de3cc;
 export const E_CONFLICT = 0x32c79766;
 export const offlineRetentionTime = 30; // 30 minutes, session time
+export const rateLimitRetryMax = 300000; // 5 minutes, the longest Retry-After honoured
 export const queueName = `${dbname}-requests-${apiVersion}`;
 export const STALE_BASE_LIFESPAN = 60000; // 1 minute, baseStoreType documents older than this are considered expired
 export const batchCollectionWindow = process?.env?.NODE_ENV !== 'production' ? 12000 : 12000; // eslint-disable-line -- assigned at bundle time
-export const mainStoreTypes = ['app', 'user'];
+export const userStore = 'user';
+export const sharedStore = 'shared'; // documents shared with the user, scoped by owner id
+export const mainStoreTypes = ['app', userStore, sharedStore];
 export const VERSION_CONFLICT_BACKOFF = 'version_conflict_backoff';
\ No newline at end of file
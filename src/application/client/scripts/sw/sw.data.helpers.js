@@ -27,6 +27,7 @@ import {
   batchStoreType,
   conflictStoreType,
   dbname,
+  requestStoreType,
   STALE_BASE_LIFESPAN,
   versionStoreType
 } from './sw.data.constants.js';
@@ -74,9 +75,76 @@ export function isConflictSentinel (storeType, document) {
 }
 
 
+/**
+ * Merge the expiration times of changed properties with the existing expiration times.
+ * The changed properties only keep their new expiration times, if any.
+ *
+ * @param {Object} [existing] - The existing expiration times { propName: ISODate }
+ * @param {Array<String>} propNames - The changed property names
+ * @param {Object} [changed] - The expiration times of the changed properties { propName: ISODate }
+ * @returns {Object} The merged expiration times { propName: ISODate }
+ */
+function mergeExpires (existing, propNames, changed) {
+  const expires = { ...existing };
+  for (const propName of propNames) {
+    delete expires[propName];
+    if (changed?.[propName]) {
+      expires[propName] = changed[propName];
+    }
+  }
+  return expires;
+}
+
+/**
+ * Keep the existing expiration times of the properties that remain.
+ * Used when a collection is rewritten locally, so its properties keep their expiration.
+ *
+ * @param {Object} [existing] - The existing expiration times { propName: ISODate }
+ * @param {Object} properties - The properties that remain { propName: propVal }
+ * @returns {Object} The remaining expiration times { propName: ISODate }
+ */
+export function keepExpires (existing, properties) {
+  return Object.fromEntries(
+    Object.entries(existing ?? {}).filter(([propName]) => propName in properties)
+  );
+}
+
+/**
+ * Remove the expired properties from the local collections of a document.
+ * The remote data service no longer returns them, so they are removed from the local copy as well.
+ *
+ * @param {Object} db - The database
+ * @param {String} storeName - The objectStore name
+ * @param {String} scope - The data scope part of the key
+ * @param {String} document - The document name
+ * @param {Array<String>} [collections] - The collection names, omit for all the document collections
+ */
+async function removeExpired (db, storeName, scope, document, collections = null) {
+  const now = Date.now();
+  const records = collections
+    ? await Promise.all(collections.map(collection => db.get(storeName, [scope, document, collection])))
+    : await db.getAllFromIndex(storeName, 'document', [scope, document]);
+
+  for (const record of records) {
+    const expired = Object.entries(record?.expires ?? {})
+      .filter(([, expiresAt]) => Date.parse(expiresAt) <= now)
+      .map(([propName]) => propName);
+
+    if (expired.length > 0) {
+      for (const propName of expired) {
+        delete record.properties[propName];
+        delete record.expires[propName];
+      }
+      debug(`removeExpired '${document}.${record.collection_name}'`, expired);
+      await db.put(storeName, record);
+    }
+  }
+}
+
 /**
  * Read data from local objectstores and send to the app.
  * localData is the fallback (stale) data in a Network First strategy.
+ * Expired properties are removed from the local data first.
  * 
  * @param {String} storeType - store:scope path to document
  * @param {String} document - The document name
@@ -93,8 +161,10 @@ export async function localData (storeType, document, collections = null,
   debug(`localData: storeType='${storeType}' scope='${scope}' document='${document}'`);
 
   if (document) {
-    if (collections) {
-      const colls = typeof collections === 'string' ? [collections] : collections;
+    const colls = typeof collections === 'string' ? [collections] : collections;
+    await removeExpired(db, storeName, scope, document, colls);
+
+    if (colls) {
       for (const collection of colls) {
         keys.push([document, collection]);
       }
@@ -122,21 +192,44 @@ export async function localData (storeType, document, collections = null,
 
 /**
  * Store put or delete successful mutation new version result.
+ * The changed collections take the new version, the removed collections lose theirs, a deleted document has none.
+ * A mutation that asserts collection versions can succeed after other changes to the document. Then the new
+ * version is not the next one, and the local version is kept so the next refresh gets the other changes.
  * 
  * @param {String} storeType - store:scope path to document
  * @param {String} document - The document name
  * @param {String} result - The mutation result payload
+ * @param {Object} [changes] - The collection changes { updated: [collection], removed: [collection] }
  */
-async function storeMutationResult (storeType, document, result) {
+async function storeMutationResult (storeType, document, result, { updated = [], removed = [] } = {}) {
   const versionStoreName = makeStoreName(versionStoreType);
   const db = await getDB();
 
   const existing = await db.get(versionStoreName, [storeType, document]);
+  const { newVersion } = result;
+  const isNext = !existing || newVersion === '0' ||
+    Number(newVersion) - Number(existing.version) <= 1;
+
+  let versions = existing?.versions;
+  if (versions) {
+    versions = newVersion === '0' ? {} : { ...versions };
+    for (const collection of removed) {
+      delete versions[collection];
+    }
+    if (`${existing.version}` !== newVersion) {
+      for (const collection of updated) {
+        versions[collection] = newVersion;
+      }
+    }
+  }
+
   await db.put(versionStoreName, {
     storeType,
     document,
-    version: result.newVersion,
-    retryCount: existing?.retryCount ?? 0
+    version: isNext ? newVersion : existing.version,
+    ...(versions && { versions }),
+    retryCount: existing?.retryCount ?? 0,
+    complete: existing?.complete ?? false
   });
 }
 
@@ -147,9 +240,10 @@ async function storeMutationResult (storeType, document, result) {
  * @param {String} document - The document name
  * @param {String} result - The mutation result payload
  * @param {Array<String>|Array<Object>} [collections]
+ * @param {Object} [changes] - The collection changes for the collection versions, @see storeMutationResult
  */
-export async function storeAndBroadcastMutation (storeType, document, result, collections = null) {
-  await storeMutationResult(storeType, document, result);
+export async function storeAndBroadcastMutation (storeType, document, result, collections = null, changes = {}) {
+  await storeMutationResult(storeType, document, result, changes);
 
   const storeName = makeStoreName(storeType);
   const scope = getStoreTypeScope(storeType);
@@ -176,40 +270,163 @@ export async function storeAndBroadcastMutation (storeType, document, result, co
   });
 }
 
+/**
+ * Apply a document delta from the remote data service to the local object store.
+ * Tombstones apply first, an empty array of property names deletes the whole collection.
+ * Changed properties are merged into the existing collections, with their expiration times.
+ *
+ * @param {Object} db - The database
+ * @param {String} storeName - The objectStore name
+ * @param {String} scope - The data scope part of the key
+ * @param {String} doc_name - The document name
+ * @param {Object} deleted - The tombstones { collection: [propName] }
+ * @param {Object} expires - The expiration times of the changed properties { collection: { propName: ISODate } }
+ * @param {Object} doc - The changed properties { collection: { propName: propVal } }
+ * @returns {Promise<Array>} The keys of the collections that remain after the delta
+ */
+async function storeDelta (db, storeName, scope, doc_name, deleted, expires, doc) {
+  const keys = [];
+
+  for (const [col_name, propNames] of Object.entries(deleted)) {
+    const key = [scope, doc_name, col_name];
+
+    if (propNames.length === 0) {
+      await db.delete(storeName, key);
+    } else {
+      const record = await db.get(storeName, key);
+      if (record) {
+        for (const propName of propNames) {
+          delete record.properties[propName];
+        }
+        record.expires = mergeExpires(record.expires, propNames);
+        await db.put(storeName, record);
+        keys.push([doc_name, col_name]);
+      }
+    }
+  }
+
+  for (const [col_name, props] of Object.entries(doc)) {
+    const record = await db.get(storeName, [scope, doc_name, col_name]);
+    if (!keys.some(([, collection]) => collection === col_name)) {
+      keys.push([doc_name, col_name]);
+    }
+    await db.put(storeName, {
+      scope,
+      document_name: doc_name,
+      collection_name: col_name,
+      properties: { ...record?.properties, ...props },
+      expires: mergeExpires(record?.expires, Object.keys(props), expires[col_name])
+    });
+  }
+
+  return keys;
+}
+
 /**
  * Store data from the remote data service in the local object stores.
  * Re-formats data from the network to the idb objectStore format.
+ * Documents with a __since version are deltas of the changes since that version, @see storeDelta.
+ * Documents with __properties only have those properties, they are merged with the stored collections,
+ * and the projected properties missing from a collection are removed.
+ * The expiration times of expiring properties in __expires are stored with their collections.
+ * The collection versions in __versions are stored with the document version, incomplete data, a delta, or a projection
+ * only has the versions of its collections.
  * Sends message to the app with the new data.
  *
  * @param {String} storeType - store:scope path to document
  * @param {Object} data - The remote data to store
  * @param {Object} [message] - Message item, @see main/stores.js, pageGeneralMessage
+ * @param {Boolean} [complete] - true if the data has all the collections of its documents
  */
-export async function storeData (storeType, data, message = null) {
+export async function storeData (storeType, data, message = null, complete = false) {
   const storeName = makeStoreName(storeType);
   const scope = getStoreTypeScope(storeType);
   const versionStoreName = makeStoreName(versionStoreType);
   const keys = [];
   const db = await getDB();
 
+  // A page cursor is not a document
+  delete data.__next;
+
   // Format and store the data
   for (const [doc_name, doc] of Object.entries(data)) {
+    const { __versions: collectionVersions = {} } = doc;
+    delete doc.__versions;
+
+    // Merge the collection versions of partial data, a collection tombstone removes its version.
+    // The collection versions of a local copy stored without them stay unknown until complete data is stored.
+    let versions = collectionVersions;
+    if (!complete || typeof doc.__since !== 'undefined' || typeof doc.__properties !== 'undefined') {
+      const existing = await db.get(versionStoreName, [storeType, doc_name]);
+      versions = existing && !existing.versions ? null : { ...existing?.versions };
+      if (versions) {
+        for (const [col_name, propNames] of Object.entries(doc.__deleted ?? {})) {
+          if (propNames.length === 0) {
+            delete versions[col_name];
+          }
+        }
+        Object.assign(versions, collectionVersions);
+      }
+    }
+
     // Store and strip the typed document version
     await db.put(versionStoreName, {
       storeType,
       document: doc_name,
       version: doc.__version,
-      retryCount: 0
+      ...(versions && { versions }),
+      retryCount: 0,
+      complete
     });
     delete doc.__version;
 
+    // Strip the expiration times of the expiring properties
+    const { __expires: expires = {} } = doc;
+    delete doc.__expires;
+
+    if (typeof doc.__since !== 'undefined') {
+      const { __since: since, __deleted: deleted } = doc;
+      delete doc.__since;
+      delete doc.__deleted;
+
+      debug(`storeData applying delta for '${doc_name}' since version ${since}`);
+
+      keys.push(...await storeDelta(db, storeName, scope, doc_name, deleted, expires, doc));
+      continue;
+    }
+
+    if (typeof doc.__properties !== 'undefined') {
+      const { __properties: projected } = doc;
+      delete doc.__properties;
+
+      debug(`storeData merging projected properties for '${doc_name}'`, projected);
+
+      for (const [col_name, props] of Object.entries(doc)) {
+        const record = await db.get(storeName, [scope, doc_name, col_name]);
+        const properties = { ...record?.properties };
+        for (const propName of projected) {
+          delete properties[propName];
+        }
+        keys.push([doc_name, col_name]);
+        await db.put(storeName, {
+          scope,
+          document_name: doc_name,
+          collection_name: col_name,
+          properties: { ...properties, ...props },
+          expires: mergeExpires(record?.expires, projected, expires[col_name])
+        });
+      }
+      continue;
+    }
+
     for (const [col_name, props] of Object.entries(doc)) {
       keys.push([doc_name, col_name]);
       await db.put(storeName, {
         scope,
         document_name: doc_name,
         collection_name: col_name,
-        properties: props
+        properties: props,
+        expires: { ...expires[col_name] }
       });
     }
   }
@@ -225,6 +442,227 @@ export async function storeData (storeType, data, message = null) {
   });
 }
 
+/**
+ * Apply a document or collection rename to the local object stores.
+ * Moves the local data and document version, and rewrites the pending batch updates and their base copies,
+ * so they are sent and conflict resolved under the new names. Nothing is moved if the old names are not found.
+ * Sends message to the app with the renamed data.
+ *
+ * @param {String} storeType - store:scope path to document
+ * @param {Object} rename - The rename
+ * @param {String} rename.document - The document name
+ * @param {String} [rename.collection] - The collection name, omit to rename the document
+ * @param {String} [rename.newDocument] - The new or target document name, defaults to the document
+ * @param {String} [rename.newCollection] - The new collection name, defaults to the collection
+ * @param {Object} [versions] - The new document versions of a local rename { document: version }, omit to keep the local versions
+ */
+export async function storeRename (storeType, {
+  document, collection = '', newDocument = document, newCollection = collection
+}, versions = null) {
+  const db = await getDB();
+  const storeName = makeStoreName(storeType);
+  const scope = getStoreTypeScope(storeType);
+  const renamed = item => item.storeType === storeType && item.document === document &&
+    (!collection || item.collection === collection);
+
+  debug(`storeRename ${storeType}:${document}:${collection} to ${newDocument}:${newCollection}`);
+
+  // Move the local data
+  const records = collection
+    ? [await db.get(storeName, [scope, document, collection])].filter(record => record)
+    : await db.getAllFromIndex(storeName, 'document', [scope, document]);
+  const keys = [];
+  for (const record of records) {
+    const collection_name = collection ? newCollection : record.collection_name;
+    await db.delete(storeName, [scope, document, record.collection_name]);
+    await db.put(storeName, { ...record, document_name: newDocument, collection_name });
+    keys.push([newDocument, collection_name]);
+  }
+
+  // Move the pending batch updates
+  const batchStoreName = makeStoreName(batchStoreType);
+  let batchCount = 0;
+  for await (const cursor of db.transaction(batchStoreName, 'readwrite').store.iterate()) {
+    const item = cursor.value;
+    if (renamed(item)) {
+      batchCount++;
+      await cursor.update({ ...item, document: newDocument, collection: collection ? newCollection : item.collection });
+    }
+  }
+
+  // Move the base copies of the pending batch updates, replacing any at the new names
+  const baseStoreName = makeStoreName(baseStoreType);
+  const baseItems = (await db.getAll(baseStoreName)).filter(renamed);
+  for (const item of baseItems) {
+    const newItem = { ...item, document: newDocument, collection: collection ? newCollection : item.collection };
+    const existing = await db.getFromIndex(baseStoreName, 'collection', [storeType, newItem.document, newItem.collection]);
+    if (existing) {
+      await db.delete(baseStoreName, existing.id);
+    }
+    await db.put(baseStoreName, newItem);
+  }
+
+  // Move the document version, or set the new versions of a local rename
+  const versionStoreName = makeStoreName(versionStoreType);
+  if (!collection) {
+    const local = await db.get(versionStoreName, [storeType, document]);
+    if (local) {
+      await db.delete(versionStoreName, [storeType, document]);
+      await db.put(versionStoreName, {
+        ...local, document: newDocument, version: versions?.[newDocument] ?? local.version
+      });
+    }
+  } else if (versions) {
+    for (const [doc_name, version] of Object.entries(versions)) {
+      const existing = await db.get(versionStoreName, [storeType, doc_name]);
+
+      // The renamed collection is at the new version of its document
+      let collectionVersions = existing ? existing.versions : {};
+      if (collectionVersions) {
+        collectionVersions = { ...collectionVersions };
+        if (doc_name === document) {
+          delete collectionVersions[collection];
+        }
+        if (doc_name === newDocument) {
+          collectionVersions[newCollection] = version;
+        }
+      }
+
+      await db.put(versionStoreName, {
+        storeType,
+        document: doc_name,
+        version,
+        ...(collectionVersions && { versions: collectionVersions }),
+        retryCount: existing?.retryCount ?? 0,
+        complete: existing?.complete ?? true // a local move only creates a target document with the moved collection
+      });
+    }
+  }
+
+  debug(`storeRename moved ${records.length} records, ${batchCount} batch updates, ${baseItems.length} base copies`);
+
+  // Notify the front-end app
+  await sendMessage('database-data-update', {
+    dbname,
+    storeName,
+    storeType,
+    scope,
+    keys,
+    rename: { document, collection, newDocument, newCollection }
+  });
+}
+
+/**
+ * Discard the pending updates of a storeType, for remote data that no longer exists.
+ * Removes the batch updates, their base copies, the version conflicts, and the pending and queued mutation requests.
+ *
+ * @param {Queue} queue - The background sync request queue
+ * @param {String} storeType - store:scope path to the discarded documents
+ */
+export async function discardPendingUpdates (queue, storeType) {
+  const db = await getDB();
+
+  for (const type of [batchStoreType, baseStoreType, conflictStoreType, requestStoreType]) {
+    const storeName = makeStoreName(type);
+    let count = 0;
+    for await (const cursor of db.transaction(storeName, 'readwrite').store.iterate()) {
+      if (cursor.value.storeType === storeType) {
+        count++;
+        await cursor.delete();
+      }
+    }
+    debug(`discardPendingUpdates deleted ${count} records from ${storeName} for ${storeType}`);
+  }
+
+  if (queue) {
+    const keep = [];
+    let entry;
+    while ((entry = await queue.shiftRequest())) {
+      if (entry.metadata?.storeType !== storeType) {
+        keep.push(entry);
+      }
+    }
+    for (const kept of keep) {
+      await queue.pushRequest(kept);
+    }
+  }
+}
+
+/**
+ * Get the pending mutation requests of a document, oldest first.
+ * A request is pending from the time it is sent until the remote data service acknowledges it, @see keepPendingRequest.
+ *
+ * @param {String} storeType - store:scope path to document
+ * @param {String} document - The document name
+ * @param {Array<String>} ops - The request ops to get
+ * @returns {Promise<Array<Object>>} The pending requests, @see keepPendingRequest
+ */
+export async function getPendingRequests (storeType, document, ops) {
+  const db = await getDB();
+  const requestStoreName = makeStoreName(requestStoreType);
+  const requests = [];
+
+  for (const op of ops) {
+    const request = await db.get(requestStoreName, [storeType, document, op]);
+    if (request) {
+      requests.push(request);
+    }
+  }
+
+  return requests.sort((a, b) => a.sent - b.sent);
+}
+
+/**
+ * Keep a mutation request until the remote data service acknowledges it, @see clearPendingRequest.
+ * The request gets a new Idempotency-Key, so a replay of it can be sent with the same key and body,
+ * and get the response of the request if it was committed.
+ *
+ * @param {Object} request - The request to keep
+ * @param {String} request.storeType - store:scope path to document
+ * @param {String} request.document - The document name
+ * @param {String} request.op - opPut, opDel, or opRename
+ * @param {String} request.url - The request url
+ * @param {String} request.method - The request method
+ * @param {Object} request.body - The request body
+ * @param {Array<String>|Array<Object>|Object} [request.collections] - The collections of the request
+ * @param {Object} [request.changes] - The collection changes of the request, @see storeAndBroadcastMutation
+ * @returns {Promise<Object>} The pending request, with its key, JSON body, and sent time
+ */
+export async function keepPendingRequest ({
+  storeType, document, op, url, method, body, collections = null, changes = {}
+}) {
+  const db = await getDB();
+  const requestStoreName = makeStoreName(requestStoreType);
+  const request = {
+    storeType,
+    document,
+    op,
+    url,
+    method,
+    key: self.crypto.randomUUID(),
+    body: JSON.stringify(body),
+    collections,
+    changes,
+    sent: Date.now()
+  };
+
+  await db.put(requestStoreName, request);
+
+  return request;
+}
+
+/**
+ * Clear a pending mutation request, after the remote data service acknowledges it.
+ *
+ * @param {String} storeType - store:scope path to document
+ * @param {String} document - The document name
+ * @param {String} op - opPut, opDel, or opRename
+ */
+export async function clearPendingRequest (storeType, document, op) {
+  const db = await getDB();
+  await db.delete(makeStoreName(requestStoreType), [storeType, document, op]);
+}
+
 /**
  * Store the version conflict resolution data to the objectStore.
  * Contains the current version and data for the document to be updated from the remote store,
@@ -242,7 +680,10 @@ export async function storeVersionConflict (storeType, op, collections, data) {
   // Format and store the new version data
   for (const [doc_name, doc] of Object.entries(data)) {
     const newDocVersion = doc.__version;
+    const { __versions: versions = {} } = doc;
     delete doc.__version;
+    delete doc.__versions;
+    delete doc.__expires;
 
     // Make a sortable BigInt version string, 15 digits max left pad 0
     const new_version = newDocVersion.padStart(15, '0');
@@ -254,6 +695,7 @@ export async function storeVersionConflict (storeType, op, collections, data) {
         collection_name: col_name,
         properties: props,
         new_version,
+        collection_version: versions[col_name] ?? newDocVersion,
         op,
         collections
       });
@@ -283,6 +725,9 @@ export async function resetRetryCount (docs) {
 /**
  * Load data from local objectStores by document name or document and possible collection name(s).
  * Format the local data for *upsert* to the remote data service.
+ * Expired properties are removed first, the expiring properties are sent with their expiration times.
+ * If the collection versions are known, they are sent instead of the document version, so changes to
+ * other collections of the document are not conflicts. A collection without a version is new, at version 0.
  *
  * @param {String} storeType - store:scope path to document
  * @param {String} document - The document name
@@ -297,35 +742,45 @@ export async function loadData (storeType, document, collections = null) {
 
   let record = await db.get(versionStoreName, [storeType, document]);
   if (!record) {
-    record = { version: 0 }; // Make a new document
+    record = { version: 0, versions: {} }; // Make a new document
     await db.put(versionStoreName, {
       storeType,
       document,
       version: record.version,
+      versions: record.versions,
       retryCount: 0
     });
   }
-  result.version = record.version;
 
-  if (!collections || collections.length <= 0) {
+  const { versions } = record;
+  if (!versions) {
+    result.version = record.version;
+  }
+
+  const all = !collections || collections.length <= 0;
+  await removeExpired(db, storeName, scope, document, all ? null : collections);
+
+  const pushCollection = (collection, idbResult) => {
+    const expiresAt = keepExpires(idbResult?.expires, idbResult?.properties ?? {});
+    result.collections.push({
+      collection,
+      ...(versions && { version: versions[collection] ?? '0' }),
+      properties: {
+        ...idbResult?.properties
+      },
+      ...(Object.keys(expiresAt).length > 0 && { expiresAt })
+    });
+  };
+
+  if (all) {
     const idbResults = await db.getAllFromIndex(storeName, 'document', [scope, document]);
     for (const idbResult of idbResults) {
-      result.collections.push({
-        collection: idbResult.collection_name,
-        properties: {
-          ...idbResult.properties
-        }
-      });
+      pushCollection(idbResult.collection_name, idbResult);
     }
   } else {
     for (const collection of collections) {
       const idbResult = await db.get(storeName, [scope, document, collection]);
-      result.collections.push({
-        collection,
-        properties: {
-          ...idbResult.properties
-        }
-      });
+      pushCollection(collection, idbResult);
     }
   }
 
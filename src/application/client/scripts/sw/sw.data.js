@@ -7,6 +7,9 @@
  *   setupBackgroundRequests - Setup offline request queue, 'sync' event or polyfill
  *   logout - Perform any logout actions
  *   refreshData - Get the latest data from the remote data service
+ *   remoteChange - Apply a change from the remote data service change feed
+ *   renameData - Rename a document or collection, or move a collection to another document
+ *   copyData - Copy an app document into a new user document
  *   batchUpdate - Make a mutation to the remote data service
  *   mayUpdate - Prepare for a mutation to the local data
  *   installDatabase - Sw install event handler
@@ -35,7 +38,7 @@ import { Queue } from 'workbox-background-sync'; // workbox-core
 import { _private } from 'workbox-core';
 import { getStoreTypeStore, getStoreTypeScope } from '#client-utils/storeType.js';
 import { isObj } from '#client-utils/javascript.js';
-import { startTimer, serviceAllTimers } from './sw.timer.js';
+import { startTimer, serviceAllTimers, computeTimerResolution } from './sw.timer.js';
 import { sendMessage, CriticalSection, AffiliatedLock, debug } from './sw.utils.js';
 import {
   apiVersion,
@@ -49,7 +52,12 @@ import {
   opDel,
   opLogout,
   opPut,
+  opRename,
+  pageLimit,
   queueName,
+  rateLimitRetryMax,
+  sharedStore,
+  userStore,
   versionStoreType
 } from './sw.data.constants.js';
 import {
@@ -63,12 +71,17 @@ export async function activateDatabase () {
 }
 import {
   clearBaseStoreRecords,
+  clearPendingRequest,
+  discardPendingUpdates,
+  getPendingRequests,
   hasPendingUpdates,
+  keepPendingRequest,
   loadData,
   localData,
   mayUpdate,
   storeData,
   storeAndBroadcastMutation,
+  storeRename,
   storeVersionConflict,
   resetRetryCount
 } from './sw.data.helpers.js';
@@ -125,6 +138,12 @@ async function replayRequestQueue ({ queue }) {
     throw new _private.WorkboxError('queue-replay-failed', { name: queueName });
   }
 
+  if (Date.now() < replayNotBefore) {
+    debug(`Replay held by Retry-After until ${new Date(replayNotBefore).toISOString()}`);
+    await scheduleReplay();
+    return;
+  }
+
   const getRequests = [];
   const getConflicts = [];
 
@@ -167,7 +186,7 @@ async function replayRequestQueue ({ queue }) {
         } // for - meta.collections
       } else { // take collections as a value
         await mayUpdate({ storeType, document, collection: collections });
-        await conditionalBatchUpdate({ storeType, document, collection: collections });
+        await conditionalBatchUpdate({ storeType, document, op, collection: collections });
       }
     } // else - mutations
   } // while - mutations
@@ -233,7 +252,7 @@ export async function __forceReplay () {
 
 /**
  * Make the url fragement to the resource for the given storeType.
- * For now, just get the storeType store.
+ * For now, just get the storeType store, and the owner id scope for the 'shared' store.
  * When multiple app level data scopes required, use scope for 'app' store.
  * 
  * @param {String} storeType - store:scope path to document
@@ -241,18 +260,99 @@ export async function __forceReplay () {
  */
 function makeStoreTypeURLFragment (storeType) {
   const store = getStoreTypeStore(storeType);
+  if (store === sharedStore) {
+    return `${store}/${getStoreTypeScope(storeType)}`;
+  }
   return store;
 }
 
+/**
+ * The time before which rate limited requests are not sent or replayed, @see deferReplay.
+ */
+let replayNotBefore = 0;
+
+/**
+ * Get the Retry-After delay of a rate limited response.
+ * Retry-After is either seconds or an http date.
+ *
+ * @param {Response} response - The 429 response
+ * @returns {Number} The delay in milliseconds, from 1 second to rateLimitRetryMax
+ */
+function getRetryAfter (response) {
+  const retryAfter = response.headers.get('Retry-After');
+  let delay = Number(retryAfter) * 1000;
+  if (Number.isNaN(delay)) {
+    delay = Date.parse(retryAfter) - Date.now();
+  }
+  return Math.min(Math.max(delay || 0, 1000), rateLimitRetryMax);
+}
+
+/**
+ * Start or reset the timer that replays the request queue when the Retry-After delay is over.
+ */
+async function scheduleReplay () {
+  const delay = Math.max(replayNotBefore - Date.now(), 0);
+
+  await startTimer(
+    delay,
+    'rate-limit-timer',
+    () => {
+      replayRequestQueue({ queue }).catch(e => {
+        debug('Rate limited replay failed', e.name, e.message);
+      });
+    },
+    computeTimerResolution(delay),
+    true // ignoreInactivity
+  );
+}
+
+/**
+ * Queue a rate limited request for replay after the Retry-After delay.
+ * Until then, requests that can be replayed are queued instead of sent, and the queue is not replayed.
+ *
+ * @param {Request} request - The request object
+ * @param {Object} metadata - The metadata to be stored with the Request on replay
+ * @param {Number} [delay] - The Retry-After delay in milliseconds, omit to queue behind the current delay
+ */
+async function deferReplay (request, metadata, delay = 0) {
+  replayNotBefore = Math.max(replayNotBefore, Date.now() + delay);
+
+  debug(`Deferring ${request.method} ${request.url} until ${new Date(replayNotBefore).toISOString()}`);
+
+  await queue.pushRequest({
+    request,
+    metadata
+  });
+  await scheduleReplay();
+}
+
+/**
+ * Check if a response is to the repeat of a mutation request that is still in flight on the remote data service.
+ *
+ * @param {Response} response - The response
+ * @returns {Promise<Boolean>} true if the Idempotency-Key of the request is in flight, false otherwise
+ */
+async function isInFlight (response) {
+  if (response.status !== 409) {
+    return false;
+  }
+  const data = await response.clone().json().catch(() => ({}));
+  return data.type === 'data.idempotency.inFlight';
+}
+
 /**
  * Make a network request to the remote data service.
+ * Rate limited (429) requests, and repeats of requests still in flight (409), are queued for replay after
+ * their Retry-After delay, if they can be replayed.
  *
  * @param {Request} request - The request object
  * @param {Object} [options] - options to handle data and control replay failure behavior
  * @param {AsyncFunction} [options.asyncResponseHandler] - data response handler
  * @param {AsyncFunction} [options.staleResponse] - stale response handler
  * @param {Object} [options.metadata] - metadata to be stored with the Request on replay
+ * @param {AsyncFunction} [options.acknowledge] - called when the remote data service responds, unless the request is deferred
  * @param {Boolean} [options.retry] - true if failures should be queued for replay
+ * @param {Boolean} [options.resolveConflict] - false to throw on version conflict instead of resolving it
  * @param {Symbol} [options.affiliationId] - lock affiliationId
  * @returns {Number} 0 on success or conflict resolution, E_REPLAY if queued for replay. Throws on error
  */
@@ -260,11 +360,21 @@ async function dataAPICall (request, {
   asyncResponseHandler = null,
   staleResponse = null,
   metadata = null,
+  acknowledge = null,
   retry = true,
+  resolveConflict = true,
   affiliationId = null
 } = {}) {
   debug('dataAPICall ', request.url, request.method);
 
+  if (canSync && retry && Date.now() < replayNotBefore) {
+    if (request.method === 'GET' && staleResponse) {
+      await staleResponse();
+    }
+    await deferReplay(request, metadata);
+    return E_REPLAY;
+  }
+
   const abortController = new AbortController();
   let fetchTimer = setTimeout(
     abortController.abort.bind(abortController),
@@ -284,6 +394,11 @@ async function dataAPICall (request, {
 
     debug(`fetch ${request.method} response for ${request.url}: ${response.status}`, response);
 
+    const deferred = response.status === 429 || await isInFlight(response);
+    if (!deferred && typeof acknowledge === 'function') {
+      await acknowledge();
+    }
+
     if (response.ok) {
       if (typeof asyncResponseHandler === 'function') {
         let data = {};
@@ -293,13 +408,19 @@ async function dataAPICall (request, {
         await asyncResponseHandler(data);
       }
       result = 0;
+    } else if (deferred && canSync && retry) {
+      if (request.method === 'GET' && staleResponse) {
+        await staleResponse();
+      }
+      await deferReplay(request, metadata, getRetryAfter(response));
+      result = E_REPLAY;
     } else {
       let handled = false;
 
       if (request.method !== 'GET') {
         const resp = await response.json();
 
-        if (resp.versionError) {
+        if (resp.versionError && resolveConflict) {
           await versionConflict(metadata, { affiliationId });
           handled = true;
           result = E_CONFLICT;
@@ -350,16 +471,20 @@ async function dataAPICall (request, {
  * Refresh the local store copy with remote data.
  * If there are outgoing pending updates, return local data instead.
  * If there is a network issue, return local data instead.
+ * If the local copy of the document is complete, only the changes since its version are requested.
+ * Without a document, all the documents are requested in pages of pageLimit documents.
+ * With properties, only those properties are requested and merged into the local copy, @see storeData.
  *
  * @param {Object} payload - payload parameters
  * @param {String} payload.storeType - store:scope path to document
  * @param {String} [payload.document] - document name
  * @param {String|Array<String>} [payload.collections] - collection name(s) to get
+ * @param {Array<String>} [payload.properties] - property names to get, omit for all
  * @param {Object} [options] - options parameters
  * @param {Boolean} [options.forceRemote] - true to force remote refresh, false otherwise
  * @param {Function} [options.asyncResponseHandler] - override the default asyncResponseHandler
  */
-export async function refreshData ({ storeType, document, collections }, {
+export async function refreshData ({ storeType, document, collections, properties }, {
   forceRemote = false,
   asyncResponseHandler = null  // overrides default storeData call
 } = {}) {
@@ -374,40 +499,333 @@ export async function refreshData ({ storeType, document, collections }, {
 
   const resource = makeStoreTypeURLFragment(storeType);
   const baseUrl = `/api/data/${resource}`;
-  const path = document ? `/${document}${typeof collections === 'string' ? `/${collections}`
-    : collections?.length === 1 ? `/${collections[0]}` : ''
-  }` : '';
-  let url = `${baseUrl}${path}`;
+  const projected = properties?.length > 0;
+  const complete = (!collections || collections.length === 0) && !projected;
+  let url;
 
-  if (document && collections?.length > 1) {
-    const query = querystring.stringify({ collections });
-    url += `?${query}`;
+  // Delta sync requires the local copy to be complete at its version, the stored data is not otherwise overwritten
+  let since = null;
+  if (document && !asyncResponseHandler && !projected) {
+    const db = await getDB();
+    const local = await db.get(makeStoreName(versionStoreType), [storeType, document]);
+    if (local?.complete && `${local.version}` !== '0') {
+      since = `${local.version}`;
+    }
+  }
+
+  if (since) {
+    const query = querystring.stringify(complete ? { since } : { collections, since });
+    url = `${baseUrl}/${document}?${query}`;
+  } else if (projected) {
+    const query = querystring.stringify(document
+      ? { ...(collections?.length > 0 && { collections }), properties }
+      : { fields: properties }
+    );
+    url = `${baseUrl}${document ? `/${document}` : ''}?${query}`;
+  } else {
+    const path = document ? `/${document}${typeof collections === 'string' ? `/${collections}`
+      : collections?.length === 1 ? `/${collections[0]}` : ''
+    }` : '';
+    url = `${baseUrl}${path}`;
+
+    if (document && collections?.length > 1) {
+      const query = querystring.stringify({ collections });
+      url += `?${query}`;
+    }
+  }
+
+  if (!document) {
+    url += `${projected ? '&' : '?'}${querystring.stringify({ limit: pageLimit })}`;
   }
 
-  const request = new Request(url, {
+  const dfltStaleResponse = localData.bind(null, storeType, document, collections);
+  const dfltAsyncResponse = data => storeData(storeType, data, null, complete);
+  const responseHandler = asyncResponseHandler ?? dfltAsyncResponse;
+
+  let cursor = null;
+  do {
+    const request = new Request(cursor ? `${url}&${querystring.stringify({ cursor })}` : url, {
+      headers: {
+        'X-Api-Version': apiVersion,
+        'Content-Type': 'application/json'
+      }
+    });
+
+    cursor = null;
+    await dataAPICall(request, {
+      asyncResponseHandler: async data => {
+        cursor = data.__next ?? null;
+        delete data.__next;
+        await responseHandler(data);
+      },
+      staleResponse: forceRemote ? null : dfltStaleResponse,
+      metadata: {
+        storeType,
+        document,
+        collections,
+        op: opGet
+      }
+    });
+  } while (cursor);
+}
+
+/**
+ * Handle a remote change from the data service change feed.
+ * Refreshes the changed document if the local copy is older than the remote version.
+ * Outgoing pending updates take precedence, they resolve with the remote change by version conflict.
+ *
+ * @param {Object} payload - payload parameters
+ * @param {String} payload.storeType - store:scope path to document
+ * @param {String} payload.document - The changed document name
+ * @param {String} payload.version - The new remote document version, '0' if the document was deleted
+ * @param {Object} [payload.rename] - The rename { document, collection, newDocument, newCollection } if renamed or moved
+ */
+export async function remoteChange ({ storeType, document, version, rename }) {
+  debug(`remoteChange, ${storeType}:${document} version ${version}`, rename);
+
+  if (rename) {
+    // Move the local copy first, so the refresh is a delta from the local version
+    await storeRename(storeType, rename);
+  }
+
+  if (version === '0') {
+    debug('remoteChange skipped, remote document was deleted');
+    return;
+  }
+
+  const db = await getDB();
+  const versionStoreName = makeStoreName(versionStoreType);
+  const local = await db.get(versionStoreName, [storeType, document]);
+
+  if (local && BigInt(local.version) >= BigInt(version)) {
+    debug(`remoteChange skipped, local version ${local.version} is current`);
+    return;
+  }
+
+  await refreshData({ storeType, document });
+}
+
+/**
+ * Rename a document or collection, or move a collection to another document, on the remote data service.
+ * Pending updates are sent first, the rename is not queued for replay and throws on failure or version conflict.
+ * A rename that is tried again with the same request is sent with the same Idempotency-Key, until it is acknowledged.
+ * Holds the batch update lock, so updates made during the rename are sent under the new names.
+ *
+ * @param {Object} payload - payload parameters
+ * @param {String} payload.storeType - store:scope path to document
+ * @param {String} payload.document - The document name
+ * @param {String} [payload.collection] - The collection name, omit to rename the document
+ * @param {String} [payload.newDocument] - The new or target document name, defaults to the document
+ * @param {String} [payload.newCollection] - The new collection name, defaults to the collection
+ */
+export async function renameData ({
+  storeType, document, collection, newDocument = document, newCollection = collection
+}) {
+  debug(`renameData, ${storeType}:${document}:${collection} to ${newDocument}:${newCollection}`);
+
+  if (!storeType || !document || (!collection && newDocument === document)) {
+    throw new Error('Bad input passed to renameData');
+  }
+
+  const lockId = await alBatchUpdate.acquire();
+
+  try {
+    await processBatchUpdates(lockId);
+    await sendPendingRequests(storeType, document, lockId);
+
+    const db = await getDB();
+    const versionStoreName = makeStoreName(versionStoreType);
+    const local = await db.get(versionStoreName, [storeType, document]);
+    if (!local) {
+      throw new Error(`renameData document '${document}' not found`);
+    }
+
+    const resource = makeStoreTypeURLFragment(storeType);
+    let url = `/api/data/${resource}/${document}`;
+    const body = { version: local.version };
+
+    if (collection) {
+      url += `/${collection}`;
+      body.name = newCollection;
+      if (newDocument !== document) {
+        const target = await db.get(versionStoreName, [storeType, newDocument]);
+        body.document = newDocument;
+        body.targetVersion = target?.version ?? '0';
+      }
+    } else {
+      body.name = newDocument;
+    }
+
+    url += '/_rename';
+    const [pending] = await getPendingRequests(storeType, document, [opRename]);
+    const request = pending?.url === url && pending.body === JSON.stringify(body) ? pending : await keepPendingRequest({
+      storeType, document, op: opRename, url, method: 'POST', body
+    });
+
+    await dataAPICall(makeMutationRequest(request), {
+      asyncResponseHandler: async data => {
+        await storeRename(storeType, {
+          document, collection, newDocument, newCollection
+        }, data.versions);
+      },
+      acknowledge: clearPendingRequest.bind(null, storeType, document, opRename),
+      retry: false,
+      resolveConflict: false
+    });
+  } finally {
+    alBatchUpdate.release(lockId);
+  }
+}
+
+/**
+ * Copy an app document into a new user document on the remote data service, then get the new document.
+ * The copy is not queued for replay and throws on failure, or if the user document already exists.
+ *
+ * @param {Object} payload - payload parameters
+ * @param {String} payload.storeType - store:scope path to the new user document
+ * @param {String} payload.document - The new user document name
+ * @param {String} payload.appDocument - The app document name to copy
+ */
+export async function copyData ({ storeType, document, appDocument }) {
+  debug(`copyData, ${appDocument} to ${storeType}:${document}`);
+
+  if (getStoreTypeStore(storeType) !== userStore || !document || !appDocument) {
+    throw new Error('Bad input passed to copyData');
+  }
+
+  const request = new Request(`/api/data/${userStore}/${document}/_from-app/${appDocument}`, {
+    method: 'POST',
     headers: {
       'X-Api-Version': apiVersion,
       'Content-Type': 'application/json'
     }
   });
 
-  const dfltStaleResponse = localData.bind(null, storeType, document, collections);
-  const dfltAsyncResponse = data => storeData(storeType, data);
-
   await dataAPICall(request, {
-    asyncResponseHandler: asyncResponseHandler ?? dfltAsyncResponse,
-    staleResponse: forceRemote ? null : dfltStaleResponse,
+    asyncResponseHandler: async () => {
+      await refreshData({ storeType, document }, { forceRemote: true });
+    },
+    retry: false
+  });
+}
+
+/**
+ * Make the network request of a pending mutation request, with its Idempotency-Key.
+ *
+ * @param {Object} pending - The pending request, @see keepPendingRequest
+ * @returns {Request} The network request
+ */
+function makeMutationRequest ({ url, method, key, body }) {
+  return new Request(url, {
+    method,
+    headers: {
+      'X-Api-Version': apiVersion,
+      'Content-Type': 'application/json',
+      'Idempotency-Key': key
+    },
+    body
+  });
+}
+
+/**
+ * Check if a pending mutation request makes the same changes as a new request.
+ * The versions are not compared, they change when the pending request is applied.
+ *
+ * @param {Object} pending - The pending request, @see keepPendingRequest
+ * @param {String} url - The new request url
+ * @param {Object} body - The new request body
+ * @returns {Boolean} true if the requests make the same changes, false otherwise
+ */
+function isSameMutation (pending, url, body) {
+  const withoutVersions = ({ collections, ...data }) => JSON.stringify({
+    ...data,
+    version: null,
+    collections: Array.isArray(collections) ? collections.map(coll => ({ ...coll, version: null })) : collections
+  });
+  return pending.url === url && withoutVersions(JSON.parse(pending.body)) === withoutVersions(body);
+}
+
+/**
+ * Send a pending upsert or delete request, and store the mutation when it is acknowledged.
+ * The request keeps its Idempotency-Key and body until then, so a replay of a committed request gets its response.
+ *
+ * @param {Object} pending - The pending request, @see keepPendingRequest
+ * @param {Symbol} [affiliationId] - Lock affiliationId
+ * @returns {Number} 0 on success or conflict resolution, E_REPLAY if queued for replay. Throws on error
+ */
+async function sendMutation ({ storeType, document, op, collections, changes, ...request }, affiliationId = null) {
+  return dataAPICall(makeMutationRequest(request), {
+    asyncResponseHandler: async data => {
+      await storeAndBroadcastMutation(storeType, document, data, collections, changes);
+      if (collections) {
+        const colls = Array.isArray(collections) ? collections : [collections];
+        for (const coll of colls) {
+          const collection = isObj(coll) ? coll.collection : coll;
+          await clearBaseStoreRecords(storeType, document, collection);
+        }
+      } else {
+        await clearBaseStoreRecords(storeType, document);
+      }
+    },
     metadata: {
       storeType,
       document,
       collections,
-      op: opGet
+      op
+    },
+    acknowledge: clearPendingRequest.bind(null, storeType, document, op),
+    affiliationId
+  });
+}
+
+/**
+ * Send the pending upsert and delete requests of a document, oldest first.
+ * A request that was committed, but whose response was lost, gets its kept response instead of a version conflict.
+ *
+ * @param {String} storeType - store:scope path to document
+ * @param {String} document - The document name
+ * @param {Symbol} [affiliationId] - Lock affiliationId
+ * @returns {Promise<Object>} E_REPLAY if a request was queued for replay, or 0, and the requests sent { result, sent }
+ */
+async function sendPendingRequests (storeType, document, affiliationId = null) {
+  const sent = await getPendingRequests(storeType, document, [opPut, opDel]);
+
+  for (const pending of sent) {
+    debug(`sendPendingRequests, ${pending.method} ${pending.url}`);
+    const result = await sendMutation(pending, affiliationId);
+    if (result === E_REPLAY) {
+      return { result, sent };
     }
+  }
+
+  return { result: 0, sent };
+}
+
+/**
+ * Queue a mutation for replay behind the pending requests of its document, without sending it.
+ * The replay makes the mutation again from its metadata, @see replayRequestQueue.
+ *
+ * @param {String} url - The request url
+ * @param {String} method - The request method
+ * @param {Object} metadata - The metadata to be stored with the Request on replay
+ * @returns {Number} E_REPLAY
+ */
+async function queueMutation (url, method, metadata) {
+  await queue.pushRequest({
+    request: new Request(url, {
+      method,
+      headers: {
+        'X-Api-Version': apiVersion
+      }
+    }),
+    metadata
   });
+  return E_REPLAY;
 }
 
 /**
  * Synchronize local data creation and updates with the remote data service.
+ * The pending requests of the document are sent first, an upsert already sent by them is not sent again.
  * 
  * @param {Object} payload - payload parameters
  * @param {String} payload.storeType - store:scope path to document
@@ -429,42 +847,30 @@ async function upsertData ({ storeType, document, collections = null }, {
   const baseUrl = `/api/data/${resource}`;
   const url = `${baseUrl}/${document}`;
 
+  const { result, sent } = await sendPendingRequests(storeType, document, affiliationId);
+  if (result === E_REPLAY) {
+    return queueMutation(url, 'POST', { storeType, document, collections, op: opPut });
+  }
+
   const body = await loadData(storeType, document, collections);
 
-  const request = new Request(url, {
-    method: 'POST',
-    headers: {
-      'X-Api-Version': apiVersion,
-      'Content-Type': 'application/json'
-    },
-    body: JSON.stringify(body)
-  });
+  if (sent.some(pending => pending.op === opPut && isSameMutation(pending, url, body))) {
+    debug(`upsertData, ${storeType}:${document} was sent by a pending request`);
+    return 0;
+  }
 
-  const result = await dataAPICall(request, {
-    asyncResponseHandler: async data => {
-      await storeAndBroadcastMutation(storeType, document, data, collections);
-      if (collections) {
-        for (const collection of collections) {
-          await clearBaseStoreRecords(storeType, document, collection);
-        }
-      } else {
-        await clearBaseStoreRecords(storeType, document);
-      }
-    },
-    metadata: {
-      storeType,
-      document,
-      collections,
-      op: opPut
-    },
-    affiliationId
+  const pending = await keepPendingRequest({
+    storeType, document, op: opPut, url, method: 'POST', body, collections, changes: {
+      updated: body.collections.map(({ collection }) => collection)
+    }
   });
 
-  return result;
+  return sendMutation(pending, affiliationId);
 }
 
 /**
  * Synchronize local data deletions with the remote data service.
+ * The pending requests of the document are sent first, a delete already sent by them is not sent again.
  * Formats data for the delete api methods if input is String|Array<String>.
  * If input is Object|Array<Object> this assumes the data is already formatted properly.
  *   @see processBatchUpdates for formatting
@@ -490,8 +896,10 @@ async function deleteData ({ storeType, document, collections }, {
   let url = `${baseUrl}/${document}`;
 
   // Prepare string collections
+  const changes = { updated: [], removed: [] };
   if (typeof collections === 'string') {
     url += `/${collections}`;
+    changes.removed.push(collections);
     collections = false; // eslint-disable-line no-param-reassign
   }
 
@@ -503,49 +911,42 @@ async function deleteData ({ storeType, document, collections }, {
     }
   }
 
+  const { result, sent } = await sendPendingRequests(storeType, document, affiliationId);
+  if (result === E_REPLAY) {
+    return queueMutation(url, 'DELETE', { storeType, document, collections, op: opDel });
+  }
+
   // Get version
   const db = await getDB();
   const versionStoreName = makeStoreName(versionStoreType);
-  const { version } = await db.get(versionStoreName, [storeType, document]);
+  const { version, versions } = await db.get(versionStoreName, [storeType, document]);
 
-  // Prepare request body
+  // Prepare request body, with the collection versions instead of the document version if they are known
   const body = { version };
   if (collections) {
-    body.collections = collections;
+    const colls = Array.isArray(collections) ? collections : [collections];
+    for (const { collection, properties } of colls) {
+      changes[properties?.length > 0 ? 'updated' : 'removed'].push(collection);
+    }
+
+    if (versions) {
+      delete body.version;
+      body.collections = colls.map(coll => ({ ...coll, version: versions[coll.collection] ?? '0' }));
+    } else {
+      body.collections = collections;
+    }
   }
 
-  const request = new Request(url, {
-    method: 'DELETE',
-    headers: {
-      'X-Api-Version': apiVersion,
-      'Content-Type': 'application/json'
-    },
-    body: JSON.stringify(body)
-  });
+  if (sent.some(pending => pending.op === opDel && isSameMutation(pending, url, body))) {
+    debug(`deleteData, ${storeType}:${document} was sent by a pending request`);
+    return 0;
+  }
 
-  const result = await dataAPICall(request, {
-    asyncResponseHandler: async data => {
-      await storeAndBroadcastMutation(storeType, document, data, collections);
-      if (collections) {
-        const colls = Array.isArray(collections) ? collections : [collections];
-        for (const coll of colls) {
-          const collection = isObj(coll) ? coll.collection : coll;
-          await clearBaseStoreRecords(storeType, document, collection);
-        }
-      } else {
-        await clearBaseStoreRecords(storeType, document);
-      }
-    },
-    metadata: {
-      storeType,
-      document,
-      collections,
-      op: opDel
-    },
-    affiliationId
+  const pending = await keepPendingRequest({
+    storeType, document, op: opDel, url, method: 'DELETE', body, collections, changes
   });
 
-  return result;
+  return sendMutation(pending, affiliationId);
 }
 
 /**
@@ -569,6 +970,23 @@ async function logoutData (storeType, cleanup = true, notify = true) {
     }
 
     debug(`Deleted ${count} records from ${storeName} on logout for scope ${scope}`);
+
+    // Documents shared with the user go with the user data, in all owner scopes
+    const sharedStoreName = makeStoreName(sharedStore);
+    const isUserStore = getStoreTypeStore(storeType) === userStore;
+    if (isUserStore) {
+      await db.clear(sharedStoreName);
+      debug(`Cleared ${sharedStoreName} on logout`);
+    }
+
+    // The document versions go with the data, so a later refresh does not take the empty store as a complete copy
+    const versionStoreName = makeStoreName(versionStoreType);
+    const versionKeys = await db.getAllKeys(versionStoreName);
+    for (const key of versionKeys.filter(([keyStoreType]) =>
+      keyStoreType === storeType || (isUserStore && getStoreTypeStore(keyStoreType) === sharedStore)
+    )) {
+      await db.delete(versionStoreName, key);
+    }
   }
 
   if (notify) {
@@ -578,11 +996,20 @@ async function logoutData (storeType, cleanup = true, notify = true) {
 
 /**
  * Perform actions on logout.
+ * If the remote user data was purged, the pending updates are discarded instead of sent,
+ * so they don't recreate it, and the local user data is wiped.
  * 
  * @param {Object} payload - The arguments
  * @param {String} payload.storeType - store:scope path to document
+ * @param {Boolean} [payload.purge] - true if the remote user data was purged
  */
-export async function logout ({ storeType }) {
+export async function logout ({ storeType, purge = false }) {
+  if (purge) {
+    await discardPendingUpdates(queue, storeType);
+    await logoutData(storeType);
+    return;
+  }
+
   const hasUpdates = await hasPendingUpdates(queue);
 
   if (hasUpdates) {
@@ -27,6 +27,7 @@ import {
   conflictStoreType,
   dbname,
   mainStoreTypes,
+  requestStoreType,
   schemaVersion,
   versionStoreType
 } from './sw.data.constants';
@@ -68,7 +69,7 @@ export async function installDatabase () {
     upgrade (db, oldVersion, newVersion, transaction, event) {
 
       //
-      // MAIN STORES (app, user)
+      // MAIN STORES (app, user, shared)
       // upgrade main objectStores...
       for (const storeType of mainStoreTypes) {
         const storeName = makeStoreName(storeType);
@@ -179,6 +180,27 @@ export async function installDatabase () {
         }
       }
 
+      //
+      // REQUEST STORE
+      // Upgrade the pending request objectStore...
+      const requestStoreName = makeStoreName(requestStoreType);
+      if (!db.objectStoreNames.contains(requestStoreName)) {
+        db.createObjectStore(requestStoreName, {
+          keyPath: ['storeType', 'document', 'op']
+        });
+      }
+
+      // Do future migrations of request objectStore here...
+
+      // Cleanup all old objectStores after migration
+      // deleteObjectStore can only be called in a version event transaction (like here).
+      for (let oldVersion = schemaVersion - 1; oldVersion > -1; oldVersion--) {
+        const oldStoreName = makeStoreName(requestStoreType, oldVersion);
+        if (db.objectStoreNames.contains(oldStoreName)) {
+          db.deleteObjectStore(oldStoreName);
+        }
+      }
+
       //
       // BASE STORE
       // Upgrade the base document objectStore...
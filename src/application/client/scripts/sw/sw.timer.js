@@ -165,6 +165,33 @@ export function serviceAllTimers () {
   }
 }
 
+/**
+ * Compute a timer resolution interval that targets a median value (nominalTimerInterval).
+ * Never give a resolution below a minimum floor value.
+ * Favor overshooting over undershooting.
+ * 
+ * @param {Number} delay - The total time delay to derive a timer resolution from
+ * @returns {Number} The calculated interval resolution time closest to nominalTimerInterval
+ */
+export function computeTimerResolution (delay) {
+  const target = nominalTimerInterval;
+  const floor = Math.ceil(nominalTimerInterval * 0.6);
+
+  if (delay <= floor) return floor;
+
+  // Use Math.ceil to ensure we don't under-count intervals
+  // Example: 1300 / 500 = 2.6 -> 3 intervals
+  const intervalCount = Math.ceil(delay / target);
+  
+  // Use Math.ceil again to ensure the interval duration 
+  // slightly overshoots the target delay rather than undershooting.
+  // Example: 1300 / 3 = 433.33 -> 434ms
+  const resolution = Math.ceil(delay / intervalCount);
+
+  // Ensure we respect the CPU floor
+  return Math.max(resolution, floor);
+}
+
 /**
  * Start or reset a timer by name.
  * Start a heartbeat for a new timer.
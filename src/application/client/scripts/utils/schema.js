@@ -0,0 +1,331 @@
+/**
+ * JSON Schema validation, shared by the data service and the client.
+ * Implements the subset of JSON Schema keywords for documents of properties:
+ *   type, enum, const, properties, required, additionalProperties, minProperties, maxProperties,
+ *   items, minItems, maxItems, minimum, maximum, exclusiveMinimum, exclusiveMaximum, multipleOf,
+ *   minLength, maxLength, pattern, allOf, anyOf, oneOf, not
+ * Annotation keywords are allowed. checkSchema reports any other keyword, so schemas are not registered with
+ * keywords that would be ignored.
+ *
+ * Jam-build, a web application practical reference.
+ * Copyright (c) 2025 Alex Grant <info@localnerve.com> (https://www.localnerve.com), LocalNerve LLC
+ *
+ * This file is part of Jam-build.
+ * Jam-build is free software: you can redistribute it and/or modify it
+ * under the terms of the GNU Affero General Public License as published by the Free Software
+ * Foundation, either version 3 of the License, or (at your option) any later version.
+ * Jam-build is distributed in the hope that it will be useful, but WITHOUT ANY WARRANTY;
+ * without even the implied warranty of MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.
+ * See the GNU Affero General Public License for more details.
+ * You should have received a copy of the GNU Affero General Public License along with Jam-build.
+ * If not, see <https://www.gnu.org/licenses/>.
+ * Additional terms under GNU AGPL version 3 section 7:
+ * a) The reasonable legal notice of original copyright and author attribution must be preserved
+ *    by including the string: "Copyright (c) 2025 Alex Grant <info@localnerve.com> (https://www.localnerve.com), LocalNerve LLC"
+ *    in this material, copies, or source code of derived works.
+ */
+import { isObj, hasOwnProperty } from './javascript.js';
+
+/**
+ * Make a JSON Pointer path to a child value.
+ *
+ * @param {String} path - The JSON Pointer path to the parent value
+ * @param {String|Number} key - The property name or array index of the child value
+ * @returns {String} The JSON Pointer path to the child value
+ */
+export function makeSchemaPath (path, key) {
+  return `${path}/${`${key}`.replace(/~/g, '~0').replace(/\//g, '~1')}`;
+}
+
+/**
+ * The keywords validateSchema implements, and the annotation keywords that do not validate.
+ */
+const supportedKeywords = new Set([
+  'type', 'enum', 'const', 'properties', 'required', 'additionalProperties', 'minProperties', 'maxProperties',
+  'items', 'minItems', 'maxItems', 'minimum', 'maximum', 'exclusiveMinimum', 'exclusiveMaximum', 'multipleOf',
+  'minLength', 'maxLength', 'pattern', 'allOf', 'anyOf', 'oneOf', 'not'
+]);
+const annotationKeywords = new Set([
+  '$schema', '$id', '$comment', 'title', 'description', 'default', 'examples', 'deprecated', 'readOnly', 'writeOnly'
+]);
+
+/**
+ * Check a JSON Schema can be validated by validateSchema.
+ * Reports the keywords it does not implement, and patterns that are not valid regular expressions.
+ *
+ * @param {Object|Boolean} schema - The JSON Schema
+ * @param {String} [path] - The JSON Pointer path to the schema, defaults to the root
+ * @returns {Array<Object>} The schema errors [{ path, message }], empty if the schema is supported
+ */
+export function checkSchema (schema, path = '') {
+  const errors = [];
+
+  if (typeof schema === 'boolean') {
+    return errors;
+  }
+  if (!isObj(schema)) {
+    errors.push({ path, message: 'must be a schema' });
+    return errors;
+  }
+
+  for (const keyword of Object.keys(schema)) {
+    if (!supportedKeywords.has(keyword) && !annotationKeywords.has(keyword)) {
+      errors.push({ path: makeSchemaPath(path, keyword), message: `is an unsupported keyword '${keyword}'` });
+    }
+  }
+
+  if (hasOwnProperty(schema, 'pattern')) {
+    let pattern;
+    try {
+      pattern = typeof schema.pattern === 'string' && new RegExp(schema.pattern, 'u');
+    } catch {
+      pattern = null;
+    }
+    if (!pattern) {
+      errors.push({ path: makeSchemaPath(path, 'pattern'), message: 'must be a valid regular expression' });
+    }
+  }
+
+  if (isObj(schema.properties)) {
+    for (const [key, subSchema] of Object.entries(schema.properties)) {
+      errors.push(...checkSchema(subSchema, makeSchemaPath(makeSchemaPath(path, 'properties'), key)));
+    }
+  }
+  for (const keyword of ['additionalProperties', 'items', 'not']) {
+    if (hasOwnProperty(schema, keyword)) {
+      errors.push(...checkSchema(schema[keyword], makeSchemaPath(path, keyword)));
+    }
+  }
+  for (const keyword of ['allOf', 'anyOf', 'oneOf']) {
+    if (Array.isArray(schema[keyword])) {
+      schema[keyword].forEach((subSchema, index) => {
+        errors.push(...checkSchema(subSchema, makeSchemaPath(makeSchemaPath(path, keyword), index)));
+      });
+    }
+  }
+
+  return errors;
+}
+
+/**
+ * Get the JSON Schema type of a value.
+ *
+ * @param {Any} value - A JSON value
+ * @returns {String} The JSON Schema type name
+ */
+function typeOf (value) {
+  if (value === null) {
+    return 'null';
+  }
+  if (Array.isArray(value)) {
+    return 'array';
+  }
+  if (Number.isInteger(value)) {
+    return 'integer';
+  }
+  return typeof value;
+}
+
+/**
+ * Check a value against a JSON Schema type keyword.
+ *
+ * @param {String|Array<String>} type - The type keyword
+ * @param {Any} value - A JSON value
+ * @returns {Boolean} true if the value is of the type
+ */
+function isType (type, value) {
+  const types = Array.isArray(type) ? type : [type];
+  const valueType = typeOf(value);
+  return types.some(t => t === valueType || (t === 'number' && valueType === 'integer'));
+}
+
+/**
+ * Deep equality for JSON values, for enum and const.
+ *
+ * @param {Any} a - A JSON value
+ * @param {Any} b - A JSON value
+ * @returns {Boolean} true if the values are equal
+ */
+function isEqual (a, b) {
+  if (a === b) {
+    return true;
+  }
+  if (typeOf(a) !== typeOf(b) || typeof a !== 'object' || a === null) {
+    return false;
+  }
+  const aKeys = Object.keys(a);
+  const bKeys = Object.keys(b);
+  return aKeys.length === bKeys.length && aKeys.every(key => hasOwnProperty(b, key) && isEqual(a[key], b[key]));
+}
+
+/**
+ * Validate a value against a JSON Schema.
+ *
+ * @param {Object|Boolean} schema - The JSON Schema
+ * @param {Any} value - The JSON value to validate
+ * @param {String} [path] - The JSON Pointer path to the value, defaults to the root
+ * @returns {Array<Object>} The validation errors [{ path, message }], empty if the value is valid
+ */
+export function validateSchema (schema, value, path = '') {
+  const errors = [];
+  const fail = (message, errorPath = path) => errors.push({ path: errorPath, message });
+
+  if (schema === true || typeof schema === 'undefined') {
+    return errors;
+  }
+  if (schema === false) {
+    fail('is not allowed');
+    return errors;
+  }
+  if (!isObj(schema)) {
+    fail('has an invalid schema');
+    return errors;
+  }
+
+  if (hasOwnProperty(schema, 'type') && !isType(schema.type, value)) {
+    fail(`must be ${[].concat(schema.type).join(' or ')}`);
+    return errors;
+  }
+  if (Array.isArray(schema.enum) && !schema.enum.some(item => isEqual(item, value))) {
+    fail('must be one of the enumerated values');
+  }
+  if (hasOwnProperty(schema, 'const') && !isEqual(schema.const, value)) {
+    fail('must be the constant value');
+  }
+
+  if (typeof value === 'number') {
+    if (typeof schema.minimum === 'number' && value < schema.minimum) {
+      fail(`must be >= ${schema.minimum}`);
+    }
+    if (typeof schema.maximum === 'number' && value > schema.maximum) {
+      fail(`must be <= ${schema.maximum}`);
+    }
+    if (typeof schema.exclusiveMinimum === 'number' && value <= schema.exclusiveMinimum) {
+      fail(`must be > ${schema.exclusiveMinimum}`);
+    }
+    if (typeof schema.exclusiveMaximum === 'number' && value >= schema.exclusiveMaximum) {
+      fail(`must be < ${schema.exclusiveMaximum}`);
+    }
+    if (typeof schema.multipleOf === 'number' && !Number.isInteger(value / schema.multipleOf)) {
+      fail(`must be a multiple of ${schema.multipleOf}`);
+    }
+  }
+
+  if (typeof value === 'string') {
+    const length = [...value].length;
+    if (typeof schema.minLength === 'number' && length < schema.minLength) {
+      fail(`must have at least ${schema.minLength} characters`);
+    }
+    if (typeof schema.maxLength === 'number' && length > schema.maxLength) {
+      fail(`must have at most ${schema.maxLength} characters`);
+    }
+    if (typeof schema.pattern === 'string') {
+      let pattern;
+      try {
+        pattern = new RegExp(schema.pattern, 'u');
+      } catch {
+        pattern = null;
+      }
+      if (!pattern?.test(value)) {
+        fail(`must match the pattern ${schema.pattern}`);
+      }
+    }
+  }
+
+  if (Array.isArray(value)) {
+    if (typeof schema.minItems === 'number' && value.length < schema.minItems) {
+      fail(`must have at least ${schema.minItems} items`);
+    }
+    if (typeof schema.maxItems === 'number' && value.length > schema.maxItems) {
+      fail(`must have at most ${schema.maxItems} items`);
+    }
+    if (hasOwnProperty(schema, 'items')) {
+      value.forEach((item, index) => {
+        errors.push(...validateSchema(schema.items, item, makeSchemaPath(path, index)));
+      });
+    }
+  }
+
+  if (isObj(value)) {
+    const keys = Object.keys(value);
+    const properties = isObj(schema.properties) ? schema.properties : {};
+
+    if (typeof schema.minProperties === 'number' && keys.length < schema.minProperties) {
+      fail(`must have at least ${schema.minProperties} properties`);
+    }
+    if (typeof schema.maxProperties === 'number' && keys.length > schema.maxProperties) {
+      fail(`must have at most ${schema.maxProperties} properties`);
+    }
+    if (Array.isArray(schema.required)) {
+      for (const key of schema.required.filter(key => !hasOwnProperty(value, key))) {
+        fail('is required', makeSchemaPath(path, key));
+      }
+    }
+    for (const key of keys) {
+      const propertySchema = hasOwnProperty(properties, key) ? properties[key] : schema.additionalProperties;
+      errors.push(...validateSchema(propertySchema, value[key], makeSchemaPath(path, key)));
+    }
+  }
+
+  if (Array.isArray(schema.allOf)) {
+    for (const subSchema of schema.allOf) {
+      errors.push(...validateSchema(subSchema, value, path));
+    }
+  }
+  if (Array.isArray(schema.anyOf) && !schema.anyOf.some(subSchema => validateSchema(subSchema, value, path).length === 0)) {
+    fail('must match a schema in anyOf');
+  }
+  if (Array.isArray(schema.oneOf) &&
+    schema.oneOf.filter(subSchema => validateSchema(subSchema, value, path).length === 0).length !== 1) {
+    fail('must match exactly one schema in oneOf');
+  }
+  if (hasOwnProperty(schema, 'not') && validateSchema(schema.not, value, path).length === 0) {
+    fail('must not match the schema in not');
+  }
+
+  return errors;
+}
+
+/**
+ * Validate a document against its document schema, and the given collections against their collection schemas.
+ *
+ * @param {Object} schemas - The document schemas { document: schema, collections: { collection: schema } }
+ * @param {Object} document - The document { collection: { propName: propVal } }
+ * @param {Array<String>} collections - The names of the collections to validate
+ * @returns {Array<Object>} The validation errors [{ path, message }], empty if the document is valid
+ */
+export function validateDocument (schemas, document, collections) {
+  const errors = [];
+
+  if (typeof schemas.document !== 'undefined') {
+    errors.push(...validateSchema(schemas.document, document));
+  }
+
+  for (const collection of collections) {
+    const schema = schemas.collections?.[collection];
+    if (typeof schema !== 'undefined') {
+      errors.push(...validateSchema(schema, document[collection] ?? {}, makeSchemaPath('', collection)));
+    }
+  }
+
+  return errors;
+}
+
+/**
+ * Validate upsert changes to a document against its document and collection schemas.
+ * The changes are merged with the current document first, so the schemas apply to the resulting document.
+ *
+ * @param {Object} schemas - The document schemas { document: schema, collections: { collection: schema } }
+ * @param {Object} current - The current document { collection: { propName: propVal } }
+ * @param {Object} changes - The changes to the document { collection: { propName: propVal } }
+ * @returns {Array<Object>} The validation errors [{ path, message }], empty if the changes are valid
+ */
+export function validateDocumentChanges (schemas, current, changes) {
+  const document = { ...current };
+
+  for (const [collection, properties] of Object.entries(changes)) {
+    document[collection] = { ...current[collection], ...properties };
+  }
+
+  return validateDocument(schemas, document, Object.keys(changes));
+}
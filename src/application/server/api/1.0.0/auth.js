@@ -25,6 +25,7 @@
 import debugLib from '@localnerve/debug';
 import { Authorizer } from '@localnerve/authorizer-js';
 import { ping } from './utils.js';
+import { rememberSessionUser, forgetSessionUser } from '../session.js';
 
 const debug = debugLib('api:auth');
 
@@ -92,7 +93,9 @@ async function validateSessionAndSetUser (req, session, roles, type) {
 
     debug('Setting req.user from data');
     req.user = data.user;
+    rememberSessionUser(session, data.user.id);
   } catch (e) {
+    forgetSessionUser(session); // logged out or expired, remembered again if validated again
     const error = new Error('Invalid session', {
       cause: e
     });
@@ -176,3 +179,20 @@ export async function authUser (req, res, next) {
   await auth(req, ['user']);
   next();
 }
+
+/**
+ * Optional authorization middleware for the 'user' role.
+ * Populates the Request.user object on success, continues without it otherwise.
+ *
+ * @param {Request} req - The expressjs Request object
+ * @param {Response} res - The expressjs Response object, not used
+ * @param {Function} next - The expressjs next function
+ */
+export async function authOptional (req, res, next) {
+  try {
+    await auth(req, ['user']);
+  } catch (e) {
+    debug('Optional authorization failed, continuing without user', e.message);
+  }
+  next();
+}
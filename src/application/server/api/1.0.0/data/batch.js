@@ -0,0 +1,98 @@
+/**
+ * Batched removal for the data service maintenance.
+ * The collection stored procedures take their input parameters, the batch size, and the dry run flag,
+ * and output their counts. Each call removes one batch in its own transaction.
+ *
+ * Depends on the following ENVIRONMENT:
+ *   - DATA_GC_BATCH_SIZE - max rows removed per batch, defaults to 1000
+ *
+ * Jam-build, a web application practical reference.
+ * Copyright (c) 2025 Alex Grant <info@localnerve.com> (https://www.localnerve.com), LocalNerve LLC
+ *
+ * This file is part of Jam-build.
+ * Jam-build is free software: you can redistribute it and/or modify it
+ * under the terms of the GNU Affero General Public License as published by the Free Software
+ * Foundation, either version 3 of the License, or (at your option) any later version.
+ * Jam-build is distributed in the hope that it will be useful, but WITHOUT ANY WARRANTY;
+ * without even the implied warranty of MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.
+ * See the GNU Affero General Public License for more details.
+ * You should have received a copy of the GNU Affero General Public License along with Jam-build.
+ * If not, see <https://www.gnu.org/licenses/>.
+ * Additional terms under GNU AGPL version 3 section 7:
+ * a) The reasonable legal notice of original copyright and author attribution must be preserved
+ *    by including the string: "Copyright (c) 2025 Alex Grant <info@localnerve.com> (https://www.localnerve.com), LocalNerve LLC"
+ *    in this material, copies, or source code of derived works.
+ */
+import debugLib from '@localnerve/debug';
+
+const debug = debugLib('api:data:batch');
+
+/**
+ * Get the configured batch size.
+ *
+ * @returns {Number} The max rows removed per batch
+ */
+export function getBatchSize () {
+  return Number(process.env.DATA_GC_BATCH_SIZE || 1000);
+}
+
+/**
+ * Call a collection stored procedure once.
+ *
+ * @param {ConnectionPool} pool - The database connection pool
+ * @param {String} procName - The name of the stored procedure to call
+ * @param {Array} inputParams - The stored procedure input parameters
+ * @param {Array<String>} counts - The names of the output counts, the output parameters are @out_<name>
+ * @returns {Promise<Object>} Resolves to the counts by name
+ */
+async function callBatch (pool, procName, inputParams, counts) {
+  let conn;
+  try {
+    conn = await pool.getConnection();
+
+    await conn.query(
+      `CALL ${procName}(${inputParams.map(() => '?').concat(counts.map(name => `@out_${name}`)).join(', ')})`,
+      inputParams
+    );
+
+    const [outParam] = await conn.query(
+      `SELECT ${counts.map(name => `@out_${name} AS ${name}_count`).join(', ')}`
+    );
+    return Object.fromEntries(counts.map(name => [name, Number(outParam[`${name}_count`])])); // BIGINT
+  } finally {
+    if (conn) {
+      conn.release();
+    }
+  }
+}
+
+/**
+ * Find and remove rows in batches, until a batch removes less than the batch size of every count.
+ * A dry run only counts them.
+ *
+ * @param {ConnectionPool} pool - The database connection pool
+ * @param {String} procName - The name of the stored procedure to call
+ * @param {Array} inputParams - The stored procedure input parameters before the batch size
+ * @param {Array<String>} counts - The names of the output counts, @see callBatch
+ * @param {Number} batchSize - The max rows removed per batch, per count
+ * @param {Boolean} dryRun - true to only count the rows
+ * @returns {Promise<Object>} Resolves to the counts by name, and the number of batches { ...counts, batches }
+ */
+export async function collectBatches (pool, procName, inputParams, counts, batchSize, dryRun) {
+  const result = Object.fromEntries(counts.map(name => [name, 0]));
+  let batches = 0;
+  let batch;
+
+  do {
+    batch = await callBatch(pool, procName, [...inputParams, batchSize, dryRun], counts);
+    for (const name of counts) {
+      result[name] += batch[name];
+    }
+    if (!dryRun) {
+      batches++;
+    }
+    debug(`${procName} ${dryRun ? 'found' : 'removed'} ${counts.map(name => `${batch[name]} ${name}`).join(', ')}`);
+  } while (!dryRun && counts.some(name => batch[name] >= batchSize));
+
+  return { ...result, batches };
+}
@@ -0,0 +1,152 @@
+/**
+ * The document change feed for the app and user data service.
+ * Streams committed document version changes to subscribers as Server-Sent Events.
+ *
+ * Jam-build, a web application practical reference.
+ * Copyright (c) 2025 Alex Grant <info@localnerve.com> (https://www.localnerve.com), LocalNerve LLC
+ *
+ * This file is part of Jam-build.
+ * Jam-build is free software: you can redistribute it and/or modify it
+ * under the terms of the GNU Affero General Public License as published by the Free Software
+ * Foundation, either version 3 of the License, or (at your option) any later version.
+ * Jam-build is distributed in the hope that it will be useful, but WITHOUT ANY WARRANTY;
+ * without even the implied warranty of MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.
+ * See the GNU Affero General Public License for more details.
+ * You should have received a copy of the GNU Affero General Public License along with Jam-build.
+ * If not, see <https://www.gnu.org/licenses/>.
+ * Additional terms under GNU AGPL version 3 section 7:
+ * a) The reasonable legal notice of original copyright and author attribution must be preserved
+ *    by including the string: "Copyright (c) 2025 Alex Grant <info@localnerve.com> (https://www.localnerve.com), LocalNerve LLC"
+ *    in this material, copies, or source code of derived works.
+ */
+import { EventEmitter } from 'node:events';
+import { createHash } from 'node:crypto';
+import debugLib from '@localnerve/debug';
+
+const debug = debugLib('api:data:changes');
+
+const changeEvent = 'change';
+const keepAliveInterval = 25000;
+const retryInterval = 5000;
+
+const changes = new EventEmitter();
+changes.setMaxListeners(0); // one listener per subscriber
+
+let granteeLookup = null;
+
+/**
+ * Set the lookup of the users a user document is shared with.
+ * Without it, shared document changes are only published to the owner.
+ *
+ * @param {Function} lookup - (ownerId, document) => Promise<Array<String>> resolves to the grantee ids
+ */
+export function setGranteeLookup (lookup) {
+  granteeLookup = lookup;
+}
+
+/**
+ * Make the client storeType for a data service change.
+ * The user scope matches the client login user scope, the hex SHA-256 digest of the user email.
+ *
+ * @param {Boolean} isUser - true if the change is to a user document
+ * @param {Object} user - The Request.user of the change
+ * @returns {String} The store:scope path to the changed document
+ */
+function makeStoreType (isUser, user) {
+  if (isUser) {
+    const scope = createHash('sha256').update(user.email).digest('hex');
+    return `user:${scope}`;
+  }
+  return 'app:public';
+}
+
+/**
+ * Publish a committed document change to the change feed subscribers.
+ * Changes that did not create a new document version are not published.
+ * Changes to a user document are published to the owner, and to its grantees as the storeType 'shared:<ownerId>'.
+ * The grantees of a deleted document are not notified, its shares are deleted with it.
+ *
+ * @param {String} methodName - The canonical name of the mutation method
+ * @param {Request} req - The expressjs Request object of the mutation
+ * @param {Object} change - The change
+ * @param {String} change.document - The changed document name
+ * @param {String} change.version - The document version input to the mutation
+ * @param {String} change.newVersion - The new document version, '0' if the document was deleted
+ * @param {Array<String>} change.collections - The changed collection names, empty for the whole document
+ * @param {Object} [change.rename] - The rename that made the change { document, collection, newDocument, newCollection }
+ */
+export function publishChange (methodName, req, { document, version, newVersion, collections, rename }) {
+  if (`${version}` === newVersion) {
+    debug(`${methodName} '${document}' did not change version ${version}, skipping`);
+    return;
+  }
+
+  const isUser = /user/i.test(methodName);
+  const owner = req.owner ?? req.user;
+
+  const event = {
+    storeType: makeStoreType(isUser, owner),
+    document,
+    version: newVersion,
+    collections,
+    ...(rename && { rename })
+  };
+
+  changes.emit(changeEvent, {
+    userId: isUser ? owner.id : null,
+    event
+  });
+
+  if (isUser && granteeLookup) {
+    granteeLookup(owner.id, document).then(granteeIds => {
+      for (const granteeId of granteeIds) {
+        changes.emit(changeEvent, {
+          userId: granteeId,
+          event: { ...event, storeType: `shared:${owner.id}` }
+        });
+      }
+    }).catch(e => {
+      debug(`${methodName} '${document}' failed to find the grantees`, e);
+    });
+  }
+}
+
+/**
+ * Stream document changes to the subscriber as Server-Sent Events.
+ * Subscribers receive changes to public app documents, and to their own user documents if authenticated.
+ *
+ * @param {Request} req - The expressjs Request object
+ * @param {Response} res - The expressjs Response object
+ */
+export function changeFeed (req, res) {
+  const userId = req.user?.id ?? null;
+
+  debug(`Subscribing to changes for ${userId ? `user ${userId}` : 'public'}`);
+
+  // no-transform also keeps the compression middleware from buffering the stream
+  res.status(200).set({
+    'Content-Type': 'text/event-stream',
+    'Cache-Control': 'private, no-cache, no-transform',
+    Connection: 'keep-alive',
+    'X-Accel-Buffering': 'no'
+  });
+  res.flushHeaders();
+  res.write(`retry: ${retryInterval}\n\n`);
+
+  const listener = change => {
+    if (change.userId === null || change.userId === userId) {
+      res.write(`event: ${changeEvent}\ndata: ${JSON.stringify(change.event)}\n\n`);
+    }
+  };
+  const keepAlive = setInterval(() => {
+    res.write(': keep-alive\n\n');
+  }, keepAliveInterval);
+
+  changes.on(changeEvent, listener);
+
+  req.on('close', () => {
+    debug(`Unsubscribing from changes for ${userId ? `user ${userId}` : 'public'}`);
+    clearInterval(keepAlive);
+    changes.off(changeEvent, listener);
+  });
+}
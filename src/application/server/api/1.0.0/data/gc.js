@@ -0,0 +1,92 @@
+/**
+ * Orphan garbage collection for the data service.
+ * Collections and properties are only linked to documents through junction tables, so deletes that
+ * remove junction rows can leave unreferenced rows behind. This finds and removes them in batches, @see batch.js.
+ * Runs as an admin route, @see collectGarbage, or from the command line, @see src/application/server/gc.js
+ * Both also run the expiry collections once, @see scheduler.js
+ *
+ * Jam-build, a web application practical reference.
+ * Copyright (c) 2025 Alex Grant <info@localnerve.com> (https://www.localnerve.com), LocalNerve LLC
+ *
+ * This file is part of Jam-build.
+ * Jam-build is free software: you can redistribute it and/or modify it
+ * under the terms of the GNU Affero General Public License as published by the Free Software
+ * Foundation, either version 3 of the License, or (at your option) any later version.
+ * Jam-build is distributed in the hope that it will be useful, but WITHOUT ANY WARRANTY;
+ * without even the implied warranty of MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.
+ * See the GNU Affero General Public License for more details.
+ * You should have received a copy of the GNU Affero General Public License along with Jam-build.
+ * If not, see <https://www.gnu.org/licenses/>.
+ * Additional terms under GNU AGPL version 3 section 7:
+ * a) The reasonable legal notice of original copyright and author attribution must be preserved
+ *    by including the string: "Copyright (c) 2025 Alex Grant <info@localnerve.com> (https://www.localnerve.com), LocalNerve LLC"
+ *    in this material, copies, or source code of derived works.
+ */
+import { collectBatches, getBatchSize } from './batch.js';
+import { collectExpired } from './scheduler.js';
+
+const maxBatchSize = 100000;
+const scopes = {
+  application: 'CollectApplicationOrphans',
+  user: 'CollectUserOrphans'
+};
+
+/**
+ * Find and remove the orphaned collections and properties of the application and user documents.
+ * Removes them in batches, each in its own transaction, until a batch removes less than the batch size.
+ * A dry run only counts them, properties of orphaned collections count as orphans.
+ *
+ * @param {ConnectionPool} pool - The database connection pool, must be allowed to execute the procedures
+ * @param {Object} [options] - The collection options
+ * @param {Boolean} [options.dryRun] - true to only count the orphans, defaults to false
+ * @param {Number} [options.batchSize] - The max collections and properties removed per batch, @see getBatchSize
+ * @returns {Promise<Object>} Resolves to the result { dryRun, batchSize, application, user },
+ * application and user are the counts { collections, properties, batches }
+ */
+export async function collectOrphans (pool, {
+  dryRun = false, batchSize = getBatchSize()
+} = {}) {
+  const result = { dryRun, batchSize };
+
+  for (const [scope, procName] of Object.entries(scopes)) {
+    result[scope] = await collectBatches(pool, procName, [], ['collections', 'properties'], batchSize, dryRun);
+  }
+
+  return result;
+}
+
+/**
+ * Collect the orphaned collections and properties, and the expired items, sends the response.
+ * The query string can have dryRun=true to only count them, and batchSize to override the configured size.
+ *
+ * @param {ConnectionPool} pool - The database connection pool
+ * @param {Object} logger - The application level logger
+ * @param {Request} req - The expressjs Request object
+ * @param {Response} res - The expressjs Response object
+ * @returns {Promise} resolves to null on successful completion
+ */
+export async function collectGarbage (pool, logger, req, res) {
+  const dryRun = req.query.dryRun === 'true' || req.query.dryRun === '1';
+  const batchSize = Number(req.query.batchSize ?? getBatchSize());
+
+  if (!Number.isInteger(batchSize) || batchSize < 1 || batchSize > maxBatchSize) {
+    const error = new Error(`[400] batchSize must be an integer from 1 to ${maxBatchSize}`);
+    error.status = 400;
+    error.type = 'data.validation.input.batchSize';
+    throw error;
+  }
+
+  const result = {
+    ...await collectOrphans(pool, { dryRun, batchSize }),
+    ...await collectExpired(pool, { dryRun, batchSize })
+  };
+
+  logger.info({ gc: result, userId: req.user.id }, `Data orphan collection ${dryRun ? 'dry run' : 'complete'}`);
+
+  res.status(200).json({
+    message: 'Success',
+    ok: true,
+    ...result,
+    timestamp: (new Date()).toISOString()
+  });
+}
@@ -0,0 +1,73 @@
+/**
+ * Document history retention for the data service.
+ * Every document version keeps a snapshot in the history, so the history is pruned to a max number
+ * of versions per document, and optionally to a retention period, by the expiry collection, @see scheduler.js
+ * The latest version of a document is always kept, so its history can be read and restored.
+ *
+ * Depends on the following ENVIRONMENT:
+ *   - DATA_HISTORY_MAX_VERSIONS - versions kept per document, defaults to 100, 0 keeps all versions
+ *   - DATA_HISTORY_RETENTION_DAYS - days older versions are kept, defaults to 0, keeps them by count only
+ *
+ * Jam-build, a web application practical reference.
+ * Copyright (c) 2025 Alex Grant <info@localnerve.com> (https://www.localnerve.com), LocalNerve LLC
+ *
+ * This file is part of Jam-build.
+ * Jam-build is free software: you can redistribute it and/or modify it
+ * under the terms of the GNU Affero General Public License as published by the Free Software
+ * Foundation, either version 3 of the License, or (at your option) any later version.
+ * Jam-build is distributed in the hope that it will be useful, but WITHOUT ANY WARRANTY;
+ * without even the implied warranty of MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.
+ * See the GNU Affero General Public License for more details.
+ * You should have received a copy of the GNU Affero General Public License along with Jam-build.
+ * If not, see <https://www.gnu.org/licenses/>.
+ * Additional terms under GNU AGPL version 3 section 7:
+ * a) The reasonable legal notice of original copyright and author attribution must be preserved
+ *    by including the string: "Copyright (c) 2025 Alex Grant <info@localnerve.com> (https://www.localnerve.com), LocalNerve LLC"
+ *    in this material, copies, or source code of derived works.
+ */
+import { collectBatches, getBatchSize } from './batch.js';
+
+const maxHistoryVersions = 4294967295; // INT UNSIGNED
+const maxHistoryRetention = 4294967295; // INT UNSIGNED seconds
+
+/**
+ * Get the configured max versions kept per document.
+ *
+ * @returns {Number} The versions kept per document, 0 to keep all versions
+ */
+export function getHistoryMaxVersions () {
+  const versions = Number(process.env.DATA_HISTORY_MAX_VERSIONS ?? 100);
+  return Math.min(Math.max(Math.round(versions), 0), maxHistoryVersions);
+}
+
+/**
+ * Get the configured history retention period.
+ *
+ * @returns {Number} The seconds older versions are kept, 0 to keep them by count only
+ */
+export function getHistoryRetention () {
+  const days = Number(process.env.DATA_HISTORY_RETENTION_DAYS ?? 0);
+  return Math.min(Math.max(Math.round(days * 86400), 0), maxHistoryRetention);
+}
+
+/**
+ * Find and remove the application and user document versions past the max versions or the retention period, in batches.
+ *
+ * @param {ConnectionPool} pool - The database connection pool, must be allowed to execute CollectExpiredHistory
+ * @param {Object} [options] - The collection options
+ * @param {Boolean} [options.dryRun] - true to only count the expired versions, defaults to false
+ * @param {Number} [options.batchSize] - The max versions removed per batch, @see getBatchSize
+ * @param {Number} [options.maxVersions] - The versions kept per document, @see getHistoryMaxVersions
+ * @param {Number} [options.retention] - The retention period in seconds, @see getHistoryRetention
+ * @returns {Promise<Object>} Resolves to the counts { application, user, batches }
+ */
+export async function collectExpiredHistory (pool, {
+  dryRun = false,
+  batchSize = getBatchSize(),
+  maxVersions = getHistoryMaxVersions(),
+  retention = getHistoryRetention()
+} = {}) {
+  return collectBatches(
+    pool, 'CollectExpiredHistory', [maxVersions, retention], ['application', 'user'], batchSize, dryRun
+  );
+}
@@ -0,0 +1,267 @@
+/**
+ * Idempotency keys for the data service mutations.
+ * A mutation request with an Idempotency-Key header has its successful response kept for the key, by user.
+ * A repeat of the same request with the same key gets the kept response instead of being applied again,
+ * so a replay of a request that committed, but whose response was lost, does not collide on version.
+ * The key is reserved while its request is in flight, so a concurrent repeat is not applied either.
+ *
+ * Depends on the following ENVIRONMENT:
+ *   - DATA_IDEMPOTENCY_RETENTION_HOURS - hours the responses are kept for their keys, defaults to 24
+ *     Expired keys are removed by the expiry collection, @see scheduler.js
+ *
+ * Jam-build, a web application practical reference.
+ * Copyright (c) 2025 Alex Grant <info@localnerve.com> (https://www.localnerve.com), LocalNerve LLC
+ *
+ * This file is part of Jam-build.
+ * Jam-build is free software: you can redistribute it and/or modify it
+ * under the terms of the GNU Affero General Public License as published by the Free Software
+ * Foundation, either version 3 of the License, or (at your option) any later version.
+ * Jam-build is distributed in the hope that it will be useful, but WITHOUT ANY WARRANTY;
+ * without even the implied warranty of MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.
+ * See the GNU Affero General Public License for more details.
+ * You should have received a copy of the GNU Affero General Public License along with Jam-build.
+ * If not, see <https://www.gnu.org/licenses/>.
+ * Additional terms under GNU AGPL version 3 section 7:
+ * a) The reasonable legal notice of original copyright and author attribution must be preserved
+ *    by including the string: "Copyright (c) 2025 Alex Grant <info@localnerve.com> (https://www.localnerve.com), LocalNerve LLC"
+ *    in this material, copies, or source code of derived works.
+ */
+import { createHash } from 'node:crypto';
+import debugLib from '@localnerve/debug';
+import { collectBatches, getBatchSize } from './batch.js';
+
+const debug = debugLib('api:data:idempotency');
+
+const maxIdempotencyRetention = 4294967295; // INT UNSIGNED seconds
+const pendingTimeout = 300; // seconds a reservation is held for a request in flight
+const inFlightRetryAfter = 1; // seconds
+const readMethods = ['GET', 'HEAD', 'OPTIONS'];
+
+/**
+ * Get the configured idempotency key retention period.
+ *
+ * @returns {Number} The seconds the responses are kept for their keys
+ */
+export function getIdempotencyRetention () {
+  const hours = Number(process.env.DATA_IDEMPOTENCY_RETENTION_HOURS || 24);
+  return Math.min(Math.round(hours * 3600), maxIdempotencyRetention);
+}
+
+/**
+ * Get the Idempotency-Key of a request.
+ *
+ * @param {Request} req - The expressjs Request object
+ * @returns {String|null} The key, null if the request does not have one
+ */
+function getRequestKey (req) {
+  const key = req.get('Idempotency-Key');
+
+  if (typeof key === 'undefined') {
+    return null;
+  }
+
+  if (!/^[\x21-\x7e]{1,255}$/.test(key)) {
+    const error = new Error('Invalid input');
+    error.status = 400;
+    error.type = 'data.validation.input.idempotencyKey';
+    throw error;
+  }
+
+  return key;
+}
+
+/**
+ * Make the hash of a request, a key can only be repeated with the same request.
+ *
+ * @param {Request} req - The expressjs Request object
+ * @returns {String} The hex sha256 hash of the method, url, and body
+ */
+function makeRequestHash (req) {
+  return createHash('sha256')
+    .update(`${req.method} ${req.originalUrl} ${JSON.stringify(req.body ?? null)}`)
+    .digest('hex');
+}
+
+/**
+ * Call an idempotency key stored procedure.
+ *
+ * @param {ConnectionPool} pool - The database connection pool
+ * @param {String} procName - The name of the stored procedure to call
+ * @param {Array} inputParams - The stored procedure input parameters
+ * @param {Boolean} [outParam] - true if the procedure has an output parameter
+ * @returns {Promise<Object>} Resolves to the result { rows, outParam } outParam is undefined if none
+ */
+async function callKeyProcedure (pool, procName, inputParams, outParam = false) {
+  let conn;
+  try {
+    conn = await pool.getConnection();
+
+    const procParams = inputParams.map(() => '?').concat(outParam ? '@out_param' : []).join(', ');
+    const rows = await conn.query(`CALL ${procName}(${procParams})`, inputParams);
+
+    if (!outParam) {
+      return { rows };
+    }
+
+    const [out] = await conn.query('SELECT @out_param AS result');
+    return { rows, outParam: out.result };
+  } finally {
+    if (conn) {
+      conn.release();
+    }
+  }
+}
+
+/**
+ * Reserve a key for a request in flight.
+ *
+ * @param {ConnectionPool} pool - The database connection pool
+ * @param {String} userId - The requesting user id
+ * @param {String} key - The Idempotency-Key
+ * @param {String} requestHash - The request hash, @see makeRequestHash
+ * @param {Number} retention - The retention period in seconds
+ * @returns {Promise<Boolean>} Resolves to true if reserved, false if the key is already reserved or kept
+ */
+async function reserve (pool, userId, key, requestHash, retention) {
+  const { outParam } = await callKeyProcedure(
+    pool, 'ReserveIdempotencyKey', [userId, key, requestHash, retention, pendingTimeout], true
+  );
+  return !!outParam; // 0n, 1n
+}
+
+/**
+ * Get the kept response for a key.
+ *
+ * @param {ConnectionPool} pool - The database connection pool
+ * @param {String} userId - The requesting user id
+ * @param {String} key - The Idempotency-Key
+ * @param {Number} retention - The retention period in seconds
+ * @returns {Promise<Object|null>} Resolves to the kept row { request_hash, response_status, response_body }, null if not found
+ * The response_status is null while the request of the key is in flight
+ */
+async function getKept (pool, userId, key, retention) {
+  const { rows, outParam } = await callKeyProcedure(pool, 'GetIdempotencyKey', [userId, key, retention], true);
+  return outParam ? null : rows[0][0];
+}
+
+/**
+ * Keep the response for a reserved key.
+ *
+ * @param {ConnectionPool} pool - The database connection pool
+ * @param {String} userId - The requesting user id
+ * @param {String} key - The Idempotency-Key
+ * @param {Number} status - The response status
+ * @param {Object} body - The response body
+ * @returns {Promise<undefined>} Fulfills on success
+ */
+async function keep (pool, userId, key, status, body) {
+  await callKeyProcedure(pool, 'KeepIdempotencyResponse', [userId, key, status, JSON.stringify(body)]);
+}
+
+/**
+ * Release a reserved key, so the request can be sent again with the same key.
+ *
+ * @param {ConnectionPool} pool - The database connection pool
+ * @param {String} userId - The requesting user id
+ * @param {String} key - The Idempotency-Key
+ * @returns {Promise<undefined>} Fulfills on success
+ */
+async function release (pool, userId, key) {
+  await callKeyProcedure(pool, 'ReleaseIdempotencyKey', [userId, key]);
+}
+
+/**
+ * Create middleware that makes the mutations with an Idempotency-Key idempotent.
+ * The key is reserved before the request is applied. A repeat of a request with a kept response gets
+ * that response, with an Idempotent-Replayed header, and a repeat while the request is still in flight
+ * responds 409 with Retry-After. A key used again with a different request responds 422. Only successful
+ * responses are kept, a failed request releases the key, so it can be sent again with the same key.
+ * Reads are not affected.
+ * Must follow the authorization middleware, keys are kept by user.
+ *
+ * @param {ConnectionPool} pool - The database connection pool
+ * @param {Object} logger - The application level logger
+ * @returns {Function} expressjs middleware
+ */
+export function createIdempotency (pool, logger) {
+  return async function idempotency (req, res, next) {
+    if (readMethods.includes(req.method)) {
+      return next();
+    }
+
+    const key = getRequestKey(req);
+    if (!key) {
+      return next();
+    }
+
+    const userId = req.user.id;
+    const retention = getIdempotencyRetention();
+    const requestHash = makeRequestHash(req);
+
+    if (!await reserve(pool, userId, key, requestHash, retention)) {
+      const kept = await getKept(pool, userId, key, retention);
+
+      if (kept && kept.request_hash !== requestHash) {
+        const error = new Error('[422] Idempotency-Key was already used for a different request');
+        error.status = 422;
+        error.type = 'data.idempotency.mismatch';
+        throw error;
+      }
+
+      // In flight, or released or expired since the reservation failed
+      if (!kept || kept.response_status === null) {
+        debug(`Request for key '${key}' is in flight`);
+
+        res.set('Retry-After', `${inFlightRetryAfter}`);
+        const error = new Error('[409] Idempotency-Key request is in flight, retry later');
+        error.status = 409;
+        error.type = 'data.idempotency.inFlight';
+        throw error;
+      }
+
+      debug(`Replaying the kept response for key '${key}'`);
+
+      res.set('Idempotent-Replayed', 'true');
+      res.status(kept.response_status).json(kept.response_body);
+      return;
+    }
+
+    // Keep a successful response, or release the key of a failed one, before it is sent
+    // A failure to keep the response releases the key, and does not fail the request
+    const json = res.json.bind(res);
+    res.json = body => {
+      const settle = res.statusCode >= 200 && res.statusCode < 300
+        ? keep(pool, userId, key, res.statusCode, body).catch(err => {
+          logger.error({ err, key, userId }, 'Failed to keep the idempotent response');
+          return release(pool, userId, key);
+        })
+        : release(pool, userId, key);
+
+      settle
+        .catch(err => {
+          logger.error({ err, key, userId }, 'Failed to release the idempotency key');
+        })
+        .finally(() => json(body));
+      return res;
+    };
+
+    next();
+  };
+}
+
+/**
+ * Find and remove the idempotency keys that are past the retention period, in batches.
+ *
+ * @param {ConnectionPool} pool - The database connection pool, must be allowed to execute CollectExpiredIdempotencyKeys
+ * @param {Object} [options] - The collection options
+ * @param {Boolean} [options.dryRun] - true to only count the expired keys, defaults to false
+ * @param {Number} [options.batchSize] - The max keys removed per batch, @see getBatchSize
+ * @returns {Promise<Object>} Resolves to the counts { keys, batches }
+ */
+export async function collectExpiredKeys (pool, {
+  dryRun = false, batchSize = getBatchSize()
+} = {}) {
+  return collectBatches(
+    pool, 'CollectExpiredIdempotencyKeys', [getIdempotencyRetention()], ['keys'], batchSize, dryRun
+  );
+}
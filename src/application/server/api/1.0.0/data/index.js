@@ -10,6 +10,15 @@
  *   - DB_USER
  *   - DB_PASSWORD
  *   - DB_CONNECTION_LIMIT
+ *   - USER_QUOTA_MAX_DOCUMENTS, USER_QUOTA_MAX_COLLECTIONS, USER_QUOTA_MAX_PROPERTIES,
+ *     USER_QUOTA_MAX_VALUE_BYTES, USER_QUOTA_MAX_BYTES - @see quota.js
+ *   - API_RATE_LIMIT_ARCHIVE, API_RATE_LIMIT_ARCHIVE_WINDOW - @see ratelimit.js
+ *   - USER_ARCHIVE_MAX_BYTES - max NDJSON import body size, defaults to 10mb
+ *   - DATA_GC_BATCH_SIZE - @see batch.js
+ *   - DATA_TRASH_RETENTION_DAYS - @see trash.js
+ *   - DATA_EXPIRY_SWEEP_INTERVAL - @see scheduler.js
+ *   - DATA_IDEMPOTENCY_RETENTION_HOURS - @see idempotency.js
+ *   - DATA_HISTORY_MAX_VERSIONS, DATA_HISTORY_RETENTION_DAYS - @see history.js
  *
  * Jam-build, a web application practical reference.
  * Copyright (c) 2025 Alex Grant <info@localnerve.com> (https://www.localnerve.com), LocalNerve LLC
@@ -32,14 +41,45 @@ import debugLib from '@localnerve/debug';
 import express from 'express';
 import * as mariadb from 'mariadb';
 import {
+  getProperty,
   getProperties,
   getCollectionsAndProperties,
   getDocumentsCollectionsAndProperties,
+  getHistory,
+  getSchemas,
+  getUsage,
+  getShares,
+  getSharedDocuments,
+  getGrantees,
+  authorizeShare,
+  mutateShare,
+  getLinks,
+  createLink,
+  deleteLink,
+  getLinkedDocument,
   setProperties,
+  setSchema,
+  deleteSchema,
   deleteCollection,
-  deleteProperties
+  deleteProperties,
+  restoreDocument,
+  renameDocument,
+  copyDocument,
+  moveCollection,
+  transact,
+  exportDocuments,
+  importDocuments,
+  purgeUserData,
+  getTrash,
+  restoreTrash,
+  deleteTrash
 } from './methods.js';
-import { authAdmin, authUser } from '../auth.js';
+import { changeFeed, setGranteeLookup } from './changes.js';
+import { createUserRateLimit } from '../../ratelimit.js';
+import { collectGarbage } from './gc.js';
+import { startExpirySweep } from './scheduler.js';
+import { createIdempotency } from './idempotency.js';
+import { authAdmin, authUser, authOptional } from '../auth.js';
 
 const debug = debugLib('api:data');
 
@@ -61,14 +101,16 @@ function shutdownHandler (logger, pool, poolName) {
   });
 }
 
-let appPool, appRouter, userPool, userRouter;
+let appPool, appRouter, userPool, userRouter, sharedRouter, linkRouter, changesRouter;
 /**
  * Creates the connection pools and middleware for the data service.
  * 
  * @param {Object} logger - The application level logger
+ * @param {Object} [options] - The service options
+ * @param {Object} [options.rateLimitStore] - The rate limit bucket store of the api, @see ratelimit.js
  * @returns {Array<Router>} Array of middleware for this service
  */
-export function createService (logger) {
+export function createService (logger, options = {}) {
   if (!appPool) {
     debug('Creating app db connection pool and router...');
 
@@ -84,9 +126,109 @@ export function createService (logger) {
     process.on('SIGINT', shutdownHandler.bind(null, logger, appPool, 'appPool'));
     process.on('SIGTERM', shutdownHandler.bind(null, logger, appPool, 'appPool'));
 
+    startExpirySweep(appPool, logger);
+
+    const appIdempotency = createIdempotency(appPool, logger);
+
     appRouter = express.Router();
 
+    // History routes require 'admin' role, but must precede the public routes they would match
+    appRouter.get(
+      '/app/:document/_history/:version',
+      authAdmin,
+      getHistory.bind(
+        null,
+        appPool,
+        'getAppHistoryVersion',
+        'GetHistoryVersionForApplicationDocument'
+      )
+    );
+    appRouter.get(
+      '/app/:document/_history',
+      authAdmin,
+      getHistory.bind(
+        null,
+        appPool,
+        'getAppHistory',
+        'GetHistoryForApplicationDocument'
+      )
+    );
+
+    // Trash routes require 'admin' role, but must precede the public routes they would match
+    appRouter.get(
+      '/app/_trash',
+      authAdmin,
+      getTrash.bind(
+        null,
+        appPool,
+        'getAppTrash',
+        'GetTrashForApplication'
+      )
+    );
+    appRouter.post(
+      '/app/_trash/:id/restore',
+      authAdmin,
+      appIdempotency,
+      restoreTrash.bind(
+        null,
+        appPool,
+        'restoreAppTrash',
+        'RestoreApplicationTrash'
+      )
+    );
+    appRouter.delete(
+      '/app/_trash/:id',
+      authAdmin,
+      appIdempotency,
+      deleteTrash.bind(
+        null,
+        appPool,
+        'deleteAppTrash',
+        'DeleteApplicationTrash'
+      )
+    );
+    appRouter.delete(
+      '/app/_trash',
+      authAdmin,
+      appIdempotency,
+      deleteTrash.bind(
+        null,
+        appPool,
+        'deleteAppTrash',
+        'DeleteApplicationTrash'
+      )
+    );
+
+    // Orphan garbage collection requires 'admin' role, covers both application and user data
+    appRouter.post(
+      '/_gc',
+      authAdmin,
+      collectGarbage.bind(
+        null,
+        appPool,
+        logger
+      )
+    );
+
     // Public routes
+    appRouter.get(
+      '/app/:document/_schema',
+      getSchemas.bind(
+        null,
+        appPool,
+        'getAppSchemas',
+        'GetSchemasForApplicationDocument'
+      )
+    );
+    appRouter.get(
+      '/app/:document/:collection/:property',
+      getProperty.bind(
+        null,
+        appPool,
+        'getAppProperty',
+        'GetPropertyForApplicationDocumentAndCollection'
+      )
+    );
     appRouter.get(
       '/app/:document/:collection',
       getProperties.bind(
@@ -102,7 +244,11 @@ export function createService (logger) {
         null,
         appPool,
         'getAppCollectionsAndProperties',
-        'GetPropertiesAndCollectionsForApplicationDocument'
+        'GetPropertiesAndCollectionsForApplicationDocument',
+        'getAppChangesSince',
+        'GetChangesSinceForApplicationDocument',
+        'GetPropertiesAndCollectionsForApplicationDocumentWhere',
+        'GetProjectedPropertiesAndCollectionsForApplicationDocument'
       )
     );
     appRouter.get(
@@ -111,12 +257,47 @@ export function createService (logger) {
         null,
         appPool,
         'getAppDocumentsCollectionsAndProperties',
-        'GetPropertiesAndCollectionsAndDocumentsForApplication'
+        'GetPropertiesAndCollectionsAndDocumentsForApplication',
+        'GetProjectedPropertiesAndCollectionsAndDocumentsForApplication'
       )
     );
   
-    // Require 'admin' role
-    appRouter.use('/app', authAdmin);
+    // Require 'admin' role, mutations can have an Idempotency-Key
+    appRouter.use('/app', authAdmin, appIdempotency);
+    appRouter.post(
+      '/app/:document/_schema',
+      setSchema.bind(
+        null,
+        appPool,
+        'setAppSchema',
+        'UpsertApplicationDocumentSchema'
+      )
+    );
+    appRouter.delete(
+      '/app/:document/_schema',
+      deleteSchema.bind(
+        null,
+        appPool,
+        'deleteAppSchema',
+        'DeleteApplicationDocumentSchema'
+      )
+    );
+    appRouter.post(
+      '/app/_transaction',
+      transact.bind(
+        null,
+        appPool,
+        'transactApp',
+        {
+          upsert: 'UpsertApplicationDocumentWithCollectionsAndProperties',
+          deleteProperties: 'DeleteApplicationProperties',
+          deleteDocument: 'DeleteApplicationDocument',
+          schemas: 'GetSchemasForApplicationDocument',
+          document: 'GetPropertiesAndCollectionsForApplicationDocument',
+          usage: null // no quotas
+        }
+      )
+    );
     appRouter.delete(
       '/app/:document/:collection',
       deleteCollection.bind(
@@ -143,7 +324,42 @@ export function createService (logger) {
         null,
         appPool,
         'setAppProperties',
-        'UpsertApplicationDocumentWithCollectionsAndProperties'
+        'UpsertApplicationDocumentWithCollectionsAndProperties',
+        'GetSchemasForApplicationDocument',
+        'GetPropertiesAndCollectionsForApplicationDocument',
+        null // no quotas
+      )
+    );
+    appRouter.post(
+      '/app/:document/restore',
+      restoreDocument.bind(
+        null,
+        appPool,
+        'restoreAppDocument',
+        'RestoreApplicationDocument'
+      )
+    );
+    appRouter.post(
+      '/app/:document/_rename',
+      renameDocument.bind(
+        null,
+        appPool,
+        'renameAppDocument',
+        'RenameApplicationDocument',
+        'GetSchemasForApplicationDocument',
+        'GetPropertiesAndCollectionsForApplicationDocument'
+      )
+    );
+    appRouter.post(
+      '/app/:document/:collection/_rename',
+      moveCollection.bind(
+        null,
+        appPool,
+        'moveAppCollection',
+        'MoveApplicationCollection',
+        'GetSchemasForApplicationDocument',
+        'GetPropertiesAndCollectionsForApplicationDocument',
+        null // no quotas
       )
     );
   }
@@ -163,10 +379,220 @@ export function createService (logger) {
     process.on('SIGINT', shutdownHandler.bind(null, logger, userPool, 'userPool'));
     process.on('SIGTERM', shutdownHandler.bind(null, logger, userPool, 'userPool'));
 
+    const userIdempotency = createIdempotency(userPool, logger);
+    const archiveRateLimit = options.rateLimitStore ? { store: options.rateLimitStore } : {};
+
+    // Publish the changes to shared user documents to the grantees
+    setGranteeLookup(getGrantees.bind(null, userPool, 'getUserGrantees', 'GetGranteesForUserDocument'));
+
     userRouter = express.Router();
 
     // All routes require 'user' role
     userRouter.use('/user', authUser);
+
+    // Imports are limited and parsed before their body is hashed for the Idempotency-Key
+    userRouter.post(
+      '/user/_import',
+      createUserRateLimit(logger, 'import', archiveRateLimit),
+      express.text({
+        type: 'application/x-ndjson',
+        limit: process.env.USER_ARCHIVE_MAX_BYTES || '10mb'
+      })
+    );
+
+    // Mutations can have an Idempotency-Key
+    userRouter.use('/user', userIdempotency);
+    userRouter.get(
+      '/user/usage',
+      getUsage.bind(
+        null,
+        userPool,
+        'getUserUsage',
+        'GetUsageForUser'
+      )
+    );
+    userRouter.delete(
+      '/user',
+      purgeUserData.bind(
+        null,
+        userPool,
+        'purgeUserData',
+        'PurgeUserData',
+        logger
+      )
+    );
+    userRouter.get(
+      '/user/_trash',
+      getTrash.bind(
+        null,
+        userPool,
+        'getUserTrash',
+        'GetTrashForUser'
+      )
+    );
+    userRouter.post(
+      '/user/_trash/:id/restore',
+      restoreTrash.bind(
+        null,
+        userPool,
+        'restoreUserTrash',
+        'RestoreUserTrash'
+      )
+    );
+    userRouter.delete(
+      '/user/_trash/:id',
+      deleteTrash.bind(
+        null,
+        userPool,
+        'deleteUserTrash',
+        'DeleteUserTrash'
+      )
+    );
+    userRouter.delete(
+      '/user/_trash',
+      deleteTrash.bind(
+        null,
+        userPool,
+        'deleteUserTrash',
+        'DeleteUserTrash'
+      )
+    );
+    userRouter.get(
+      '/user/_export',
+      createUserRateLimit(logger, 'export', archiveRateLimit),
+      exportDocuments.bind(
+        null,
+        userPool,
+        'exportUserDocuments',
+        'GetPropertiesAndCollectionsAndDocumentsForUser'
+      )
+    );
+    userRouter.post(
+      '/user/_import',
+      importDocuments.bind(
+        null,
+        userPool,
+        'importUserDocuments',
+        {
+          upsert: 'UpsertUserDocumentWithCollectionsAndProperties',
+          deleteDocument: 'DeleteUserDocument',
+          schemas: 'GetSchemasForUserDocument',
+          documents: 'GetPropertiesAndCollectionsAndDocumentsForUser',
+          usage: 'GetUsageForUser'
+        }
+      )
+    );
+    userRouter.get(
+      '/user/:document/_share',
+      getShares.bind(
+        null,
+        userPool,
+        'getUserShares',
+        'GetSharesForUserDocument'
+      )
+    );
+    userRouter.post(
+      '/user/:document/_share',
+      mutateShare.bind(
+        null,
+        userPool,
+        'setUserShare',
+        'UpsertUserDocumentShare'
+      )
+    );
+    userRouter.delete(
+      '/user/:document/_share',
+      mutateShare.bind(
+        null,
+        userPool,
+        'deleteUserShare',
+        'DeleteUserDocumentShare'
+      )
+    );
+    userRouter.get(
+      '/user/:document/_link',
+      getLinks.bind(
+        null,
+        userPool,
+        'getUserLinks',
+        'GetLinksForUserDocument'
+      )
+    );
+    userRouter.post(
+      '/user/:document/_link',
+      createLink.bind(
+        null,
+        userPool,
+        'createUserLink',
+        'InsertUserDocumentLink'
+      )
+    );
+    userRouter.delete(
+      '/user/:document/_link/:linkId',
+      deleteLink.bind(
+        null,
+        userPool,
+        'deleteUserLink',
+        'DeleteUserDocumentLink'
+      )
+    );
+    userRouter.get(
+      '/user/:document/_schema',
+      getSchemas.bind(
+        null,
+        userPool,
+        'getUserSchemas',
+        'GetSchemasForUserDocument'
+      )
+    );
+    // User document schemas are shared by all users, registered by 'admin' role with the admin pool
+    userRouter.post(
+      '/user/:document/_schema',
+      authAdmin,
+      setSchema.bind(
+        null,
+        appPool,
+        'setUserSchema',
+        'UpsertUserDocumentSchema'
+      )
+    );
+    userRouter.delete(
+      '/user/:document/_schema',
+      authAdmin,
+      deleteSchema.bind(
+        null,
+        appPool,
+        'deleteUserSchema',
+        'DeleteUserDocumentSchema'
+      )
+    );
+    userRouter.get(
+      '/user/:document/_history/:version',
+      getHistory.bind(
+        null,
+        userPool,
+        'getUserHistoryVersion',
+        'GetHistoryVersionForUserDocument'
+      )
+    );
+    userRouter.get(
+      '/user/:document/_history',
+      getHistory.bind(
+        null,
+        userPool,
+        'getUserHistory',
+        'GetHistoryForUserDocument'
+      )
+    );
+    userRouter.get(
+      '/user/:document/:collection/:property',
+      getProperty.bind(
+        null,
+        userPool,
+        'getUserProperty',
+        'GetPropertyForUserDocumentAndCollection'
+      )
+    );
     userRouter.get(
       '/user/:document/:collection',
       getProperties.bind(
@@ -182,7 +608,11 @@ export function createService (logger) {
         null,
         userPool,
         'getUserCollectionsAndProperties',
-        'GetPropertiesAndCollectionsForUserDocument'
+        'GetPropertiesAndCollectionsForUserDocument',
+        'getUserChangesSince',
+        'GetChangesSinceForUserDocument',
+        'GetPropertiesAndCollectionsForUserDocumentWhere',
+        'GetProjectedPropertiesAndCollectionsForUserDocument'
       )
     );
     userRouter.get(
@@ -191,7 +621,24 @@ export function createService (logger) {
         null,
         userPool,
         'getUserDocumentsCollectionsAndProperties',
-        'GetPropertiesAndCollectionsAndDocumentsForUser'
+        'GetPropertiesAndCollectionsAndDocumentsForUser',
+        'GetProjectedPropertiesAndCollectionsAndDocumentsForUser'
+      )
+    );
+    userRouter.post(
+      '/user/_transaction',
+      transact.bind(
+        null,
+        userPool,
+        'transactUser',
+        {
+          upsert: 'UpsertUserDocumentWithCollectionsAndProperties',
+          deleteProperties: 'DeleteUserProperties',
+          deleteDocument: 'DeleteUserDocument',
+          schemas: 'GetSchemasForUserDocument',
+          document: 'GetPropertiesAndCollectionsForUserDocument',
+          usage: 'GetUsageForUser'
+        }
       )
     );
     userRouter.delete(
@@ -221,9 +668,187 @@ export function createService (logger) {
         userPool,
         'setUserProperties',
         'UpsertUserDocumentWithCollectionsAndProperties',
+        'GetSchemasForUserDocument',
+        'GetPropertiesAndCollectionsForUserDocument',
+        'GetUsageForUser'
       )
     );
+    userRouter.post(
+      '/user/:document/restore',
+      restoreDocument.bind(
+        null,
+        userPool,
+        'restoreUserDocument',
+        'RestoreUserDocument'
+      )
+    );
+    userRouter.post(
+      '/user/:document/_rename',
+      renameDocument.bind(
+        null,
+        userPool,
+        'renameUserDocument',
+        'RenameUserDocument',
+        'GetSchemasForUserDocument',
+        'GetPropertiesAndCollectionsForUserDocument'
+      )
+    );
+    userRouter.post(
+      '/user/:document/_from-app/:appDocument',
+      copyDocument.bind(
+        null,
+        userPool,
+        'copyUserDocumentFromApp',
+        'CopyApplicationDocumentToUser',
+        'GetPropertiesAndCollectionsForApplicationDocument',
+        'GetSchemasForUserDocument',
+        'GetPropertiesAndCollectionsForUserDocument',
+        'GetUsageForUser'
+      )
+    );
+    userRouter.post(
+      '/user/:document/:collection/_rename',
+      moveCollection.bind(
+        null,
+        userPool,
+        'moveUserCollection',
+        'MoveUserCollection',
+        'GetSchemasForUserDocument',
+        'GetPropertiesAndCollectionsForUserDocument',
+        'GetUsageForUser'
+      )
+    );
+  }
+
+  if (!sharedRouter) {
+    debug('Creating shared router...');
+
+    sharedRouter = express.Router();
+
+    const authorizeRead = authorizeShare.bind(
+      null,
+      userPool,
+      'authorizeUserShare',
+      'GetShareAccessForUserDocument',
+      'read'
+    );
+    const authorizeWrite = authorizeShare.bind(
+      null,
+      userPool,
+      'authorizeUserShare',
+      'GetShareAccessForUserDocument',
+      'write'
+    );
+
+    // All routes require 'user' role, document routes require access to the owner's shared document
+    // Mutations can have an Idempotency-Key
+    sharedRouter.use('/shared', authUser, createIdempotency(userPool, logger));
+    sharedRouter.get(
+      '/shared',
+      getSharedDocuments.bind(
+        null,
+        userPool,
+        'getUserSharedDocuments',
+        'GetSharedDocumentsForUser'
+      )
+    );
+    sharedRouter.get(
+      '/shared/:ownerId/:document/:collection/:property',
+      authorizeRead,
+      getProperty.bind(
+        null,
+        userPool,
+        'getSharedUserProperty',
+        'GetPropertyForUserDocumentAndCollection'
+      )
+    );
+    sharedRouter.get(
+      '/shared/:ownerId/:document/:collection',
+      authorizeRead,
+      getProperties.bind(
+        null,
+        userPool,
+        'getSharedUserProperties',
+        'GetPropertiesForUserDocumentAndCollection'
+      )
+    );
+    sharedRouter.get(
+      '/shared/:ownerId/:document',
+      authorizeRead,
+      getCollectionsAndProperties.bind(
+        null,
+        userPool,
+        'getSharedUserCollectionsAndProperties',
+        'GetPropertiesAndCollectionsForUserDocument',
+        'getSharedUserChangesSince',
+        'GetChangesSinceForUserDocument',
+        'GetPropertiesAndCollectionsForUserDocumentWhere',
+        'GetProjectedPropertiesAndCollectionsForUserDocument'
+      )
+    );
+    sharedRouter.delete(
+      '/shared/:ownerId/:document/:collection',
+      authorizeWrite,
+      deleteCollection.bind(
+        null,
+        userPool,
+        'deleteSharedUserCollection',
+        'DeleteUserCollection'
+      )
+    );
+    // Only the owner can delete the document
+    sharedRouter.delete(
+      '/shared/:ownerId/:document',
+      authorizeWrite,
+      deleteProperties.bind(
+        null,
+        userPool,
+        'deleteSharedUserProperties',
+        'DeleteUserProperties',
+        null,
+        null
+      )
+    );
+    sharedRouter.post(
+      '/shared/:ownerId/:document',
+      authorizeWrite,
+      setProperties.bind(
+        null,
+        userPool,
+        'setSharedUserProperties',
+        'UpsertUserDocumentWithCollectionsAndProperties',
+        'GetSchemasForUserDocument',
+        'GetPropertiesAndCollectionsForUserDocument',
+        'GetUsageForUser'
+      )
+    );
+  }
+
+  if (!linkRouter) {
+    debug('Creating link router...');
+
+    linkRouter = express.Router();
+
+    // Public read-only user documents, by link token
+    linkRouter.get(
+      '/link/:token',
+      getLinkedDocument.bind(
+        null,
+        userPool,
+        'getLinkedUserDocument',
+        'GetPropertiesAndCollectionsForUserDocumentLink'
+      )
+    );
+  }
+
+  if (!changesRouter) {
+    debug('Creating changes router...');
+
+    changesRouter = express.Router();
+
+    // Public app changes, and the user's own changes if authorized
+    changesRouter.get('/changes', authOptional, changeFeed);
   }
 
-  return [appRouter, userRouter];
+  return [appRouter, userRouter, sharedRouter, linkRouter, changesRouter];
 }
\ No newline at end of file
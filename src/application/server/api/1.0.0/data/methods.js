@@ -18,54 +18,45 @@
  *    by including the string: "Copyright (c) 2025 Alex Grant <info@localnerve.com> (https://www.localnerve.com), LocalNerve LLC"
  *    in this material, copies, or source code of derived works.
  */
+import { createHash, randomBytes } from 'node:crypto';
 import debugLib from '@localnerve/debug';
+import { isObj, hasOwnProperty } from '#client-utils/javascript.js';
+import { checkSchema, validateDocumentChanges } from '#client-utils/schema.js';
+import { publishChange } from './changes.js';
+import {
+  getQuotaLimits, makeUsage, makeRemaining, projectUsage, checkValueQuota, checkQuota, checkMoveQuota, checkImportQuota
+} from './quota.js';
+import { getTrashRetention } from './trash.js';
+import { getPropertyTTLs } from './ttl.js';
 
 const debug = debugLib('api:data');
 
+const defaultPageLimit = 100;
+const maxPageLimit = 1000;
+const maxTransactionOperations = 100;
+const maxLinkExpiresIn = 4294967295; // INT UNSIGNED seconds
+const exportPageLimit = 100;
+const archiveFormat = 'jam-build-user-archive';
+const maxWhereFilters = 10;
+const whereOps = {
+  number: ['eq', 'ne', 'gt', 'gte', 'lt', 'lte'],
+  string: ['eq', 'ne', 'gt', 'gte', 'lt', 'lte', 'contains'],
+  boolean: ['eq', 'ne'],
+  null: ['eq', 'ne']
+};
+
 /**
- * Transform complex input to database format, check for invalid input along the way.
+ * Transform complex input to database format.
+ * The input is validated by the api description before it gets here, @see openapi.js
  * 
- * @param {String} inputDocument - The name of the data document
  * @param {Array|Object} inputCollections - An array of collections or single colletion object
  * @param {Function} mapCollection - A mapping function for input collections to database collections
  * @returns {Array} An array of database formatted collection objects.
  */
-function transformAndValidateInput (inputDocument, inputCollections, mapCollection) {
-  let collections = inputCollections;
-
-  // Conform array input to an array of non-falsy things.
+function transformInput (inputCollections, mapCollection) {
+  // Conform input to an array.
   // This allows input of a single object of single collection updates, in addition to an array of such.
-  if (!Array.isArray(collections)) {
-    collections = [collections];
-  }
-  collections = collections.filter(obj => obj);
-
-  let procedureCollections;
-
-  try {
-    if (!inputDocument || collections.length <= 0) {
-      const e = new Error();
-      e.type = 'data.validation.input';
-      throw e;
-    }
-
-    procedureCollections = collections.map(coll => {
-      const invalidInput = !coll.collection || typeof coll.collection !== 'string'; // can have no properties for deletes, upsert
-      if (invalidInput) {
-        const e = new Error();
-        e.type = 'data.validation.input.collections';
-        throw e;
-      }
-      return mapCollection(coll);
-    });
-  } catch (err) {
-    const validationError = new Error('Invalid input');
-    validationError.status = 400;
-    validationError.type = err.type || 'data.validation.input.escape';
-    throw validationError;
-  }
-
-  return procedureCollections;
+  return [].concat(inputCollections).map(mapCollection);
 }
 
 /**
@@ -97,84 +88,2373 @@ function reduceDocumentResults (acc, curr) {
 }
 
 /**
- * Call a 'Get' stored procedure, process and marshall the input/output.
- * Returns the http response.
- * Implementation for the following stored procedure calls:
- *   - GetPropertiesForApplicationDocumentAndCollection
- *   - GetPropertiesAndCollectionsForApplicationDocument
- *   - GetPropertiesForUserDocumentAndCollection
- *   - GetPropertiesAndCollectionsForUserDocument
+ * Reduce SELECT row results to the API response object structure, @see reduceDocumentResults.
+ * Each document has the versions of its collections in __versions, the document version of the last change to each collection.
+ * Each document with expiring properties has their expiration times in __expires.
+ * This method produces the output format of the API.
+ *
+ * @param {Object} acc - Accumulator, initialized to {}
+ * @param {Object} curr - The current row result
+ * @returns {Object} structured object { document: { __versions: { collection: version }, __expires: { collection: { propName: ISODate }}, collection: { propName: propVal }}}
+ */
+function reduceResponseResults (acc, curr) {
+  reduceDocumentResults(acc, curr);
+  const document = acc[curr.document_name];
+  const versions = document.__versions ??= {};
+  versions[curr.collection_name] = `${curr.collection_version}`;
+  if (curr.property_name && curr.expires_at) {
+    const expires = document.__expires ??= {};
+    const collection = expires[curr.collection_name] ??= {};
+    collection[curr.property_name] = new Date(curr.expires_at).toISOString();
+  }
+  return acc;
+}
+
+/**
+ * Reduce projected SELECT row results to an object structure, @see reduceResponseResults.
+ * Each document has the projected property names in __properties, so a client can merge the
+ * properties with a local copy without removing the properties that were not requested.
+ *
+ * @param {Array<String>} properties - The projected property names
+ * @param {Object} acc - Accumulator, initialized to {}
+ * @param {Object} curr - The current row result
+ * @returns {Object} structured object { document: { __properties, __versions, __expires, collection: { propName: propVal }}}
+ */
+function reduceProjectedResults (properties, acc, curr) {
+  reduceResponseResults(acc, curr);
+  acc[curr.document_name].__properties ??= properties;
+  return acc;
+}
+
+/**
+ * Reduce SELECT row results to archive documents.
+ * The archive document format is the export and import format of the user data.
+ *
+ * @param {Object} acc - Accumulator, initialized to {}
+ * @param {Object} curr - The current row result
+ * @returns {Object} structured object { document: { document, version, createdAt, updatedAt, collections: { collection: { propName: propVal } } } }
+ */
+function reduceArchiveResults (acc, curr) {
+  let document = acc[curr.document_name];
+  if (!document) {
+    document = acc[curr.document_name] = {
+      document: curr.document_name,
+      version: `${curr.document_version}`,
+      createdAt: curr.created_at,
+      updatedAt: curr.updated_at,
+      collections: {}
+    };
+  }
+
+  const collection = document.collections[curr.collection_name] ??= {};
+  if (curr.property_name) {
+    collection[curr.property_name] = curr.property_value;
+  }
+  return acc;
+}
+
+/**
+ * Make a history entry from a document history row.
+ * The collections of a history entry mirror the request body format of the change:
+ *   - upsert: [{ collection, properties: { propName: propVal } }]
+ *   - delete: [{ collection, properties: [propName] }], or deleteDocument for a full document delete
+ *   - restore: the full restored document in upsert format, and the restoredVersion
+ *   - rename: a document rename has no collections and the renamedFrom document name,
+ *     a collection rename is the delete of the old collection and the upsert of the new one
+ *   - move: the delete of the moved collection, or its upsert and the renamedFrom document name
+ *
+ * @param {Object} row - The document history row result
+ * @returns {Object} The history entry { version, operation, changedBy, changedAt, collections[, deleteDocument|restoredVersion|renamedFrom] }
+ */
+function makeHistoryEntry (row) {
+  const entry = {
+    version: `${row.document_version}`,
+    operation: row.operation,
+    changedBy: row.changed_by,
+    changedAt: row.changed_at,
+    collections: []
+  };
+
+  if (row.restored_from) {
+    entry.restoredVersion = `${row.restored_from}`;
+  }
+
+  if (row.renamed_from) {
+    entry.renamedFrom = row.renamed_from;
+  }
+
+  if (!row.changes) {
+    entry.deleteDocument = true;
+    return entry;
+  }
+
+  entry.collections = row.changes.map(change => ({
+    collection: change.collection_name,
+    properties: change.properties
+      ? Object.fromEntries(change.properties.map(prop => [prop.property_name, prop.property_value]))
+      : change.property_names
+  }));
+
+  return entry;
+}
+
+/**
+ * Reduce document history row results to an object structure.
+ * Rows are in descending history order, so the most recent change is first.
+ *
+ * @param {Object} acc - Accumulator, initialized to {}
+ * @param {Object} curr - The current row result
+ * @returns {Object} structured object { document: [ historyEntry ] }
+ */
+function reduceHistoryResults (acc, curr) {
+  let history = acc[curr.document_name];
+  if (!history) {
+    history = acc[curr.document_name] = [];
+  }
+  history.push(makeHistoryEntry(curr));
+  return acc;
+}
+
+/**
+ * Reduce a document history version row result to an object structure.
+ *
+ * @param {Object} acc - Accumulator, initialized to {}
+ * @param {Object} curr - The current row result
+ * @returns {Object} structured object { document: historyEntry }
+ */
+function reduceHistoryVersionResult (acc, curr) {
+  acc[curr.document_name] = makeHistoryEntry(curr);
+  return acc;
+}
+
+/**
+ * Reduce document schema row results to an object structure.
+ * The schema with an empty collection name is the document schema.
+ *
+ * @param {Object} acc - Accumulator, initialized to {}
+ * @param {Object} curr - The current row result
+ * @returns {Object} structured object { document: { document: schema, collections: { collection: schema } } }
+ */
+function reduceSchemaResults (acc, curr) {
+  let schemas = acc[curr.document_name];
+  if (!schemas) {
+    schemas = acc[curr.document_name] = {
+      collections: {}
+    };
+  }
+
+  if (curr.collection_name) {
+    schemas.collections[curr.collection_name] = curr.json_schema;
+  } else {
+    schemas.document = curr.json_schema;
+  }
+  return acc;
+}
+
+/**
+ * Reduce document share row results to an object structure.
+ *
+ * @param {Object} acc - Accumulator, initialized to {}
+ * @param {Object} curr - The current row result
+ * @returns {Object} structured object { document: { email: { access, grantedAt } } }
+ */
+function reduceShareResults (acc, curr) {
+  let shares = acc[curr.document_name];
+  if (!shares) {
+    shares = acc[curr.document_name] = {};
+  }
+
+  shares[curr.email] = {
+    access: curr.access,
+    grantedAt: new Date(curr.granted_at).toISOString()
+  };
+  return acc;
+}
+
+/**
+ * Reduce shared document row results to an object structure, by owner.
+ *
+ * @param {Object} acc - Accumulator, initialized to {}
+ * @param {Object} curr - The current row result
+ * @returns {Object} structured object { ownerId: { email, documents: { document: { access, __version } } } }
+ */
+function reduceSharedResults (acc, curr) {
+  let owner = acc[curr.owner_id];
+  if (!owner) {
+    owner = acc[curr.owner_id] = {
+      email: curr.owner_email,
+      documents: {}
+    };
+  }
+
+  owner.documents[curr.document_name] = {
+    access: curr.access,
+    __version: `${curr.document_version}`
+  };
+  return acc;
+}
+
+/**
+ * Reduce document link row results to an object structure.
+ *
+ * @param {Object} acc - Accumulator, initialized to {}
+ * @param {Object} curr - The current row result
+ * @returns {Object} structured object { document: { linkId: { createdAt, expiresAt } } }
+ */
+function reduceLinkResults (acc, curr) {
+  let links = acc[curr.document_name];
+  if (!links) {
+    links = acc[curr.document_name] = {};
+  }
+
+  links[`${curr.link_id}`] = {
+    createdAt: new Date(curr.created_at).toISOString(),
+    expiresAt: curr.expires_at ? new Date(curr.expires_at).toISOString() : null
+  };
+  return acc;
+}
+
+/**
+ * Make a document delta from document history row results since a known version.
+ * Rows are in ascending history order, so the changes are folded in the order they were made.
+ * The delta carries the changed or new properties by collection, and tombstones for deletions in __deleted.
+ * A tombstone of an empty array deletes the whole collection. Tombstones apply before the changed properties,
+ * so a collection deleted and created again since the known version is replaced.
+ * Properties that expired since they changed are tombstones, the expiration times of the changed properties are in __expires.
+ * The versions of the changed collections that remain are in __versions.
+ * Full document deletes and restores are not expressed as deltas.
+ *
+ * @param {String} since - The known document version
+ * @param {Array<Object>} rows - The document history row results after the known version
+ * @param {Array<String>} collections - The collection names to include, empty for all collections
+ * @returns {Object|null} { __version, __since, __deleted: { collection: [propName] }, __versions: { collection: version }, __expires: { collection: { propName: ISODate } }, collection: { propName: propVal } }, null if no delta
+ */
+function makeDelta (since, rows, collections) {
+  const now = Date.now();
+  const deleted = {};
+  const versions = {};
+  const expires = {};
+  const delta = {
+    __version: `${since}`,
+    __since: `${since}`,
+    __deleted: deleted,
+    __versions: versions,
+    __expires: expires
+  };
+
+  for (const row of rows) {
+    if (row.operation === 'restore' || row.operation === 'copy' || !row.changes) {
+      return null;
+    }
+
+    delta.__version = `${row.document_version}`;
+
+    for (const change of row.changes) {
+      const name = change.collection_name;
+      if (collections.length > 0 && !collections.includes(name)) {
+        continue;
+      }
+
+      versions[name] = `${row.document_version}`;
+
+      if (change.properties) {
+        const upserted = delta[name] = delta[name] || {};
+        const expired = [];
+        for (const prop of change.properties) {
+          delete expires[name]?.[prop.property_name];
+          if (prop.expires_at && prop.expires_at * 1000 <= now) {
+            delete upserted[prop.property_name];
+            expired.push(prop.property_name);
+            continue;
+          }
+          upserted[prop.property_name] = prop.property_value;
+          if (prop.expires_at) {
+            expires[name] = expires[name] || {};
+            expires[name][prop.property_name] = new Date(prop.expires_at * 1000).toISOString();
+          }
+        }
+        if (deleted[name]?.length > 0) {
+          deleted[name] = deleted[name].filter(propName => !(propName in upserted));
+          if (deleted[name].length === 0) {
+            delete deleted[name];
+          }
+        }
+        if (expired.length > 0 && (!deleted[name] || deleted[name].length > 0)) {
+          deleted[name] = Array.from(new Set([...(deleted[name] || []), ...expired]));
+        }
+      } else if (change.property_names.length === 0) {
+        deleted[name] = [];
+        delete delta[name];
+        delete versions[name];
+        delete expires[name];
+      } else {
+        for (const propName of change.property_names) {
+          delete delta[name]?.[propName];
+          delete expires[name]?.[propName];
+        }
+        if (!deleted[name] || deleted[name].length > 0) {
+          deleted[name] = Array.from(new Set([...(deleted[name] || []), ...change.property_names]));
+        }
+      }
+    }
+  }
+
+  return delta;
+}
+
+/**
+ * Make a page of SELECT row results ordered by document name.
+ * The stored procedure returns one more document than the page limit if there is a next page.
+ * The next page cursor is the opaque encoding of the last document name of the page.
+ *
+ * @param {Array<Object>} rows - The SELECT row results
+ * @param {Number} limit - The maximum number of documents in the page
+ * @returns {Object} { rows, next } The rows of the page, and the next page cursor or null if this is the last page
+ */
+function makePage (rows, limit) {
+  const names = Array.from(new Set(rows.map(row => row.document_name)));
+
+  if (names.length <= limit) {
+    return { rows, next: null };
+  }
+
+  return {
+    rows: rows.filter(row => row.document_name !== names[limit]),
+    next: Buffer.from(names[limit - 1]).toString('base64url')
+  };
+}
+
+/**
+ * Get the document page cursor and limit from the request query.
+ * Pagination is requested by either a limit or a cursor, the limit defaults to defaultPageLimit.
+ *
+ * @param {Request} req - The expressjs Request object
+ * @returns {Object} { cursor, limit } The document name to start after, and the page limit, 0 for no pagination
+ */
+function getRequestPage (req) {
+  const { cursor, limit } = req.query;
+
+  if (typeof cursor === 'undefined' && typeof limit === 'undefined') {
+    return { cursor: '', limit: 0 };
+  }
+
+  const pageLimit = typeof limit === 'undefined' ? defaultPageLimit : Number(`${limit}`);
+  if (!Number.isInteger(pageLimit) || pageLimit < 1 || pageLimit > maxPageLimit) {
+    const error = new Error('Invalid input');
+    error.status = 400;
+    error.type = 'data.validation.input.limit';
+    throw error;
+  }
+
+  const pageCursor = typeof cursor === 'undefined' ? '' : Buffer.from(`${cursor}`, 'base64url').toString();
+  if (typeof cursor !== 'undefined' && (!pageCursor || Buffer.from(pageCursor).toString('base64url') !== `${cursor}`)) {
+    const error = new Error('Invalid input');
+    error.status = 400;
+    error.type = 'data.validation.input.cursor';
+    throw error;
+  }
+
+  return { cursor: pageCursor, limit: pageLimit };
+}
+
+/**
+ * Get the projected property names from a request query.
+ * The query is a comma separated list of property names, or the query repeated for each name.
+ *
+ * @param {Request} req - The expressjs Request object
+ * @param {String} name - The name of the query, 'properties' or 'fields'
+ * @returns {Array<String>|null} The unique property names, null if no such query
+ */
+function getRequestProperties (req, name) {
+  let names = req.query[name];
+
+  if (typeof names === 'undefined') {
+    return null;
+  }
+  if (!Array.isArray(names)) {
+    names = [names];
+  }
+
+  const properties = Array.from(new Set(
+    names.flatMap(value => `${value}`.split(',')).map(property => property.trim()).filter(property => property)
+  ));
+
+  if (properties.length < 1 || properties.join(',').length > 2048) {
+    const error = new Error('Invalid input');
+    error.status = 400;
+    error.type = `data.validation.input.${name}`;
+    throw error;
+  }
+
+  return properties;
+}
+
+/**
+ * Get the property value filters from the request 'where' query.
+ * Each filter is 'field:op:value', and a collection must match every filter.
+ * The field is a property name, optionally followed by a dot separated path into the property value (prop.key.0).
+ * The value is a number, true, false, null, or a string, a double quoted value is always a string.
+ * The filters are only passed to the database as data, they are never part of the SQL.
+ *
+ * @param {Request} req - The expressjs Request object
+ * @returns {Array<Object>|null} The filters [{ property, path, type, op, value }], null if no 'where' query
+ */
+function getRequestWhere (req) {
+  let { where } = req.query;
+
+  if (typeof where === 'undefined') {
+    return null;
+  }
+  if (!Array.isArray(where)) {
+    where = [where];
+  }
+
+  const invalid = () => {
+    const error = new Error('Invalid input');
+    error.status = 400;
+    error.type = 'data.validation.input.where';
+    return error;
+  };
+
+  if (where.length < 1 || where.length > maxWhereFilters) {
+    throw invalid();
+  }
+
+  return where.map(filter => {
+    const groups = `${filter}`.match(/^(?<field>[^:]+):(?<op>[a-z]+):(?<value>.*)$/)?.groups;
+    if (!groups) {
+      throw invalid();
+    }
+
+    const [property, ...segments] = groups.field.split('.');
+    if (!property || segments.some(segment => !/^[\w-]+$/.test(segment))) {
+      throw invalid();
+    }
+    const path = segments.reduce(
+      (acc, segment) => /^\d+$/.test(segment) ? `${acc}[${segment}]` : `${acc}."${segment}"`, '$'
+    );
+
+    let type = 'string', value = groups.value;
+    if (/^"(?:[^"\\]|\\.)*"$/.test(value)) {
+      try {
+        value = JSON.parse(value);
+      } catch {
+        throw invalid();
+      }
+    } else if (/^-?\d+(?:\.\d+)?(?:[eE][+-]?\d+)?$/.test(value)) {
+      type = 'number';
+    } else if (value === 'true' || value === 'false') {
+      type = 'boolean';
+    } else if (value === 'null') {
+      type = 'null';
+    }
+
+    if (!whereOps[type].includes(groups.op) || property.length > 255 || `${value}`.length > 1024) {
+      throw invalid();
+    }
+
+    return { property, path, type, op: groups.op, value };
+  });
+}
+
+/**
+ * Make an entity tag from SELECT row results.
+ * The tag is derived from the document versions of the rows. For a single document, the document
+ * version leads the tag so it can be returned as an If-Match precondition, @see getRequestVersion.
+ * The collection ids are folded into the hash so a deleted and re-created document at the same
+ * version number does not match a stale tag. Expiring property ids are folded in too, because
+ * a property expiring does not change the document version.
+ *
+ * @param {Array<Object>} rows - The SELECT row results
+ * @returns {String} A weak entity tag, W/"[version-]hash"
+ */
+function makeETag (rows) {
+  const documents = new Map();
+  for (const row of rows) {
+    let document = documents.get(row.document_name);
+    if (!document) {
+      document = { version: `${row.document_version}`, collections: new Set() };
+      documents.set(row.document_name, document);
+    }
+    document.collections.add(`${row.collection_id}`);
+    if (row.expires_at) {
+      document.collections.add(`${row.collection_id}.${row.property_id}`);
+    }
+  }
+
+  const hash = createHash('sha1');
+  for (const [name, document] of [...documents.entries()].sort(([a], [b]) => a.localeCompare(b))) {
+    hash.update(`${name}:${document.version}:${[...document.collections].sort().join(',')};`);
+  }
+  const digest = hash.digest('base64url').slice(0, 16);
+
+  const tag = documents.size === 1 ? `${documents.values().next().value.version}-${digest}` : digest;
+  return `W/"${tag}"`;
+}
+
+/**
+ * Make an entity tag from document history row results.
+ * History rows never change, so the history ids identify the content.
+ *
+ * @param {Array<Object>} rows - The document history row results
+ * @returns {String} A weak entity tag, W/"hash"
+ */
+function makeHistoryETag (rows) {
+  const hash = createHash('sha1');
+  hash.update(rows.map(row => `${row.history_id}`).join(','));
+  return `W/"${hash.digest('base64url').slice(0, 16)}"`;
+}
+
+/**
+ * Make an entity tag from document schema row results.
+ *
+ * @param {Array<Object>} rows - The document schema row results
+ * @returns {String} A weak entity tag, W/"hash"
+ */
+function makeSchemaETag (rows) {
+  const hash = createHash('sha1');
+  hash.update(rows.map(row => `${row.schema_id}:${new Date(row.updated_at).getTime()}`).join(','));
+  return `W/"${hash.digest('base64url').slice(0, 16)}"`;
+}
+
+/**
+ * Make the upsert changes from the database formatted collection changes.
+ *
+ * @param {Array<Object>} procedureCollections - The database formatted collection changes
+ * @returns {Object} The changes to the document { collection: { propName: propVal } }
+ */
+function makeChanges (procedureCollections) {
+  return Object.fromEntries(procedureCollections.map(coll => [
+    coll.collection_name,
+    Object.fromEntries(coll.properties.map(prop => [prop.property_name, prop.property_value]))
+  ]));
+}
+
+/**
+ * Get the current document for an upsert.
+ *
+ * @param {ConnectionPool} pool - The database connection pool
+ * @param {String} methodName - The canonical name of the upsert method
+ * @param {String} docProcName - The name of the stored procedure to get the current document
+ * @param {Request} req - The expressjs Request object
+ * @param {String} document - The document name
+ * @returns {Promise<Object|null>} Resolves to the document { __version, collection: { propName: propVal } }, null if not found
+ */
+async function getCurrentDocument (pool, methodName, docProcName, req, document) {
+  const docParams = /user/i.test(methodName) ? [getOwnerId(req), document, ''] : [document, ''];
+  const docRows = await getRows(pool, methodName, docProcName, docParams);
+  const { [document]: current = null } = (docRows ?? []).reduce(reduceDocumentResults, {});
+
+  return current;
+}
+
+/**
+ * Make an entity tag for document shares, or shared documents, from the share grants.
+ *
+ * @param {Array<Object>} rows - The share row results
+ * @returns {String} The weak entity tag
+ */
+function makeShareETag (rows) {
+  const hash = createHash('sha1');
+  hash.update(rows.map(row =>
+    `${row.owner_id ?? ''}:${row.document_name}:${row.email ?? ''}:${row.access}:${new Date(row.granted_at).getTime()}:${row.document_version ?? ''}`
+  ).join(','));
+  return `W/"${hash.digest('base64url').slice(0, 16)}"`;
+}
+
+/**
+ * Make an entity tag for document links from the link rows.
+ *
+ * @param {Array<Object>} rows - The link row results
+ * @returns {String} The weak entity tag
+ */
+function makeLinkETag (rows) {
+  const hash = createHash('sha1');
+  hash.update(rows.map(row => `${row.document_name}:${row.link_id}`).join(','));
+  return `W/"${hash.digest('base64url').slice(0, 16)}"`;
+}
+
+/**
+ * Hash a document link token for storage and lookup.
+ * Only the hash is stored, the token itself is only known to the owner and whoever they give it to.
+ *
+ * @param {String} token - The link token
+ * @returns {String} The SHA-256 hex digest of the token
+ */
+function hashLinkToken (token) {
+  return createHash('sha256').update(token).digest('hex');
+}
+
+/**
+ * Get the owner user id of the user document for a request.
+ * Requests for shared documents are made on behalf of the owner, @see authorizeShare.
+ *
+ * @param {Request} req - The expressjs Request object
+ * @returns {String} The owner user id
+ */
+function getOwnerId (req) {
+  return req.owner?.id ?? req.user.id;
+}
+
+/**
+ * Validate upsert changes against the registered document and collection schemas, if any.
+ * The schemas apply to the document that results from the changes. If the document is no longer at the
+ * expected version, validation is left to the retry, because the upsert fails with a version error.
+ * Without an expected document version, the changes are validated against the current document.
+ *
+ * @param {ConnectionPool} pool - The database connection pool
+ * @param {String} methodName - The canonical name of the upsert method
+ * @param {String} schemaProcName - The name of the stored procedure to get the document schemas
+ * @param {Function} getCurrent - Resolves to the current document, @see getCurrentDocument
+ * @param {String} document - The document name
+ * @param {String} [version] - The expected document version
+ * @param {Object} changes - The changes to the document { collection: { propName: propVal } }
+ * @returns {Promise<undefined>} Fulfills if valid, throws a 400 error with the failing paths otherwise
+ */
+async function validateChanges (pool, methodName, schemaProcName, getCurrent, document, version, changes) {
+  const schemaRows = await getRows(pool, methodName, schemaProcName, [document]);
+  if (!schemaRows || schemaRows.length <= 0) {
+    return;
+  }
+  const { [document]: schemas } = schemaRows.reduce(reduceSchemaResults, {});
+
+  const { __version: currentVersion, ...current } = (await getCurrent()) ?? { __version: '0' };
+
+  if (typeof version !== 'undefined' && currentVersion !== `${version}`) {
+    debug(`${methodName} '${document}' is not at version ${version}, skipping schema validation`);
+    return;
+  }
+
+  const errors = validateDocumentChanges(schemas, current, changes);
+  if (errors.length > 0) {
+    debug(`${methodName} '${document}' failed schema validation`, errors);
+
+    const error = new Error('Invalid input, schema validation failed');
+    error.status = 400;
+    error.type = 'data.validation.schema';
+    error.schemaErrors = errors;
+    throw error;
+  }
+}
+
+/**
+ * Get the storage usage of the owner of the user documents for a request.
+ *
+ * @param {ConnectionPool} pool - The database connection pool
+ * @param {String} methodName - The canonical name of the method
+ * @param {String} usageProcName - The name of the stored procedure to get the storage usage
+ * @param {Request} req - The expressjs Request object
+ * @returns {Promise<Object>} Resolves to the usage, @see makeUsage
+ */
+async function getCurrentUsage (pool, methodName, usageProcName, req) {
+  const usageRows = await getRows(pool, methodName, usageProcName, [getOwnerId(req)]);
+  return makeUsage(usageRows ?? []);
+}
+
+/**
+ * Enforce the storage quotas on upsert changes.
+ * The value size limit is checked first, because it only depends on the input.
+ *
+ * @param {ConnectionPool} pool - The database connection pool
+ * @param {String} methodName - The canonical name of the upsert method
+ * @param {String} usageProcName - The name of the stored procedure to get the storage usage
+ * @param {Function} getCurrent - Resolves to the current document, @see getCurrentDocument
+ * @param {Request} req - The expressjs Request object
+ * @param {String} document - The document name
+ * @param {Object} changes - The changes to the document { collection: { propName: propVal } }
+ * @param {Function} [getUsage] - Resolves to the storage usage, defaults to the stored usage, @see getCurrentUsage
+ * @returns {Promise<undefined>} Fulfills if within quota, throws a 413 or 422 error otherwise
+ */
+async function enforceQuota (
+  pool, methodName, usageProcName, getCurrent, req, document, changes,
+  getUsage = () => getCurrentUsage(pool, methodName, usageProcName, req)
+) {
+  const limits = getQuotaLimits();
+
+  checkValueQuota(limits, changes);
+
+  const usage = await getUsage();
+  const { __version, ...current } = (await getCurrent()) ?? {};
+
+  checkQuota(limits, usage, document, __version ? current : null, changes);
+}
+
+/**
+ * Create the projection of the documents and the storage usage of a transaction.
+ * The current documents and the usage are read once, when first needed. Each operation is applied to the
+ * projection after it is checked, so later operations are checked against the state the earlier ones leave.
+ * Projected documents keep their version from before the transaction, new documents have version '0'.
+ *
+ * @param {ConnectionPool} pool - The database connection pool
+ * @param {String} methodName - The canonical name of the transaction method
+ * @param {String} docProcName - The name of the stored procedure to get the current document
+ * @param {String|null} usageProcName - The name of the stored procedure to get the storage usage, null for no quotas
+ * @param {Request} req - The expressjs Request object
+ * @returns {Object} The projection {
+ *   getDocument: document => Promise<Object|null>, getUsage: () => Promise<Object>,
+ *   upsert: (document, changes), deleteProperties: (document, procedureCollections), deleteDocument: document
+ * }
+ */
+function createProjection (pool, methodName, docProcName, usageProcName, req) {
+  const once = fn => {
+    let result;
+    return () => (result ??= fn());
+  };
+  const readDocument = document => once(() => getCurrentDocument(pool, methodName, docProcName, req, document));
+  const readUsage = once(() => getCurrentUsage(pool, methodName, usageProcName, req));
+  const documents = new Map(); // document => () => Promise<{ __version, collection: { propName: propVal } }|null>
+  const changed = new Set();
+
+  const getDocument = document => {
+    if (!documents.has(document)) {
+      documents.set(document, readDocument(document));
+    }
+    return documents.get(document)();
+  };
+
+  const apply = (document, project) => {
+    const previous = documents.get(document) ?? readDocument(document);
+    documents.set(document, once(async () => project(await previous())));
+    changed.add(document);
+  };
+
+  return {
+    getDocument,
+    async getUsage () {
+      let usage = await readUsage();
+      for (const document of changed) {
+        const { __version, ...collections } = (await getDocument(document)) ?? {};
+        usage = projectUsage(usage, document, __version ? collections : null);
+      }
+      return usage;
+    },
+    upsert (document, changes) {
+      apply(document, current => {
+        const next = { __version: '0', ...current };
+        for (const [collection, properties] of Object.entries(changes)) {
+          next[collection] = { ...next[collection], ...properties };
+        }
+        return next;
+      });
+    },
+    deleteProperties (document, procedureCollections) {
+      apply(document, current => {
+        if (!current) {
+          return null;
+        }
+        const next = { ...current };
+        for (const { collection_name: collection, property_names: names } of procedureCollections) {
+          if (names.length <= 0) {
+            delete next[collection]; // the whole collection
+          } else if (next[collection]) {
+            next[collection] = Object.fromEntries(
+              Object.entries(next[collection]).filter(([name]) => !names.includes(name))
+            );
+          }
+        }
+        return next;
+      });
+    },
+    deleteDocument (document) {
+      apply(document, () => null);
+    }
+  };
+}
+
+/**
+ * Get the expected document version for a mutation request.
+ * The version body field takes precedence. Otherwise, the document version is taken from an If-Match entity tag
+ * of the form [W/]"version[-hash]", as sent by GET responses for a single document.
+ *
+ * @param {Request} req - The expressjs Request object
+ * @returns {Object} { version, ifMatch } ifMatch is true if the version came from the If-Match header
+ */
+function getRequestVersion (req) {
+  const { version } = req.body ?? {};
+
+  if (typeof version === 'undefined') {
+    const ifMatch = req.get('If-Match');
+    const groups = ifMatch?.match(/^\s*(?:W\/)?"(?<version>\d+)(?:-[^"]*)?"/)?.groups;
+
+    if (groups) {
+      debug(`Using If-Match version ${groups.version}`);
+      return { version: groups.version, ifMatch: true };
+    }
+
+    if (ifMatch) {
+      const error = new Error(`[412] Precondition Failed, unusable If-Match '${ifMatch}'`);
+      error.status = 412;
+      error.type = 'data.precondition';
+      throw error;
+    }
+  }
+
+  return { version, ifMatch: false };
+}
+
+/**
+ * Get the expected collection version of an input collection, if any.
+ * Collection versions are asserted in addition to, or instead of, the document version, so changes to
+ * other collections of the document since the expected collection versions are not conflicts.
+ * A collection that does not exist is at version 0.
+ *
+ * @param {Object} coll - The input collection { collection, version }
+ * @returns {Object} The database formatted collection version { collection_version }, empty if none
+ */
+function getCollectionVersion (coll) {
+  if (typeof coll.version === 'undefined') {
+    return {};
+  }
+
+  if (!/^\d+$/.test(`${coll.version}`)) {
+    const e = new Error();
+    e.type = 'data.validation.input.version';
+    throw e;
+  }
+
+  return { collection_version: `${coll.version}` };
+}
+
+/**
+ * Call a mutation procedure, map version errors to 412 Precondition Failed if the version came from If-Match.
+ *
+ * @param {Boolean} ifMatch - true if the version came from the If-Match header
+ * @param {Function} mutation - The async mutation function
+ * @returns {Promise<undefined>} Fulfills on success
+ */
+async function withPrecondition (ifMatch, mutation) {
+  try {
+    return await mutation();
+  } catch (err) {
+    if (ifMatch && /E_VERSION/.test(err?.message)) {
+      err.status = 412;
+    }
+    throw err;
+  }
+}
+
+/**
+ * Call a 'Get' stored procedure, process and marshall the input/output.
+ * Returns the http response.
+ * Implementation for the following stored procedure calls:
+ *   - GetPropertyForApplicationDocumentAndCollection
+ *   - GetPropertiesForApplicationDocumentAndCollection
+ *   - GetPropertiesAndCollectionsForApplicationDocument
+ *   - GetPropertyForUserDocumentAndCollection
+ *   - GetPropertiesForUserDocumentAndCollection
+ *   - GetPropertiesAndCollectionsForUserDocument
+ *   - GetPropertiesAndCollectionsForApplicationDocumentWhere
+ *   - GetPropertiesAndCollectionsForUserDocumentWhere
+ *   - GetProjectedPropertiesAndCollectionsForApplicationDocument
+ *   - GetProjectedPropertiesAndCollectionsForUserDocument
+ *   - GetProjectedPropertiesAndCollectionsAndDocumentsForApplication
+ *   - GetProjectedPropertiesAndCollectionsAndDocumentsForUser
+ *   - GetHistoryForApplicationDocument
+ *   - GetHistoryVersionForApplicationDocument
+ *   - GetHistoryForUserDocument
+ *   - GetHistoryVersionForUserDocument
+ *
+ * Sets an ETag derived from the document version(s), responds 304 if the request If-None-Match is fresh.
+ * Responses to authenticated requests are never publicly cacheable.
+ * If paged, the response has the next page cursor in __next, unless it is the last page.
+ *
+ * @param {ConnectionPool} pool - The database connection pool
+ * @param {String} methodName - The canonical name of this method
+ * @param {String} procName - The name of the stored procedure to call
+ * @param {Request} req - The expressjs Request object
+ * @param {Response} res - The expressjs Response object
+ * @param {Array} inputParams - The input parameters to the stored procedure
+ * @param {Function} reducer - The reducer function for the stored procedure results
+ * @param {Function} [makeTag] - Makes the entity tag from the stored procedure results, defaults to makeETag
+ * @param {Number} [limit] - The page limit of documents in the stored procedure results, 0 for no pagination
+ * @returns {Promise<undefined>} Fulfills on success.
+ */
+async function getWithParams (
+  pool, methodName, procName, req, res, inputParams, reducer, makeTag = makeETag, limit = 0
+) {
+  let conn = null;
+  try {
+    conn = await pool.getConnection();
+
+    const procParamArray = Array(inputParams.length).fill('?').concat('@out_param');
+    const procParams = `(${procParamArray.join(', ')})`;
+  
+    debug(`Calling ${procName}${procParams} with ${inputParams}...`);
+
+    const arr = await conn.query(
+      `CALL ${procName}${procParams}`,
+      inputParams
+    );
+    const [outParam] = await conn.query('SELECT @out_param AS result');
+    const notFound = !!outParam.result; // 0n, 1n
+
+    if (notFound) {
+      const error = new Error(
+        `[404] ${methodName}, entity not found. Input: ${inputParams}`
+      );
+      error.status = 404;
+      error.type = methodName;
+      throw error;
+    }
+
+    const { rows, next } = limit > 0 ? makePage(arr[0], limit) : { rows: arr[0], next: null };
+
+    debug('Reducing results...');    
+    const results = rows.reduce(reducer, {});
+    const status = Object.keys(results).length > 0 ? 200 : 204;
+
+    if (status === 200) {
+      const isPrivate = /user/i.test(methodName) || !!req.user;
+      res.set({
+        'Cache-Control': `${isPrivate ? 'private' : 'public'}, no-cache`,
+        ETag: makeTag(arr[0]) // a page tag includes the next document, so it changes with the next page
+      });
+
+      if (next) {
+        results.__next = next;
+      }
+
+      if (req.fresh) {
+        debug('Sending 304 response...');
+        res.status(304).end();
+        return;
+      }
+    }
+
+    debug(`Sending ${status} response...`);
+    res.status(status).json(results);
+  } finally {
+    if (conn) {
+      conn.release();
+    }
+  }
+}
+
+/**
+ * Call a 'Get' stored procedure for internal use, without sending a response.
+ * Implementation for the following stored procedure calls:
+ *   - GetChangesSinceForApplicationDocument
+ *   - GetChangesSinceForUserDocument
+ *   - GetSchemasForApplicationDocument
+ *   - GetSchemasForUserDocument
+ *   - GetPropertiesAndCollectionsForApplicationDocument
+ *   - GetPropertiesAndCollectionsForUserDocument
+ *   - GetUsageForUser
+ *
+ * @param {ConnectionPool} pool - The database connection pool
+ * @param {String} methodName - The canonical name of this method
+ * @param {String} procName - The name of the stored procedure to call
+ * @param {Array} inputParams - The input parameters to the stored procedure
+ * @returns {Promise<Array<Object>|null>} Resolves to the result rows, null if not found
+ */
+async function getRows (pool, methodName, procName, inputParams) {
+  let conn = null;
+  try {
+    conn = await pool.getConnection();
+
+    const procParamArray = Array(inputParams.length).fill('?').concat('@out_param');
+    const procParams = `(${procParamArray.join(', ')})`;
+
+    debug(`${methodName} calling ${procName}${procParams} with ${inputParams}...`);
+
+    const arr = await conn.query(
+      `CALL ${procName}${procParams}`,
+      inputParams
+    );
+    const [outParam] = await conn.query('SELECT @out_param AS result');
+    const notFound = !!outParam.result; // 0n, 1n
+
+    return notFound ? null : arr[0];
+  } finally {
+    if (conn) {
+      conn.release();
+    }
+  }
+}
+
+/**
+ * Get an App or User single property by document, collection, and property name from the database, sends the response.
+ *
+ * @param {ConnectionPool} pool - The database connection pool
+ * @param {String} methodName - The canonical name of this method
+ * @param {String} procName - The name of the stored procedure to call
+ * @param {Request} req - The expressjs Request object
+ * @param {Response} res - The expressjs Response object
+ * @returns {Promise} resolves to null on successful completion
+ */
+export async function getProperty (pool, methodName, procName, req, res) {
+  const { document, collection, property } = req.params;
+
+  debug(`${methodName} '${document}', '${collection}', '${property}'`);
+
+  const isUser = /user/i.test(methodName);
+  const inputParams = isUser
+    ? [getOwnerId(req), document, collection, property] : [document, collection, property];
+
+  return getWithParams(pool, methodName, procName, req, res, inputParams, reduceResponseResults);
+}
+
+/**
+ * Get App or User properties by document and collection from the database, sends the response.
+ * 
+ * @param {ConnectionPool} pool - The database connection pool
+ * @param {String} methodName - The canonical name of this method
+ * @param {String} procName - The name of the stored procedure to call
+ * @param {Request} req - The expressjs Request object
+ * @param {Response} res - The expressjs Response object
+ * @returns {Promise} resolves to null on successful completion
+ */
+export async function getProperties (pool, methodName, procName, req, res) {
+  const { document, collection } = req.params;
+
+  debug(`${methodName} '${document}', '${collection}'`);
+
+  const isUser = /user/i.test(methodName);
+  const inputParams = isUser ? [getOwnerId(req), document, collection] : [document, collection];
+
+  return getWithParams(pool, methodName, procName, req, res, inputParams, reduceResponseResults);
+}
+
+/**
+ * Get App or User collections and their properties from the database, sends the response.
+ * With a 'since' version query, sends only the changes since that version as a delta, @see makeDelta.
+ * If the changes cannot be sent as a delta, the full document is sent instead.
+ * With 'where' queries, sends only the collections with properties that match the filters, @see getRequestWhere.
+ * With a 'properties' query, sends only those properties of the collections, @see reduceProjectedResults.
+ * 
+ * @param {ConnectionPool} pool - The database connection pool
+ * @param {String} methodName - The canonical name of this method
+ * @param {String} procName - The name of the stored procedure to call
+ * @param {String} deltaMethodName - The canonical name of the delta method
+ * @param {String} deltaProcName - The name of the stored procedure to get the changes since a version
+ * @param {String} whereProcName - The name of the stored procedure to get the collections that match filters
+ * @param {String} projectedProcName - The name of the stored procedure to get the projected properties
+ * @param {Request} req - The expressjs Request object
+ * @param {Response} res - The expressjs Response object
+ * @returns {Promise} resolves to null on successful completion
+ */
+export async function getCollectionsAndProperties (
+  pool, methodName, procName, deltaMethodName, deltaProcName, whereProcName, projectedProcName, req, res
+) {
+  const { document } = req.params;
+  let { collections: inputCollections, since } = req.query;
+
+  if (!Array.isArray(inputCollections)) {
+    inputCollections = [inputCollections ? `${inputCollections}` : ''];
+  }
+  inputCollections = Array.from(new Set(inputCollections)); // dedup
+  const collections = inputCollections.join(',');
+
+  debug(`${methodName} '${document}', collections = ${collections}`);
+
+  const isUser = /user/i.test(methodName);
+  const inputParams = isUser ? [getOwnerId(req), document, collections] : [document, collections];
+  const where = getRequestWhere(req);
+  const properties = getRequestProperties(req, 'properties');
+
+  if ((where || properties) && typeof since !== 'undefined') {
+    const error = new Error('Invalid input, since cannot be combined with where or properties');
+    error.status = 400;
+    error.type = `data.validation.input.${where ? 'where' : 'properties'}`;
+    throw error;
+  }
+
+  const reducer = properties ? reduceProjectedResults.bind(null, properties) : reduceResponseResults;
+
+  if (where) {
+    debug(`${methodName} '${document}', where: ${JSON.stringify(where)}, properties: ${properties}`);
+
+    return getWithParams(
+      pool, methodName, whereProcName, req, res,
+      [...inputParams, properties?.join(',') ?? '', JSON.stringify(where)], reducer
+    );
+  }
+
+  if (properties) {
+    debug(`${methodName} '${document}', properties: ${properties}`);
+
+    return getWithParams(
+      pool, methodName, projectedProcName, req, res, [...inputParams, properties.join(',')], reducer
+    );
+  }
+
+  if (typeof since !== 'undefined') {
+    if (!/^\d+$/.test(`${since}`)) {
+      const error = new Error('Invalid input');
+      error.status = 400;
+      error.type = 'data.validation.input.since';
+      throw error;
+    }
+
+    debug(`${deltaMethodName} '${document}', since: ${since}`);
+
+    const deltaParams = isUser ? [getOwnerId(req), document, since] : [document, since];
+    const rows = await getRows(pool, deltaMethodName, deltaProcName, deltaParams);
+    const delta = rows && makeDelta(since, rows, inputCollections.filter(coll => coll));
+
+    if (delta) {
+      debug('Sending delta response...');
+      res.set('Cache-Control', `${isUser || !!req.user ? 'private' : 'public'}, no-cache`);
+      res.status(200).json({ [document]: delta });
+      return;
+    }
+
+    debug(`No delta for '${document}' since ${since}, sending the full document`);
+  }
+
+  return getWithParams(pool, methodName, procName, req, res, inputParams, reduceResponseResults);
+}
+
+/**
+ * Get all the documents, collections, and properties.
+ * Pages through the documents by name with the 'limit' and 'cursor' queries.
+ * With a 'fields' query, sends only those properties of the collections, @see reduceProjectedResults.
+ * 
+ * @param {ConnectionPool} pool - The database connection pool
+ * @param {String} methodName - The canonical name of this method
+ * @param {String} procName - The name of the stored procedure to call
+ * @param {String} projectedProcName - The name of the stored procedure to get the projected properties
+ * @param {Request} req - The expressjs Request object
+ * @param {Response} res - The expressjs Response object
+ * @returns {Promise} resolves to null on successful completion
+ */
+export async function getDocumentsCollectionsAndProperties (pool, methodName, procName, projectedProcName, req, res) {
+  const { cursor, limit } = getRequestPage(req);
+  const fields = getRequestProperties(req, 'fields');
+
+  debug(`${methodName} cursor: '${cursor}', limit: ${limit}, fields: ${fields}`);
+
+  const isUser = /user/i.test(methodName);
+  const inputParams = isUser ? [getOwnerId(req), cursor, limit] : [cursor, limit];
+
+  if (fields) {
+    return getWithParams(
+      pool, methodName, projectedProcName, req, res, [...inputParams, fields.join(',')],
+      reduceProjectedResults.bind(null, fields), makeETag, limit
+    );
+  }
+
+  return getWithParams(
+    pool, methodName, procName, req, res, inputParams, reduceResponseResults, makeETag, limit
+  );
+}
+
+/**
+ * Get the App or User document history, or a single version of it, from the database, sends the response.
+ * Each history entry records the changed collections and properties, who changed them, and when.
+ *
+ * @param {ConnectionPool} pool - The database connection pool
+ * @param {String} methodName - The canonical name of this method
+ * @param {String} procName - The name of the stored procedure to call
+ * @param {Request} req - The expressjs Request object
+ * @param {Response} res - The expressjs Response object
+ * @returns {Promise} resolves to null on successful completion
+ */
+export async function getHistory (pool, methodName, procName, req, res) {
+  const { document, version } = req.params;
+
+  debug(`${methodName} '${document}', version: ${version}`);
+
+  const inputParams = [document];
+  if (typeof version !== 'undefined') {
+    if (!/^\d+$/.test(version)) {
+      const error = new Error('Invalid input');
+      error.status = 400;
+      error.type = 'data.validation.input.version';
+      throw error;
+    }
+    inputParams.push(version);
+  }
+  if (/user/i.test(methodName)) {
+    inputParams.unshift(getOwnerId(req));
+  }
+
+  const reducer = typeof version !== 'undefined' ? reduceHistoryVersionResult : reduceHistoryResults;
+
+  return getWithParams(pool, methodName, procName, req, res, inputParams, reducer, makeHistoryETag);
+}
+
+/**
+ * Get the User storage usage, the quota limits, and the remaining storage, sends the response.
+ * Limits of 0 are unlimited, and have null remaining.
+ *
+ * @param {ConnectionPool} pool - The database connection pool
+ * @param {String} methodName - The canonical name of this method
+ * @param {String} procName - The name of the stored procedure to call
+ * @param {Request} req - The expressjs Request object
+ * @param {Response} res - The expressjs Response object
+ * @returns {Promise} resolves to null on successful completion
+ */
+export async function getUsage (pool, methodName, procName, req, res) {
+  debug(`${methodName} for user ${req.user.id}`);
+
+  const rows = await getRows(pool, methodName, procName, [req.user.id]);
+  const usage = makeUsage(rows ?? []);
+  const limits = getQuotaLimits();
+
+  res.set('Cache-Control', 'private, no-cache');
+  res.status(200).json({
+    usage,
+    limits,
+    remaining: makeRemaining(usage, limits)
+  });
+}
+
+/**
+ * Get the App or User document and collection schemas from the database, sends the response.
+ * Responds 204 if the document has no schemas.
+ *
+ * @param {ConnectionPool} pool - The database connection pool
+ * @param {String} methodName - The canonical name of this method
+ * @param {String} procName - The name of the stored procedure to call
+ * @param {Request} req - The expressjs Request object
+ * @param {Response} res - The expressjs Response object
+ * @returns {Promise} resolves to null on successful completion
+ */
+export async function getSchemas (pool, methodName, procName, req, res) {
+  const { document } = req.params;
+
+  debug(`${methodName} '${document}'`);
+
+  return getWithParams(pool, methodName, procName, req, res, [document], reduceSchemaResults, makeSchemaETag);
+}
+
+/**
+ * Register an App or User document schema, or a collection schema if a collection is given.
+ * Replaces any schema already registered for the document or collection.
+ * Responds 400 with the schema errors if the schema uses keywords the validator does not implement.
+ *
+ * @param {ConnectionPool} pool - The database connection pool
+ * @param {String} methodName - The canonical name of this method
+ * @param {String} procName - The name of the stored procedure to call
+ * @param {Request} req - The expressjs Request object
+ * @param {Response} res - The expressjs Response object
+ * @returns {Promise} resolves to null on successful completion
+ */
+export async function setSchema (pool, methodName, procName, req, res) {
+  const { document } = req.params;
+  const { collection = '', schema } = req.body ?? {};
+
+  debug(`${methodName} '${document}', collection: '${collection}'`);
+
+  if (typeof collection !== 'string' || !(isObj(schema) || typeof schema === 'boolean')) {
+    const error = new Error('Invalid input');
+    error.status = 400;
+    error.type = 'data.validation.input.schema';
+    throw error;
+  }
+
+  const schemaErrors = checkSchema(schema);
+  if (schemaErrors.length > 0) {
+    debug(`${methodName} '${document}' schema is not supported`, schemaErrors);
+
+    const error = new Error('Invalid input, the schema has unsupported keywords or invalid patterns');
+    error.status = 400;
+    error.type = 'data.validation.input.schema';
+    error.schemaErrors = schemaErrors;
+    throw error;
+  }
+
+  const inputParams = [document, collection, JSON.stringify(schema), req.user.id];
+  const procParams = `(${Array(inputParams.length).fill('?').join(', ')})`;
+
+  debug(`Calling ${procName}${procParams} for ${document}...`);
+
+  let conn;
+  try {
+    conn = await pool.getConnection();
+
+    const result = await conn.query(
+      `CALL ${procName}${procParams}`,
+      inputParams
+    );
+
+    debug('Sending success response...');
+    res.status(200).json({
+      message: 'Success',
+      ok: true,
+      timestamp: (new Date()).toISOString(),
+      affectedRows: result.affectedRows,
+      warningStatus: result.warningStatus
+    });
+  } finally {
+    if (conn) {
+      conn.release();
+    }
+  }
+}
+
+/**
+ * Remove an App or User document schema, or a collection schema if a collection is given.
+ *
+ * @param {ConnectionPool} pool - The database connection pool
+ * @param {String} methodName - The canonical name of this method
+ * @param {String} procName - The name of the stored procedure to call
+ * @param {Request} req - The expressjs Request object
+ * @param {Response} res - The expressjs Response object
+ * @returns {Promise} resolves to null on successful completion
+ */
+export async function deleteSchema (pool, methodName, procName, req, res) {
+  const { document } = req.params;
+  const { collection = '' } = req.body ?? {};
+
+  debug(`${methodName} '${document}', collection: '${collection}'`);
+
+  if (typeof collection !== 'string') {
+    const error = new Error('Invalid input');
+    error.status = 400;
+    error.type = 'data.validation.input.collection';
+    throw error;
+  }
+
+  let conn;
+  try {
+    conn = await pool.getConnection();
+
+    await conn.query(`CALL ${procName}(?, ?, @out_param)`, [document, collection]);
+
+    const [outParam] = await conn.query('SELECT @out_param AS result');
+    if (outParam.result) {
+      const error = new Error(`[404] ${methodName}, entity not found. Input: ${document}, ${collection}`);
+      error.status = 404;
+      error.type = methodName;
+      throw error;
+    }
+
+    debug('Sending success response...');
+    res.status(200).json({
+      message: 'Success',
+      ok: true,
+      timestamp: (new Date()).toISOString()
+    });
+  } finally {
+    if (conn) {
+      conn.release();
+    }
+  }
+}
+
+/**
+ * Authorize a request for a document shared with the user, for the given access.
+ * The owner always has access. On success, sets Request.owner to the document owner { id, email },
+ * so the request is served from the owner's documents.
+ *
+ * @param {ConnectionPool} pool - The database connection pool
+ * @param {String} methodName - The canonical name of this method
+ * @param {String} procName - The name of the stored procedure to call
+ * @param {String} access - The required access, 'read' or 'write'
+ * @param {Request} req - The expressjs Request object
+ * @param {Response} res - The expressjs Response object, not used
+ * @param {Function} next - The expressjs next function
+ */
+export async function authorizeShare (pool, methodName, procName, access, req, res, next) {
+  const { ownerId, document } = req.params;
+
+  debug(`${methodName} '${ownerId}/${document}' for ${access}`);
+
+  if (ownerId === req.user.id) {
+    req.owner = { id: req.user.id, email: req.user.email };
+    next();
+    return;
+  }
+
+  const rows = await getRows(pool, methodName, procName, [ownerId, document, req.user.id]);
+  const share = rows?.[0];
+
+  if (!share || (access === 'write' && share.access !== 'write')) {
+    const error = new Error(`[403] Forbidden, no ${access} access to shared document '${document}'`);
+    error.status = 403;
+    error.type = 'data.authorization.share';
+    throw error;
+  }
+
+  req.owner = { id: share.owner_id, email: share.owner_email };
+  next();
+}
+
+/**
+ * Get the access grants of a User document from the database, sends the response.
+ * Responds 204 if the document is not shared.
+ *
+ * @param {ConnectionPool} pool - The database connection pool
+ * @param {String} methodName - The canonical name of this method
+ * @param {String} procName - The name of the stored procedure to call
+ * @param {Request} req - The expressjs Request object
+ * @param {Response} res - The expressjs Response object
+ * @returns {Promise} resolves to null on successful completion
+ */
+export async function getShares (pool, methodName, procName, req, res) {
+  const { document } = req.params;
+
+  debug(`${methodName} '${document}'`);
+
+  return getWithParams(
+    pool, methodName, procName, req, res, [req.user.id, document], reduceShareResults, makeShareETag
+  );
+}
+
+/**
+ * Get the documents shared with the User from the database, by owner, sends the response.
+ * Responds 204 if no documents are shared with the user.
+ *
+ * @param {ConnectionPool} pool - The database connection pool
+ * @param {String} methodName - The canonical name of this method
+ * @param {String} procName - The name of the stored procedure to call
+ * @param {Request} req - The expressjs Request object
+ * @param {Response} res - The expressjs Response object
+ * @returns {Promise} resolves to null on successful completion
+ */
+export async function getSharedDocuments (pool, methodName, procName, req, res) {
+  debug(`${methodName} for user ${req.user.id}`);
+
+  return getWithParams(
+    pool, methodName, procName, req, res, [req.user.id], reduceSharedResults, makeShareETag
+  );
+}
+
+/**
+ * Get the ids of the users a User document is shared with.
+ * Not a route handler, finds the grantees to publish changes to, @see changes.js
+ *
+ * @param {ConnectionPool} pool - The database connection pool
+ * @param {String} methodName - The canonical name of this method
+ * @param {String} procName - The name of the stored procedure to call
+ * @param {String} ownerId - The id of the user that owns the document
+ * @param {String} document - The document name
+ * @returns {Promise<Array<String>>} Resolves to the grantee ids, empty if the document is not shared
+ */
+export async function getGrantees (pool, methodName, procName, ownerId, document) {
+  debug(`${methodName} '${document}' for user ${ownerId}`);
+
+  const rows = await getRows(pool, methodName, procName, [ownerId, document]);
+  return (rows ?? []).map(row => row.grantee_id);
+}
+
+/**
+ * Grant, change, or revoke another user's access to a User document.
+ * The grantee is identified by email. Responds 404 if the document or the grantee is not found.
+ * Implementation for the following stored procedures:
+ *   - UpsertUserDocumentShare
+ *   - DeleteUserDocumentShare
+ *
+ * @param {ConnectionPool} pool - The database connection pool
+ * @param {String} methodName - The canonical name of this method
+ * @param {String} procName - The name of the stored procedure to call
+ * @param {Request} req - The expressjs Request object
+ * @param {Response} res - The expressjs Response object
+ * @returns {Promise} resolves to null on successful completion
+ */
+export async function mutateShare (pool, methodName, procName, req, res) {
+  const { document } = req.params;
+  const { email, access } = req.body ?? {};
+  const isGrant = typeof access !== 'undefined';
+
+  debug(`${methodName} '${document}', email: '${email}', access: '${access}'`);
+
+  if (!email || typeof email !== 'string' || (isGrant && access !== 'read' && access !== 'write')) {
+    const error = new Error('Invalid input');
+    error.status = 400;
+    error.type = 'data.validation.input.share';
+    throw error;
+  }
+
+  const inputParams = isGrant ? [req.user.id, document, email, access] : [req.user.id, document, email];
+  const procParams = `(${Array(inputParams.length).fill('?').concat('@out_param').join(', ')})`;
+
+  let conn;
+  try {
+    conn = await pool.getConnection();
+
+    await conn.query(`CALL ${procName}${procParams}`, inputParams);
+
+    const [outParam] = await conn.query('SELECT @out_param AS result');
+    if (outParam.result) {
+      const error = new Error(`[404] ${methodName}, entity not found. Input: ${document}, ${email}`);
+      error.status = 404;
+      error.type = methodName;
+      throw error;
+    }
+
+    debug('Sending success response...');
+    res.status(200).json({
+      message: 'Success',
+      ok: true,
+      timestamp: (new Date()).toISOString()
+    });
+  } finally {
+    if (conn) {
+      conn.release();
+    }
+  }
+}
+
+/**
+ * Get the public links of a User document from the database, sends the response.
+ * Responds 204 if the document has no links. Link tokens are not retrievable after they are created.
+ *
+ * @param {ConnectionPool} pool - The database connection pool
+ * @param {String} methodName - The canonical name of this method
+ * @param {String} procName - The name of the stored procedure to call
+ * @param {Request} req - The expressjs Request object
+ * @param {Response} res - The expressjs Response object
+ * @returns {Promise} resolves to null on successful completion
+ */
+export async function getLinks (pool, methodName, procName, req, res) {
+  const { document } = req.params;
+
+  debug(`${methodName} '${document}'`);
+
+  return getWithParams(
+    pool, methodName, procName, req, res, [req.user.id, document], reduceLinkResults, makeLinkETag
+  );
+}
+
+/**
+ * Create a public read-only link to a User document, sends the response with the link token.
+ * The body can have expiresIn, the link lifetime in seconds. Without it, the link does not expire.
+ * Responds 404 if the document is not found.
+ *
+ * @param {ConnectionPool} pool - The database connection pool
+ * @param {String} methodName - The canonical name of this method
+ * @param {String} procName - The name of the stored procedure to call
+ * @param {Request} req - The expressjs Request object
+ * @param {Response} res - The expressjs Response object
+ * @returns {Promise} resolves to null on successful completion
+ */
+export async function createLink (pool, methodName, procName, req, res) {
+  const { document } = req.params;
+  const { expiresIn = 0 } = req.body ?? {};
+
+  debug(`${methodName} '${document}', expiresIn: ${expiresIn}`);
+
+  if (!Number.isInteger(expiresIn) || expiresIn < 0 || expiresIn > maxLinkExpiresIn) {
+    const error = new Error('Invalid input');
+    error.status = 400;
+    error.type = 'data.validation.input.link';
+    throw error;
+  }
+
+  const token = randomBytes(32).toString('base64url');
+
+  let conn;
+  try {
+    conn = await pool.getConnection();
+
+    const arr = await conn.query(
+      `CALL ${procName}(?, ?, ?, ?, @out_param)`,
+      [req.user.id, document, hashLinkToken(token), expiresIn]
+    );
+
+    const [outParam] = await conn.query('SELECT @out_param AS result');
+    if (outParam.result) {
+      const error = new Error(`[404] ${methodName}, entity not found. Input: ${document}`);
+      error.status = 404;
+      error.type = methodName;
+      throw error;
+    }
+
+    const [link] = arr[0];
+
+    debug('Sending success response...');
+    res.status(200).json({
+      message: 'Success',
+      ok: true,
+      token,
+      linkId: `${link.link_id}`,
+      expiresAt: link.expires_at ? new Date(link.expires_at).toISOString() : null,
+      timestamp: (new Date()).toISOString()
+    });
+  } finally {
+    if (conn) {
+      conn.release();
+    }
+  }
+}
+
+/**
+ * Revoke a public link to a User document.
+ * Responds 404 if the link is not found.
+ *
+ * @param {ConnectionPool} pool - The database connection pool
+ * @param {String} methodName - The canonical name of this method
+ * @param {String} procName - The name of the stored procedure to call
+ * @param {Request} req - The expressjs Request object
+ * @param {Response} res - The expressjs Response object
+ * @returns {Promise} resolves to null on successful completion
+ */
+export async function deleteLink (pool, methodName, procName, req, res) {
+  const { document, linkId } = req.params;
+
+  debug(`${methodName} '${document}', linkId: '${linkId}'`);
+
+  if (!/^[1-9]\d{0,18}$/.test(linkId)) {
+    const error = new Error('Invalid input');
+    error.status = 400;
+    error.type = 'data.validation.input.link';
+    throw error;
+  }
+
+  let conn;
+  try {
+    conn = await pool.getConnection();
+
+    await conn.query(`CALL ${procName}(?, ?, ?, @out_param)`, [req.user.id, document, linkId]);
+
+    const [outParam] = await conn.query('SELECT @out_param AS result');
+    if (outParam.result) {
+      const error = new Error(`[404] ${methodName}, entity not found. Input: ${document}, ${linkId}`);
+      error.status = 404;
+      error.type = methodName;
+      throw error;
+    }
+
+    debug('Sending success response...');
+    res.status(200).json({
+      message: 'Success',
+      ok: true,
+      timestamp: (new Date()).toISOString()
+    });
+  } finally {
+    if (conn) {
+      conn.release();
+    }
+  }
+}
+
+/**
+ * Get a User document by public link token from the database, sends the response.
+ * Responds 404 if the link is not found, revoked, or expired.
+ *
+ * @param {ConnectionPool} pool - The database connection pool
+ * @param {String} methodName - The canonical name of this method
+ * @param {String} procName - The name of the stored procedure to call
+ * @param {Request} req - The expressjs Request object
+ * @param {Response} res - The expressjs Response object
+ * @returns {Promise} resolves to null on successful completion
+ */
+export async function getLinkedDocument (pool, methodName, procName, req, res) {
+  const { token } = req.params;
+
+  debug(methodName);
+
+  if (!/^[\w-]{43}$/.test(token)) {
+    const error = new Error(`[404] ${methodName}, entity not found`);
+    error.status = 404;
+    error.type = methodName;
+    throw error;
+  }
+
+  return getWithParams(pool, methodName, procName, req, res, [hashLinkToken(token)], reduceResponseResults);
+}
+
+/**
+ * Transform and check upsert input.
+ * The changes must be valid for the registered document and collection schemas, if any,
+ * and within the storage quotas, if any.
+ * Expiring properties have their seconds to live, @see getPropertyTTLs. Properties without one do not expire.
+ * In a transaction, the changes are checked against the projection, and applied to it, @see createProjection.
+ *
+ * @param {ConnectionPool} pool - The database connection pool
+ * @param {String} methodName - The canonical name of the upsert method
+ * @param {String} schemaProcName - The name of the stored procedure to get the document schemas
+ * @param {String} docProcName - The name of the stored procedure to get the current document
+ * @param {String|null} usageProcName - The name of the stored procedure to get the storage usage, null for no quotas
+ * @param {Request} req - The expressjs Request object
+ * @param {String} document - The document name
+ * @param {String} version - The expected document version
+ * @param {Array|Object} collections - The input collections
+ * @param {Object} [projection] - The transaction projection, @see createProjection
+ * @returns {Promise<Array<Object>>} Resolves to the database formatted collection changes
+ */
+async function prepareUpsert (
+  pool, methodName, schemaProcName, docProcName, usageProcName, req, document, version, collections, projection
+) {
+  const procedureCollections = transformInput(
+    collections, coll => {
+      const ttls = getPropertyTTLs(coll);
+      return {
+        collection_name: coll.collection,
+        ...getCollectionVersion(coll),
+        properties: coll.properties ? Object.entries(coll.properties).map(([key, value]) => ({
+          property_name: key,
+          property_value: value,
+          ...(hasOwnProperty(ttls, key) && { ttl: ttls[key] })
+        })) : []
+      };
+    }
+  );
+
+  debug('procedureCollections', procedureCollections);
+
+  const changes = makeChanges(procedureCollections);
+  let currentDocument;
+  const getCurrent = projection
+    ? () => projection.getDocument(document)
+    : () => (currentDocument ??= getCurrentDocument(pool, methodName, docProcName, req, document));
+
+  if (usageProcName) {
+    await enforceQuota(
+      pool, methodName, usageProcName, getCurrent, req, document, changes, projection?.getUsage
+    );
+  }
+  await validateChanges(pool, methodName, schemaProcName, getCurrent, document, version, changes);
+
+  projection?.upsert(document, changes);
+
+  return procedureCollections;
+}
+
+/**
+ * Upsert App or User multiple properties and collections by document name.
+ * The changes must be valid for the registered document and collection schemas, if any,
+ * and within the storage quotas, if any.
+ * Each input collection can have an expected collection version, @see getCollectionVersion.
+ * Returns the http response.
+ * Implementation for the following stored procedures:
+ *   - UpsertApplicationDocumentWithCollectionsAndProperties
+ *   - UpsertUserDocumentWithCollectionsAndProperties
+ * 
+ * @param {ConnectionPool} pool - The database connection pool
+ * @param {String} methodName - The canonical name of this method
+ * @param {String} procName - The name of the stored procedure to call
+ * @param {String} schemaProcName - The name of the stored procedure to get the document schemas
+ * @param {String} docProcName - The name of the stored procedure to get the current document
+ * @param {String|null} usageProcName - The name of the stored procedure to get the storage usage, null for no quotas
+ * @param {Request} req - The expressjs Request object
+ * @param {Response} res - The expressjs Response object
+ * @returns {Promise} resolves to null on successful completion
+ */
+export async function setProperties (
+  pool, methodName, procName, schemaProcName, docProcName, usageProcName, req, res
+) {
+  const { document } = req.params;
+  const { collections } = req.body;
+  const { version, ifMatch } = getRequestVersion(req);
+
+  debug(`${methodName} '${document}' version: ${version}, collections: `, collections);
+
+  const procedureCollections = await prepareUpsert(
+    pool, methodName, schemaProcName, docProcName, usageProcName, req, document, version, collections
+  );
+
+  const inputParams = [document, version, JSON.stringify(procedureCollections), req.user.id];
+  const procParamArray = Array(inputParams.length).fill('?').concat('@out_param');;
+  if (/user/i.test(methodName)) {
+    inputParams.unshift(getOwnerId(req));
+    procParamArray.unshift('?');
+  }
+  const procParams = `(${procParamArray.join(', ')})`;
+
+  debug(`Calling ${procName}${procParams} for ${document} with ${inputParams.length} params...`);
+
+  const newVersion = await withPrecondition(ifMatch, async () => {
+    let conn;
+    try {
+      conn = await pool.getConnection();
+
+      const result = await conn.query(
+        `CALL ${procName}${procParams}`,
+        inputParams
+      );
+
+      const [outParam] = await conn.query('SELECT @out_param AS result');
+      const newVersion = `${outParam.result}`; // BIGINT result is new document version, toString for JSON
+
+      debug('Sending success response...');
+      res.status(200).json({
+        message: 'Success',
+        ok: true,
+        newVersion,
+        timestamp: (new Date()).toISOString(),
+        affectedRows: result.affectedRows,
+        warningStatus: result.warningStatus
+      });
+
+      return newVersion;
+    } finally {
+      if (conn) {
+        conn.release();
+      }
+    }
+  });
+
+  publishChange(methodName, req, {
+    document, version, newVersion, collections: procedureCollections.map(coll => coll.collection_name)
+  });
+}
+
+/**
+ * Deletes or restores App or User document, collections, or properties by calling a stored procedure.
+ * Returns the http response.
+ * Implementation for the following stored procedures:
+ *   - DeleteApplicationCollection
+ *   - DeleteApplicationDocument
+ *   - DeleteApplicationProperties
+ *   - DeleteUserCollection
+ *   - DeleteUserDocument
+ *   - DeleteUserProperties
+ *   - RestoreApplicationDocument
+ *   - RestoreUserDocument
+ *
+ * @param {ConnectionPool} pool - The database connection pool
+ * @param {String} procName - The name of the stored procedure to call
+ * @param {Array} inputParams - The stored procedure input parameters
+ * @param {Response} res - The expressjs Response object
+ * @returns {Promise<String>} resolves to the new document version
+ */
+async function mutateWithParams (pool, procName, inputParams, res) {
+  const procParamArray = Array(inputParams.length).fill('?').concat('@out_param');;
+  const procParams = `(${procParamArray.join(', ')})`;
+
+  debug(`Calling ${procName}${procParams} with ${inputParams}...`);
+
+  let conn;
+  try {
+    conn = await pool.getConnection();
+
+    const result = await conn.query(
+      `CALL ${procName}${procParams}`,
+      inputParams
+    );
+
+    const [outParam] = await conn.query('SELECT @out_param AS result');
+    const newVersion = `${outParam.result}`; // BIGINT result is new document version, toString for JSON
+
+    debug('Sending success response...');
+    res.status(200).json({
+      message: 'Success',
+      ok: true,
+      newVersion,
+      timestamp: (new Date()).toISOString(),
+      affectedRows: result.affectedRows,
+      warningStatus: result.warningStatus
+    });
+
+    return newVersion;
+  } finally {
+    if (conn) {
+      conn.release();
+    }
+  }
+}
+
+/**
+ * Delete App or User singular document from the database.
+ *
+ * @param {ConnectionPool} pool - The database connection pool
+ * @param {String} methodName - The canonical name of this method
+ * @param {String} procName - The name of the stored procedure to call
+ * @param {String} version - The version of the docment to delete
+ * @param {Boolean} ifMatch - true if the version came from the If-Match header
+ * @param {Request} req - The expressjs Request object
+ * @param {Response} res - The expressjs Response object
+ * @returns {Promise} resolves to null on successful completion
+ */
+async function deleteFullDocument (pool, methodName, procName, version, ifMatch, req, res) {
+  const { document } = req.params;
+
+  debug(`${methodName} '${document}'`);
+
+  const inputParams = [document, version, req.user.id];
+  if (/user/i.test(methodName)) {
+    inputParams.unshift(getOwnerId(req));
+  }
+
+  const newVersion = await withPrecondition(ifMatch, () => mutateWithParams(pool, procName, inputParams, res));
+
+  publishChange(methodName, req, { document, version, newVersion, collections: [] });
+}
+
+/**
+ * Delete an App or User singular collection from the database.
+ * 
+ * @param {ConnectionPool} pool - The database connection pool
+ * @param {String} methodName - The canonical name of this method
+ * @param {String} procName - The name of the stored procedure to call
+ * @param {Request} req - The expressjs Request object
+ * @param {Response} res - The expressjs Response object
+ * @returns {Promise} resolves to null on successful completion
+ */
+export async function deleteCollection (pool, methodName, procName, req, res) {
+  const { document, collection } = req.params;
+  const { version, ifMatch } = getRequestVersion(req);
+
+  debug(`${methodName} '${document}', '${collection}'`);
+
+  const inputParams = [document, version, collection, req.user.id];
+  if (/user/i.test(methodName)) {
+    inputParams.unshift(getOwnerId(req));
+  }
+
+  const newVersion = await withPrecondition(ifMatch, () => mutateWithParams(pool, procName, inputParams, res));
+
+  publishChange(methodName, req, { document, version, newVersion, collections: [collection] });
+}
+
+/**
+ * Delete an App or User document, multiple collections, or multiple properties from the database.
+ * Each input collection can have an expected collection version, @see getCollectionVersion.
+ *
+ * @param {ConnectionPool} pool - The database connection pool
+ * @param {String} methodName - The canonical name of this method
+ * @param {String} procName - The name of the stored procedure to call
+ * @param {String|null} docMethodName - The canonical name of the deleteDocument method, if flagged
+ * @param {String|null} docProcName - The name of the stored procedure to delete the document if flagged, null to forbid
+ * @param {Request} req - The expressjs Request object
+ * @param {Response} res - The expressjs Response object
+ * @returns {Promise} resolves to null on successful completion
+ */
+export async function deleteProperties (
+  pool, methodName, procName, docMethodName, docProcName, req, res
+) {
+  const { document } = req.params;
+  const { collections, deleteDocument } = req.body;
+  const { version, ifMatch } = getRequestVersion(req);
+
+  debug(`${methodName} '${document}', version: ${version}, deleteDocument: '${deleteDocument}'`, collections);
+
+  if (deleteDocument) {
+    if (!docProcName) {
+      const error = new Error(`[403] Forbidden, ${methodName} cannot delete document '${document}'`);
+      error.status = 403;
+      error.type = 'data.authorization.share';
+      throw error;
+    }
+
+    debug('Calling deleteDocument on input flag');
+    return deleteFullDocument(pool, docMethodName, docProcName, version, ifMatch, req, res);
+  }
+
+  const procedureCollections = transformInput(
+    collections, coll => ({
+      collection_name: coll.collection,
+      ...getCollectionVersion(coll),
+      property_names: coll.properties ? coll.properties : []
+    })
+  );
+
+  const inputParams = [document, version, JSON.stringify(procedureCollections), req.user.id];
+  if (/user/i.test(methodName)) {
+    inputParams.unshift(getOwnerId(req));
+  }
+
+  const newVersion = await withPrecondition(ifMatch, () => mutateWithParams(pool, procName, inputParams, res));
+
+  publishChange(methodName, req, {
+    document, version, newVersion, collections: procedureCollections.map(coll => coll.collection_name)
+  });
+}
+
+/**
+ * Restore an App or User document to the state of a previous version, as a new version.
+ *
+ * @param {ConnectionPool} pool - The database connection pool
+ * @param {String} methodName - The canonical name of this method
+ * @param {String} procName - The name of the stored procedure to call
+ * @param {Request} req - The expressjs Request object
+ * @param {Response} res - The expressjs Response object
+ * @returns {Promise} resolves to null on successful completion
+ */
+export async function restoreDocument (pool, methodName, procName, req, res) {
+  const { document } = req.params;
+  const { targetVersion } = req.body ?? {};
+  const { version, ifMatch } = getRequestVersion(req);
+
+  debug(`${methodName} '${document}', version: ${version}, targetVersion: ${targetVersion}`);
+
+  if (!/^\d+$/.test(`${targetVersion}`)) {
+    const error = new Error('Invalid input');
+    error.status = 400;
+    error.type = 'data.validation.input.targetVersion';
+    throw error;
+  }
+
+  const inputParams = [document, version, `${targetVersion}`, req.user.id];
+  if (/user/i.test(methodName)) {
+    inputParams.unshift(getOwnerId(req));
+  }
+
+  const newVersion = await withPrecondition(ifMatch, async () => {
+    try {
+      return await mutateWithParams(pool, procName, inputParams, res);
+    } catch (err) {
+      if (/E_NOTFOUND/.test(err?.message)) {
+        err.status = 404;
+        err.type = methodName;
+      }
+      throw err;
+    }
+  });
+
+  publishChange(methodName, req, { document, version, newVersion, collections: [] });
+}
+
+/**
+ * Make a rename input error.
+ *
+ * @returns {Error} The 400 error to throw
+ */
+function invalidRename () {
+  const error = new Error('Invalid input');
+  error.status = 400;
+  error.type = 'data.validation.input.rename';
+  return error;
+}
+
+/**
+ * Check a rename input name.
+ *
+ * @param {Any} name - The input name
+ * @returns {Boolean} true if the name is a usable document or collection name
+ */
+function isValidName (name) {
+  return typeof name === 'string' && name.length > 0 && name.length <= 255;
+}
+
+/**
+ * Call a stored procedure with output parameters, and resolve to their values.
+ * Maps the not found and name conflict errors of the procedure to 404 and 409.
+ * Implementation for the rename, move, copy, purge, and trash stored procedures:
+ *   - RenameApplicationDocument
+ *   - RenameUserDocument
+ *   - MoveApplicationCollection
+ *   - MoveUserCollection
+ *   - CopyApplicationDocumentToUser
+ *   - PurgeUserData
+ *   - RestoreApplicationTrash
+ *   - RestoreUserTrash
+ *   - DeleteApplicationTrash
+ *   - DeleteUserTrash
+ *
+ * @param {ConnectionPool} pool - The database connection pool
+ * @param {String} methodName - The canonical name of this method
+ * @param {String} procName - The name of the stored procedure to call
+ * @param {Array} inputParams - The stored procedure input parameters
+ * @param {Array<String>} outParams - The stored procedure output parameter names, the new document versions or counts
+ * @returns {Promise<Array<String>>} Resolves to the output parameter values
+ */
+async function callWithOutParams (pool, methodName, procName, inputParams, outParams) {
+  const procParams = `(${Array(inputParams.length).fill('?').concat(outParams).join(', ')})`;
+
+  debug(`Calling ${procName}${procParams} with ${inputParams}...`);
+
+  let conn;
+  try {
+    conn = await pool.getConnection();
+
+    await conn.query(`CALL ${procName}${procParams}`, inputParams);
+
+    const [outParam] = await conn.query(
+      `SELECT ${outParams.map((param, index) => `${param} AS result${index}`).join(', ')}`
+    );
+    return outParams.map((param, index) => `${outParam[`result${index}`]}`); // BIGINT, toString for JSON
+  } catch (err) {
+    if (/E_NOTFOUND/.test(err?.message)) {
+      err.status = 404;
+      err.type = methodName;
+    } else if (/E_CONFLICT/.test(err?.message)) {
+      err.status = 409;
+      err.type = methodName;
+    }
+    throw err;
+  } finally {
+    if (conn) {
+      conn.release();
+    }
+  }
+}
+
+/**
+ * Rename an App or User document in one new version, sends the response.
+ * The document keeps its collections, properties, and history. The body has the new document name.
+ * The document must be valid for the registered schemas of its new name, if any.
+ * Responds 404 if the document is not found, 409 if the new name is taken.
+ *
+ * @param {ConnectionPool} pool - The database connection pool
+ * @param {String} methodName - The canonical name of this method
+ * @param {String} procName - The name of the stored procedure to call
+ * @param {String} schemaProcName - The name of the stored procedure to get the document schemas
+ * @param {String} docProcName - The name of the stored procedure to get the current document
+ * @param {Request} req - The expressjs Request object
+ * @param {Response} res - The expressjs Response object
+ * @returns {Promise} resolves to null on successful completion
+ */
+export async function renameDocument (pool, methodName, procName, schemaProcName, docProcName, req, res) {
+  const { document } = req.params;
+  const { name } = req.body ?? {};
+  const { version, ifMatch } = getRequestVersion(req);
+
+  debug(`${methodName} '${document}' to '${name}', version: ${version}`);
+
+  if (!isValidName(name) || name === document || !/^\d+$/.test(`${version}`)) {
+    throw invalidRename();
+  }
+
+  const current = await getCurrentDocument(pool, methodName, docProcName, req, document);
+  if (current) {
+    const { __version: currentVersion, ...collections } = current;
+    await validateChanges(
+      pool, methodName, schemaProcName, async () => ({ __version: currentVersion }), name, version, collections
+    );
+  }
+
+  const inputParams = [document, version, name, req.user.id];
+  if (/user/i.test(methodName)) {
+    inputParams.unshift(getOwnerId(req));
+  }
+
+  const [newVersion] = await withPrecondition(ifMatch, () => callWithOutParams(
+    pool, methodName, procName, inputParams, ['@out_param']
+  ));
+
+  debug('Sending success response...');
+  res.status(200).json({
+    message: 'Success',
+    ok: true,
+    newVersion,
+    versions: { [name]: newVersion },
+    timestamp: (new Date()).toISOString()
+  });
+
+  publishChange(methodName, req, {
+    document: name,
+    version,
+    newVersion,
+    collections: [],
+    rename: { document, newDocument: name }
+  });
+}
+
+/**
+ * Rename an App or User collection, or move it to another document, sends the response.
+ * The body has the new collection name, the target document, or both. Moving a collection to another
+ * document also requires the targetVersion of that document, '0' to create it.
+ * Each document changes in one new version. The moved collection must be valid for the registered
+ * schemas of the target document, if any, and the move must be within the storage quotas, if any.
+ * Responds 404 if the document or collection is not found, 409 if the new name is taken in the target document.
+ *
+ * @param {ConnectionPool} pool - The database connection pool
+ * @param {String} methodName - The canonical name of this method
+ * @param {String} procName - The name of the stored procedure to call
+ * @param {String} schemaProcName - The name of the stored procedure to get the document schemas
+ * @param {String} docProcName - The name of the stored procedure to get the current document
+ * @param {String|null} usageProcName - The name of the stored procedure to get the storage usage, null for no quotas
+ * @param {Request} req - The expressjs Request object
+ * @param {Response} res - The expressjs Response object
+ * @returns {Promise} resolves to null on successful completion
+ */
+export async function moveCollection (
+  pool, methodName, procName, schemaProcName, docProcName, usageProcName, req, res
+) {
+  const { document, collection } = req.params;
+  const { name = collection, document: target = document, targetVersion } = req.body ?? {};
+  const { version, ifMatch } = getRequestVersion(req);
+  const isMove = target !== document;
+
+  debug(`${methodName} '${document}/${collection}' to '${target}/${name}', version: ${version}`);
+
+  if (
+    !isValidName(name) || !isValidName(target) || (!isMove && name === collection) ||
+    !/^\d+$/.test(`${version}`) || (isMove && !/^\d+$/.test(`${targetVersion}`))
+  ) {
+    throw invalidRename();
+  }
+
+  const current = await getCurrentDocument(pool, methodName, docProcName, req, document);
+  const { [collection]: properties, ...rest } = current ?? {};
+  if (properties) {
+    const getTarget = isMove
+      ? () => getCurrentDocument(pool, methodName, docProcName, req, target)
+      : async () => rest;
+
+    if (isMove && usageProcName) {
+      const usageRows = await getRows(pool, methodName, usageProcName, [getOwnerId(req)]);
+      checkMoveQuota(getQuotaLimits(), makeUsage(usageRows ?? []), target);
+    }
+    await validateChanges(
+      pool, methodName, schemaProcName, getTarget, target, isMove ? targetVersion : version, { [name]: properties }
+    );
+  }
+
+  const inputParams = [document, version, collection, target, isMove ? `${targetVersion}` : version, name, req.user.id];
+  if (/user/i.test(methodName)) {
+    inputParams.unshift(getOwnerId(req));
+  }
+
+  const [newVersion, newTargetVersion] = await withPrecondition(ifMatch, () => callWithOutParams(
+    pool, methodName, procName, inputParams, ['@out_param', '@out_target']
+  ));
+
+  debug('Sending success response...');
+  res.status(200).json({
+    message: 'Success',
+    ok: true,
+    newVersion,
+    versions: { [document]: newVersion, [target]: newTargetVersion },
+    timestamp: (new Date()).toISOString()
+  });
+
+  const rename = { document, collection, newDocument: target, newCollection: name };
+  if (isMove) {
+    publishChange(methodName, req, { document, version, newVersion, collections: [collection] });
+    publishChange(methodName, req, {
+      document: target, version: `${targetVersion}`, newVersion: newTargetVersion, collections: [name], rename
+    });
+  } else {
+    publishChange(methodName, req, { document, version, newVersion, collections: [collection, name], rename });
+  }
+}
+
+/**
+ * Copy an App document into a new User document, sends the response.
+ * The new document gets all the collections and properties of the App document, as version 1.
+ * The copy must be valid for the registered schemas of the new document name, if any,
+ * and within the storage quotas, if any.
+ * Responds 404 if the App document is not found, 409 if the User document already exists.
  *
  * @param {ConnectionPool} pool - The database connection pool
  * @param {String} methodName - The canonical name of this method
  * @param {String} procName - The name of the stored procedure to call
+ * @param {String} appDocProcName - The name of the stored procedure to get the App document
+ * @param {String} schemaProcName - The name of the stored procedure to get the document schemas
+ * @param {String} docProcName - The name of the stored procedure to get the current document
+ * @param {String|null} usageProcName - The name of the stored procedure to get the storage usage, null for no quotas
+ * @param {Request} req - The expressjs Request object
  * @param {Response} res - The expressjs Response object
- * @param {Array} inputParams - The input parameters to the stored procedure
- * @param {Function} reducer - The reducer function for the stored procedure results
- * @returns {Promise<undefined>} Fulfills on success.
+ * @returns {Promise} resolves to null on successful completion
  */
-async function getWithParams (pool, methodName, procName, res, inputParams, reducer) {
-  let conn = null;
-  try {
-    conn = await pool.getConnection();
+export async function copyDocument (
+  pool, methodName, procName, appDocProcName, schemaProcName, docProcName, usageProcName, req, res
+) {
+  const { document, appDocument } = req.params;
 
-    const procParamArray = Array(inputParams.length).fill('?').concat('@out_param');
-    const procParams = `(${procParamArray.join(', ')})`;
-  
-    debug(`Calling ${procName}${procParams} with ${inputParams}...`);
+  debug(`${methodName} '${appDocument}' to '${document}'`);
 
-    const arr = await conn.query(
-      `CALL ${procName}${procParams}`,
-      inputParams
-    );
-    const [outParam] = await conn.query('SELECT @out_param AS result');
-    const notFound = !!outParam.result; // 0n, 1n
+  const appRows = await getRows(pool, methodName, appDocProcName, [appDocument, '']);
+  const { [appDocument]: source = null } = (appRows ?? []).reduce(reduceDocumentResults, {});
+  if (!source) {
+    const error = new Error(`Application document '${appDocument}' not found`);
+    error.status = 404;
+    error.type = methodName;
+    throw error;
+  }
 
-    if (notFound) {
-      const error = new Error(
-        `[404] ${methodName}, entity not found. Input: ${inputParams}`
-      );
-      error.status = 404;
-      error.type = methodName;
-      throw error;
-    }
+  const current = await getCurrentDocument(pool, methodName, docProcName, req, document);
+  if (current) {
+    const error = new Error(`Document '${document}' already exists`);
+    error.status = 409;
+    error.type = methodName;
+    throw error;
+  }
 
-    debug('Reducing results...');    
-    const results = arr[0].reduce(reducer, {});
-    const status = Object.keys(results).length > 0 ? 200 : 204;
-    debug(`Sending ${status} response...`);
-    res.status(status).json(results);
-  } finally {
-    if (conn) {
-      conn.release();
-    }
+  const { __version: sourceVersion, ...changes } = source;
+  const getCurrent = async () => null;
+
+  debug(`${methodName} copying '${appDocument}' version ${sourceVersion}`);
+
+  if (usageProcName) {
+    await enforceQuota(pool, methodName, usageProcName, getCurrent, req, document, changes);
   }
+  await validateChanges(pool, methodName, schemaProcName, getCurrent, document, '0', changes);
+
+  const [newVersion] = await callWithOutParams(
+    pool, methodName, procName, [getOwnerId(req), document, appDocument, req.user.id], ['@out_param']
+  );
+
+  debug('Sending success response...');
+  res.status(200).json({
+    message: 'Success',
+    ok: true,
+    newVersion,
+    timestamp: (new Date()).toISOString()
+  });
+
+  publishChange(methodName, req, { document, version: '0', newVersion, collections: Object.keys(changes) });
 }
 
 /**
- * Get App or User properties by document and collection from the database, sends the response.
- * 
+ * Purge all of the User documents, collections, properties, and history of the caller, sends the response.
+ * Also removes the shares of other users' documents with the caller, and the kept responses of its idempotent mutations.
+ * Logs the purge as an audit event, and publishes nothing, the caller is expected to logout with purge.
+ *
  * @param {ConnectionPool} pool - The database connection pool
  * @param {String} methodName - The canonical name of this method
  * @param {String} procName - The name of the stored procedure to call
+ * @param {Object} logger - The application level logger, for the audit event
  * @param {Request} req - The expressjs Request object
  * @param {Response} res - The expressjs Response object
  * @returns {Promise} resolves to null on successful completion
  */
-export async function getProperties (pool, methodName, procName, req, res) {
-  const { document, collection } = req.params;
+export async function purgeUserData (pool, methodName, procName, logger, req, res) {
+  const userId = req.user.id;
 
-  debug(`${methodName} '${document}', '${collection}'`);
+  debug(`${methodName} for ${userId}`);
 
-  const isUser = /user/i.test(methodName);
-  const inputParams = isUser ? [req.user.id, document, collection] : [document, collection];
+  const [documents, collections, properties, shares, idempotencyKeys] = await callWithOutParams(
+    pool, methodName, procName, [userId],
+    ['@out_documents', '@out_collections', '@out_properties', '@out_shares', '@out_idempotency_keys']
+  );
+  const purged = {
+    documents: Number(documents),
+    collections: Number(collections),
+    properties: Number(properties),
+    shares: Number(shares),
+    idempotencyKeys: Number(idempotencyKeys)
+  };
 
-  return getWithParams(pool, methodName, procName, res, inputParams, reduceDocumentResults);
+  logger.info({ audit: 'data.user.purge', userId, purged }, `User data purged for ${userId}`);
+
+  debug('Sending success response...');
+  res.status(200).json({
+    message: 'Success',
+    ok: true,
+    purged,
+    timestamp: (new Date()).toISOString()
+  });
 }
 
 /**
- * Get App or User collections and their properties from the database, sends the response.
- * 
+ * Make a trash item from a trash row result.
+ *
+ * @param {Object} row - The trash row result
+ * @returns {Object} The trash item { id, document, collection, version, deletedBy, deletedAt, expiresAt },
+ * collection is null for a whole document, expiresAt is null if the trash is kept forever
+ */
+function makeTrashItem (row) {
+  return {
+    id: `${row.trash_id}`,
+    document: row.document_name,
+    collection: row.collection_name || null,
+    version: `${row.document_version}`,
+    deletedBy: row.deleted_by,
+    deletedAt: new Date(row.deleted_at).toISOString(),
+    expiresAt: row.expires_at ? new Date(row.expires_at).toISOString() : null
+  };
+}
+
+/**
+ * Get a trash item id from the request parameters.
+ *
+ * @param {Request} req - The expressjs Request object
+ * @returns {String} The trash item id, throws a 400 error if not an id
+ */
+function getRequestTrashId (req) {
+  const { id } = req.params;
+
+  if (!/^\d+$/.test(id)) {
+    const error = new Error('Invalid input');
+    error.status = 400;
+    error.type = 'data.validation.input.id';
+    throw error;
+  }
+
+  return id;
+}
+
+/**
+ * Get the App or User deleted documents and collections that are still restorable, sends the response.
+ * The most recently deleted items are first.
+ *
  * @param {ConnectionPool} pool - The database connection pool
  * @param {String} methodName - The canonical name of this method
  * @param {String} procName - The name of the stored procedure to call
@@ -182,27 +2462,27 @@ export async function getProperties (pool, methodName, procName, req, res) {
  * @param {Response} res - The expressjs Response object
  * @returns {Promise} resolves to null on successful completion
  */
-export async function getCollectionsAndProperties (pool, methodName, procName, req, res) {
-  const { document } = req.params;
-  let { collections: inputCollections } = req.query;
+export async function getTrash (pool, methodName, procName, req, res) {
+  debug(`${methodName} for ${req.user.id}`);
 
-  if (!Array.isArray(inputCollections)) {
-    inputCollections = [inputCollections ? `${inputCollections}` : ''];
+  const inputParams = [getTrashRetention()];
+  if (/user/i.test(methodName)) {
+    inputParams.unshift(getOwnerId(req));
   }
-  inputCollections = Array.from(new Set(inputCollections)); // dedup
-  const collections = inputCollections.join(',');
-
-  debug(`${methodName} '${document}', collections = ${collections}`);
 
-  const isUser = /user/i.test(methodName);
-  const inputParams = isUser ? [req.user.id, document, collections] : [document, collections];
+  const rows = await getRows(pool, methodName, procName, inputParams);
 
-  return getWithParams(pool, methodName, procName, res, inputParams, reduceDocumentResults);
+  res.set('Cache-Control', 'private, no-cache');
+  res.status(200).json({
+    trash: (rows ?? []).map(makeTrashItem)
+  });
 }
 
 /**
- * Get all the documents, collections, and properties.
- * 
+ * Restore an App or User document or collection from the trash, as a new version of the document.
+ * The body version is the current version of the document, 0 if it does not exist.
+ * Responds 404 if the item is not in the trash or expired, 409 if the document or collection exists.
+ *
  * @param {ConnectionPool} pool - The database connection pool
  * @param {String} methodName - The canonical name of this method
  * @param {String} procName - The name of the stored procedure to call
@@ -210,22 +2490,38 @@ export async function getCollectionsAndProperties (pool, methodName, procName, r
  * @param {Response} res - The expressjs Response object
  * @returns {Promise} resolves to null on successful completion
  */
-export async function getDocumentsCollectionsAndProperties (pool, methodName, procName, req, res) {
-  debug (methodName);
+export async function restoreTrash (pool, methodName, procName, req, res) {
+  const id = getRequestTrashId(req);
+  const { version, ifMatch } = getRequestVersion(req);
 
-  const isUser = /user/i.test(methodName);
-  const inputParams = isUser ? [req.user.id] : [];
+  debug(`${methodName} ${id}, version: ${version}`);
+
+  const inputParams = [id, getTrashRetention(), version, req.user.id];
+  if (/user/i.test(methodName)) {
+    inputParams.unshift(getOwnerId(req));
+  }
 
-  return getWithParams(pool, methodName, procName, res, inputParams, reduceDocumentResults);
+  const [document, collection, newVersion] = await withPrecondition(ifMatch, () => callWithOutParams(
+    pool, methodName, procName, inputParams, ['@out_document', '@out_collection', '@out_param']
+  ));
+
+  debug('Sending success response...');
+  res.status(200).json({
+    message: 'Success',
+    ok: true,
+    document,
+    collection: collection || null,
+    newVersion,
+    timestamp: (new Date()).toISOString()
+  });
+
+  publishChange(methodName, req, { document, version, newVersion, collections: collection ? [collection] : [] });
 }
 
 /**
- * Upsert App or User multiple properties and collections by document name.
- * Returns the http response.
- * Implementation for the following stored procedures:
- *   - UpsertApplicationDocumentWithCollectionsAndProperties
- *   - UpsertUserDocumentWithCollectionsAndProperties
- * 
+ * Permanently delete an App or User trash item, or empty the trash if there is no item id, sends the response.
+ * Responds 404 if the trash item is not found.
+ *
  * @param {ConnectionPool} pool - The database connection pool
  * @param {String} methodName - The canonical name of this method
  * @param {String} procName - The name of the stored procedure to call
@@ -233,196 +2529,432 @@ export async function getDocumentsCollectionsAndProperties (pool, methodName, pr
  * @param {Response} res - The expressjs Response object
  * @returns {Promise} resolves to null on successful completion
  */
-export async function setProperties (pool, methodName, procName, req, res) {
-  const { document } = req.params;
-  const { version, collections } = req.body;
+export async function deleteTrash (pool, methodName, procName, req, res) {
+  const id = typeof req.params.id === 'undefined' ? null : getRequestTrashId(req);
 
-  debug(`${methodName} '${document}' version: ${version}, collections: `, collections);
+  debug(`${methodName} ${id ?? 'all'}`);
 
-  const procedureCollections = transformAndValidateInput(
-    document, collections, coll => ({
-      collection_name: coll.collection,
-      properties: coll.properties ? Object.entries(coll.properties).map(([key, value]) => ({
-        property_name: key,
-        property_value: value
-      })) : []
-    })
-  );
+  const inputParams = [id];
+  if (/user/i.test(methodName)) {
+    inputParams.unshift(getOwnerId(req));
+  }
 
-  debug('procedureCollections', procedureCollections);
+  const [deleted] = await callWithOutParams(pool, methodName, procName, inputParams, ['@out_param']);
 
-  const inputParams = [document, version, JSON.stringify(procedureCollections)];
-  const procParamArray = Array(inputParams.length).fill('?').concat('@out_param');;
-  if (/user/i.test(methodName)) {
-    inputParams.unshift(req.user.id);
-    procParamArray.unshift('?');
+  if (id && deleted === '0') {
+    const error = new Error(`Trash item ${id} not found`);
+    error.status = 404;
+    error.type = methodName;
+    throw error;
   }
-  const procParams = `(${procParamArray.join(', ')})`;
 
-  debug(`Calling ${procName}${procParams} for ${document} with ${inputParams.length} params...`);
+  debug('Sending success response...');
+  res.status(200).json({
+    message: 'Success',
+    ok: true,
+    deleted: Number(deleted),
+    timestamp: (new Date()).toISOString()
+  });
+}
+
+/**
+ * Call mutation stored procedures in order in a single database transaction.
+ * The mutation procedures join the transaction while @in_batch_transaction is set on the connection.
+ * The expected version of each call is the new version from the previous call to the same document, if any.
+ *
+ * @param {ConnectionPool} pool - The database connection pool
+ * @param {Array<Object>} calls - The procedure calls [{ procName, document, version, makeParams: version => inputParams }]
+ * @returns {Promise<Object>} Resolves to the new document versions { document: newVersion }
+ */
+async function transactWithParams (pool, calls) {
+  const versions = {};
 
   let conn;
   try {
     conn = await pool.getConnection();
 
-    const result = await conn.query(
-      `CALL ${procName}${procParams}`,
-      inputParams
-    );
+    await conn.query('SET @in_batch_transaction = 1');
+    await conn.beginTransaction();
 
-    const [outParam] = await conn.query('SELECT @out_param AS result');
-    const newVersion = `${outParam.result}`; // BIGINT result is new document version, toString for JSON
+    try {
+      for (const { procName, document, version, makeParams } of calls) {
+        const inputParams = makeParams(versions[document] ?? version);
+        const procParamArray = Array(inputParams.length).fill('?').concat('@out_param');
+        const procParams = `(${procParamArray.join(', ')})`;
 
-    debug('Sending success response...');
-    res.status(200).json({
-      message: 'Success',
-      ok: true,
-      newVersion,
-      timestamp: (new Date()).toISOString(),
-      affectedRows: result.affectedRows,
-      warningStatus: result.warningStatus
-    });
+        debug(`Calling ${procName}${procParams} for ${document} in transaction...`);
+
+        await conn.query(`CALL ${procName}${procParams}`, inputParams);
+
+        const [outParam] = await conn.query('SELECT @out_param AS result');
+        versions[document] = `${outParam.result}`; // BIGINT result is new document version, toString for JSON
+      }
+
+      await conn.commit();
+    } catch (err) {
+      debug('Rolling back transaction', err.message);
+      await conn.rollback();
+      throw err;
+    }
   } finally {
     if (conn) {
-      conn.release();
+      try {
+        await conn.query('SET @in_batch_transaction = NULL');
+        conn.release();
+      } catch (err) {
+        debug('Failed to reset the connection, destroying it', err.message);
+        conn.destroy();
+      }
     }
   }
+
+  return versions;
 }
 
 /**
- * Deletes App or User document, collections, or properties by calling a stored procedure.
- * Returns the http response.
- * Implementation for the following stored procedures:
- *   - DeleteApplicationCollection
- *   - DeleteApplicationDocument
- *   - DeleteApplicationProperties
- *   - DeleteUserCollection
- *   - DeleteUserDocument
- *   - DeleteUserProperties
+ * Upsert and delete App or User collections, properties, and documents across documents in a single transaction.
+ * Commits all of the operations in order, or none of them.
+ * Each operation is the request body of the single document mutation, with the operation and document name:
+ *   - { operation: 'upsert', document, version, collections }
+ *   - { operation: 'delete', document, version, collections | deleteDocument }
+ * The version of each operation is the document version before the transaction,
+ * later operations on the same document continue from the earlier ones.
+ * Each upsert is checked against the documents and the storage usage as the earlier operations leave them.
  *
  * @param {ConnectionPool} pool - The database connection pool
- * @param {String} procName - The name of the stored procedure to call
- * @param {Array} inputParams - The stored procedure input parameters
+ * @param {String} methodName - The canonical name of this method
+ * @param {Object} procNames - The names of the stored procedures to call
+ * @param {String} procNames.upsert - Upserts collections and properties
+ * @param {String} procNames.deleteProperties - Deletes collections and properties
+ * @param {String} procNames.deleteDocument - Deletes a document
+ * @param {String} procNames.schemas - Gets the document schemas
+ * @param {String} procNames.document - Gets the current document
+ * @param {String|null} procNames.usage - Gets the storage usage, null for no quotas
+ * @param {Request} req - The expressjs Request object
  * @param {Response} res - The expressjs Response object
+ * @returns {Promise} resolves to null on successful completion
  */
-async function deleteWithParams (pool, procName, inputParams, res) {
-  const procParamArray = Array(inputParams.length).fill('?').concat('@out_param');;
-  const procParams = `(${procParamArray.join(', ')})`;
+export async function transact (pool, methodName, procNames, req, res) {
+  const { operations } = req.body ?? {};
 
-  debug(`Calling ${procName}${procParams} with ${inputParams}...`);
+  debug(`${methodName} ${operations?.length} operations`);
 
-  let conn;
-  try {
-    conn = await pool.getConnection();
+  const invalidOperations = () => {
+    const error = new Error('Invalid input');
+    error.status = 400;
+    error.type = 'data.validation.input.operations';
+    return error;
+  };
 
-    const result = await conn.query(
-      `CALL ${procName}${procParams}`,
-      inputParams
-    );
+  if (!Array.isArray(operations) || operations.length <= 0 || operations.length > maxTransactionOperations) {
+    throw invalidOperations();
+  }
 
-    const [outParam] = await conn.query('SELECT @out_param AS result');
-    const newVersion = `${outParam.result}`; // BIGINT result is new document version, toString for JSON
+  const isUser = /user/i.test(methodName);
+  const withUser = params => isUser ? [getOwnerId(req), ...params] : params;
+  const projection = createProjection(pool, methodName, procNames.document, procNames.usage, req);
+  const startVersions = {};
+  const changed = {};
+  const calls = [];
 
-    debug('Sending success response...');
-    res.status(200).json({
-      message: 'Success',
-      ok: true,
+  for (const op of operations) {
+    const { operation, document, version, collections, deleteDocument } = isObj(op) ? op : {};
+
+    if (!document || typeof document !== 'string' || !/^\d+$/.test(`${version}`)) {
+      throw invalidOperations();
+    }
+    if (document in startVersions && startVersions[document] !== `${version}`) {
+      debug(`${methodName} '${document}' has conflicting versions ${startVersions[document]} and ${version}`);
+      throw invalidOperations();
+    }
+    if (!(document in startVersions)) {
+      startVersions[document] = `${version}`;
+      changed[document] = new Set();
+    }
+
+    if (operation === 'upsert') {
+      const procedureCollections = await prepareUpsert(
+        pool, methodName, procNames.schemas, procNames.document, procNames.usage, req, document, version, collections,
+        projection
+      );
+      procedureCollections.forEach(coll => changed[document]?.add(coll.collection_name));
+      calls.push({
+        procName: procNames.upsert,
+        document,
+        version,
+        makeParams: v => withUser([document, v, JSON.stringify(procedureCollections), req.user.id])
+      });
+    } else if (operation === 'delete' && deleteDocument) {
+      changed[document] = null; // the whole document changed
+      projection.deleteDocument(document);
+      calls.push({
+        procName: procNames.deleteDocument,
+        document,
+        version,
+        makeParams: v => withUser([document, v, req.user.id])
+      });
+    } else if (operation === 'delete') {
+      const procedureCollections = transformInput(
+        collections, coll => ({
+          collection_name: coll.collection,
+          ...getCollectionVersion(coll),
+          property_names: coll.properties ? coll.properties : []
+        })
+      );
+      procedureCollections.forEach(coll => changed[document]?.add(coll.collection_name));
+      projection.deleteProperties(document, procedureCollections);
+      calls.push({
+        procName: procNames.deleteProperties,
+        document,
+        version,
+        makeParams: v => withUser([document, v, JSON.stringify(procedureCollections), req.user.id])
+      });
+    } else {
+      throw invalidOperations();
+    }
+  }
+
+  const versions = await transactWithParams(pool, calls);
+
+  debug('Sending success response...');
+  res.status(200).json({
+    message: 'Success',
+    ok: true,
+    versions,
+    timestamp: (new Date()).toISOString()
+  });
+
+  for (const [document, newVersion] of Object.entries(versions)) {
+    publishChange(methodName, req, {
+      document,
+      version: startVersions[document],
       newVersion,
-      timestamp: (new Date()).toISOString(),
-      affectedRows: result.affectedRows,
-      warningStatus: result.warningStatus
+      collections: changed[document] ? Array.from(changed[document]) : []
     });
-  } finally {
-    if (conn) {
-      conn.release();
-    }
   }
 }
 
 /**
- * Delete App or User singular document from the database.
+ * Export all the User documents as a downloadable archive, streams the response.
+ * The archive is JSON { format, exportedAt, documents: [archiveDocument] }, or NDJSON of one archive document per line
+ * if the format query parameter is 'ndjson'. @see reduceArchiveResults for the archive document format.
+ * The documents are read in pages, so a large export does not hold all of the documents in memory.
  *
  * @param {ConnectionPool} pool - The database connection pool
  * @param {String} methodName - The canonical name of this method
  * @param {String} procName - The name of the stored procedure to call
- * @param {String} version - The version of the docment to delete
  * @param {Request} req - The expressjs Request object
  * @param {Response} res - The expressjs Response object
  * @returns {Promise} resolves to null on successful completion
  */
-async function deleteFullDocument (pool, methodName, procName, version, req, res) {
-  const { document } = req.params;
+export async function exportDocuments (pool, methodName, procName, req, res) {
+  const { format = 'json' } = req.query;
 
-  debug(`${methodName} '${document}'`);
+  debug(`${methodName} format: ${format}`);
 
-  const inputParams = [document, version];
-  if (/user/i.test(methodName)) {
-    inputParams.unshift(req.user.id);
+  if (format !== 'json' && format !== 'ndjson') {
+    const error = new Error('Invalid input');
+    error.status = 400;
+    error.type = 'data.validation.input.format';
+    throw error;
+  }
+
+  const ndjson = format === 'ndjson';
+  const exportedAt = (new Date()).toISOString();
+  let cursor = '';
+  let count = 0;
+
+  try {
+    do {
+      const rows = await getRows(pool, methodName, procName, [getOwnerId(req), cursor, exportPageLimit]) ?? [];
+      const { rows: pageRows, next } = makePage(rows, exportPageLimit);
+
+      if (!res.headersSent) {
+        res.status(200).set({
+          'Content-Type': ndjson ? 'application/x-ndjson' : 'application/json',
+          'Content-Disposition': `attachment; filename="jam-build-${exportedAt.slice(0, 10)}.${format}"`,
+          'Cache-Control': 'private, no-store'
+        });
+        if (!ndjson) {
+          res.write(`{"format":"${archiveFormat}","exportedAt":"${exportedAt}","documents":[`);
+        }
+      }
+
+      for (const document of Object.values(pageRows.reduce(reduceArchiveResults, {}))) {
+        const json = JSON.stringify(document);
+        res.write(ndjson ? `${json}\n` : `${count > 0 ? ',' : ''}${json}`);
+        count++;
+      }
+
+      cursor = next ? pageRows[pageRows.length - 1].document_name : null;
+    } while (cursor !== null);
+  } catch (err) {
+    if (!res.headersSent) {
+      throw err;
+    }
+    debug(`${methodName} failed after ${count} documents, ending the response`, err.message);
+    res.destroy(err);
+    return;
   }
 
-  return deleteWithParams(pool, procName, inputParams, res);
+  debug(`${methodName} exported ${count} documents`);
+  res.end(ndjson ? '' : ']}');
 }
 
 /**
- * Delete an App or User singular collection from the database.
- * 
- * @param {ConnectionPool} pool - The database connection pool
- * @param {String} methodName - The canonical name of this method
- * @param {String} procName - The name of the stored procedure to call
+ * Parse the archive documents of an import request.
+ * The body is either the JSON archive, or NDJSON archive documents with the application/x-ndjson content type.
+ *
  * @param {Request} req - The expressjs Request object
- * @param {Response} res - The expressjs Response object
- * @returns {Promise} resolves to null on successful completion
+ * @returns {Object} The imported documents { document: { collection: { propName: propVal } } }
  */
-export async function deleteCollection (pool, methodName, procName, req, res) {
-  const { document, collection } = req.params;
-  const { version } = req.body;
+function parseArchive (req) {
+  const invalidArchive = () => {
+    const error = new Error('Invalid input');
+    error.status = 400;
+    error.type = 'data.validation.input.archive';
+    return error;
+  };
 
-  debug(`${methodName} '${document}', '${collection}'`);
+  let archiveDocuments;
+  if (req.is('application/x-ndjson')) {
+    try {
+      archiveDocuments = `${req.body ?? ''}`.split('\n').filter(line => line.trim()).map(line => JSON.parse(line));
+    } catch {
+      throw invalidArchive();
+    }
+  } else {
+    archiveDocuments = req.body?.documents;
+  }
 
-  const inputParams = [document, version, collection];
-  if (/user/i.test(methodName)) {
-    inputParams.unshift(req.user.id);
+  if (!Array.isArray(archiveDocuments) || archiveDocuments.length <= 0) {
+    throw invalidArchive();
+  }
+
+  const documents = {};
+  for (const archiveDocument of archiveDocuments) {
+    const { document, collections } = isObj(archiveDocument) ? archiveDocument : {};
+
+    if (
+      !isValidName(document) || hasOwnProperty(documents, document) ||
+      !isObj(collections) || Object.keys(collections).length <= 0 || !Object.values(collections).every(isObj)
+    ) {
+      throw invalidArchive();
+    }
+
+    documents[document] = collections;
   }
 
-  return deleteWithParams(pool, procName, inputParams, res);
+  return documents;
 }
 
 /**
- * Delete an App or User document, multiple collections, or multiple properties from the database.
+ * Import an archive of User documents, @see exportDocuments, in a single transaction.
+ * The mode query parameter, or body field, is 'merge' or 'replace', defaults to 'merge':
+ *   - merge: the archive collections and properties are upserted into the current documents
+ *   - replace: the current documents are deleted, and the archive documents are created
+ * The archive document versions are ignored. The resulting documents must be valid for the
+ * registered schemas, if any, and within the storage quotas, if any.
  *
  * @param {ConnectionPool} pool - The database connection pool
  * @param {String} methodName - The canonical name of this method
- * @param {String} procName - The name of the stored procedure to call
- * @param {String} docMethodName - The canonical name of the deleteDocument method, if flagged
- * @param {String} docProcName - The name of the stored procedure to delete the document, if flagged
+ * @param {Object} procNames - The names of the stored procedures to call
+ * @param {String} procNames.upsert - Upserts collections and properties
+ * @param {String} procNames.deleteDocument - Deletes a document
+ * @param {String} procNames.schemas - Gets the document schemas
+ * @param {String} procNames.documents - Gets all the current documents
+ * @param {String|null} procNames.usage - Gets the storage usage, null for no quotas
  * @param {Request} req - The expressjs Request object
  * @param {Response} res - The expressjs Response object
  * @returns {Promise} resolves to null on successful completion
  */
-export async function deleteProperties (
-  pool, methodName, procName, docMethodName, docProcName, req, res
-) {
-  const { document } = req.params;
-  const { collections, version, deleteDocument } = req.body;
+export async function importDocuments (pool, methodName, procNames, req, res) {
+  const mode = req.query.mode ?? (req.is('application/json') ? req.body?.mode : undefined) ?? 'merge';
 
-  debug(`${methodName} '${document}', version: ${version}, deleteDocument: '${deleteDocument}'`, collections);
+  debug(`${methodName} mode: ${mode}`);
 
-  if (deleteDocument) {
-    debug('Calling deleteDocument on input flag');
-    return deleteFullDocument(pool, docMethodName, docProcName, version, req, res);
+  if (mode !== 'merge' && mode !== 'replace') {
+    const error = new Error('Invalid input');
+    error.status = 400;
+    error.type = 'data.validation.input.mode';
+    throw error;
   }
 
-  const procedureCollections = transformAndValidateInput(
-    document, collections, coll => ({
-      collection_name: coll.collection,
-      property_names: coll.properties ? coll.properties : []
-    })
-  );
+  const replace = mode === 'replace';
+  const documents = parseArchive(req);
+  const userId = getOwnerId(req);
 
-  const inputParams = [document, version, JSON.stringify(procedureCollections)];
-  if (/user/i.test(methodName)) {
-    inputParams.unshift(req.user.id);
+  const currentRows = await getRows(pool, methodName, procNames.documents, [userId, '', 0]);
+  const currentDocuments = (currentRows ?? []).reduce(reduceDocumentResults, {});
+  const current = Object.fromEntries(Object.entries(currentDocuments).map(([document, collections]) => [
+    document, Object.fromEntries(Object.entries(collections).filter(([name]) => name !== '__version'))
+  ]));
+
+  if (procNames.usage) {
+    const usageRows = await getRows(pool, methodName, procNames.usage, [userId]);
+    checkImportQuota(getQuotaLimits(), makeUsage(usageRows ?? []), current, documents, replace);
+  }
+
+  const startVersions = {};
+  const calls = [];
+
+  if (replace) {
+    for (const [document, { __version: version }] of Object.entries(currentDocuments)) {
+      startVersions[document] = version;
+      calls.push({
+        procName: procNames.deleteDocument,
+        document,
+        version,
+        makeParams: v => [userId, document, v, req.user.id]
+      });
+    }
+  }
+
+  for (const [document, collections] of Object.entries(documents)) {
+    const version = replace ? '0' : currentDocuments[document]?.__version ?? '0';
+    startVersions[document] ??= version;
+
+    await validateChanges(
+      pool, methodName, procNames.schemas, async () => replace ? null : currentDocuments[document] ?? null,
+      document, version, collections
+    );
+
+    const procedureCollections = transformInput(
+      Object.entries(collections).map(([collection, properties]) => ({ collection, properties })),
+      coll => ({
+        collection_name: coll.collection,
+        properties: Object.entries(coll.properties).map(([key, value]) => ({
+          property_name: key,
+          property_value: value
+        }))
+      })
+    );
+
+    calls.push({
+      procName: procNames.upsert,
+      document,
+      version,
+      makeParams: v => [userId, document, v, JSON.stringify(procedureCollections), req.user.id]
+    });
   }
 
-  return deleteWithParams(pool, procName, inputParams, res);
+  const versions = await transactWithParams(pool, calls);
+
+  debug('Sending success response...');
+  res.status(200).json({
+    message: 'Success',
+    ok: true,
+    mode,
+    versions,
+    timestamp: (new Date()).toISOString()
+  });
+
+  for (const [document, newVersion] of Object.entries(versions)) {
+    publishChange(methodName, req, {
+      document,
+      version: startVersions[document],
+      newVersion,
+      collections: []
+    });
+  }
 }
@@ -0,0 +1,342 @@
+/**
+ * Storage quotas for the user data service.
+ * Limits the documents, collections, properties, and bytes a user can store.
+ * A limit of 0 is unlimited.
+ *
+ * Depends on the following ENVIRONMENT:
+ *   - USER_QUOTA_MAX_DOCUMENTS - max documents per user, defaults to 100
+ *   - USER_QUOTA_MAX_COLLECTIONS - max collections per document, defaults to 100
+ *   - USER_QUOTA_MAX_PROPERTIES - max properties per collection, defaults to 1000
+ *   - USER_QUOTA_MAX_VALUE_BYTES - max bytes per property value, defaults to 64KiB
+ *   - USER_QUOTA_MAX_BYTES - max total bytes per user, defaults to 5MiB
+ *
+ * Jam-build, a web application practical reference.
+ * Copyright (c) 2025 Alex Grant <info@localnerve.com> (https://www.localnerve.com), LocalNerve LLC
+ *
+ * This file is part of Jam-build.
+ * Jam-build is free software: you can redistribute it and/or modify it
+ * under the terms of the GNU Affero General Public License as published by the Free Software
+ * Foundation, either version 3 of the License, or (at your option) any later version.
+ * Jam-build is distributed in the hope that it will be useful, but WITHOUT ANY WARRANTY;
+ * without even the implied warranty of MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.
+ * See the GNU Affero General Public License for more details.
+ * You should have received a copy of the GNU Affero General Public License along with Jam-build.
+ * If not, see <https://www.gnu.org/licenses/>.
+ * Additional terms under GNU AGPL version 3 section 7:
+ * a) The reasonable legal notice of original copyright and author attribution must be preserved
+ *    by including the string: "Copyright (c) 2025 Alex Grant <info@localnerve.com> (https://www.localnerve.com), LocalNerve LLC"
+ *    in this material, copies, or source code of derived works.
+ */
+import debugLib from '@localnerve/debug';
+import { hasOwnProperty } from '#client-utils/javascript.js';
+
+const debug = debugLib('api:data:quota');
+
+/**
+ * Get the configured quota limits.
+ *
+ * @returns {Object} The limits { documents, collections, properties, valueBytes, bytes }
+ */
+export function getQuotaLimits () {
+  return {
+    documents: Number(process.env.USER_QUOTA_MAX_DOCUMENTS || 100),
+    collections: Number(process.env.USER_QUOTA_MAX_COLLECTIONS || 100),
+    properties: Number(process.env.USER_QUOTA_MAX_PROPERTIES || 1000),
+    valueBytes: Number(process.env.USER_QUOTA_MAX_VALUE_BYTES || 65536),
+    bytes: Number(process.env.USER_QUOTA_MAX_BYTES || 5242880)
+  };
+}
+
+/**
+ * The storage size of a property, the name and the JSON value.
+ *
+ * @param {String} name - The property name
+ * @param {Any} value - The property value
+ * @returns {Number} The size in bytes
+ */
+function propertySize (name, value) {
+  return Buffer.byteLength(name) + Buffer.byteLength(JSON.stringify(value ?? null));
+}
+
+/**
+ * Make the user storage usage from the usage rows.
+ * There is a row per document collection, a document without collections has a null collection_name.
+ * The document history row has a null document_name, its bytes count in the total bytes.
+ *
+ * @param {Array<Object>} rows - The GetUsageForUser result rows
+ * @returns {Object} The usage {
+ *   documents, collections, properties, bytes, history: { versions, bytes },
+ *   byDocument: { document: { collections, properties, bytes } }
+ * }
+ */
+export function makeUsage (rows) {
+  const usage = {
+    documents: 0,
+    collections: 0,
+    properties: 0,
+    bytes: 0,
+    history: { versions: 0, bytes: 0 },
+    byDocument: {}
+  };
+
+  for (const row of rows) {
+    if (row.document_name === null) {
+      usage.history.versions = Number(row.property_count);
+      usage.history.bytes = Number(row.bytes);
+      usage.bytes += usage.history.bytes;
+      continue;
+    }
+
+    let document = usage.byDocument[row.document_name];
+    if (!document) {
+      document = usage.byDocument[row.document_name] = { collections: 0, properties: 0, bytes: 0 };
+      usage.documents++;
+    }
+
+    if (row.collection_name !== null) {
+      const properties = Number(row.property_count); // COUNT is BIGINT
+      const bytes = Number(row.bytes); // SUM is DECIMAL
+
+      document.collections++;
+      document.properties += properties;
+      document.bytes += bytes;
+      usage.collections++;
+      usage.properties += properties;
+      usage.bytes += bytes;
+    }
+  }
+
+  return usage;
+}
+
+/**
+ * Make the remaining storage from the usage and limits.
+ *
+ * @param {Object} usage - The usage, @see makeUsage
+ * @param {Object} limits - The limits, @see getQuotaLimits
+ * @returns {Object} The remaining { documents, bytes }, null for unlimited
+ */
+export function makeRemaining (usage, limits) {
+  const remaining = (limit, used) => limit > 0 ? Math.max(limit - used, 0) : null;
+  return {
+    documents: remaining(limits.documents, usage.documents),
+    bytes: remaining(limits.bytes, usage.bytes)
+  };
+}
+
+/**
+ * Make the usage with the stored usage of a document replaced by the usage of its projected content.
+ * Carries the usage across the operations of a transaction.
+ *
+ * @param {Object} usage - The usage, @see makeUsage
+ * @param {String} document - The document name
+ * @param {Object|null} content - The projected document { collection: { propName: propVal } }, null if deleted
+ * @returns {Object} The projected usage
+ */
+export function projectUsage (usage, document, content) {
+  const { [document]: previous, ...byDocument } = usage.byDocument;
+  const projected = {
+    ...usage,
+    documents: usage.documents - (previous ? 1 : 0),
+    collections: usage.collections - (previous?.collections ?? 0),
+    properties: usage.properties - (previous?.properties ?? 0),
+    bytes: usage.bytes - (previous?.bytes ?? 0),
+    byDocument
+  };
+
+  if (content) {
+    const next = { collections: 0, properties: 0, bytes: 0 };
+    for (const properties of Object.values(content)) {
+      next.collections++;
+      for (const [name, value] of Object.entries(properties)) {
+        next.properties++;
+        next.bytes += propertySize(name, value);
+      }
+    }
+
+    byDocument[document] = next;
+    projected.documents++;
+    projected.collections += next.collections;
+    projected.properties += next.properties;
+    projected.bytes += next.bytes;
+  }
+
+  return projected;
+}
+
+/**
+ * Make a quota error.
+ *
+ * @param {Number} status - The http status, 413 or 422
+ * @param {String} quota - The name of the exceeded quota
+ * @param {String} subject - What exceeded the quota
+ * @param {Number} amount - The amount requested
+ * @param {Number} limit - The quota limit
+ * @returns {Error} The error to throw
+ */
+function quotaError (status, quota, subject, amount, limit) {
+  const error = new Error(`[${status}] Quota exceeded, ${subject} ${amount} exceeds the limit of ${limit}`);
+  error.status = status;
+  error.type = `data.quota.${quota}`;
+  return error;
+}
+
+/**
+ * Check upsert changes against the value size limit.
+ * This only depends on the input, so it is checked before any storage is read.
+ *
+ * @param {Object} limits - The limits, @see getQuotaLimits
+ * @param {Object} changes - The changes to the document { collection: { propName: propVal } }
+ * @returns {undefined} Throws a 413 error if a property value is too large
+ */
+export function checkValueQuota (limits, changes) {
+  if (limits.valueBytes <= 0) {
+    return;
+  }
+
+  for (const [collection, properties] of Object.entries(changes)) {
+    for (const [name, value] of Object.entries(properties)) {
+      const size = Buffer.byteLength(JSON.stringify(value ?? null));
+      if (size > limits.valueBytes) {
+        throw quotaError(413, 'value', `'${collection}.${name}' bytes`, size, limits.valueBytes);
+      }
+    }
+  }
+}
+
+/**
+ * Check upsert changes against the storage quotas.
+ * Projects the usage that results from applying the changes to the current document.
+ *
+ * @param {Object} limits - The limits, @see getQuotaLimits
+ * @param {Object} usage - The current usage, @see makeUsage
+ * @param {String} document - The document name
+ * @param {Object|null} current - The current document { collection: { propName: propVal } }, null if new
+ * @param {Object} changes - The changes to the document { collection: { propName: propVal } }
+ * @returns {undefined} Throws a 422 error if a quota is exceeded
+ */
+export function checkQuota (limits, usage, document, current, changes) {
+  const existing = current ?? {};
+
+  if (!current && limits.documents > 0 && usage.documents + 1 > limits.documents) {
+    throw quotaError(422, 'documents', 'documents', usage.documents + 1, limits.documents);
+  }
+
+  const collections = new Set([...Object.keys(existing), ...Object.keys(changes)]);
+  if (limits.collections > 0 && collections.size > limits.collections) {
+    throw quotaError(422, 'collections', `'${document}' collections`, collections.size, limits.collections);
+  }
+
+  let bytes = usage.bytes;
+  for (const [collection, properties] of Object.entries(changes)) {
+    const existingProperties = existing[collection] ?? {};
+    const propertyNames = new Set([...Object.keys(existingProperties), ...Object.keys(properties)]);
+
+    if (limits.properties > 0 && propertyNames.size > limits.properties) {
+      throw quotaError(
+        422, 'properties', `'${document}.${collection}' properties`, propertyNames.size, limits.properties
+      );
+    }
+
+    for (const [name, value] of Object.entries(properties)) {
+      if (hasOwnProperty(existingProperties, name)) {
+        bytes -= propertySize(name, existingProperties[name]);
+      }
+      bytes += propertySize(name, value);
+    }
+  }
+
+  if (limits.bytes > 0 && bytes > limits.bytes) {
+    throw quotaError(422, 'bytes', 'bytes', bytes, limits.bytes);
+  }
+
+  debug(`'${document}' within quota, projected bytes ${bytes}`);
+}
+
+/**
+ * Check a collection move to another document against the document and collection quotas.
+ * Moves do not change the stored properties or bytes.
+ *
+ * @param {Object} limits - The limits, @see getQuotaLimits
+ * @param {Object} usage - The current usage, @see makeUsage
+ * @param {String} document - The target document name
+ * @returns {undefined} Throws a 422 error if a quota is exceeded
+ */
+export function checkMoveQuota (limits, usage, document) {
+  const target = usage.byDocument[document];
+
+  if (!target && limits.documents > 0 && usage.documents + 1 > limits.documents) {
+    throw quotaError(422, 'documents', 'documents', usage.documents + 1, limits.documents);
+  }
+
+  const collections = (target?.collections ?? 0) + 1;
+  if (limits.collections > 0 && collections > limits.collections) {
+    throw quotaError(422, 'collections', `'${document}' collections`, collections, limits.collections);
+  }
+
+  debug(`'${document}' move within quota`);
+}
+
+/**
+ * Check an import of documents against the storage quotas.
+ * Projects the usage of the documents that result from the import. Merged documents keep their
+ * other collections and properties, replaced documents only have the imported ones.
+ *
+ * @param {Object} limits - The limits, @see getQuotaLimits
+ * @param {Object} usage - The current usage, @see makeUsage
+ * @param {Object} current - The current documents { document: { collection: { propName: propVal } } }
+ * @param {Object} documents - The imported documents { document: { collection: { propName: propVal } } }
+ * @param {Boolean} replace - true if the imported documents replace all the current documents
+ * @returns {undefined} Throws a 413 or 422 error if a quota is exceeded
+ */
+export function checkImportQuota (limits, usage, current, documents, replace) {
+  let documentCount = 0;
+  let bytes = usage.history.bytes; // the history is kept
+
+  // Documents the import does not touch, replace only keeps the documents without collections
+  for (const [document, documentUsage] of Object.entries(usage.byDocument)) {
+    if (!hasOwnProperty(documents, document) && (!replace || documentUsage.collections === 0)) {
+      documentCount++;
+      bytes += documentUsage.bytes;
+    }
+  }
+
+  for (const [document, changes] of Object.entries(documents)) {
+    checkValueQuota(limits, changes);
+
+    const existing = replace ? {} : current[document] ?? {};
+    const merged = { ...existing };
+    for (const [collection, properties] of Object.entries(changes)) {
+      merged[collection] = { ...existing[collection], ...properties };
+    }
+
+    const collections = Object.keys(merged).length;
+    if (limits.collections > 0 && collections > limits.collections) {
+      throw quotaError(422, 'collections', `'${document}' collections`, collections, limits.collections);
+    }
+
+    for (const [collection, properties] of Object.entries(merged)) {
+      const propertyCount = Object.keys(properties).length;
+      if (limits.properties > 0 && propertyCount > limits.properties) {
+        throw quotaError(
+          422, 'properties', `'${document}.${collection}' properties`, propertyCount, limits.properties
+        );
+      }
+      for (const [name, value] of Object.entries(properties)) {
+        bytes += propertySize(name, value);
+      }
+    }
+
+    documentCount++;
+  }
+
+  if (limits.documents > 0 && documentCount > limits.documents) {
+    throw quotaError(422, 'documents', 'documents', documentCount, limits.documents);
+  }
+
+  if (limits.bytes > 0 && bytes > limits.bytes) {
+    throw quotaError(422, 'bytes', 'bytes', bytes, limits.bytes);
+  }
+
+  debug(`import within quota, projected documents ${documentCount}, bytes ${bytes}`);
+}
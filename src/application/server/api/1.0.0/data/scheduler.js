@@ -0,0 +1,109 @@
+/**
+ * The expiry scheduler for the data service.
+ * Each feature with expiring data has its own expiry collection, they are run together in the
+ * background at an interval, and on demand by the garbage collection, @see gc.js
+ *
+ * Depends on the following ENVIRONMENT:
+ *   - DATA_EXPIRY_SWEEP_INTERVAL - seconds between expiry sweeps, defaults to 300, 0 disables the sweep
+ *
+ * Jam-build, a web application practical reference.
+ * Copyright (c) 2025 Alex Grant <info@localnerve.com> (https://www.localnerve.com), LocalNerve LLC
+ *
+ * This file is part of Jam-build.
+ * Jam-build is free software: you can redistribute it and/or modify it
+ * under the terms of the GNU Affero General Public License as published by the Free Software
+ * Foundation, either version 3 of the License, or (at your option) any later version.
+ * Jam-build is distributed in the hope that it will be useful, but WITHOUT ANY WARRANTY;
+ * without even the implied warranty of MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.
+ * See the GNU Affero General Public License for more details.
+ * You should have received a copy of the GNU Affero General Public License along with Jam-build.
+ * If not, see <https://www.gnu.org/licenses/>.
+ * Additional terms under GNU AGPL version 3 section 7:
+ * a) The reasonable legal notice of original copyright and author attribution must be preserved
+ *    by including the string: "Copyright (c) 2025 Alex Grant <info@localnerve.com> (https://www.localnerve.com), LocalNerve LLC"
+ *    in this material, copies, or source code of derived works.
+ */
+import debugLib from '@localnerve/debug';
+import { collectExpiredTrash } from './trash.js';
+import { collectExpiredProperties } from './ttl.js';
+import { collectExpiredKeys } from './idempotency.js';
+import { collectExpiredHistory } from './history.js';
+
+const debug = debugLib('api:data:scheduler');
+
+// The expiry collections by result name, run in order
+const expiryTasks = {
+  trash: collectExpiredTrash,
+  expired: collectExpiredProperties,
+  idempotency: collectExpiredKeys,
+  history: collectExpiredHistory
+};
+
+/**
+ * Get the configured expiry sweep interval.
+ *
+ * @returns {Number} The seconds between sweeps, 0 if the sweep is disabled
+ */
+export function getSweepInterval () {
+  return Number(process.env.DATA_EXPIRY_SWEEP_INTERVAL ?? 300);
+}
+
+/**
+ * Run all the expiry collections once.
+ *
+ * @param {ConnectionPool} pool - The database connection pool, must be allowed to execute the procedures
+ * @param {Object} [options] - The collection options, @see batch.js
+ * @param {Boolean} [options.dryRun] - true to only count the expired items
+ * @param {Number} [options.batchSize] - The max items removed per batch
+ * @returns {Promise<Object>} Resolves to the counts of each collection by result name
+ */
+export async function collectExpired (pool, options) {
+  const result = {};
+
+  for (const [name, task] of Object.entries(expiryTasks)) {
+    result[name] = await task(pool, options);
+  }
+
+  return result;
+}
+
+/**
+ * Start the background sweep of the expiry collections.
+ * Expired items are already excluded from reads, the sweep reclaims their storage.
+ * A sweep is skipped if the previous one is still running.
+ *
+ * @param {ConnectionPool} pool - The database connection pool, must be allowed to execute the procedures
+ * @param {Object} logger - The application level logger
+ * @returns {Timeout|null} The unref'd interval timer, null if the sweep is disabled
+ */
+export function startExpirySweep (pool, logger) {
+  const interval = getSweepInterval();
+  if (!(interval > 0)) {
+    debug('Expiry sweep is disabled');
+    return null;
+  }
+
+  let sweeping = false;
+  const timer = setInterval(async () => {
+    if (sweeping) {
+      return;
+    }
+    sweeping = true;
+    try {
+      const expired = await collectExpired(pool);
+      const removed = Object.values(expired).some(counts =>
+        Object.entries(counts).some(([name, count]) => name !== 'batches' && count > 0)
+      );
+      if (removed) {
+        logger.info({ expired }, 'Expired items removed');
+      }
+    } catch (err) {
+      logger.error(err, 'Expiry sweep failed');
+    } finally {
+      sweeping = false;
+    }
+  }, interval * 1000);
+  timer.unref();
+
+  return timer;
+}
@@ -0,0 +1,54 @@
+/**
+ * Trash retention for the data service.
+ * Deleted documents and collections stay restorable from the trash for the retention period,
+ * then they are removed by the expiry collection, @see scheduler.js
+ *
+ * Depends on the following ENVIRONMENT:
+ *   - DATA_TRASH_RETENTION_DAYS - days deleted documents and collections stay restorable, defaults to 30, 0 keeps them forever
+ *
+ * Jam-build, a web application practical reference.
+ * Copyright (c) 2025 Alex Grant <info@localnerve.com> (https://www.localnerve.com), LocalNerve LLC
+ *
+ * This file is part of Jam-build.
+ * Jam-build is free software: you can redistribute it and/or modify it
+ * under the terms of the GNU Affero General Public License as published by the Free Software
+ * Foundation, either version 3 of the License, or (at your option) any later version.
+ * Jam-build is distributed in the hope that it will be useful, but WITHOUT ANY WARRANTY;
+ * without even the implied warranty of MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.
+ * See the GNU Affero General Public License for more details.
+ * You should have received a copy of the GNU Affero General Public License along with Jam-build.
+ * If not, see <https://www.gnu.org/licenses/>.
+ * Additional terms under GNU AGPL version 3 section 7:
+ * a) The reasonable legal notice of original copyright and author attribution must be preserved
+ *    by including the string: "Copyright (c) 2025 Alex Grant <info@localnerve.com> (https://www.localnerve.com), LocalNerve LLC"
+ *    in this material, copies, or source code of derived works.
+ */
+import { collectBatches, getBatchSize } from './batch.js';
+
+const maxTrashRetention = 4294967295; // INT UNSIGNED seconds
+
+/**
+ * Get the configured trash retention period.
+ *
+ * @returns {Number} The seconds trash items stay restorable, 0 to keep them forever
+ */
+export function getTrashRetention () {
+  const days = Number(process.env.DATA_TRASH_RETENTION_DAYS ?? 30);
+  return Math.min(Math.round(days * 86400), maxTrashRetention);
+}
+
+/**
+ * Find and remove the application and user trash items that are past the retention period, in batches.
+ *
+ * @param {ConnectionPool} pool - The database connection pool, must be allowed to execute CollectExpiredTrash
+ * @param {Object} [options] - The collection options
+ * @param {Boolean} [options.dryRun] - true to only count the expired items, defaults to false
+ * @param {Number} [options.batchSize] - The max items removed per batch, @see getBatchSize
+ * @param {Number} [options.retention] - The retention period in seconds, @see getTrashRetention
+ * @returns {Promise<Object>} Resolves to the counts { application, user, batches }
+ */
+export async function collectExpiredTrash (pool, {
+  dryRun = false, batchSize = getBatchSize(), retention = getTrashRetention()
+} = {}) {
+  return collectBatches(pool, 'CollectExpiredTrash', [retention], ['application', 'user'], batchSize, dryRun);
+}
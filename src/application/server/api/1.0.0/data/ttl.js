@@ -0,0 +1,82 @@
+/**
+ * Property time to live for the data service.
+ * An upserted property can expire after some seconds, or at a date. Expired properties are excluded
+ * from reads right away, and their storage is reclaimed by the expiry collection, @see scheduler.js
+ *
+ * Jam-build, a web application practical reference.
+ * Copyright (c) 2025 Alex Grant <info@localnerve.com> (https://www.localnerve.com), LocalNerve LLC
+ *
+ * This file is part of Jam-build.
+ * Jam-build is free software: you can redistribute it and/or modify it
+ * under the terms of the GNU Affero General Public License as published by the Free Software
+ * Foundation, either version 3 of the License, or (at your option) any later version.
+ * Jam-build is distributed in the hope that it will be useful, but WITHOUT ANY WARRANTY;
+ * without even the implied warranty of MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.
+ * See the GNU Affero General Public License for more details.
+ * You should have received a copy of the GNU Affero General Public License along with Jam-build.
+ * If not, see <https://www.gnu.org/licenses/>.
+ * Additional terms under GNU AGPL version 3 section 7:
+ * a) The reasonable legal notice of original copyright and author attribution must be preserved
+ *    by including the string: "Copyright (c) 2025 Alex Grant <info@localnerve.com> (https://www.localnerve.com), LocalNerve LLC"
+ *    in this material, copies, or source code of derived works.
+ */
+import { isObj, hasOwnProperty } from '#client-utils/javascript.js';
+import { collectBatches, getBatchSize } from './batch.js';
+
+const maxPropertyTTL = 4294967295; // INT UNSIGNED seconds
+
+/**
+ * Get the seconds to live of the expiring properties of an input collection.
+ * A property expires after the seconds in the collection ttl, or at the date in the collection expiresAt.
+ * The expiring properties must be in the collection properties.
+ *
+ * @param {Object} coll - The input collection { collection, properties, ttl: { propName: seconds }, expiresAt: { propName: date } }
+ * @returns {Object} The seconds to live by property name { propName: seconds }
+ */
+export function getPropertyTTLs (coll) {
+  const ttls = {};
+  const invalid = () => {
+    const e = new Error();
+    e.type = 'data.validation.input.ttl';
+    return e;
+  };
+
+  for (const [option, toTTL] of [
+    ['ttl', value => value],
+    ['expiresAt', value => Math.ceil((Date.parse(value) - Date.now()) / 1000)]
+  ]) {
+    if (typeof coll[option] === 'undefined') {
+      continue;
+    }
+    if (!isObj(coll[option])) {
+      throw invalid();
+    }
+    for (const [name, value] of Object.entries(coll[option])) {
+      const ttl = toTTL(value);
+      if (
+        !isObj(coll.properties) || !hasOwnProperty(coll.properties, name) || hasOwnProperty(ttls, name) ||
+        !Number.isInteger(ttl) || ttl < 1 || ttl > maxPropertyTTL
+      ) {
+        throw invalid();
+      }
+      ttls[name] = ttl;
+    }
+  }
+
+  return ttls;
+}
+
+/**
+ * Find and remove the expired application and user properties, in batches.
+ *
+ * @param {ConnectionPool} pool - The database connection pool, must be allowed to execute CollectExpiredProperties
+ * @param {Object} [options] - The collection options
+ * @param {Boolean} [options.dryRun] - true to only count the expired properties, defaults to false
+ * @param {Number} [options.batchSize] - The max properties removed per batch, @see getBatchSize
+ * @returns {Promise<Object>} Resolves to the counts { application, user, batches }
+ */
+export async function collectExpiredProperties (pool, {
+  dryRun = false, batchSize = getBatchSize()
+} = {}) {
+  return collectBatches(pool, 'CollectExpiredProperties', [], ['application', 'user'], batchSize, dryRun);
+}
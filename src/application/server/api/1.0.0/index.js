@@ -23,11 +23,32 @@
 import express from 'express';
 import { createService as createDataService } from './data/index.js';
 import { createService as createMetricsService } from './metrics.js';
+import { openapi } from './openapi.js';
+import { createValidation } from '../validation.js';
 
-export function create (logger) {
+/**
+ * Create the version 1.0.0 router.
+ *
+ * @param {Object} logger - The application level logger
+ * @param {Object} [options] - The version options
+ * @param {Boolean} [options.validateResponses] - true to validate the responses against the api description
+ * @param {Object} [options.rateLimitStore] - The rate limit bucket store of the api, @see ratelimit.js
+ * @returns {Router} The version router
+ */
+export function create (logger, options = {}) {
   const api = express.Router();
+
+  api.get('/openapi.json', (req, res) => {
+    res.set('Cache-Control', 'public, no-cache');
+    res.json(openapi);
+  });
+  api.use(createValidation(logger, openapi, {
+    validateResponses: !!options.validateResponses
+  }));
  
-  api.use('/data', createDataService(logger));
+  api.use('/data', createDataService(logger, {
+    rateLimitStore: options.rateLimitStore
+  }));
   api.use('/metrics', createMetricsService(logger));
 
   return api;
@@ -0,0 +1,1252 @@
+/**
+ * OpenAPI description of api version 1.0.0
+ *
+ * The data and metrics services, relative to the api mountpath.
+ * Served at /api/openapi.json, and drives the request and response validation, @see ../validation.js
+ * Keep in sync with the route registrations of the services.
+ *
+ * Jam-build, a web application practical reference.
+ * Copyright (c) 2025 Alex Grant <info@localnerve.com> (https://www.localnerve.com), LocalNerve LLC
+ *
+ * This file is part of Jam-build.
+ * Jam-build is free software: you can redistribute it and/or modify it
+ * under the terms of the GNU Affero General Public License as published by the Free Software
+ * Foundation, either version 3 of the License, or (at your option) any later version.
+ * Jam-build is distributed in the hope that it will be useful, but WITHOUT ANY WARRANTY;
+ * without even the implied warranty of MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.
+ * See the GNU Affero General Public License for more details.
+ * You should have received a copy of the GNU Affero General Public License along with Jam-build.
+ * If not, see <https://www.gnu.org/licenses/>.
+ * Additional terms under GNU AGPL version 3 section 7:
+ * a) The reasonable legal notice of original copyright and author attribution must be preserved
+ *    by including the string: "Copyright (c) 2025 Alex Grant <info@localnerve.com> (https://www.localnerve.com), LocalNerve LLC"
+ *    in this material, copies, or source code of derived works.
+ */
+
+const admin = [{ session: ['admin'] }];
+const user = [{ session: ['user'] }];
+
+/**
+ * Make a reference to a component.
+ *
+ * @param {String} name - The component name
+ * @param {String} [type] - The component type, defaults to 'schemas'
+ * @returns {Object} The reference object
+ */
+function ref (name, type = 'schemas') {
+  return { $ref: `#/components/${type}/${name}` };
+}
+
+/**
+ * Make the content of a JSON request or response.
+ *
+ * @param {Object} schema - The JSON Schema of the content
+ * @returns {Object} The content object
+ */
+function json (schema) {
+  return { 'application/json': { schema } };
+}
+
+/**
+ * Make a JSON request body.
+ *
+ * @param {String} name - The schema component name
+ * @param {Boolean} [required] - true if the body is required, defaults to true
+ * @returns {Object} The request body object
+ */
+function body (name, required = true) {
+  return { required, content: json(ref(name)) };
+}
+
+/**
+ * Make the responses of an operation.
+ * Errors are the default response, @see components.responses.Error
+ *
+ * @param {String|null} name - The schema component name of the 200 response, null for none
+ * @param {Object} [other] - Other responses by status
+ * @returns {Object} The responses object
+ */
+function responses (name, other = {}) {
+  return {
+    ...(name && { 200: { description: 'Success', content: json(ref(name)) } }),
+    ...other,
+    default: ref('Error', 'responses')
+  };
+}
+
+const readResponses = {
+  204: { description: 'No content' },
+  304: { description: 'Not modified, the ETag matches If-None-Match' }
+};
+
+const mutationParameters = [ref('IfMatch', 'parameters'), ref('IdempotencyKey', 'parameters')];
+
+/**
+ * Make the paths of the application or user documents.
+ * The application documents are public to read, mutations require the 'admin' role.
+ * The user documents require the 'user' role.
+ *
+ * @param {String} scope - 'app' or 'user'
+ * @returns {Object} The paths object
+ */
+function documentPaths (scope) {
+  const isUser = scope === 'user';
+  const name = isUser ? 'User' : 'App';
+  const read = isUser ? { security: user } : {};
+  const write = isUser ? user : admin;
+  const tags = [scope];
+
+  return {
+    [`/data/${scope}`]: {
+      get: {
+        operationId: `get${name}DocumentsCollectionsAndProperties`,
+        summary: 'Get all documents, paged if limit or cursor',
+        tags,
+        ...read,
+        parameters: [ref('Limit', 'parameters'), ref('Cursor', 'parameters'), ref('Fields', 'parameters')],
+        responses: responses('Documents', readResponses)
+      },
+      ...(isUser && {
+        delete: {
+          operationId: 'purgeUserData',
+          summary: 'Permanently delete all of the user data',
+          tags,
+          security: user,
+          parameters: [ref('IdempotencyKey', 'parameters')],
+          responses: responses('Purged')
+        }
+      })
+    },
+    [`/data/${scope}/_trash`]: {
+      get: {
+        operationId: `get${name}Trash`,
+        summary: 'Get the restorable deleted documents and collections',
+        tags,
+        security: write,
+        responses: responses('Trash')
+      },
+      delete: {
+        operationId: `delete${name}Trash`,
+        summary: 'Empty the trash',
+        tags,
+        security: write,
+        parameters: [ref('IdempotencyKey', 'parameters')],
+        responses: responses('TrashDeleted')
+      }
+    },
+    [`/data/${scope}/_trash/{id}`]: {
+      parameters: [ref('TrashId', 'parameters')],
+      delete: {
+        operationId: `delete${name}TrashItem`,
+        summary: 'Permanently delete a trash item',
+        tags,
+        security: write,
+        parameters: [ref('IdempotencyKey', 'parameters')],
+        responses: responses('TrashDeleted')
+      }
+    },
+    [`/data/${scope}/_trash/{id}/restore`]: {
+      parameters: [ref('TrashId', 'parameters')],
+      post: {
+        operationId: `restore${name}Trash`,
+        summary: 'Restore a trash item',
+        tags,
+        security: write,
+        parameters: mutationParameters,
+        requestBody: body('VersionInput', false),
+        responses: responses('TrashRestored')
+      }
+    },
+    [`/data/${scope}/_transaction`]: {
+      post: {
+        operationId: `transact${name}`,
+        summary: 'Upsert and delete across documents in a single transaction',
+        tags,
+        security: write,
+        parameters: [ref('IdempotencyKey', 'parameters')],
+        requestBody: body('TransactionInput'),
+        responses: responses('Versions')
+      }
+    },
+    [`/data/${scope}/{document}`]: {
+      parameters: [ref('Document', 'parameters')],
+      get: {
+        operationId: `get${name}CollectionsAndProperties`,
+        summary: 'Get a document, a delta since a version, or a filtered or projected document',
+        tags,
+        ...read,
+        parameters: [
+          ref('Collections', 'parameters'),
+          ref('Since', 'parameters'),
+          ref('Where', 'parameters'),
+          ref('Properties', 'parameters')
+        ],
+        responses: responses('Documents', readResponses)
+      },
+      post: {
+        operationId: `set${name}Properties`,
+        summary: 'Upsert collections and properties',
+        tags,
+        security: write,
+        parameters: mutationParameters,
+        requestBody: body('UpsertInput'),
+        responses: responses('Mutation')
+      },
+      delete: {
+        operationId: `delete${name}Properties`,
+        summary: 'Delete collections, properties, or the document',
+        tags,
+        security: write,
+        parameters: mutationParameters,
+        requestBody: body('DeleteInput'),
+        responses: responses('Mutation')
+      }
+    },
+    [`/data/${scope}/{document}/_history`]: {
+      parameters: [ref('Document', 'parameters')],
+      get: {
+        operationId: `get${name}History`,
+        summary: 'Get the version history of a document',
+        tags,
+        security: write,
+        responses: responses('History', readResponses)
+      }
+    },
+    [`/data/${scope}/{document}/_history/{version}`]: {
+      parameters: [ref('Document', 'parameters'), ref('HistoryVersion', 'parameters')],
+      get: {
+        operationId: `get${name}HistoryVersion`,
+        summary: 'Get a version of the history of a document',
+        tags,
+        security: write,
+        responses: responses('HistoryVersion', readResponses)
+      }
+    },
+    [`/data/${scope}/{document}/_schema`]: {
+      parameters: [ref('Document', 'parameters')],
+      get: {
+        operationId: `get${name}Schemas`,
+        summary: 'Get the document and collection schemas',
+        tags,
+        ...read,
+        responses: responses('Schemas', readResponses)
+      },
+      post: {
+        operationId: `set${name}Schema`,
+        summary: 'Register the document schema, or a collection schema',
+        tags,
+        security: admin,
+        parameters: [ref('IdempotencyKey', 'parameters')],
+        requestBody: body('SchemaInput'),
+        responses: responses('Success')
+      },
+      delete: {
+        operationId: `delete${name}Schema`,
+        summary: 'Remove the document schema, or a collection schema',
+        tags,
+        security: admin,
+        parameters: [ref('IdempotencyKey', 'parameters')],
+        requestBody: body('SchemaDeleteInput', false),
+        responses: responses('Success')
+      }
+    },
+    [`/data/${scope}/{document}/restore`]: {
+      parameters: [ref('Document', 'parameters')],
+      post: {
+        operationId: `restore${name}Document`,
+        summary: 'Restore a document to a previous version, as a new version',
+        tags,
+        security: write,
+        parameters: mutationParameters,
+        requestBody: body('RestoreInput'),
+        responses: responses('Mutation')
+      }
+    },
+    [`/data/${scope}/{document}/_rename`]: {
+      parameters: [ref('Document', 'parameters')],
+      post: {
+        operationId: `rename${name}Document`,
+        summary: 'Rename a document',
+        tags,
+        security: write,
+        parameters: mutationParameters,
+        requestBody: body('RenameInput'),
+        responses: responses('Renamed')
+      }
+    },
+    ...(isUser && {
+      '/data/user/{document}/_share': {
+        parameters: [ref('Document', 'parameters')],
+        get: {
+          operationId: 'getUserShares',
+          summary: 'Get the shares of a document',
+          tags,
+          security: user,
+          responses: responses('Shares', readResponses)
+        },
+        post: {
+          operationId: 'setUserShare',
+          summary: 'Share a document with another user',
+          tags,
+          security: user,
+          parameters: [ref('IdempotencyKey', 'parameters')],
+          requestBody: body('ShareInput'),
+          responses: responses('Success')
+        },
+        delete: {
+          operationId: 'deleteUserShare',
+          summary: 'Stop sharing a document with another user',
+          tags,
+          security: user,
+          parameters: [ref('IdempotencyKey', 'parameters')],
+          requestBody: body('ShareInput'),
+          responses: responses('Success')
+        }
+      },
+      '/data/user/{document}/_link': {
+        parameters: [ref('Document', 'parameters')],
+        get: {
+          operationId: 'getUserLinks',
+          summary: 'Get the public links of a document',
+          tags,
+          security: user,
+          responses: responses('Links', readResponses)
+        },
+        post: {
+          operationId: 'createUserLink',
+          summary: 'Create a public read-only link to a document',
+          tags,
+          security: user,
+          parameters: [ref('IdempotencyKey', 'parameters')],
+          requestBody: body('LinkInput', false),
+          responses: responses('Link')
+        }
+      },
+      '/data/user/{document}/_link/{linkId}': {
+        parameters: [ref('Document', 'parameters'), ref('LinkId', 'parameters')],
+        delete: {
+          operationId: 'deleteUserLink',
+          summary: 'Revoke a public link',
+          tags,
+          security: user,
+          parameters: [ref('IdempotencyKey', 'parameters')],
+          responses: responses('Success')
+        }
+      },
+      '/data/user/{document}/_from-app/{appDocument}': {
+        parameters: [
+          ref('Document', 'parameters'),
+          {
+            name: 'appDocument',
+            in: 'path',
+            required: true,
+            description: 'The application document to copy',
+            schema: { type: 'string' }
+          }
+        ],
+        post: {
+          operationId: 'copyUserDocumentFromApp',
+          summary: 'Create a user document from a copy of an application document',
+          tags,
+          security: user,
+          parameters: [ref('IdempotencyKey', 'parameters')],
+          responses: responses('Mutation')
+        }
+      }
+    }),
+    [`/data/${scope}/{document}/{collection}`]: {
+      parameters: [ref('Document', 'parameters'), ref('Collection', 'parameters')],
+      get: {
+        operationId: `get${name}Properties`,
+        summary: 'Get a collection',
+        tags,
+        ...read,
+        responses: responses('Documents', readResponses)
+      },
+      delete: {
+        operationId: `delete${name}Collection`,
+        summary: 'Delete a collection',
+        tags,
+        security: write,
+        parameters: mutationParameters,
+        requestBody: body('VersionInput', false),
+        responses: responses('Mutation')
+      }
+    },
+    [`/data/${scope}/{document}/{collection}/_rename`]: {
+      parameters: [ref('Document', 'parameters'), ref('Collection', 'parameters')],
+      post: {
+        operationId: `move${name}Collection`,
+        summary: 'Rename a collection, or move it to another document',
+        tags,
+        security: write,
+        parameters: mutationParameters,
+        requestBody: body('MoveInput'),
+        responses: responses('Renamed')
+      }
+    },
+    [`/data/${scope}/{document}/{collection}/{property}`]: {
+      parameters: [
+        ref('Document', 'parameters'),
+        ref('Collection', 'parameters'),
+        { name: 'property', in: 'path', required: true, description: 'The property name', schema: { type: 'string' } }
+      ],
+      get: {
+        operationId: `get${name}Property`,
+        summary: 'Get a property',
+        tags,
+        ...read,
+        responses: responses('Documents', readResponses)
+      }
+    }
+  };
+}
+
+/**
+ * Make the paths of the user documents shared by their owners.
+ * Requires the 'user' role, and access to the shared document.
+ *
+ * @returns {Object} The paths object
+ */
+function sharedPaths () {
+  const tags = ['shared'];
+  const owner = { name: 'ownerId', in: 'path', required: true, description: 'The document owner id', schema: { type: 'string' } };
+
+  return {
+    '/data/shared': {
+      get: {
+        operationId: 'getUserSharedDocuments',
+        summary: 'Get the documents shared with the user',
+        tags,
+        security: user,
+        responses: responses('SharedDocuments', readResponses)
+      }
+    },
+    '/data/shared/{ownerId}/{document}': {
+      parameters: [owner, ref('Document', 'parameters')],
+      get: {
+        operationId: 'getSharedUserCollectionsAndProperties',
+        summary: 'Get a shared document, a delta since a version, or a filtered or projected document',
+        tags,
+        security: user,
+        parameters: [
+          ref('Collections', 'parameters'),
+          ref('Since', 'parameters'),
+          ref('Where', 'parameters'),
+          ref('Properties', 'parameters')
+        ],
+        responses: responses('Documents', readResponses)
+      },
+      post: {
+        operationId: 'setSharedUserProperties',
+        summary: 'Upsert collections and properties, requires write access',
+        tags,
+        security: user,
+        parameters: mutationParameters,
+        requestBody: body('UpsertInput'),
+        responses: responses('Mutation')
+      },
+      delete: {
+        operationId: 'deleteSharedUserProperties',
+        summary: 'Delete collections or properties, requires write access, only the owner can delete the document',
+        tags,
+        security: user,
+        parameters: mutationParameters,
+        requestBody: body('DeleteInput'),
+        responses: responses('Mutation')
+      }
+    },
+    '/data/shared/{ownerId}/{document}/{collection}': {
+      parameters: [owner, ref('Document', 'parameters'), ref('Collection', 'parameters')],
+      get: {
+        operationId: 'getSharedUserProperties',
+        summary: 'Get a shared collection',
+        tags,
+        security: user,
+        responses: responses('Documents', readResponses)
+      },
+      delete: {
+        operationId: 'deleteSharedUserCollection',
+        summary: 'Delete a shared collection, requires write access',
+        tags,
+        security: user,
+        parameters: mutationParameters,
+        requestBody: body('VersionInput', false),
+        responses: responses('Mutation')
+      }
+    },
+    '/data/shared/{ownerId}/{document}/{collection}/{property}': {
+      parameters: [
+        owner,
+        ref('Document', 'parameters'),
+        ref('Collection', 'parameters'),
+        { name: 'property', in: 'path', required: true, description: 'The property name', schema: { type: 'string' } }
+      ],
+      get: {
+        operationId: 'getSharedUserProperty',
+        summary: 'Get a shared property',
+        tags,
+        security: user,
+        responses: responses('Documents', readResponses)
+      }
+    }
+  };
+}
+
+export const openapi = {
+  openapi: '3.1.0',
+  info: {
+    title: 'Jam-build api',
+    version: '1.0.0',
+    description: 'The data and metrics services. Select the api version with the X-Api-Version header.',
+    license: {
+      name: 'AGPL-3.0-or-later',
+      identifier: 'AGPL-3.0-or-later'
+    }
+  },
+  servers: [{ url: '/api' }],
+  tags: [
+    { name: 'app', description: 'Application documents' },
+    { name: 'user', description: 'User documents' },
+    { name: 'shared', description: 'User documents shared by their owners' },
+    { name: 'data', description: 'Data service administration, links, and changes' },
+    { name: 'metrics', description: 'Metrics events' }
+  ],
+  paths: {
+    ...documentPaths('app'),
+    '/data/_gc': {
+      post: {
+        operationId: 'collectGarbage',
+        summary: 'Remove the orphaned collections and properties, the expired trash, properties, idempotency keys, and history',
+        tags: ['data'],
+        security: admin,
+        parameters: [{
+          name: 'dryRun',
+          in: 'query',
+          description: 'true or 1 to only count them',
+          schema: { type: 'string', enum: ['true', 'false', '1', '0'] }
+        }, {
+          name: 'batchSize',
+          in: 'query',
+          description: 'The max collections and properties removed per batch',
+          schema: { type: 'integer', minimum: 1, maximum: 100000 }
+        }],
+        responses: responses('GarbageCollection')
+      }
+    },
+    ...documentPaths('user'),
+    '/data/user/usage': {
+      get: {
+        operationId: 'getUserUsage',
+        summary: 'Get the storage usage, the quota limits, and the remaining storage',
+        tags: ['user'],
+        security: user,
+        responses: responses('Usage')
+      }
+    },
+    '/data/user/_export': {
+      get: {
+        operationId: 'exportUserDocuments',
+        summary: 'Export all documents as an archive',
+        tags: ['user'],
+        security: user,
+        parameters: [{
+          name: 'format',
+          in: 'query',
+          description: 'The archive format, defaults to json',
+          schema: { type: 'string', enum: ['json', 'ndjson'] }
+        }],
+        responses: responses(null, {
+          200: {
+            description: 'The archive, streamed as an attachment',
+            content: {
+              ...json(ref('Archive')),
+              'application/x-ndjson': { schema: { type: 'string' } }
+            }
+          }
+        })
+      }
+    },
+    '/data/user/_import': {
+      post: {
+        operationId: 'importUserDocuments',
+        summary: 'Import an archive of documents in a single transaction',
+        tags: ['user'],
+        security: user,
+        parameters: [ref('ImportMode', 'parameters'), ref('IdempotencyKey', 'parameters')],
+        requestBody: {
+          required: true,
+          content: {
+            ...json(ref('ImportInput')),
+            'application/x-ndjson': {
+              schema: { type: 'string', description: 'One archive document per line' }
+            }
+          }
+        },
+        responses: responses('Imported')
+      }
+    },
+    ...sharedPaths(),
+    '/data/link/{token}': {
+      get: {
+        operationId: 'getLinkedUserDocument',
+        summary: 'Get a user document by public link',
+        tags: ['data'],
+        parameters: [{
+          name: 'token', in: 'path', required: true, description: 'The link token', schema: { type: 'string' }
+        }],
+        responses: responses('Documents', readResponses)
+      }
+    },
+    '/data/changes': {
+      get: {
+        operationId: 'changeFeed',
+        summary: 'Stream the public application changes, and the user changes if authorized, as Server-Sent Events',
+        tags: ['data'],
+        responses: responses(null, {
+          200: {
+            description: 'The change event stream',
+            content: { 'text/event-stream': { schema: { type: 'string' } } }
+          }
+        })
+      }
+    },
+    '/metrics': {
+      get: {
+        operationId: 'getMetrics',
+        summary: 'Scrape the metrics',
+        tags: ['metrics'],
+        responses: responses(null, { 204: { description: 'No content' } })
+      },
+      post: {
+        operationId: 'setMetrics',
+        summary: 'Count a metrics event',
+        tags: ['metrics'],
+        requestBody: body('MetricsInput'),
+        responses: responses(null, { 204: { description: 'No content' } })
+      }
+    }
+  },
+  components: {
+    securitySchemes: {
+      session: {
+        type: 'apiKey',
+        in: 'cookie',
+        name: 'cookie_session',
+        description: 'The authorizer session, the security requirements list the roles'
+      }
+    },
+    parameters: {
+      Document: {
+        name: 'document', in: 'path', required: true, description: 'The document name', schema: { type: 'string' }
+      },
+      Collection: {
+        name: 'collection', in: 'path', required: true, description: 'The collection name', schema: { type: 'string' }
+      },
+      HistoryVersion: {
+        name: 'version', in: 'path', required: true, description: 'The document version', schema: ref('Version')
+      },
+      TrashId: {
+        name: 'id', in: 'path', required: true, description: 'The trash item id', schema: ref('Version')
+      },
+      LinkId: {
+        name: 'linkId',
+        in: 'path',
+        required: true,
+        description: 'The link id',
+        schema: { type: 'string', pattern: '^[1-9]\\d{0,18}$' }
+      },
+      Collections: {
+        name: 'collections',
+        in: 'query',
+        description: 'The collections to get, repeat for more than one, defaults to all',
+        schema: { type: 'array', items: { type: 'string' } }
+      },
+      Since: {
+        name: 'since',
+        in: 'query',
+        description: 'Get the changes since this document version as a delta, cannot be combined with where or properties',
+        schema: ref('Version')
+      },
+      Where: {
+        name: 'where',
+        in: 'query',
+        description: 'Property value filters field:op:value, repeat for more than one, collections must match all of them',
+        schema: { type: 'array', minItems: 1, maxItems: 10, items: { type: 'string', pattern: '^[^:]+:[a-z]+:' } }
+      },
+      Properties: {
+        name: 'properties',
+        in: 'query',
+        description: 'The property names to project, comma separated or repeated',
+        schema: ref('PropertyNames')
+      },
+      Fields: {
+        name: 'fields',
+        in: 'query',
+        description: 'The property names to project, comma separated or repeated',
+        schema: ref('PropertyNames')
+      },
+      Limit: {
+        name: 'limit',
+        in: 'query',
+        description: 'The max documents per page, defaults to 100 if cursor',
+        schema: { type: 'integer', minimum: 1, maximum: 1000 }
+      },
+      Cursor: {
+        name: 'cursor',
+        in: 'query',
+        description: 'The opaque cursor of the next page, from __next',
+        schema: { type: 'string', minLength: 1 }
+      },
+      ImportMode: {
+        name: 'mode',
+        in: 'query',
+        description: 'merge into, or replace, the current documents, defaults to the body mode, then merge',
+        schema: { type: 'string', enum: ['merge', 'replace'] }
+      },
+      IfMatch: {
+        name: 'If-Match',
+        in: 'header',
+        description: 'The expected document version as an ETag, instead of the body version',
+        schema: { type: 'string' }
+      },
+      IdempotencyKey: {
+        name: 'Idempotency-Key',
+        in: 'header',
+        description: 'Makes a repeat of the request get the kept response instead of being applied again, 409 while the request is in flight',
+        schema: { type: 'string', pattern: '^[\\x21-\\x7e]{1,255}$' }
+      }
+    },
+    responses: {
+      Error: {
+        description: 'Error',
+        content: json(ref('Error'))
+      }
+    },
+    schemas: {
+      Version: {
+        type: ['string', 'integer'],
+        pattern: '^\\d+$',
+        minimum: 0,
+        description: 'A document or collection version, an unsigned integer or string of one'
+      },
+      VersionString: {
+        type: 'string',
+        pattern: '^\\d+$'
+      },
+      Name: {
+        type: 'string',
+        minLength: 1,
+        maxLength: 255
+      },
+      PropertyNames: {
+        type: 'array',
+        items: { type: 'string', minLength: 1 }
+      },
+      Error: {
+        type: 'object',
+        required: ['status', 'message', 'ok'],
+        properties: {
+          status: { type: 'integer', minimum: 400 },
+          message: { type: 'string' },
+          ok: { const: false },
+          versionError: { type: 'boolean' },
+          timestamp: { type: 'string' },
+          url: { type: 'string' },
+          type: { type: 'string' },
+          errors: {
+            type: 'array',
+            items: {
+              type: 'object',
+              required: ['path', 'message'],
+              properties: {
+                path: { type: 'string' },
+                message: { type: 'string' }
+              }
+            }
+          }
+        }
+      },
+      Success: {
+        type: 'object',
+        required: ['message', 'ok', 'timestamp'],
+        properties: {
+          message: { const: 'Success' },
+          ok: { const: true },
+          timestamp: { type: 'string' }
+        }
+      },
+      Mutation: {
+        allOf: [ref('Success')],
+        required: ['newVersion'],
+        properties: {
+          newVersion: ref('VersionString'),
+          affectedRows: { type: 'integer' },
+          warningStatus: { type: 'integer' }
+        }
+      },
+      Versions: {
+        allOf: [ref('Success')],
+        required: ['versions'],
+        properties: {
+          versions: {
+            type: 'object',
+            description: 'The new versions by document name',
+            additionalProperties: ref('VersionString')
+          }
+        }
+      },
+      Renamed: {
+        allOf: [ref('Mutation'), ref('Versions')]
+      },
+      Document: {
+        type: 'object',
+        required: ['__version'],
+        properties: {
+          __version: ref('VersionString'),
+          __since: ref('VersionString'),
+          __versions: {
+            type: 'object',
+            description: 'The collection versions by collection name',
+            additionalProperties: { type: 'string' }
+          },
+          __expires: {
+            type: 'object',
+            description: 'The expiry dates of the expiring properties by collection and property name',
+            additionalProperties: { type: 'object', additionalProperties: { type: 'string' } }
+          },
+          __deleted: {
+            type: 'object',
+            description: 'The deleted property names of a delta by collection name, empty for a deleted collection',
+            additionalProperties: { type: 'array', items: { type: 'string' } }
+          },
+          __properties: ref('PropertyNames')
+        },
+        additionalProperties: {
+          type: 'object',
+          description: 'A collection, the property values by property name'
+        }
+      },
+      Documents: {
+        type: 'object',
+        description: 'The documents by document name',
+        properties: {
+          __next: { type: 'string', description: 'The cursor of the next page' }
+        },
+        additionalProperties: ref('Document')
+      },
+      History: {
+        type: 'object',
+        description: 'The history entries by document name, the latest first',
+        additionalProperties: { type: 'array', items: ref('HistoryEntry') }
+      },
+      HistoryVersion: {
+        type: 'object',
+        description: 'The history entry by document name',
+        additionalProperties: ref('HistoryEntry')
+      },
+      HistoryEntry: {
+        type: 'object',
+        required: ['version', 'operation', 'collections'],
+        properties: {
+          version: ref('VersionString'),
+          operation: { type: 'string' },
+          changedBy: { type: ['string', 'null'] },
+          changedAt: { type: ['string', 'null'] },
+          restoredVersion: ref('VersionString'),
+          renamedFrom: { type: 'string' },
+          deleteDocument: { const: true },
+          collections: {
+            type: 'array',
+            items: {
+              type: 'object',
+              required: ['collection'],
+              properties: {
+                collection: { type: 'string' },
+                properties: {
+                  type: ['object', 'array'],
+                  description: 'The upserted property values by name, or the deleted property names'
+                }
+              }
+            }
+          }
+        }
+      },
+      Schemas: {
+        type: 'object',
+        description: 'The schemas by document name',
+        additionalProperties: {
+          type: 'object',
+          required: ['collections'],
+          properties: {
+            document: { type: ['object', 'boolean'] },
+            collections: { type: 'object', additionalProperties: { type: ['object', 'boolean'] } }
+          }
+        }
+      },
+      Shares: {
+        type: 'object',
+        description: 'The shares by document name, then email',
+        additionalProperties: {
+          type: 'object',
+          additionalProperties: {
+            type: 'object',
+            required: ['access', 'grantedAt'],
+            properties: {
+              access: { enum: ['read', 'write'] },
+              grantedAt: { type: 'string' }
+            }
+          }
+        }
+      },
+      SharedDocuments: {
+        type: 'object',
+        description: 'The shared documents by owner id',
+        additionalProperties: {
+          type: 'object',
+          required: ['email', 'documents'],
+          properties: {
+            email: { type: 'string' },
+            documents: {
+              type: 'object',
+              additionalProperties: {
+                type: 'object',
+                required: ['access', '__version'],
+                properties: {
+                  access: { enum: ['read', 'write'] },
+                  __version: ref('VersionString')
+                }
+              }
+            }
+          }
+        }
+      },
+      Links: {
+        type: 'object',
+        description: 'The links by document name, then link id',
+        additionalProperties: {
+          type: 'object',
+          additionalProperties: {
+            type: 'object',
+            required: ['createdAt', 'expiresAt'],
+            properties: {
+              createdAt: { type: 'string' },
+              expiresAt: { type: ['string', 'null'] }
+            }
+          }
+        }
+      },
+      Link: {
+        allOf: [ref('Success')],
+        required: ['token', 'linkId', 'expiresAt'],
+        properties: {
+          token: { type: 'string' },
+          linkId: { type: 'string' },
+          expiresAt: { type: ['string', 'null'] }
+        }
+      },
+      Usage: {
+        type: 'object',
+        required: ['usage', 'limits', 'remaining'],
+        properties: {
+          usage: {
+            type: 'object',
+            required: ['documents', 'collections', 'properties', 'bytes', 'history', 'byDocument'],
+            properties: {
+              documents: { type: 'integer' },
+              collections: { type: 'integer' },
+              properties: { type: 'integer' },
+              bytes: { type: 'number', description: 'The property and history bytes' },
+              history: {
+                type: 'object',
+                required: ['versions', 'bytes'],
+                properties: {
+                  versions: { type: 'integer' },
+                  bytes: { type: 'number' }
+                }
+              },
+              byDocument: { type: 'object', additionalProperties: { type: 'object' } }
+            }
+          },
+          limits: { type: 'object', additionalProperties: { type: 'number' } },
+          remaining: { type: 'object', additionalProperties: { type: ['number', 'null'] } }
+        }
+      },
+      Purged: {
+        allOf: [ref('Success')],
+        required: ['purged'],
+        properties: {
+          purged: {
+            type: 'object',
+            required: ['documents', 'collections', 'properties', 'shares', 'idempotencyKeys'],
+            properties: {
+              documents: { type: 'integer' },
+              collections: { type: 'integer' },
+              properties: { type: 'integer' },
+              shares: { type: 'integer', description: 'The shares of the documents of other users with the user' },
+              idempotencyKeys: { type: 'integer', description: 'The kept responses of the user mutations made with an Idempotency-Key' }
+            }
+          }
+        }
+      },
+      Trash: {
+        type: 'object',
+        required: ['trash'],
+        properties: {
+          trash: {
+            type: 'array',
+            description: 'The most recently deleted first',
+            items: {
+              type: 'object',
+              required: ['id', 'document', 'collection', 'version'],
+              properties: {
+                id: ref('VersionString'),
+                document: { type: 'string' },
+                collection: { type: ['string', 'null'] },
+                version: ref('VersionString'),
+                deletedAt: { type: 'string' },
+                expiresAt: { type: ['string', 'null'] }
+              }
+            }
+          }
+        }
+      },
+      TrashRestored: {
+        allOf: [ref('Mutation')],
+        required: ['document', 'collection'],
+        properties: {
+          document: { type: 'string' },
+          collection: { type: ['string', 'null'] }
+        }
+      },
+      TrashDeleted: {
+        allOf: [ref('Success')],
+        required: ['deleted'],
+        properties: {
+          deleted: { type: 'integer' }
+        }
+      },
+      GarbageCollection: {
+        allOf: [ref('Success')],
+        required: ['dryRun', 'batchSize', 'application', 'user', 'trash', 'expired', 'idempotency', 'history'],
+        properties: {
+          dryRun: { type: 'boolean' },
+          batchSize: { type: 'integer' },
+          application: { type: 'object' },
+          user: { type: 'object' },
+          trash: { type: 'object' },
+          expired: { type: 'object' },
+          idempotency: { type: 'object' },
+          history: { type: 'object' }
+        }
+      },
+      Archive: {
+        type: 'object',
+        required: ['format', 'exportedAt', 'documents'],
+        properties: {
+          format: { const: 'jam-build-user-archive' },
+          exportedAt: { type: 'string' },
+          documents: { type: 'array', items: ref('ArchiveDocument') }
+        }
+      },
+      ArchiveDocument: {
+        type: 'object',
+        required: ['document', 'collections'],
+        properties: {
+          document: ref('Name'),
+          version: ref('VersionString'),
+          createdAt: { type: 'string' },
+          updatedAt: { type: 'string' },
+          collections: {
+            type: 'object',
+            description: 'The collections by name, the property values by property name',
+            additionalProperties: { type: 'object' }
+          }
+        }
+      },
+      Imported: {
+        allOf: [ref('Versions')],
+        required: ['mode'],
+        properties: {
+          mode: { enum: ['merge', 'replace'] }
+        }
+      },
+      VersionInput: {
+        type: 'object',
+        properties: {
+          version: ref('Version')
+        }
+      },
+      UpsertCollection: {
+        type: 'object',
+        required: ['collection'],
+        properties: {
+          collection: { type: 'string', minLength: 1 },
+          version: ref('Version'),
+          properties: {
+            type: 'object',
+            description: 'The property values by property name'
+          },
+          ttl: {
+            type: 'object',
+            description: 'The seconds to live by property name',
+            additionalProperties: { type: 'integer', minimum: 1, maximum: 4294967295 }
+          },
+          expiresAt: {
+            type: 'object',
+            description: 'The expiry dates by property name',
+            additionalProperties: { type: 'string' }
+          }
+        }
+      },
+      DeleteCollection: {
+        type: 'object',
+        required: ['collection'],
+        properties: {
+          collection: { type: 'string', minLength: 1 },
+          version: ref('Version'),
+          properties: {
+            type: 'array',
+            description: 'The property names to delete, the whole collection if none',
+            items: { type: 'string' }
+          }
+        }
+      },
+      UpsertCollections: {
+        anyOf: [
+          ref('UpsertCollection'),
+          { type: 'array', minItems: 1, items: ref('UpsertCollection') }
+        ]
+      },
+      DeleteCollections: {
+        anyOf: [
+          ref('DeleteCollection'),
+          { type: 'array', minItems: 1, items: ref('DeleteCollection') }
+        ]
+      },
+      UpsertInput: {
+        type: 'object',
+        required: ['collections'],
+        properties: {
+          version: ref('Version'),
+          collections: ref('UpsertCollections')
+        }
+      },
+      DeleteInput: {
+        type: 'object',
+        properties: {
+          version: ref('Version'),
+          deleteDocument: { type: 'boolean' },
+          collections: ref('DeleteCollections')
+        },
+        anyOf: [{ required: ['collections'] }, { required: ['deleteDocument'], properties: { deleteDocument: { const: true } } }]
+      },
+      TransactionInput: {
+        type: 'object',
+        required: ['operations'],
+        properties: {
+          operations: {
+            type: 'array',
+            minItems: 1,
+            maxItems: 100,
+            items: {
+              type: 'object',
+              required: ['operation', 'document', 'version'],
+              properties: {
+                operation: { enum: ['upsert', 'delete'] },
+                document: { type: 'string', minLength: 1 },
+                version: ref('Version'),
+                deleteDocument: { type: 'boolean' },
+                collections: {}
+              },
+              anyOf: [{
+                required: ['collections'],
+                properties: { operation: { const: 'upsert' }, collections: ref('UpsertCollections') }
+              }, {
+                required: ['deleteDocument'],
+                properties: { operation: { const: 'delete' }, deleteDocument: { const: true } }
+              }, {
+                required: ['collections'],
+                properties: { operation: { const: 'delete' }, collections: ref('DeleteCollections') }
+              }]
+            }
+          }
+        }
+      },
+      SchemaInput: {
+        type: 'object',
+        required: ['schema'],
+        properties: {
+          collection: { type: 'string', description: 'The collection name, the document schema if none' },
+          schema: { type: ['object', 'boolean'], description: 'The JSON Schema' }
+        }
+      },
+      SchemaDeleteInput: {
+        type: 'object',
+        properties: {
+          collection: { type: 'string', description: 'The collection name, the document schema if none' }
+        }
+      },
+      RestoreInput: {
+        type: 'object',
+        required: ['targetVersion'],
+        properties: {
+          version: ref('Version'),
+          targetVersion: ref('Version')
+        }
+      },
+      RenameInput: {
+        type: 'object',
+        required: ['name'],
+        properties: {
+          version: ref('Version'),
+          name: ref('Name')
+        }
+      },
+      MoveInput: {
+        type: 'object',
+        properties: {
+          version: ref('Version'),
+          name: ref('Name'),
+          document: { ...ref('Name'), description: 'The target document, the same document if none' },
+          targetVersion: { ...ref('Version'), description: 'The target document version, required to move' }
+        }
+      },
+      ShareInput: {
+        type: 'object',
+        required: ['email'],
+        properties: {
+          email: { type: 'string', minLength: 1 },
+          access: { enum: ['read', 'write'], description: 'Required to share, none to stop sharing' }
+        }
+      },
+      LinkInput: {
+        type: 'object',
+        properties: {
+          expiresIn: {
+            type: 'integer',
+            minimum: 0,
+            maximum: 4294967295,
+            description: 'The seconds the link is usable, 0 for no expiry'
+          }
+        }
+      },
+      ImportInput: {
+        type: 'object',
+        required: ['documents'],
+        properties: {
+          mode: { enum: ['merge', 'replace'] },
+          documents: { type: 'array', minItems: 1, items: ref('ArchiveDocument') }
+        }
+      },
+      MetricsInput: {
+        type: 'object',
+        required: ['event'],
+        properties: {
+          event: { type: 'string', minLength: 1 },
+          labels: { type: 'object' }
+        }
+      }
+    }
+  }
+};
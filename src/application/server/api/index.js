@@ -26,6 +26,8 @@ import versionRouter from '@localnerve/express-version-route';
 import versionRequest from '@localnerve/express-version-request';
 import debugLib from '@localnerve/debug';
 import { create as createVersion100 } from './1.0.0/index.js';
+import { getSessionUserId } from './session.js';
+import { createRateLimit, createMemoryStore, getTrustProxy } from './ratelimit.js';
 
 export const mountpath = '/api';
 
@@ -36,12 +38,16 @@ const debug = debugLib('api');
  * 
  * @param {Function} logger - The logger function
  * @param {Object} options - The api options
+ * @param {Boolean} [options.noCompression] - true to skip compression
+ * @param {Object} [options.rateLimitStore] - The rate limit bucket store, defaults to in-memory, @see ratelimit.js
+ * @param {Boolean} [options.validateResponses] - true to validate the responses against the api description, for tests
  * @param {Object} locals - global api variables
  * @returns {Function} The express sub application
  */
 export function create (logger, options = {}, locals = {}) {
   const api = express();
   api.disable('x-powered-by');
+  api.set('trust proxy', getTrustProxy()); // the client IP of the rate limits
 
   if (!options.noCompression) {
     api.use(compression());
@@ -50,12 +56,21 @@ export function create (logger, options = {}, locals = {}) {
   api.use(express.json()); // for parsing application/json
   api.use(express.urlencoded({ extended: true })); // for parsing application/x-www-form-urlencoded
   api.use(cookieParser()); // for parsing cookies
+  const rateLimitStore = options.rateLimitStore ?? createMemoryStore();
+
+  api.use(createRateLimit(logger, {
+    getUserId: getSessionUserId,
+    store: rateLimitStore
+  }));
   api.use(versionRequest.setVersionByHeader()); // X-Api-Version: 1.0.0
 
   api.locals = { ...api.locals, ...locals };
 
   const routesMap = new Map();
-  const version100 = createVersion100(logger);
+  const version100 = createVersion100(logger, {
+    validateResponses: options.validateResponses,
+    rateLimitStore
+  });
   // create other supported versions here
 
   routesMap.set('default', version100);
@@ -83,13 +98,14 @@ export function create (logger, options = {}, locals = {}) {
     const versionError = /E_VERSION/.test(err?.message);
 
     const msg = {
-      status: (versionError && 409) || err.status || err.statusCode || 500,
+      status: (versionError && (err.status || 409)) || err.status || err.statusCode || 500,
       message: err.sql ? err.code : err.message,
       ok: false,
       versionError,
       timestamp: (new Date()).toISOString(),
       url: req.originalUrl,
-      type: (versionError && 'version') || err.type || err.name || 'unknown'
+      type: (versionError && 'version') || err.type || err.name || 'unknown',
+      ...(err.schemaErrors && { errors: err.schemaErrors })
     };
     debug(err);
     logger.error({...msg, ...{ err }});
@@ -0,0 +1,250 @@
+/**
+ * Rate limiting for the api sub application.
+ * Token buckets keyed by user id when the request session is known, by client IP otherwise.
+ * Reads and mutations have separate budgets. Each bucket holds up to the limit of tokens, and
+ * refills at the limit per window, so a client can burst up to the limit and then sustain the rate.
+ * Expensive routes add their own budget by user, @see createUserRateLimit.
+ * Buckets are in memory by default, so limits are per server instance, @see createMemoryStore.
+ *
+ * Depends on the following ENVIRONMENT:
+ *   - API_RATE_LIMIT_READ - max GET, HEAD, and OPTIONS requests per client per window, defaults to 1200, 0 is unlimited
+ *   - API_RATE_LIMIT_MUTATION - max other requests per client per window, defaults to 300, 0 is unlimited
+ *   - API_RATE_LIMIT_WINDOW - the window in seconds, defaults to 60
+ *   - API_RATE_LIMIT_ARCHIVE - max export or import requests per user per window, defaults to 10, 0 is unlimited
+ *   - API_RATE_LIMIT_ARCHIVE_WINDOW - the archive window in seconds, defaults to 3600
+ *   - API_TRUST_PROXY - the expressjs 'trust proxy' setting of the client IP, defaults to false, @see getTrustProxy
+ *
+ * Jam-build, a web application practical reference.
+ * Copyright (c) 2025 Alex Grant <info@localnerve.com> (https://www.localnerve.com), LocalNerve LLC
+ *
+ * This file is part of Jam-build.
+ * Jam-build is free software: you can redistribute it and/or modify it
+ * under the terms of the GNU Affero General Public License as published by the Free Software
+ * Foundation, either version 3 of the License, or (at your option) any later version.
+ * Jam-build is distributed in the hope that it will be useful, but WITHOUT ANY WARRANTY;
+ * without even the implied warranty of MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.
+ * See the GNU Affero General Public License for more details.
+ * You should have received a copy of the GNU Affero General Public License along with Jam-build.
+ * If not, see <https://www.gnu.org/licenses/>.
+ * Additional terms under GNU AGPL version 3 section 7:
+ * a) The reasonable legal notice of original copyright and author attribution must be preserved
+ *    by including the string: "Copyright (c) 2025 Alex Grant <info@localnerve.com> (https://www.localnerve.com), LocalNerve LLC"
+ *    in this material, copies, or source code of derived works.
+ */
+import debugLib from '@localnerve/debug';
+
+const debug = debugLib('api:ratelimit');
+
+const readMethods = ['GET', 'HEAD', 'OPTIONS'];
+
+/**
+ * Get the configured expressjs 'trust proxy' setting, so the client IP of a request behind a reverse proxy is
+ * taken from X-Forwarded-For. Without it, every anonymous client behind the proxy shares the bucket of its address.
+ * API_TRUST_PROXY is 'true', a number of proxy hops, or a comma separated list of proxy addresses or subnets.
+ *
+ * @returns {Boolean|Number|String} The 'trust proxy' setting, false if not configured
+ */
+export function getTrustProxy () {
+  const trustProxy = (process.env.API_TRUST_PROXY ?? '').trim();
+
+  if (!trustProxy || trustProxy === 'false') {
+    return false;
+  }
+  if (trustProxy === 'true') {
+    return true;
+  }
+  if (/^\d+$/.test(trustProxy)) {
+    return Number(trustProxy);
+  }
+  return trustProxy;
+}
+
+/**
+ * Get the configured rate limits.
+ *
+ * @returns {Object} The limits { read, mutation, window } window in milliseconds
+ */
+export function getRateLimits () {
+  return {
+    read: Number(process.env.API_RATE_LIMIT_READ ?? 1200),
+    mutation: Number(process.env.API_RATE_LIMIT_MUTATION ?? 300),
+    window: Number(process.env.API_RATE_LIMIT_WINDOW || 60) * 1000
+  };
+}
+
+/**
+ * Get the configured archive rate limit, for the user data export and import.
+ *
+ * @returns {Object} The limit { limit, window } window in milliseconds
+ */
+export function getArchiveRateLimit () {
+  return {
+    limit: Number(process.env.API_RATE_LIMIT_ARCHIVE ?? 10),
+    window: Number(process.env.API_RATE_LIMIT_ARCHIVE_WINDOW || 3600) * 1000
+  };
+}
+
+/**
+ * Take a token from a bucket.
+ * The bucket refills continuously at the limit per window, up to the limit.
+ *
+ * @param {Object|undefined} bucket - The bucket { tokens, updated }, undefined for a new, full bucket
+ * @param {Number} limit - The bucket size and the tokens per window
+ * @param {Number} window - The window in milliseconds
+ * @param {Number} now - The current time in milliseconds
+ * @returns {Object} The new bucket { tokens, updated, allowed, full } full is the time the bucket is full again
+ */
+export function takeToken (bucket, limit, window, now) {
+  const refilled = bucket
+    ? Math.min(limit, bucket.tokens + ((now - bucket.updated) * limit / window))
+    : limit;
+  const allowed = refilled >= 1;
+  const tokens = allowed ? refilled - 1 : refilled;
+
+  return {
+    tokens,
+    updated: now,
+    allowed,
+    full: now + Math.ceil((limit - tokens) * window / limit)
+  };
+}
+
+/**
+ * Create the in-memory bucket store.
+ * A store is an object with an async take(key, limit, window) that takes a token from the bucket of the key,
+ * and resolves to the new bucket, @see takeToken. Another store, a shared cache for example, can be given
+ * to the api options to apply the limits across server instances.
+ *
+ * @returns {Object} The store { take }
+ */
+export function createMemoryStore () {
+  const buckets = new Map();
+  let pruned = Date.now();
+
+  return {
+    async take (key, limit, window) {
+      const now = Date.now();
+
+      // Drop the full buckets, they are the same as new ones
+      if (now - pruned >= window) {
+        for (const [id, bucket] of buckets) {
+          if (bucket.full <= now) {
+            buckets.delete(id);
+          }
+        }
+        pruned = now;
+      }
+
+      const bucket = takeToken(buckets.get(key), limit, window, now);
+      buckets.set(key, bucket);
+      return bucket;
+    }
+  };
+}
+
+/**
+ * Take a token for a request, and set the rate limit response headers.
+ * Calls next with a 429 error, and sets Retry-After, if the bucket has no tokens left.
+ * If the store fails, the request is allowed.
+ *
+ * @param {Object} logger - The application level logger
+ * @param {Object} store - The bucket store, @see createMemoryStore
+ * @param {Object} budget - The budget of the request { name, key, limit, window }
+ * @param {Response} res - The expressjs Response object
+ * @param {Function} next - The expressjs next function
+ */
+async function limitRequest (logger, store, { name, key, limit, window }, res, next) {
+  let bucket;
+  try {
+    bucket = await store.take(key, limit, window);
+  } catch (err) {
+    logger.error({ err, key }, 'Rate limit store failed, request allowed');
+    return next();
+  }
+
+  const now = Date.now();
+  res.set({
+    'RateLimit-Limit': `${limit}`,
+    'RateLimit-Remaining': `${Math.floor(bucket.tokens)}`,
+    'RateLimit-Reset': `${Math.max(Math.ceil((bucket.full - now) / 1000), 0)}`,
+    'RateLimit-Policy': `${limit};w=${Math.ceil(window / 1000)}`
+  });
+
+  if (!bucket.allowed) {
+    const retryAfter = Math.max(Math.ceil((1 - bucket.tokens) * window / limit / 1000), 1);
+    debug(`${name} rate limited for ${key}, retry after ${retryAfter}s`);
+
+    res.set('Retry-After', `${retryAfter}`);
+    const error = new Error(`[429] Too many ${name} requests, retry after ${retryAfter} seconds`);
+    error.status = 429;
+    error.type = `api.rateLimit.${name}`;
+    return next(error);
+  }
+
+  next();
+}
+
+/**
+ * Create middleware that rate limits requests.
+ * Sets the RateLimit-Limit, RateLimit-Remaining, RateLimit-Reset, and RateLimit-Policy headers.
+ * Responds 429 with Retry-After when a client has no tokens left.
+ * If the store fails, the request is allowed.
+ * Must follow cookie-parser.
+ *
+ * @param {Object} logger - The application level logger
+ * @param {Object} [options] - The rate limit options
+ * @param {Object} [options.limits] - The limits, @see getRateLimits
+ * @param {Object} [options.store] - The bucket store, @see createMemoryStore
+ * @param {Function} [options.getUserId] - Gets the user id of a request before authorization, null if unknown
+ * @returns {Function} expressjs middleware
+ */
+export function createRateLimit (logger, {
+  limits = getRateLimits(),
+  store = createMemoryStore(),
+  getUserId = () => null
+} = {}) {
+  const { window } = limits;
+
+  return async function rateLimit (req, res, next) {
+    const budget = readMethods.includes(req.method) ? 'read' : 'mutation';
+    const limit = limits[budget];
+
+    if (!(limit > 0)) {
+      return next();
+    }
+
+    const userId = getUserId(req);
+    const key = `${budget}:${userId ? `user:${userId}` : `ip:${req.ip}`}`;
+
+    return limitRequest(logger, store, { name: budget, key, limit, window }, res, next);
+  };
+}
+
+/**
+ * Create middleware that rate limits the requests of a route by user, with its own budget.
+ * Responds like createRateLimit, the headers are for the route budget.
+ * Must follow the route authorization.
+ *
+ * @param {Object} logger - The application level logger
+ * @param {String} name - The name of the budget, for the bucket keys and the error type
+ * @param {Object} [options] - The rate limit options
+ * @param {Object} [options.rateLimit] - The limit { limit, window }, defaults to the archive limit, @see getArchiveRateLimit
+ * @param {Object} [options.store] - The bucket store, @see createMemoryStore
+ * @returns {Function} expressjs middleware
+ */
+export function createUserRateLimit (logger, name, {
+  rateLimit = getArchiveRateLimit(),
+  store = createMemoryStore()
+} = {}) {
+  const { limit, window } = rateLimit;
+
+  return async function userRateLimit (req, res, next) {
+    if (!(limit > 0)) {
+      return next();
+    }
+
+    const key = `${name}:user:${req.user.id}`;
+
+    return limitRequest(logger, store, { name, key, limit, window }, res, next);
+  };
+}
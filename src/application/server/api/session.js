@@ -0,0 +1,75 @@
+/**
+ * The users of the validated sessions for the api sub application.
+ * Identifies the requests of a user before the route authorization, for the rate limits.
+ * The sessions are remembered by the version authorization, in memory, so per server instance.
+ *
+ * Jam-build, a web application practical reference.
+ * Copyright (c) 2025 Alex Grant <info@localnerve.com> (https://www.localnerve.com), LocalNerve LLC
+ *
+ * This file is part of Jam-build.
+ * Jam-build is free software: you can redistribute it and/or modify it
+ * under the terms of the GNU Affero General Public License as published by the Free Software
+ * Foundation, either version 3 of the License, or (at your option) any later version.
+ * Jam-build is distributed in the hope that it will be useful, but WITHOUT ANY WARRANTY;
+ * without even the implied warranty of MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.
+ * See the GNU Affero General Public License for more details.
+ * You should have received a copy of the GNU Affero General Public License along with Jam-build.
+ * If not, see <https://www.gnu.org/licenses/>.
+ * Additional terms under GNU AGPL version 3 section 7:
+ * a) The reasonable legal notice of original copyright and author attribution must be preserved
+ *    by including the string: "Copyright (c) 2025 Alex Grant <info@localnerve.com> (https://www.localnerve.com), LocalNerve LLC"
+ *    in this material, copies, or source code of derived works.
+ */
+import { createHash } from 'node:crypto';
+
+const maxSessionUsers = 10000;
+const sessionUsers = new Map();
+
+/**
+ * Make the key of a session for the validated session users.
+ *
+ * @param {String} session - The session from the cookie
+ * @returns {String} The session hash
+ */
+function makeSessionKey (session) {
+  return createHash('sha256').update(session).digest('base64url');
+}
+
+/**
+ * Remember the user of a validated session, @see getSessionUserId.
+ * The oldest sessions are forgotten past maxSessionUsers.
+ *
+ * @param {String} session - The session from the cookie
+ * @param {String} userId - The user id of the session
+ */
+export function rememberSessionUser (session, userId) {
+  const key = makeSessionKey(session);
+
+  sessionUsers.delete(key); // re-insert as newest
+  sessionUsers.set(key, userId);
+
+  if (sessionUsers.size > maxSessionUsers) {
+    sessionUsers.delete(sessionUsers.keys().next().value);
+  }
+}
+
+/**
+ * Forget the user of a session that is no longer valid, after a logout for example.
+ *
+ * @param {String} session - The session from the cookie
+ */
+export function forgetSessionUser (session) {
+  sessionUsers.delete(makeSessionKey(session));
+}
+
+/**
+ * Get the user id of the request session, if the session was validated before.
+ * Identifies the requests of a user before the route authorization, it does NOT authorize them.
+ *
+ * @param {Request} req - The expressjs Request object, cookies parsed
+ * @returns {String|null} The user id, null if the session is missing or not validated yet
+ */
+export function getSessionUserId (req) {
+  const session = req.cookies?.cookie_session;
+  return (session && sessionUsers.get(makeSessionKey(session))) || null;
+}
@@ -0,0 +1,311 @@
+/**
+ * Request and response validation for the api sub application, driven by an OpenAPI 3.1 description.
+ * The request path, query, and header parameters and the JSON body are validated against the
+ * operation of the request, and bad requests are rejected before they reach the services.
+ * Responses are only validated if asked, for tests, because it is costly.
+ * Requests that do not match an operation of the description are left to the services.
+ * Uses the shared JSON Schema validator, @see #client-utils/schema.js
+ *
+ * Jam-build, a web application practical reference.
+ * Copyright (c) 2025 Alex Grant <info@localnerve.com> (https://www.localnerve.com), LocalNerve LLC
+ *
+ * This file is part of Jam-build.
+ * Jam-build is free software: you can redistribute it and/or modify it
+ * under the terms of the GNU Affero General Public License as published by the Free Software
+ * Foundation, either version 3 of the License, or (at your option) any later version.
+ * Jam-build is distributed in the hope that it will be useful, but WITHOUT ANY WARRANTY;
+ * without even the implied warranty of MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.
+ * See the GNU Affero General Public License for more details.
+ * You should have received a copy of the GNU Affero General Public License along with Jam-build.
+ * If not, see <https://www.gnu.org/licenses/>.
+ * Additional terms under GNU AGPL version 3 section 7:
+ * a) The reasonable legal notice of original copyright and author attribution must be preserved
+ *    by including the string: "Copyright (c) 2025 Alex Grant <info@localnerve.com> (https://www.localnerve.com), LocalNerve LLC"
+ *    in this material, copies, or source code of derived works.
+ */
+import debugLib from '@localnerve/debug';
+import { hasOwnProperty, isObj } from '#client-utils/javascript.js';
+import { makeSchemaPath, validateSchema } from '#client-utils/schema.js';
+
+const debug = debugLib('api:validation');
+
+const jsonType = 'application/json';
+
+/**
+ * Resolve the local references of an OpenAPI description.
+ * Only local references are supported, circular references throw.
+ *
+ * @param {Object} description - The OpenAPI description
+ * @returns {Object} A copy of the description without references
+ */
+function dereference (description) {
+  const resolve = (value, resolving) => {
+    if (Array.isArray(value)) {
+      return value.map(item => resolve(item, resolving));
+    }
+    if (!isObj(value)) {
+      return value;
+    }
+
+    if (typeof value.$ref === 'string') {
+      const { $ref, ...siblings } = value;
+      if (!$ref.startsWith('#/') || resolving.includes($ref)) {
+        throw new Error(`Unresolvable OpenAPI reference '${$ref}'`);
+      }
+      const target = $ref.slice(2).split('/').reduce((acc, key) => {
+        const name = key.replace(/~1/g, '/').replace(/~0/g, '~');
+        return isObj(acc) && hasOwnProperty(acc, name) ? acc[name] : undefined;
+      }, description);
+      if (typeof target === 'undefined') {
+        throw new Error(`Missing OpenAPI reference '${$ref}'`);
+      }
+      return { ...resolve(target, [...resolving, $ref]), ...resolve(siblings, resolving) };
+    }
+
+    return Object.fromEntries(Object.entries(value).map(([key, item]) => [key, resolve(item, resolving)]));
+  };
+
+  return resolve(description, []);
+}
+
+/**
+ * Compile the paths of an OpenAPI description to routes.
+ * The routes with fewer templated segments come first, so a literal segment matches before a template.
+ *
+ * @param {Object} description - The dereferenced OpenAPI description
+ * @returns {Array<Object>} The routes [{ path, regex, names, pathItem }]
+ */
+function compileRoutes (description) {
+  const routes = Object.entries(description.paths ?? {}).map(([path, pathItem]) => {
+    const names = [];
+    const source = path.split('/').map(segment => {
+      const groups = segment.match(/^\{(?<name>[^}]+)\}$/)?.groups;
+      if (groups) {
+        names.push(groups.name);
+        return '([^/]+)';
+      }
+      return segment.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+    }).join('/');
+
+    return { path, regex: new RegExp(`^${source}$`, 'i'), names, pathItem };
+  });
+
+  return routes.sort((a, b) => a.names.length - b.names.length);
+}
+
+/**
+ * Find the operation of a request.
+ *
+ * @param {Array<Object>} routes - The compiled routes, @see compileRoutes
+ * @param {String} method - The request method
+ * @param {String} requestPath - The request path, relative to the description servers
+ * @returns {Object|null} The match { path, operation, parameters, params }, null if no operation matches
+ */
+function findOperation (routes, method, requestPath) {
+  const methodName = method === 'HEAD' ? 'get' : method.toLowerCase();
+  const normalPath = requestPath.length > 1 ? requestPath.replace(/\/+$/, '') : requestPath;
+
+  for (const { path, regex, names, pathItem } of routes) {
+    const operation = pathItem[methodName];
+    const match = operation && normalPath.match(regex);
+    if (!match) {
+      continue;
+    }
+
+    let params;
+    try {
+      params = Object.fromEntries(names.map((name, index) => [name, decodeURIComponent(match[index + 1])]));
+    } catch {
+      return null; // undecodable, left to the router
+    }
+
+    // Operation parameters override the path item parameters of the same name and location
+    const parameters = new Map();
+    for (const parameter of [...(pathItem.parameters ?? []), ...(operation.parameters ?? [])]) {
+      parameters.set(`${parameter.in}:${parameter.name}`, parameter);
+    }
+
+    return { path, operation, parameters: Array.from(parameters.values()), params };
+  }
+
+  return null;
+}
+
+/**
+ * Coerce a parameter string value to the type of its schema for validation.
+ * Values that do not convert are left as is, and fail validation.
+ *
+ * @param {Object} schema - The parameter schema
+ * @param {String|Array<String>} value - The parameter value
+ * @returns {Any} The coerced value
+ */
+function coerceParameter (schema, value) {
+  const types = [].concat(schema?.type ?? []);
+
+  if (types.includes('array')) {
+    return [].concat(value).map(item => coerceParameter(schema.items, item));
+  }
+  if (typeof value !== 'string') {
+    return value;
+  }
+  if ((types.includes('integer') || types.includes('number')) && /^-?\d+(?:\.\d+)?(?:[eE][+-]?\d+)?$/.test(value)) {
+    return Number(value);
+  }
+  if (types.includes('boolean') && (value === 'true' || value === 'false')) {
+    return value === 'true';
+  }
+  return value;
+}
+
+/**
+ * Validate a request against its operation.
+ *
+ * @param {Object} match - The operation match, @see findOperation
+ * @param {Request} req - The expressjs Request object
+ * @returns {Object} The result { errors, unsupported } unsupported is true if the body media type is not described
+ */
+function validateRequest (match, req) {
+  const { operation, parameters, params } = match;
+  const errors = [];
+
+  for (const parameter of parameters) {
+    const location = {
+      path: ['params', params[parameter.name]],
+      query: ['query', req.query?.[parameter.name]],
+      header: ['headers', req.get(parameter.name)]
+    }[parameter.in];
+    if (!location) {
+      continue; // cookies are for authorization
+    }
+
+    const [source, value] = location;
+    const path = makeSchemaPath(`/${source}`, parameter.in === 'header' ? parameter.name.toLowerCase() : parameter.name);
+
+    if (typeof value === 'undefined') {
+      if (parameter.required) {
+        errors.push({ path, message: 'is required' });
+      }
+      continue;
+    }
+
+    errors.push(...validateSchema(parameter.schema, coerceParameter(parameter.schema, value), path));
+  }
+
+  const requestBody = operation.requestBody;
+  if (requestBody) {
+    const types = Object.keys(requestBody.content ?? {});
+    const type = types.length > 0 ? req.is(types) : null;
+
+    if (type === null || (type === jsonType && typeof req.body === 'undefined')) {
+      if (requestBody.required) {
+        errors.push({ path: '/body', message: 'is required' });
+      }
+    } else if (type === false) {
+      return { errors, unsupported: true };
+    } else if (type === jsonType) {
+      errors.push(...validateSchema(requestBody.content[type].schema, req.body, '/body'));
+    }
+  }
+
+  return { errors, unsupported: false };
+}
+
+/**
+ * Validate a JSON response against its operation.
+ *
+ * @param {Object} operation - The operation of the request
+ * @param {Number} status - The response status
+ * @param {Any} body - The response body
+ * @returns {Array<Object>} The validation errors [{ path, message }], empty if the response is valid
+ */
+function validateResponse (operation, status, body) {
+  const response = operation.responses?.[status] ?? operation.responses?.default;
+
+  if (!response) {
+    return [{ path: '/status', message: `${status} is not a described response` }];
+  }
+
+  const content = response.content?.[jsonType];
+  if (!content) {
+    return response.content ? [{ path: '/body', message: `${status} is not a described JSON response` }] : [];
+  }
+
+  let value;
+  try {
+    value = JSON.parse(JSON.stringify(body)); // as sent
+  } catch {
+    return []; // fails on send
+  }
+
+  return validateSchema(content.schema, value, '/body');
+}
+
+/**
+ * Create middleware that validates the requests, and optionally the responses, against an OpenAPI description.
+ * Bad requests respond 400 with the validation errors, request bodies of an undescribed media type respond 415.
+ * Bad responses are logged and replaced by a 500 response with the validation errors.
+ * Must follow the body parsers, and precede the described routes.
+ *
+ * @param {Object} logger - The application level logger
+ * @param {Object} description - The OpenAPI description, paths relative to the mount of the middleware
+ * @param {Object} [options] - The validation options
+ * @param {Boolean} [options.validateResponses] - true to validate the JSON responses, defaults to false
+ * @returns {Function} expressjs middleware
+ */
+export function createValidation (logger, description, {
+  validateResponses = false
+} = {}) {
+  const routes = compileRoutes(dereference(description));
+
+  return function validation (req, res, next) {
+    const match = findOperation(routes, req.method, req.path);
+    if (!match) {
+      return next();
+    }
+
+    const { errors, unsupported } = validateRequest(match, req);
+
+    if (unsupported) {
+      const error = new Error(`[415] Unsupported request body type '${req.get('Content-Type')}'`);
+      error.status = 415;
+      error.type = 'api.validation.request.contentType';
+      return next(error);
+    }
+
+    if (errors.length > 0) {
+      debug(`${req.method} ${match.path} invalid request`, errors);
+
+      const error = new Error('[400] Invalid request');
+      error.status = 400;
+      error.type = 'api.validation.request';
+      error.schemaErrors = errors;
+      return next(error);
+    }
+
+    if (validateResponses) {
+      const json = res.json.bind(res);
+      res.json = body => {
+        const responseErrors = validateResponse(match.operation, res.statusCode, body);
+        if (responseErrors.length <= 0) {
+          return json(body);
+        }
+
+        const status = 500;
+        const msg = {
+          status,
+          message: `[${status}] Response does not match the api description`,
+          ok: false,
+          timestamp: (new Date()).toISOString(),
+          url: req.originalUrl,
+          type: 'api.validation.response',
+          errors: responseErrors
+        };
+        logger.error({ ...msg, responseStatus: res.statusCode, operation: match.operation.operationId }, msg.message);
+        res.status(status);
+        return json(msg);
+      };
+    }
+
+    next();
+  };
+}
@@ -0,0 +1,75 @@
+/**
+ * Data orphan garbage collection command.
+ * Finds and removes the orphaned collections and properties, the expired trash, properties, idempotency keys, and history,
+ * then prints the counts as JSON.
+ * Uses the DB_HOST, DB_DATABASE, DB_APP_USER, and DB_APP_PASSWORD environment, like the data service.
+ *
+ * Arguments:
+ *   --ENV-PATH=/path/to/host-env/file.json, default: '', optional host environment variables
+ *   --BATCH-SIZE=nnnn, default: DATA_GC_BATCH_SIZE or 1000, max collections and properties removed per batch
+ *   --DRY-RUN, boolean flag, true if exists, only counts the orphans and the expired items
+ *   --DEBUG, boolean flag, true if exists, runs with verbose logging
+ *
+ * Jam-build, a web application practical reference.
+ * Copyright (c) 2025 Alex Grant <info@localnerve.com> (https://www.localnerve.com), LocalNerve LLC
+ *
+ * This file is part of Jam-build.
+ * Jam-build is free software: you can redistribute it and/or modify it
+ * under the terms of the GNU Affero General Public License as published by the Free Software
+ * Foundation, either version 3 of the License, or (at your option) any later version.
+ * Jam-build is distributed in the hope that it will be useful, but WITHOUT ANY WARRANTY;
+ * without even the implied warranty of MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.
+ * See the GNU Affero General Public License for more details.
+ * You should have received a copy of the GNU Affero General Public License along with Jam-build.
+ * If not, see <https://www.gnu.org/licenses/>.
+ * Additional terms under GNU AGPL version 3 section 7:
+ * a) The reasonable legal notice of original copyright and author attribution must be preserved
+ *    by including the string: "Copyright (c) 2025 Alex Grant <info@localnerve.com> (https://www.localnerve.com), LocalNerve LLC"
+ *    in this material, copies, or source code of derived works.
+ */
+
+import pino from 'pino';
+import * as mariadb from 'mariadb';
+import { collectOrphans } from './api/1.0.0/data/gc.js';
+import { getBatchSize } from './api/1.0.0/data/batch.js';
+import { collectExpired } from './api/1.0.0/data/scheduler.js';
+import { initLogger, setHostEnv } from './lib.js';
+
+const envPath = process.argv.reduce((found, item) => {
+  const groups = item.match(/--ENV-PATH=(?<envPath>[\w-/.]+)/i)?.groups;
+  return groups?.envPath || found;
+}, '');
+const dryRun = process.argv.some(item => item.match('DRY-RUN'));
+const debug = process.argv.some(item => item.match('DEBUG'));
+
+const logger = initLogger(pino, debug);
+
+await setHostEnv(logger, envPath);
+
+const batchSize = process.argv.reduce((found, item) => {
+  const groups = item.match(/--BATCH-SIZE=(?<batchSize>\d+)/i)?.groups;
+  return groups ? Number(groups.batchSize) : found;
+}, getBatchSize());
+
+const pool = mariadb.createPool({
+  host: process.env.DB_HOST,
+  database: process.env.DB_DATABASE,
+  user: process.env.DB_APP_USER,
+  password: process.env.DB_APP_PASSWORD,
+  logger: logger.info.bind(logger),
+  connectionLimit: 1
+});
+
+try {
+  const result = {
+    ...await collectOrphans(pool, { dryRun, batchSize }),
+    ...await collectExpired(pool, { dryRun, batchSize })
+  };
+  logger.info({ gc: result }, `Data orphan collection ${dryRun ? 'dry run' : 'complete'}`);
+  process.stdout.write(`${JSON.stringify(result, null, 2)}\n`);
+} catch (err) {
+  logger.error(err, 'Data orphan collection failed');
+  process.exitCode = 1;
+} finally {
+  await pool.end();
+}
@@ -9,7 +9,7 @@
  *   --NO-COMPRESS, boolean flag, true if exists, starts the app without wire compression
  *   --NO-HEADERS, boolean flag, true if exists, starts the app without asset file headers
  *   --DEBUG, boolean flag, true if exists, starts the app with verbose logging
- *   --TEST, boolean flag, true if exists, start the app with test-only api
+ *   --TEST, boolean flag, true if exists, start the app with test-only api and api response validation
  *  
  * Jam-build, a web application practical reference.
  * Copyright (c) 2025 Alex Grant <info@localnerve.com> (https://www.localnerve.com), LocalNerve LLC
@@ -77,7 +77,7 @@ if (test) {
 }
 
 if (!maintenance) {
-  server.use(apiPath, createApi(logger, { noCompression }));
+  server.use(apiPath, createApi(logger, { noCompression, validateResponses: test }));
   server.use(staticFiles.bind(null, logger, rootDir));
 } else {
   server.use(maintenanceHandler.bind(null, logger, maintenance));
@@ -33,7 +33,7 @@ const jsManifestFilename = 'rollup-manifest.json';
 const swMainGenerated = `${dist}/sw.main.js`;
 const swCustomFilenameGlob = 'sw-*.custom.js';
 const apiVersion = '1.0.0';
-const schemaVersion = '1';
+const schemaVersion = '2';
 const appVersion = pkg.version;
 
 /**
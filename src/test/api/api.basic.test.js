@@ -18,8 +18,88 @@
  *    by including the string: "Copyright (c) 2025 Alex Grant <info@localnerve.com> (https://www.localnerve.com), LocalNerve LLC"
  *    in this material, copies, or source code of derived works.
  */
-import { test } from '#test/fixtures.js';
+import fs from 'node:fs/promises';
+import path from 'node:path';
+import url from 'node:url';
+import { expect, test } from '#test/fixtures.js';
 import { basicEndpointTests } from './endpoint.js';
 
+const thisDir = url.fileURLToPath(new URL('.', import.meta.url));
+const toRoot = '../../..';
+
 // eslint-disable-next-line playwright/valid-describe-callback
-test.describe('/api basic tests', basicEndpointTests('/api'));
\ No newline at end of file
+test.describe('/api basic tests', basicEndpointTests('/api'));
+
+test('/api rate limit headers', async ({ request }) => {
+  const response = await request.get(`${process.env.BASE_URL}/api`);
+  expect(response.status()).toEqual(404);
+
+  const headers = response.headers();
+  expect(headers['ratelimit-limit']).toMatch(/^\d+$/);
+  expect(headers['ratelimit-remaining']).toMatch(/^\d+$/);
+  expect(headers['ratelimit-reset']).toMatch(/^\d+$/);
+  expect(headers['ratelimit-policy']).toMatch(/^\d+;w=\d+$/);
+});
+
+test('/api/openapi.json describes the api', async ({ request }) => {
+  const response = await request.get(`${process.env.BASE_URL}/api/openapi.json`);
+  expect(response.status()).toEqual(200);
+
+  const json = await response.json();
+  expect(json).toEqual(expect.objectContaining({
+    openapi: '3.1.0',
+    info: expect.objectContaining({ version: '1.0.0' }),
+    paths: expect.objectContaining({
+      '/data/app/{document}': expect.any(Object),
+      '/data/user/{document}': expect.any(Object),
+      '/metrics': expect.any(Object)
+    })
+  }));
+});
+
+test('/api/openapi.json describes every data route', async ({ request }) => {
+  const response = await request.get(`${process.env.BASE_URL}/api/openapi.json`);
+  expect(response.status()).toEqual(200);
+
+  const { paths } = await response.json();
+  const operations = Object.entries(paths).flatMap(([pathName, pathItem]) =>
+    Object.keys(pathItem).filter(key => key !== 'parameters').map(method => `${method} ${pathName}`)
+  );
+
+  // The route registrations of the data service, '/:name' segments as '/{name}'
+  const source = await fs.readFile(
+    path.resolve(thisDir, toRoot, './src/application/server/api/1.0.0/data/index.js'),
+    { encoding: 'utf8' }
+  );
+  const routes = Array.from(
+    source.matchAll(/\w+Router\.(get|post|put|patch|delete)\(\s*'([^']+)'/g),
+    ([, method, route]) => `${method} /data${route.replace(/:(\w+)/g, '{$1}')}`
+  );
+  expect(routes.length).toBeGreaterThan(0);
+
+  expect(operations).toEqual(expect.arrayContaining(routes));
+});
+
+test('/api request validation', async ({ request }) => {
+  let response = await request.post(`${process.env.BASE_URL}/api/metrics`, {
+    data: { labels: { name: 'value' } }
+  });
+  expect(response.status()).toEqual(400);
+  const json = await response.json();
+  expect(json).toEqual(expect.objectContaining({
+    ok: false,
+    type: 'api.validation.request',
+    errors: [{ path: '/body/event', message: 'is required' }]
+  }));
+
+  response = await request.post(`${process.env.BASE_URL}/api/metrics`, {
+    data: 'event=name',
+    headers: { 'Content-Type': 'text/plain' }
+  });
+  expect(response.status()).toEqual(415);
+
+  response = await request.post(`${process.env.BASE_URL}/api/metrics`, {
+    data: { event: 'name', labels: { name: 'value' } }
+  });
+  expect(response.status()).toEqual(204);
+});
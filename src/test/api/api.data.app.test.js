@@ -26,7 +26,7 @@ import {
   deleteData,
   genericRequest
 } from './api.js';
-import { deleteHomeDocument } from './utils.js';
+import { deleteHomeDocument, subscribeChanges } from './utils.js';
 
 test.describe('/api/data/app', () => {
   let baseUrl;
@@ -132,6 +132,7 @@ test.describe('/api/data/app', () => {
       expect(json).toEqual({
         home: {
           __version: expect.any(String),
+          __versions: expect.any(Object),
           state: expect.any(Object),
           friends: expect.any(Object)
         }
@@ -145,6 +146,7 @@ test.describe('/api/data/app', () => {
       expect(json).toEqual({
         home: {
           __version: expect.any(String),
+          __versions: expect.any(Object),
           friends: expect.any(Object)
         }
       });
@@ -157,6 +159,7 @@ test.describe('/api/data/app', () => {
       expect(json).toEqual({
         home: {
           __version: expect.any(String),
+          __versions: expect.any(Object),
           friends: expect.any(Object)
         }
       });
@@ -169,6 +172,7 @@ test.describe('/api/data/app', () => {
       expect(json).toEqual({
         home: {
           __version: expect.any(String),
+          __versions: expect.any(Object),
           friends: expect.any(Object)
         }
       });
@@ -187,6 +191,7 @@ test.describe('/api/data/app', () => {
       expect(json).toEqual({
         home: {
           __version: expect.any(String),
+          __versions: expect.any(Object),
           state: expect.any(Object)
         }
       });
@@ -200,6 +205,33 @@ test.describe('/api/data/app', () => {
     }, 404);
   });
 
+  test('get a single property - all user types', async ({ adminRequest, userRequest, request }) => {
+    for (const requestor of [adminRequest, userRequest, request]) {
+      await getData(requestor, `${baseUrl}/home/friends/property2`, json => {
+        expect(json).toStrictEqual({
+          home: {
+            __version: expect.any(String),
+            __versions: expect.any(Object),
+            friends: {
+              property2: 'value55'
+            }
+          }
+        });
+        version = json.home.__version;
+      });
+    }
+  });
+
+  test('get non-existing property', async ({ adminRequest }) => {
+    await getData(adminRequest, `${baseUrl}/home/friends/nonexistant`, json => {
+      expect(json.ok).not.toBeTruthy();
+    }, 404);
+
+    await getData(adminRequest, `${baseUrl}/home/nonexistant/property2`, json => {
+      expect(json.ok).not.toBeTruthy();
+    }, 404);
+  });
+
   test('get non-existing collections with query string', async ({ adminRequest }) => {
     await getData(adminRequest, `${baseUrl}/home?collections=nonexistant1&collections=nonexistant2`, json => {
       expect(json.ok).not.toBeTruthy();
@@ -213,6 +245,7 @@ test.describe('/api/data/app', () => {
       expect(json).toEqual({
         home: {
           __version: expect.any(String),
+          __versions: expect.any(Object),
           friends: expect.objectContaining({
             property2: expect.any(String)
           })
@@ -235,6 +268,7 @@ test.describe('/api/data/app', () => {
       expect(json).toStrictEqual({
         home: {
           __version: version,
+          __versions: expect.any(Object),
           friends: expect.objectContaining({
             property2: newValue
           })
@@ -249,6 +283,7 @@ test.describe('/api/data/app', () => {
       expect(json).toEqual({
         home: {
           __version: expect.any(String),
+          __versions: expect.any(Object),
           friends: expect.objectContaining({
             property3: 'value46'
           })
@@ -272,6 +307,7 @@ test.describe('/api/data/app', () => {
       expect(json).toStrictEqual({
         home: {
           __version: version,
+          __versions: expect.any(Object),
           friends: {
             property1: 'value44',
             property2: 'value45',
@@ -316,6 +352,7 @@ test.describe('/api/data/app', () => {
       expect(json).toStrictEqual({
         home: {
           __version: expect.any(String),
+          __versions: expect.any(Object),
           friends: {
             property1: 'value44',
             property2: 'value55',
@@ -338,6 +375,7 @@ test.describe('/api/data/app', () => {
       expect(json).toStrictEqual({
         home: {
           __version: version,
+          __versions: expect.any(Object),
           friends: {
             property1: 'value44',
             property2: 'value55',
@@ -353,6 +391,7 @@ test.describe('/api/data/app', () => {
       expect(json).toEqual({
         home: {
           __version: expect.any(String),
+          __versions: expect.any(Object),
           friends: expect.objectContaining({
             property3: 'value46'
           })
@@ -372,6 +411,7 @@ test.describe('/api/data/app', () => {
       expect(json).toEqual({
         home: {
           __version: version,
+          __versions: expect.any(Object),
           friends: expect.objectContaining({
             property1: 'value44',
             property2: 'value55'
@@ -381,6 +421,7 @@ test.describe('/api/data/app', () => {
       expect(json).not.toEqual({
         home: {
           __version: expect.any(String),
+          __versions: expect.any(Object),
           friends: expect.objectContaining({
             property3: expect.any(String)
           })
@@ -405,6 +446,7 @@ test.describe('/api/data/app', () => {
       expect(json).toStrictEqual({
         home: {
           __version: version,
+          __versions: expect.any(Object),
           girls: {
             property1: 'value1',
             property2: 'value2'
@@ -438,6 +480,7 @@ test.describe('/api/data/app', () => {
       expect(json).toEqual({
         home: {
           __version: version,
+          __versions: expect.any(Object),
           state: expect.any(Object),
           friends: expect.any(Object),
           girls: {}
@@ -460,6 +503,7 @@ test.describe('/api/data/app', () => {
       expect(json).toEqual({
         home: {
           __version: version,
+          __versions: expect.any(Object),
           state: expect.any(Object),
           friends: expect.any(Object),
           girls: {}
@@ -579,6 +623,7 @@ test.describe('/api/data/app', () => {
       expect(json).toEqual({
         home: {
           __version: expect.any(String),
+          __versions: expect.any(Object),
           friends: expect.objectContaining({
             property1: 'value44'
           })
@@ -595,6 +640,7 @@ test.describe('/api/data/app', () => {
       expect(json).toEqual(expect.objectContaining({
         home: {
           __version: version,
+          __versions: expect.any(Object),
           state: expect.any(Object)
         }
       }));
@@ -687,6 +733,695 @@ test.describe('/api/data/app', () => {
 
   });
 
+  test('get responds with an ETag and 304 for a matching If-None-Match', async ({ request }) => {
+    for (const url of [baseUrl, `${baseUrl}/home`, `${baseUrl}/home/friends`, `${baseUrl}/home/friends/property1`]) {
+      const response = await request.get(url);
+      expect(response.status()).toEqual(200);
+
+      const etag = response.headers().etag;
+      expect(etag).toMatch(/^W\/".+"$/);
+
+      const notModified = await request.get(url, {
+        headers: { 'If-None-Match': etag }
+      });
+      expect(notModified.status()).toEqual(304);
+    }
+  });
+
+  test('get ETag changes after a mutation', async ({ adminRequest }) => {
+    const response = await adminRequest.get(`${baseUrl}/home`);
+    const etag = response.headers().etag;
+    expect(etag).toMatch(new RegExp(`^W/"${version}-`));
+
+    version = await postData(adminRequest, `${baseUrl}/home`, {
+      version,
+      collections: {
+        collection: 'friends',
+        properties: {
+          property1: 'value47'
+        }
+      }
+    });
+
+    const modified = await adminRequest.get(`${baseUrl}/home`, {
+      headers: { 'If-None-Match': etag }
+    });
+    expect(modified.status()).toEqual(200);
+    expect(modified.headers().etag).not.toEqual(etag);
+    expect(modified.headers().etag).toMatch(new RegExp(`^W/"${version}-`));
+  });
+
+  test('post and delete with If-Match instead of version', async ({ adminRequest }) => {
+    const response = await adminRequest.get(`${baseUrl}/home`);
+    const etag = response.headers().etag;
+
+    version = await postData(adminRequest, `${baseUrl}/home`, {
+      collections: {
+        collection: 'friends',
+        properties: {
+          property1: 'value48'
+        }
+      }
+    }, {
+      headers: { 'If-Match': etag }
+    });
+
+    await postData(adminRequest, `${baseUrl}/home`, {
+      collections: {
+        collection: 'friends',
+        properties: {
+          property1: 'value49'
+        }
+      }
+    }, {
+      headers: { 'If-Match': etag },
+      expectSuccess: false,
+      expectResponseSuccess: false,
+      assertStatus: 412,
+      expectVersionError: true
+    });
+
+    await deleteData(adminRequest, `${baseUrl}/home/friends`, {}, {
+      headers: { 'If-Match': etag },
+      expectSuccess: false,
+      assertStatus: 412,
+      expectVersionError: true
+    });
+
+    version = await deleteData(adminRequest, `${baseUrl}/home/friends`, {}, {
+      headers: { 'If-Match': `"${version}"` }
+    });
+  });
+
+  test('mutation with an unusable If-Match fails', async ({ adminRequest }) => {
+    await postData(adminRequest, `${baseUrl}/home`, {
+      collections: {
+        collection: 'friends',
+        properties: {
+          property1: 'value50'
+        }
+      }
+    }, {
+      headers: { 'If-Match': '"not-a-version"' },
+      expectSuccess: false,
+      expectResponseSuccess: false,
+      assertStatus: 412
+    });
+  });
+
+  test('changes to an app document are published to public subscribers', async ({ adminRequest, request }) => {
+    const changes = await subscribeChanges(request);
+    try {
+      version = await postData(adminRequest, `${baseUrl}/home`, {
+        version,
+        collections: [{
+          collection: 'state',
+          properties: { property1: 'published1' }
+        }]
+      });
+
+      const change = await changes.waitForChange(change => change.document === 'home' && change.version === version);
+      expect(change).toStrictEqual({
+        storeType: 'app:public',
+        document: 'home',
+        version,
+        collections: ['state']
+      });
+    } finally {
+      changes.close();
+    }
+  });
+
+  test('get document history - admin only', async ({ userRequest, request }) => {
+    for (const requestor of [userRequest, request]) {
+      await getData(requestor, `${baseUrl}/home/_history`, 403);
+      await getData(requestor, `${baseUrl}/home/_history/${version}`, 403);
+    }
+  });
+
+  test('document history records changes, who, and when', async ({ adminRequest }) => {
+    const createdVersion = version;
+
+    const updatedVersion = version = await postData(adminRequest, `${baseUrl}/home`, {
+      version,
+      collections: [{
+        collection: 'state',
+        properties: {
+          property1: 'value9',
+          property2: 'value2'
+        }
+      }]
+    });
+
+    version = await deleteData(adminRequest, `${baseUrl}/home`, {
+      version,
+      collections: [{
+        collection: 'friends',
+        properties: ['property3']
+      }]
+    });
+
+    await getData(adminRequest, `${baseUrl}/home/_history`, json => {
+      const [deleted, updated, created] = json.home;
+
+      expect(deleted).toEqual({
+        version,
+        operation: 'delete',
+        changedBy: expect.any(String),
+        changedAt: expect.any(String),
+        collections: [{
+          collection: 'friends',
+          properties: ['property3']
+        }]
+      });
+
+      // only the changed property is recorded
+      expect(updated).toEqual({
+        version: updatedVersion,
+        operation: 'upsert',
+        changedBy: deleted.changedBy,
+        changedAt: expect.any(String),
+        collections: [{
+          collection: 'state',
+          properties: {
+            property1: 'value9'
+          }
+        }]
+      });
+
+      expect(created).toEqual(expect.objectContaining({
+        version: createdVersion,
+        operation: 'upsert',
+        collections: expect.arrayContaining([{
+          collection: 'friends',
+          properties: {
+            property1: 'value44',
+            property2: 'value55',
+            property3: 'value46'
+          }
+        }])
+      }));
+    });
+  });
+
+  test('get a document history version', async ({ adminRequest }) => {
+    await getData(adminRequest, `${baseUrl}/home/_history/${version}`, json => {
+      expect(json).toEqual({
+        home: expect.objectContaining({
+          version,
+          operation: 'upsert',
+          collections: expect.any(Array)
+        })
+      });
+    });
+
+    await getData(adminRequest, `${baseUrl}/home/_history/99999`, 404);
+    await getData(adminRequest, `${baseUrl}/nonexistant/_history`, 404);
+    await getData(adminRequest, `${baseUrl}/home/_history/notaversion`, 400);
+  });
+
+  test('restore a document to a previous version', async ({ adminRequest }) => {
+    const targetVersion = version;
+
+    version = await postData(adminRequest, `${baseUrl}/home`, {
+      version,
+      collections: [{
+        collection: 'state',
+        properties: {
+          property1: 'value9',
+          property5: 'value10'
+        }
+      }]
+    });
+
+    version = await deleteData(adminRequest, `${baseUrl}/home`, {
+      version,
+      collections: [{
+        collection: 'friends'
+      }]
+    });
+
+    const previousVersion = version;
+    version = await postData(adminRequest, `${baseUrl}/home/restore`, {
+      version,
+      targetVersion
+    });
+
+    // restore is a new version, the version counter does not rewind
+    expect(BigInt(version)).toBeGreaterThan(BigInt(previousVersion));
+
+    await getData(adminRequest, `${baseUrl}/home`, json => {
+      expect(json).toEqual({
+        home: {
+          __version: version,
+          __versions: expect.any(Object),
+          state: {
+            property1: 'value1',
+            property2: 'value2',
+            property3: 'value3',
+            property4: 'value4'
+          },
+          friends: {
+            property1: 'value44',
+            property2: 'value55',
+            property3: 'value46'
+          }
+        }
+      });
+    });
+
+    await getData(adminRequest, `${baseUrl}/home/_history/${version}`, json => {
+      expect(json.home).toEqual(expect.objectContaining({
+        version,
+        operation: 'restore',
+        restoredVersion: targetVersion
+      }));
+    });
+  });
+
+  test('restore a deleted document', async ({ adminRequest }) => {
+    const targetVersion = version;
+
+    await deleteData(adminRequest, `${baseUrl}/home`, {
+      version,
+      deleteDocument: true
+    });
+
+    version = await postData(adminRequest, `${baseUrl}/home/restore`, {
+      version: '0',
+      targetVersion
+    });
+
+    await getData(adminRequest, `${baseUrl}/home/state`, json => {
+      expect(json).toEqual({
+        home: {
+          __version: version,
+          __versions: expect.any(Object),
+          state: {
+            property1: 'value1',
+            property2: 'value2',
+            property3: 'value3',
+            property4: 'value4'
+          }
+        }
+      });
+    });
+  });
+
+  test('restore access to app denied to user role', async ({ userRequest }) => {
+    await postData(userRequest, `${baseUrl}/home/restore`, {
+      version,
+      targetVersion: version
+    }, {
+      expectSuccess: false,
+      expectResponseSuccess: false,
+      assertStatus: 403
+    });
+  });
+
+  test('bad restore input, versions, and conflicts', async ({ adminRequest }) => {
+    await postData(adminRequest, `${baseUrl}/home/restore`, {
+      version,
+      targetVersion: 'notaversion'
+    }, {
+      expectSuccess: false,
+      expectResponseSuccess: false,
+      assertStatus: 400
+    });
+
+    await postData(adminRequest, `${baseUrl}/home/restore`, {
+      version,
+      targetVersion: '99999'
+    }, {
+      expectSuccess: false,
+      expectResponseSuccess: false,
+      assertStatus: 404
+    });
+
+    await postData(adminRequest, `${baseUrl}/home/restore`, {
+      version: `${BigInt(version) + 1n}`,
+      targetVersion: version
+    }, {
+      expectSuccess: false,
+      expectResponseSuccess: false,
+      expectVersionError: true,
+      assertStatus: 409
+    });
+  });
+
+  test('get changes since a version as a delta', async ({ adminRequest, request }) => {
+    const since = version;
+
+    await getData(request, `${baseUrl}/home?since=${since}`, json => {
+      expect(json).toEqual({
+        home: {
+          __version: since,
+          __since: since,
+          __deleted: {},
+          __versions: {},
+          __expires: {}
+        }
+      });
+    });
+
+    version = await postData(adminRequest, `${baseUrl}/home`, {
+      version,
+      collections: [{
+        collection: 'state',
+        properties: {
+          property1: 'value9',
+          property5: 'value10'
+        }
+      }, {
+        collection: 'neighbors',
+        properties: {
+          property1: 'value11'
+        }
+      }]
+    });
+
+    version = await deleteData(adminRequest, `${baseUrl}/home`, {
+      version,
+      collections: [{
+        collection: 'state',
+        properties: ['property2', 'property5']
+      }, {
+        collection: 'friends'
+      }]
+    });
+
+    await getData(request, `${baseUrl}/home?since=${since}`, json => {
+      expect(json).toEqual({
+        home: {
+          __version: version,
+          __since: since,
+          __deleted: {
+            state: ['property2', 'property5'],
+            friends: []
+          },
+          __versions: {
+            state: version,
+            neighbors: `${Number(version) - 1}`
+          },
+          __expires: {},
+          state: {
+            property1: 'value9'
+          },
+          neighbors: {
+            property1: 'value11'
+          }
+        }
+      });
+    });
+
+    await getData(request, `${baseUrl}/home?since=${since}&collections=state`, json => {
+      expect(json).toEqual({
+        home: {
+          __version: version,
+          __since: since,
+          __deleted: {
+            state: ['property2', 'property5']
+          },
+          __versions: {
+            state: version
+          },
+          __expires: {},
+          state: {
+            property1: 'value9'
+          }
+        }
+      });
+    });
+  });
+
+  test('get changes since a version sends the full document if there is no delta', async ({ adminRequest, request }) => {
+    const fullDocument = {
+      home: {
+        __version: expect.any(String),
+        __versions: expect.any(Object),
+        state: {
+          property1: 'value1',
+          property2: 'value2',
+          property3: 'value3',
+          property4: 'value4'
+        },
+        friends: {
+          property1: 'value44',
+          property2: 'value55',
+          property3: 'value46'
+        }
+      }
+    };
+
+    await getData(request, `${baseUrl}/home?since=99999`, json => {
+      expect(json).toEqual(fullDocument);
+    });
+
+    const since = version;
+    version = await postData(adminRequest, `${baseUrl}/home/restore`, {
+      version,
+      targetVersion: version
+    });
+
+    await getData(request, `${baseUrl}/home?since=${since}`, json => {
+      expect(json).toEqual(fullDocument);
+    });
+
+    await getData(request, `${baseUrl}/home?since=notaversion`, 400);
+  });
+
+  test('document and collection schemas validate upserts', async ({ adminRequest, userRequest, request }) => {
+    const stateSchema = {
+      type: 'object',
+      properties: {
+        property1: { type: 'string', maxLength: 8 },
+        property5: { type: 'integer', minimum: 0 }
+      }
+    };
+    const documentSchema = {
+      type: 'object',
+      required: ['state', 'friends']
+    };
+
+    let response = await userRequest.post(`${baseUrl}/home/_schema`, {
+      data: { collection: 'state', schema: stateSchema }
+    });
+    expect(response.status()).toEqual(403);
+
+    response = await adminRequest.post(`${baseUrl}/home/_schema`, {
+      data: { collection: 'state', schema: 'notaschema' }
+    });
+    expect(response.status()).toEqual(400);
+
+    response = await adminRequest.post(`${baseUrl}/home/_schema`, {
+      data: {
+        collection: 'state',
+        schema: {
+          type: 'object',
+          properties: {
+            property1: { type: 'string', format: 'email' },
+            property2: { type: 'string', pattern: '(' }
+          },
+          uniqueItems: true
+        }
+      }
+    });
+    expect(response.status()).toEqual(400);
+    let json = await response.json();
+    expect(json.type).toEqual('data.validation.input.schema');
+    expect(json.errors).toEqual(expect.arrayContaining([
+      expect.objectContaining({ path: '/properties/property1/format' }),
+      expect.objectContaining({ path: '/properties/property2/pattern' }),
+      expect.objectContaining({ path: '/uniqueItems' })
+    ]));
+    await getData(request, `${baseUrl}/home/_schema`, 204);
+
+    response = await adminRequest.post(`${baseUrl}/home/_schema`, {
+      data: { collection: 'state', schema: stateSchema }
+    });
+    expect(response.ok()).toBeTruthy();
+    response = await adminRequest.post(`${baseUrl}/home/_schema`, {
+      data: { schema: documentSchema }
+    });
+    expect(response.ok()).toBeTruthy();
+
+    await getData(request, `${baseUrl}/home/_schema`, json => {
+      expect(json).toEqual({
+        home: {
+          document: documentSchema,
+          collections: {
+            state: stateSchema
+          }
+        }
+      });
+    });
+
+    response = await adminRequest.post(`${baseUrl}/home`, {
+      data: {
+        version,
+        collections: [{
+          collection: 'state',
+          properties: {
+            property1: 'value-too-long',
+            property5: -1
+          }
+        }]
+      }
+    });
+    expect(response.status()).toEqual(400);
+    json = await response.json();
+    expect(json.type).toEqual('data.validation.schema');
+    expect(json.errors).toEqual(expect.arrayContaining([
+      expect.objectContaining({ path: '/state/property1' }),
+      expect.objectContaining({ path: '/state/property5' })
+    ]));
+
+    version = await postData(adminRequest, `${baseUrl}/home`, {
+      version,
+      collections: [{
+        collection: 'state',
+        properties: {
+          property1: 'value9',
+          property5: 1
+        }
+      }]
+    });
+
+    response = await adminRequest.delete(`${baseUrl}/home/_schema`, {
+      data: { collection: 'state' }
+    });
+    expect(response.ok()).toBeTruthy();
+    response = await adminRequest.delete(`${baseUrl}/home/_schema`, {
+      data: {}
+    });
+    expect(response.ok()).toBeTruthy();
+    response = await adminRequest.delete(`${baseUrl}/home/_schema`, {
+      data: {}
+    });
+    expect(response.status()).toEqual(404);
+
+    await getData(request, `${baseUrl}/home/_schema`, 204);
+  });
+
+  test('a collection named schema is served by the collection routes', async ({ adminRequest }) => {
+    version = await postData(adminRequest, `${baseUrl}/home`, {
+      version,
+      collections: [{
+        collection: 'schema',
+        properties: {
+          property1: 'value1'
+        }
+      }]
+    });
+
+    await getData(adminRequest, `${baseUrl}/home/schema`, json => {
+      expect(json.home.schema).toEqual({
+        property1: 'value1'
+      });
+    });
+
+    version = await deleteData(adminRequest, `${baseUrl}/home/schema`, {
+      version
+    });
+
+    await getData(adminRequest, `${baseUrl}/home/schema`, 404);
+  });
+
+  test('copy an application document into a new user document', async ({ userRequest, request }) => {
+    const userUrl = `${process.env.BASE_URL}/api/data/user`;
+
+    let response = await request.post(`${userUrl}/template/_from-app/home`);
+    expect(response.ok()).not.toBeTruthy();
+
+    const copyVersion = await postData(userRequest, `${userUrl}/template/_from-app/home`);
+    expect(copyVersion).toEqual('1');
+
+    await getData(userRequest, `${userUrl}/template`, json => {
+      expect(json).toEqual({
+        template: {
+          __version: copyVersion,
+          __versions: expect.any(Object),
+          state: {
+            property1: 'value1',
+            property2: 'value2',
+            property3: 'value3',
+            property4: 'value4'
+          },
+          friends: {
+            property1: 'value44',
+            property2: 'value55',
+            property3: 'value46'
+          }
+        }
+      });
+    });
+
+    // The copy is independent of the application document
+    await getData(userRequest, `${baseUrl}/home`, json => {
+      expect(json.home.__version).toEqual(version);
+    });
+
+    response = await userRequest.post(`${userUrl}/template/_from-app/home`);
+    expect(response.status()).toEqual(409);
+    response = await userRequest.post(`${userUrl}/other/_from-app/nonexistent`);
+    expect(response.status()).toEqual(404);
+
+    await deleteData(userRequest, `${userUrl}/template`, {
+      deleteDocument: true,
+      version: copyVersion
+    });
+  });
+
+  test('orphan garbage collection, dry run and batches', async ({ adminRequest, userRequest, request }) => {
+    const gcUrl = `${process.env.BASE_URL}/api/data/_gc`;
+    const expectCounts = {
+      collections: expect.any(Number),
+      properties: expect.any(Number),
+      batches: expect.any(Number)
+    };
+
+    let response = await request.post(gcUrl);
+    expect(response.status()).toEqual(403);
+    response = await userRequest.post(gcUrl);
+    expect(response.status()).toEqual(403);
+    response = await adminRequest.post(`${gcUrl}?batchSize=0`);
+    expect(response.status()).toEqual(400);
+
+    response = await adminRequest.post(`${gcUrl}?dryRun=true`);
+    expect(response.status()).toEqual(200);
+    let json = await response.json();
+    expect(json).toEqual(expect.objectContaining({
+      ok: true,
+      dryRun: true,
+      application: { ...expectCounts, batches: 0 },
+      user: { ...expectCounts, batches: 0 },
+      history: { application: expect.any(Number), user: expect.any(Number), batches: 0 }
+    }));
+
+    response = await adminRequest.post(`${gcUrl}?batchSize=10`);
+    expect(response.status()).toEqual(200);
+    json = await response.json();
+    expect(json).toEqual(expect.objectContaining({
+      ok: true,
+      dryRun: false,
+      batchSize: 10,
+      application: expectCounts,
+      user: expectCounts
+    }));
+    expect(json.application.batches).toBeGreaterThan(0);
+    expect(json.user.batches).toBeGreaterThan(0);
+
+    // The document still has all of its collections and properties
+    await getData(adminRequest, `${baseUrl}/home`, json => {
+      expect(json.home.state).toEqual({
+        property1: 'value1',
+        property2: 'value2',
+        property3: 'value3',
+        property4: 'value4'
+      });
+    });
+  });
+
   test('delete the home document entirely', async ({ adminRequest }) => {
     await getData(adminRequest, `${baseUrl}/home`, json => {
       expect(json).toEqual(expect.objectContaining({
@@ -26,7 +26,7 @@ import {
   deleteData,
   genericRequest
 } from './api.js';
-import { deleteHomeDocument } from './utils.js';
+import { deleteHomeDocument, subscribeChanges } from './utils.js';
 
 test.describe('/api/data/user', () => {
   let baseUrl;
@@ -126,6 +126,7 @@ test.describe('/api/data/user', () => {
       result: {
         home: {
           __version: version.admin,
+          __versions: expect.any(Object),
           state: {
             property1: 'value5',
             property2: 'value6',
@@ -144,6 +145,7 @@ test.describe('/api/data/user', () => {
       result: {
         home: {
           __version: version.user,
+          __versions: expect.any(Object),
           state: {
             property1: 'value1',
             property2: 'value2',
@@ -169,11 +171,56 @@ test.describe('/api/data/user', () => {
     await getData(request, baseUrl, 403);
   });
 
+  test('get user docs, colls, and props by page', async ({ userRequest }) => {
+    const aboutVersion = await postData(userRequest, `${baseUrl}/about`, {
+      version: '0',
+      collections: [{
+        collection: 'state',
+        properties: {
+          property1: 'value9'
+        }
+      }]
+    });
+
+    let next;
+    await getData(userRequest, `${baseUrl}?limit=1`, json => {
+      expect(json).toStrictEqual({
+        about: {
+          __version: aboutVersion,
+          __versions: expect.any(Object),
+          state: {
+            property1: 'value9'
+          }
+        },
+        __next: expect.any(String)
+      });
+      next = json.__next;
+    });
+
+    await getData(userRequest, `${baseUrl}?limit=1&cursor=${next}`, json => {
+      expect(json).toStrictEqual({
+        home: expect.objectContaining({
+          __version: version.user
+        })
+      });
+    });
+
+    await getData(userRequest, `${baseUrl}?limit=0`, 400);
+    await getData(userRequest, `${baseUrl}?limit=notalimit`, 400);
+    await getData(userRequest, `${baseUrl}?cursor=not%20a%20cursor`, 400);
+
+    await deleteData(userRequest, `${baseUrl}/about`, {
+      version: aboutVersion,
+      deleteDocument: true
+    });
+  });
+
   test('get user user application home', async ({ userRequest }) => {
     await getData(userRequest, `${baseUrl}/home`, json => {
       expect(json).toEqual(expect.objectContaining({
         home: {
           __version: version.user,
+          __versions: expect.any(Object),
           state: expect.objectContaining({
             property1: 'value1',
             property2: 'value2'
@@ -192,6 +239,7 @@ test.describe('/api/data/user', () => {
       expect(json).toEqual({
         home: {
           __version: version.admin,
+          __versions: expect.any(Object),
           state: expect.objectContaining({
             property1: 'value5',
             property2: 'value6'
@@ -220,6 +268,7 @@ test.describe('/api/data/user', () => {
       expect(json).toEqual({
         home: {
           __version: version.user,
+          __versions: expect.any(Object),
           state: expect.objectContaining({
             property1: 'value1',
             property2: 'value2'
@@ -232,6 +281,7 @@ test.describe('/api/data/user', () => {
       expect(json).toEqual({
         home: {
           __version: version.admin,
+          __versions: expect.any(Object),
           state: expect.objectContaining({
             property1: 'value5',
             property2: 'value6'
@@ -251,11 +301,54 @@ test.describe('/api/data/user', () => {
     }, 404);
   });
 
+  test('get a single property', async ({ userRequest, adminRequest }) => {
+    await getData(userRequest, `${baseUrl}/home/state/property2`, json => {
+      expect(json).toStrictEqual({
+        home: {
+          __version: version.user,
+          __versions: expect.any(Object),
+          state: {
+            property2: 'value2'
+          }
+        }
+      });
+    });
+
+    await getData(adminRequest, `${baseUrl}/home/state/property2`, json => {
+      expect(json).toStrictEqual({
+        home: {
+          __version: version.admin,
+          __versions: expect.any(Object),
+          state: {
+            property2: 'value6'
+          }
+        }
+      });
+    });
+  });
+
+  test('get a single property - public fail', async ({ request }) => {
+    await getData(request, `${baseUrl}/home/state/property2`, 403);
+  });
+
+  test('get non-existing property', async ({ userRequest, adminRequest }) => {
+    for (const requestor of [userRequest, adminRequest]) {
+      await getData(requestor, `${baseUrl}/home/state/nonexistant`, json => {
+        expect(json.ok).not.toBeTruthy();
+      }, 404);
+
+      await getData(requestor, `${baseUrl}/home/nonexistant/property2`, json => {
+        expect(json.ok).not.toBeTruthy();
+      }, 404);
+    }
+  });
+
   test('get specific multiple collections', async ({ userRequest }) => {
     await getData(userRequest, `${baseUrl}/home?collections=state&collections=friends`, json => {
       expect(json).toEqual({
         home: {
           __version: version.user,
+          __versions: expect.any(Object),
           state: expect.any(Object),
           friends: expect.any(Object)
         }
@@ -268,6 +361,7 @@ test.describe('/api/data/user', () => {
       expect(json).toEqual({
         home: {
           __version: version.user,
+          __versions: expect.any(Object),
           friends: expect.any(Object)
         }
       });
@@ -279,6 +373,7 @@ test.describe('/api/data/user', () => {
       expect(json).toEqual({
         home: {
           __version: expect.any(String),
+          __versions: expect.any(Object),
           friends: expect.any(Object)
         }
       });
@@ -290,17 +385,128 @@ test.describe('/api/data/user', () => {
       expect(json).toEqual({
         home: {
           __version: expect.any(String),
+          __versions: expect.any(Object),
           friends: expect.any(Object)
         }
       });
     });
   });
 
+  test('get projected properties, user', async ({ userRequest }) => {
+    await getData(userRequest, `${baseUrl}/home?properties=property1,property3`, json => {
+      expect(json).toStrictEqual({
+        home: {
+          __version: version.user,
+          __versions: expect.any(Object),
+          __properties: ['property1', 'property3'],
+          state: { property1: 'value1', property3: 'value3' },
+          friends: { property1: 'value44', property3: 'value46' }
+        }
+      });
+    });
+
+    // Collections without the projected properties are still sent
+    await getData(userRequest, `${baseUrl}/home?properties=property4&properties=property4&collections=friends`, json => {
+      expect(json).toStrictEqual({
+        home: {
+          __version: version.user,
+          __versions: expect.any(Object),
+          __properties: ['property4'],
+          friends: {}
+        }
+      });
+    });
+
+    await getData(userRequest, `${baseUrl}?fields=property2`, json => {
+      expect(json.home).toStrictEqual({
+        __version: version.user,
+        __versions: expect.any(Object),
+        __properties: ['property2'],
+        state: { property2: 'value2' },
+        friends: { property2: 'value55' }
+      });
+    });
+
+    await getData(userRequest, `${baseUrl}/home?properties=property1&where=property4:eq:value4`, json => {
+      expect(json).toStrictEqual({
+        home: {
+          __version: version.user,
+          __versions: expect.any(Object),
+          __properties: ['property1'],
+          state: { property1: 'value1' }
+        }
+      });
+    });
+
+    await getData(userRequest, `${baseUrl}/home?properties=`, 400);
+    await getData(userRequest, `${baseUrl}/home?properties=property1&since=1`, 400);
+    await getData(userRequest, `${baseUrl}?fields=,`, 400);
+    await getData(userRequest, `${baseUrl}/nonexistent?properties=property1`, 404);
+    await getData(userRequest, `${baseUrl}/home?properties=property1&collections=nonexistent`, 404);
+  });
+
+  test('get collections that match where filters, user', async ({ userRequest }) => {
+    const tasksUrl = `${baseUrl}/where-tasks`;
+    const tasksVersion = await postData(userRequest, tasksUrl, {
+      version: '0',
+      collections: [{
+        collection: 'task1',
+        properties: { status: 'open', priority: 5, meta: { owner: 'alex', tags: ['a', 'b'] } }
+      }, {
+        collection: 'task2',
+        properties: { status: 'closed', priority: 2, meta: { owner: 'sam' } }
+      }, {
+        collection: 'task3',
+        properties: { status: 'open', priority: 1, done: false, label: '42' }
+      }]
+    });
+
+    const expectTasks = (...tasks) => json => {
+      expect(Object.keys(json['where-tasks']).sort()).toEqual(['__version', ...tasks]);
+    };
+
+    await getData(userRequest, `${tasksUrl}?where=status:eq:open`, json => {
+      expect(json).toEqual({
+        'where-tasks': {
+          __version: tasksVersion,
+          __versions: expect.any(Object),
+          task1: { status: 'open', priority: 5, meta: { owner: 'alex', tags: ['a', 'b'] } },
+          task3: { status: 'open', priority: 1, done: false, label: '42' }
+        }
+      });
+    });
+    await getData(userRequest, `${tasksUrl}?where=status:eq:open&where=priority:gt:3`, expectTasks('task1'));
+    await getData(userRequest, `${tasksUrl}?where=status:ne:open`, expectTasks('task2'));
+    await getData(userRequest, `${tasksUrl}?where=meta.owner:eq:sam`, expectTasks('task2'));
+    await getData(userRequest, `${tasksUrl}?where=meta.tags.1:eq:b`, expectTasks('task1'));
+    await getData(userRequest, `${tasksUrl}?where=done:eq:false`, expectTasks('task3'));
+    await getData(userRequest, `${tasksUrl}?where=label:eq:"42"`, expectTasks('task3'));
+    await getData(userRequest, `${tasksUrl}?where=label:eq:42`, 204); // a number, not the string
+    await getData(userRequest, `${tasksUrl}?where=status:contains:lose`, expectTasks('task2'));
+    await getData(userRequest, `${tasksUrl}?where=priority:lte:2&collections=task2`, expectTasks('task2'));
+    await getData(userRequest, `${tasksUrl}?where=status:eq:nothing`, 204);
+
+    // No raw SQL, unknown operators, bad paths, and mismatched types are invalid
+    await getData(userRequest, `${tasksUrl}?where=status:like:open`, 400);
+    await getData(userRequest, `${tasksUrl}?where=meta.owner'):eq:sam`, 400);
+    await getData(userRequest, `${tasksUrl}?where=priority:contains:1`, 400);
+    await getData(userRequest, `${tasksUrl}?where=done:gt:true`, 400);
+    await getData(userRequest, `${tasksUrl}?where=status`, 400);
+    await getData(userRequest, `${tasksUrl}?where=status:eq:open&since=1`, 400);
+    await getData(userRequest, `${baseUrl}/nonexistent?where=status:eq:open`, 404);
+
+    await deleteData(userRequest, tasksUrl, {
+      deleteDocument: true,
+      version: tasksVersion
+    });
+  });
+
   test('mutate a single property, user', async ({ userRequest }) => {
     await getData(userRequest, `${baseUrl}/home/friends`, json => {
       expect(json).toEqual(expect.objectContaining({
         home: {
           __version: expect.any(String),
+          __versions: expect.any(Object),
           friends: expect.objectContaining({
             property2: 'value55'
           })
@@ -322,6 +528,7 @@ test.describe('/api/data/user', () => {
       expect(json).toStrictEqual({
         home: {
           __version: version.user,
+          __versions: expect.any(Object),
           friends: {
             property1: 'value44',
             property2: 'value45',
@@ -337,6 +544,7 @@ test.describe('/api/data/user', () => {
       expect(json).toEqual(expect.objectContaining({
         home: {
           __version: version.admin,
+          __versions: expect.any(Object),
           friends: expect.objectContaining({
             property2: 'value75'
           })
@@ -358,6 +566,7 @@ test.describe('/api/data/user', () => {
       expect(json).toStrictEqual({
         home: {
           __version: version.admin,
+          __versions: expect.any(Object),
           friends: {
             property1: 'value64',
             property2: 'value65',
@@ -413,11 +622,142 @@ test.describe('/api/data/user', () => {
     });
   });
 
+  test('bad collections are rejected by the api description', async ({ userRequest }) => {
+    let response = await userRequest.delete(`${baseUrl}/home`, {
+      data: { version: version.user, deleteDocument: false }
+    });
+    expect(response.status()).toEqual(400);
+    expect(await response.json()).toEqual(expect.objectContaining({
+      type: 'api.validation.request'
+    }));
+
+    response = await userRequest.post(`${baseUrl}/_transaction`, {
+      data: { operations: [{ operation: 'upsert', document: 'home', version: version.user }] }
+    });
+    expect(response.status()).toEqual(400);
+    expect(await response.json()).toEqual(expect.objectContaining({
+      type: 'api.validation.request'
+    }));
+  });
+
+  test('get user storage usage and quota limits', async ({ userRequest }) => {
+    await getData(userRequest, `${baseUrl}/usage`, json => {
+      expect(json).toStrictEqual({
+        usage: expect.objectContaining({
+          documents: expect.any(Number),
+          bytes: expect.any(Number),
+          history: {
+            versions: expect.any(Number),
+            bytes: expect.any(Number)
+          },
+          byDocument: expect.objectContaining({
+            home: {
+              collections: 2,
+              properties: 7,
+              bytes: expect.any(Number)
+            }
+          })
+        }),
+        limits: {
+          documents: expect.any(Number),
+          collections: expect.any(Number),
+          properties: expect.any(Number),
+          valueBytes: expect.any(Number),
+          bytes: expect.any(Number)
+        },
+        remaining: {
+          documents: expect.anything(),
+          bytes: expect.anything()
+        }
+      });
+      // The home document has history, and its bytes count in the total
+      expect(json.usage.history.versions).toBeGreaterThan(0);
+      expect(json.usage.bytes).toBeGreaterThanOrEqual(json.usage.history.bytes + json.usage.byDocument.home.bytes);
+    });
+  });
+
+  test('get user storage usage - public fail', async ({ request }) => {
+    await getData(request, `${baseUrl}/usage`, 403);
+  });
+
+  test('purge user data - public fail', async ({ request }) => {
+    await deleteData(request, baseUrl, {}, {
+      expectSuccess: false,
+      assertStatus: 403
+    });
+  });
+
+  test('purge user data removes the shares with the user and the kept responses', async ({ userRequest, adminRequest }) => {
+    const userEmail = `user-${test.info().parallelIndex}@test.local`;
+
+    let response = await adminRequest.post(`${baseUrl}/home/_share`, {
+      data: { email: userEmail, access: 'read' }
+    });
+    expect(response.status()).toEqual(200);
+
+    version.user = await postData(userRequest, `${baseUrl}/home`, {
+      version: version.user,
+      collections: [{
+        collection: 'state',
+        properties: { property1: 'purged1' }
+      }]
+    }, {
+      headers: { 'Idempotency-Key': `test-purge-${Date.now()}` }
+    });
+
+    response = await userRequest.delete(baseUrl);
+    expect(response.status()).toEqual(200);
+    const json = await response.json();
+    expect(json.purged).toEqual({
+      documents: expect.any(Number),
+      collections: expect.any(Number),
+      properties: expect.any(Number),
+      shares: 1,
+      idempotencyKeys: expect.any(Number)
+    });
+    expect(json.purged.documents).toBeGreaterThanOrEqual(1);
+    expect(json.purged.idempotencyKeys).toBeGreaterThanOrEqual(1);
+
+    await getData(adminRequest, `${baseUrl}/home/_share`, 204);
+    await getData(userRequest, `${baseUrl}/home`, 404);
+
+    // for the cleanup
+    version.user = await postData(userRequest, `${baseUrl}/home`, {
+      version: '0',
+      collections: [{
+        collection: 'state',
+        properties: { property1: 'value1' }
+      }]
+    });
+  });
+
+  test('post a property value over the quota limit', async ({ userRequest }) => {
+    let valueBytes;
+    await getData(userRequest, `${baseUrl}/usage`, json => {
+      valueBytes = json.limits.valueBytes;
+    });
+
+    await postData(userRequest, `${baseUrl}/home`, {
+      version: version.user,
+      collections: [{
+        collection: 'state',
+        properties: {
+          property1: 'x'.repeat(valueBytes) // plus the JSON quotes
+        }
+      }]
+    }, {
+      expectSuccess: false,
+      assertStatus: 413,
+      expectResponseSuccess: false
+    });
+  });
+
   test('delete a single property, user', async ({ userRequest }) => {
     await getData(userRequest, `${baseUrl}/home/friends`, json => {
       expect(json).toEqual(expect.objectContaining({
         home: {
           __version: expect.any(String),
+          __versions: expect.any(Object),
           friends: expect.objectContaining({
             property3: 'value46'
           })
@@ -437,6 +777,7 @@ test.describe('/api/data/user', () => {
       expect(json).toEqual(expect.objectContaining({
         home: {
           __version: version.user,
+          __versions: expect.any(Object),
           friends: {
             property1: 'value44',
             property2: 'value55'
@@ -447,6 +788,7 @@ test.describe('/api/data/user', () => {
       expect(json).not.toEqual(expect.objectContaining({
         home: {
           __version: expect.any(String),
+          __versions: expect.any(Object),
           friends: expect.objectContaining({
             property3: 'value46'
           })
@@ -460,6 +802,7 @@ test.describe('/api/data/user', () => {
       expect(json).toEqual(expect.objectContaining({
         home: {
           __version: expect.any(String),
+          __versions: expect.any(Object),
           friends: expect.objectContaining({
             property3: 'value66'
           })
@@ -479,6 +822,7 @@ test.describe('/api/data/user', () => {
       expect(json).toEqual(expect.objectContaining({
         home: {
           __version: version.admin,
+          __versions: expect.any(Object),
           friends: expect.objectContaining({
             property1: 'value64',
             property2: 'value75'
@@ -488,6 +832,7 @@ test.describe('/api/data/user', () => {
       expect(json).not.toEqual(expect.objectContaining({
         home: {
           __version: expect.any(String),
+          __versions: expect.any(Object),
           friends: expect.objectContaining({
             property3: 'value66'
           })
@@ -512,6 +857,7 @@ test.describe('/api/data/user', () => {
       expect(json).toStrictEqual({
         home: {
           __version: version.user,
+          __versions: expect.any(Object),
           girls: {
             property1: 'value1',
             property2: 'value2'
@@ -547,6 +893,7 @@ test.describe('/api/data/user', () => {
       expect(json).toStrictEqual({
         home: {
           __version: version.admin,
+          __versions: expect.any(Object),
           girls: {
             property1: 'value11',
             property2: 'value12'
@@ -580,6 +927,7 @@ test.describe('/api/data/user', () => {
       expect(json).toEqual({
         home: {
           __version: version.user,
+          __versions: expect.any(Object),
           state: expect.any(Object),
           friends: expect.any(Object),
           girls: {}
@@ -602,6 +950,7 @@ test.describe('/api/data/user', () => {
       expect(json).toEqual({
         home: {
           __version: version.user,
+          __versions: expect.any(Object),
           state: expect.any(Object),
           friends: expect.any(Object),
           girls: {}
@@ -615,6 +964,7 @@ test.describe('/api/data/user', () => {
       expect(json).toEqual(expect.objectContaining({
         home: {
           __version: expect.any(String),
+          __versions: expect.any(Object),
           friends: expect.objectContaining({
             property1: 'value44'
           })
@@ -630,6 +980,7 @@ test.describe('/api/data/user', () => {
       expect(json).toEqual(expect.objectContaining({
         home: {
           __version: version.user,
+          __versions: expect.any(Object),
           state: expect.any(Object)
         }
       }));
@@ -645,6 +996,7 @@ test.describe('/api/data/user', () => {
       expect(json).toEqual(expect.objectContaining({
         home: {
           __version: expect.any(String),
+          __versions: expect.any(Object),
           friends: expect.objectContaining({
             property1: 'value64'
           })
@@ -660,6 +1012,7 @@ test.describe('/api/data/user', () => {
       expect(json).toEqual(expect.objectContaining({
         home: {
           __version: version.admin,
+          __versions: expect.any(Object),
           state: expect.any(Object)
         }
       }));
@@ -670,6 +1023,1160 @@ test.describe('/api/data/user', () => {
     }, 404);
   });
 
+  test('changes to a user document are published to the owner', async ({ userRequest }) => {
+    const changes = await subscribeChanges(userRequest);
+    try {
+      version.user = await postData(userRequest, `${baseUrl}/home`, {
+        version: version.user,
+        collections: [{
+          collection: 'friends',
+          properties: { property1: 'published1' }
+        }]
+      });
+
+      const change = await changes.waitForChange(
+        change => change.storeType.startsWith('user:') && change.document === 'home' && change.version === version.user
+      );
+      expect(change).toStrictEqual({
+        storeType: expect.stringMatching(/^user:[0-9a-f]{64}$/),
+        document: 'home',
+        version: version.user,
+        collections: ['friends']
+      });
+    } finally {
+      changes.close();
+    }
+  });
+
+  test('get document history - public fail', async ({ request }) => {
+    await getData(request, `${baseUrl}/home/_history`, 403);
+  });
+
+  test('document history records changes, user', async ({ userRequest }) => {
+    const createdVersion = version.user;
+
+    version.user = await postData(userRequest, `${baseUrl}/home`, {
+      version: version.user,
+      collections: [{
+        collection: 'friends',
+        properties: {
+          property1: 'value45'
+        }
+      }]
+    });
+
+    await getData(userRequest, `${baseUrl}/home/_history`, json => {
+      const [updated, created] = json.home;
+
+      expect(updated).toEqual({
+        version: version.user,
+        operation: 'upsert',
+        changedBy: expect.any(String),
+        changedAt: expect.any(String),
+        collections: [{
+          collection: 'friends',
+          properties: {
+            property1: 'value45'
+          }
+        }]
+      });
+
+      expect(created).toEqual(expect.objectContaining({
+        version: createdVersion,
+        operation: 'upsert'
+      }));
+    });
+
+    await getData(userRequest, `${baseUrl}/home/_history/${createdVersion}`, json => {
+      expect(json.home.version).toEqual(createdVersion);
+    });
+  });
+
+  test('document history is private to each user', async ({ userRequest, adminRequest }) => {
+    version.user = await deleteData(userRequest, `${baseUrl}/home`, {
+      version: version.user,
+      collections: [{
+        collection: 'state',
+        properties: ['property4']
+      }]
+    });
+
+    await getData(adminRequest, `${baseUrl}/home/_history`, json => {
+      expect(json.home[0]).toEqual(expect.objectContaining({
+        version: version.admin,
+        operation: 'upsert'
+      }));
+    });
+
+    await getData(userRequest, `${baseUrl}/home/_history/${version.user}`, json => {
+      expect(json.home).toEqual(expect.objectContaining({
+        operation: 'delete',
+        collections: [{
+          collection: 'state',
+          properties: ['property4']
+        }]
+      }));
+    });
+  });
+
+  test('restore a document to a previous version, user', async ({ userRequest, adminRequest }) => {
+    const targetVersion = version.user;
+
+    version.user = await deleteData(userRequest, `${baseUrl}/home`, {
+      version: version.user,
+      collections: [{
+        collection: 'state',
+        properties: ['property1', 'property2']
+      }]
+    });
+
+    version.user = await postData(userRequest, `${baseUrl}/home/restore`, {
+      version: version.user,
+      targetVersion
+    });
+
+    await getData(userRequest, `${baseUrl}/home/state`, json => {
+      expect(json).toEqual({
+        home: {
+          __version: version.user,
+          __versions: expect.any(Object),
+          state: {
+            property1: 'value1',
+            property2: 'value2',
+            property3: 'value3',
+            property4: 'value4'
+          }
+        }
+      });
+    });
+
+    // The admin user document is unaffected
+    await getData(adminRequest, `${baseUrl}/home`, json => {
+      expect(json.home.__version).toEqual(version.admin);
+    });
+  });
+
+  test('restore public fail', async ({ request }) => {
+    await postData(request, `${baseUrl}/home/restore`, {
+      version: version.user,
+      targetVersion: version.user
+    }, {
+      expectSuccess: false,
+      assertStatus: 403,
+      expectResponseSuccess: false
+    });
+  });
+
+  test('trash, restore, and empty the trash, user', async ({ userRequest, request }) => {
+    await getData(request, `${baseUrl}/_trash`, 403);
+
+    version.user = await deleteData(userRequest, `${baseUrl}/home/friends`, {
+      version: version.user
+    });
+    await getData(userRequest, `${baseUrl}/home/friends`, 404);
+
+    let trashItem;
+    await getData(userRequest, `${baseUrl}/_trash`, json => {
+      trashItem = json.trash.find(item => item.document === 'home' && item.collection === 'friends');
+      expect(trashItem).toEqual({
+        id: expect.any(String),
+        document: 'home',
+        collection: 'friends',
+        version: expect.any(String),
+        deletedBy: expect.any(String),
+        deletedAt: expect.any(String),
+        expiresAt: expect.any(String)
+      });
+    });
+
+    // Restore is a new version of the current document
+    await postData(userRequest, `${baseUrl}/_trash/${trashItem.id}/restore`, {
+      version: '0'
+    }, {
+      expectSuccess: false,
+      assertStatus: 409,
+      expectResponseSuccess: false,
+      expectVersionError: true
+    });
+    version.user = await postData(userRequest, `${baseUrl}/_trash/${trashItem.id}/restore`, {
+      version: version.user
+    });
+    await getData(userRequest, `${baseUrl}/home/friends`, json => {
+      expect(json).toEqual({
+        home: {
+          __version: version.user,
+          __versions: expect.any(Object),
+          friends: {
+            property1: 'value44',
+            property2: 'value55',
+            property3: 'value46'
+          }
+        }
+      });
+    });
+
+    // Restored items are out of the trash
+    await postData(userRequest, `${baseUrl}/_trash/${trashItem.id}/restore`, {
+      version: version.user
+    }, {
+      expectSuccess: false,
+      assertStatus: 404,
+      expectResponseSuccess: false
+    });
+
+    await deleteData(userRequest, `${baseUrl}/_trash/${trashItem.id}`, undefined, {
+      expectSuccess: false,
+      assertStatus: 404,
+      expectResponseSuccess: false
+    });
+    const response = await userRequest.delete(`${baseUrl}/_trash`);
+    expect(response.status()).toEqual(200);
+    expect(await response.json()).toEqual(expect.objectContaining({
+      ok: true,
+      deleted: expect.any(Number)
+    }));
+    await getData(userRequest, `${baseUrl}/_trash`, json => {
+      expect(json.trash).toEqual([]);
+    });
+  });
+
+  test('idempotency key replays, user', async ({ userRequest }) => {
+    const headers = { 'Idempotency-Key': `test-${Date.now()}` };
+    const data = {
+      version: version.user,
+      collections: {
+        collection: 'idempotent',
+        properties: { property1: 'value1' }
+      }
+    };
+
+    version.user = await postData(userRequest, `${baseUrl}/home`, data, { headers });
+
+    // A replay gets the original response instead of a version conflict
+    const replayVersion = await postData(userRequest, `${baseUrl}/home`, data, { headers });
+    expect(replayVersion).toEqual(version.user);
+
+    // The key cannot be used for a different request
+    await postData(userRequest, `${baseUrl}/home`, { ...data, version: version.user }, {
+      headers,
+      expectSuccess: false,
+      assertStatus: 422,
+      expectResponseSuccess: false
+    });
+
+    version.user = await deleteData(userRequest, `${baseUrl}/home/idempotent`, {
+      version: version.user
+    });
+  });
+
+  test('idempotency key concurrent repeats are applied once, user', async ({ userRequest }) => {
+    const headers = { 'Idempotency-Key': `test-concurrent-${Date.now()}` };
+    const data = {
+      version: version.user,
+      collections: {
+        collection: 'idempotent',
+        properties: { property1: 'value1' }
+      }
+    };
+
+    const responses = await Promise.all([1, 2, 3].map(() => userRequest.post(`${baseUrl}/home`, { data, headers })));
+
+    const results = await Promise.all(responses.map(async response => ({
+      status: response.status(),
+      retryAfter: response.headers()['retry-after'],
+      json: await response.json()
+    })));
+
+    // Each repeat gets the kept response, or is told the request is in flight, never a version conflict
+    const applied = results.filter(result => result.status === 200);
+    const inFlight = results.filter(result => result.status === 409);
+    expect(applied.length + inFlight.length).toEqual(results.length);
+    expect(applied.length).toBeGreaterThan(0);
+
+    const newVersion = applied[0].json.newVersion;
+    expect(applied.map(result => result.json.newVersion)).toEqual(applied.map(() => newVersion));
+    expect(inFlight.map(result => [result.json.type, typeof result.retryAfter])).toEqual(
+      inFlight.map(() => ['data.idempotency.inFlight', 'string'])
+    );
+
+    // Once settled, a repeat gets the kept response
+    const replayVersion = await postData(userRequest, `${baseUrl}/home`, data, { headers });
+    expect(replayVersion).toEqual(newVersion);
+    version.user = newVersion;
+
+    version.user = await deleteData(userRequest, `${baseUrl}/home/idempotent`, {
+      version: version.user
+    });
+  });
+
+  test('expiring properties, user', async ({ userRequest }) => {
+    await postData(userRequest, `${baseUrl}/home`, {
+      version: version.user,
+      collections: {
+        collection: 'expiring',
+        properties: { token: 'value1' },
+        ttl: { missing: 60 }
+      }
+    }, {
+      expectSuccess: false,
+      assertStatus: 400,
+      expectResponseSuccess: false
+    });
+
+    version.user = await postData(userRequest, `${baseUrl}/home`, {
+      version: version.user,
+      collections: {
+        collection: 'expiring',
+        properties: { token: 'value1', brief: 'value2', keep: 'value3' },
+        ttl: { token: 3600, brief: 1 }
+      }
+    });
+    await getData(userRequest, `${baseUrl}/home/expiring`, json => {
+      expect(json).toEqual({
+        home: {
+          __version: version.user,
+          __versions: expect.any(Object),
+          __expires: {
+            expiring: {
+              token: expect.any(String),
+              brief: expect.any(String)
+            }
+          },
+          expiring: {
+            token: 'value1',
+            brief: 'value2',
+            keep: 'value3'
+          }
+        }
+      });
+    });
+
+    // Expired properties are not read, even before they are swept
+    await new Promise(resolve => setTimeout(resolve, 2100));
+    await getData(userRequest, `${baseUrl}/home/expiring`, json => {
+      expect(json.home.expiring).toEqual({
+        token: 'value1',
+        keep: 'value3'
+      });
+      expect(json.home.__expires.expiring).toEqual({
+        token: expect.any(String)
+      });
+    });
+
+    version.user = await deleteData(userRequest, `${baseUrl}/home/expiring`, {
+      version: version.user
+    });
+  });
+
+  test('collection versions, user', async ({ userRequest }) => {
+    version.user = await postData(userRequest, `${baseUrl}/home`, {
+      version: version.user,
+      collections: [{
+        collection: 'versioned1',
+        properties: { property1: 'value1' }
+      }, {
+        collection: 'versioned2',
+        properties: { property1: 'value1' }
+      }]
+    });
+
+    let versions;
+    await getData(userRequest, `${baseUrl}/home?collections=versioned1&collections=versioned2`, json => {
+      expect(json.home.__versions).toEqual({
+        versioned1: version.user,
+        versioned2: version.user
+      });
+      versions = json.home.__versions;
+    });
+
+    // A change to another collection of the document is not a conflict for a collection version
+    version.user = await postData(userRequest, `${baseUrl}/home`, {
+      collections: {
+        collection: 'versioned2',
+        version: versions.versioned2,
+        properties: { property1: 'value2' }
+      }
+    });
+    version.user = await postData(userRequest, `${baseUrl}/home`, {
+      collections: {
+        collection: 'versioned1',
+        version: versions.versioned1,
+        properties: { property1: 'value2' }
+      }
+    });
+
+    // A change to the same collection is
+    await postData(userRequest, `${baseUrl}/home`, {
+      collections: {
+        collection: 'versioned2',
+        version: versions.versioned2,
+        properties: { property1: 'value3' }
+      }
+    }, {
+      expectSuccess: false,
+      assertStatus: 409,
+      expectResponseSuccess: false
+    });
+
+    await postData(userRequest, `${baseUrl}/home`, {
+      collections: {
+        collection: 'versioned2',
+        version: 'bad',
+        properties: { property1: 'value3' }
+      }
+    }, {
+      expectSuccess: false,
+      assertStatus: 400,
+      expectResponseSuccess: false
+    });
+
+    await getData(userRequest, `${baseUrl}/home?collections=versioned1&collections=versioned2`, json => {
+      expect(json.home.__versions).toEqual({
+        versioned1: version.user,
+        versioned2: `${Number(version.user) - 1}`
+      });
+      versions = json.home.__versions;
+    });
+
+    version.user = await deleteData(userRequest, `${baseUrl}/home`, {
+      collections: [{
+        collection: 'versioned1',
+        version: versions.versioned1
+      }, {
+        collection: 'versioned2',
+        version: versions.versioned2
+      }]
+    });
+  });
+
+  test('transaction commits operations across documents', async ({ userRequest }) => {
+    const response = await userRequest.post(`${baseUrl}/_transaction`, {
+      data: {
+        operations: [{
+          operation: 'upsert',
+          document: 'about',
+          version: '0',
+          collections: [{
+            collection: 'state',
+            properties: { property1: 'value9' }
+          }]
+        }, {
+          operation: 'delete',
+          document: 'home',
+          version: version.user,
+          collections: [{
+            collection: 'state',
+            properties: ['property1']
+          }]
+        }, {
+          operation: 'upsert',
+          document: 'home',
+          version: version.user,
+          collections: [{
+            collection: 'friends',
+            properties: { property4: 'value47' }
+          }]
+        }]
+      }
+    });
+    expect(response.status()).toEqual(200);
+
+    const json = await response.json();
+    expect(json).toEqual(expect.objectContaining({
+      ok: true,
+      versions: {
+        about: expect.any(String),
+        home: `${BigInt(version.user) + 2n}`
+      }
+    }));
+    version.user = json.versions.home;
+
+    await getData(userRequest, `${baseUrl}/home`, json => {
+      expect(json.home.state).not.toHaveProperty('property1');
+      expect(json.home.friends).toHaveProperty('property4', 'value47');
+    });
+
+    await deleteData(userRequest, `${baseUrl}/about`, {
+      version: json.versions.about,
+      deleteDocument: true
+    });
+  });
+
+  test('transaction rolls back all operations on a version error', async ({ userRequest }) => {
+    const response = await userRequest.post(`${baseUrl}/_transaction`, {
+      data: {
+        operations: [{
+          operation: 'upsert',
+          document: 'about',
+          version: '0',
+          collections: [{
+            collection: 'state',
+            properties: { property1: 'value9' }
+          }]
+        }, {
+          operation: 'delete',
+          document: 'home',
+          version: `${BigInt(version.user) + 1n}`,
+          deleteDocument: true
+        }]
+      }
+    });
+    expect(response.status()).toEqual(409);
+    expect((await response.json()).versionError).toBeTruthy();
+
+    await getData(userRequest, `${baseUrl}/about`, 404);
+    await getData(userRequest, `${baseUrl}/home`, json => {
+      expect(json.home.__version).toEqual(version.user);
+    });
+  });
+
+  test('transaction deletes check the collection versions', async ({ userRequest }) => {
+    version.user = await postData(userRequest, `${baseUrl}/home`, {
+      version: version.user,
+      collections: [{
+        collection: 'txversioned',
+        properties: { property1: 'value1' }
+      }]
+    });
+
+    let staleVersion;
+    await getData(userRequest, `${baseUrl}/home?collections=txversioned`, json => {
+      staleVersion = json.home.__versions.txversioned;
+    });
+
+    version.user = await postData(userRequest, `${baseUrl}/home`, {
+      version: version.user,
+      collections: [{
+        collection: 'txversioned',
+        properties: { property1: 'value2' }
+      }]
+    });
+
+    // The document version is current, but the collection changed since its expected version
+    const response = await userRequest.post(`${baseUrl}/_transaction`, {
+      data: {
+        operations: [{
+          operation: 'delete',
+          document: 'home',
+          version: version.user,
+          collections: [{
+            collection: 'txversioned',
+            version: staleVersion,
+            properties: ['property1']
+          }]
+        }]
+      }
+    });
+    expect(response.status()).toEqual(409);
+    expect((await response.json()).versionError).toBeTruthy();
+
+    await getData(userRequest, `${baseUrl}/home?collections=txversioned`, json => {
+      expect(json.home.__version).toEqual(version.user);
+      expect(json.home.txversioned).toHaveProperty('property1', 'value2');
+    });
+
+    version.user = await deleteData(userRequest, `${baseUrl}/home`, {
+      version: version.user,
+      collections: [{
+        collection: 'txversioned'
+      }]
+    });
+  });
+
+  test('transaction checks each operation against the earlier operations, quota', async ({ userRequest }) => {
+    let limit;
+    await getData(userRequest, `${baseUrl}/usage`, json => {
+      limit = json.limits.properties;
+    });
+
+    // Each operation is within the properties limit, together they are over it
+    const half = Math.floor(limit / 2) + 1;
+    const makeProperties = prefix => Object.fromEntries(
+      Array.from({ length: half }, (_, index) => [`${prefix}${index}`, index])
+    );
+    const response = await userRequest.post(`${baseUrl}/_transaction`, {
+      data: {
+        operations: ['a', 'b'].map(prefix => ({
+          operation: 'upsert',
+          document: 'about',
+          version: '0',
+          collections: [{
+            collection: 'state',
+            properties: makeProperties(prefix)
+          }]
+        }))
+      }
+    });
+    expect(response.status()).toEqual(422);
+    expect((await response.json()).type).toEqual('data.quota.properties');
+
+    await getData(userRequest, `${baseUrl}/about`, 404);
+  });
+
+  test('transaction checks each operation against the earlier operations, schema', async ({ userRequest, adminRequest }) => {
+    const schemaUrl = `${baseUrl}/tx-schema/_schema`;
+    let response = await adminRequest.post(schemaUrl, {
+      data: {
+        collection: 'state',
+        schema: { type: 'object', required: ['property1'] }
+      }
+    });
+    expect(response.ok()).toBeTruthy();
+
+    const documentVersion = await postData(userRequest, `${baseUrl}/tx-schema`, {
+      version: '0',
+      collections: [{
+        collection: 'state',
+        properties: { property1: 'value1' }
+      }]
+    });
+
+    // The upsert is valid for the stored document, but not after the delete before it
+    response = await userRequest.post(`${baseUrl}/_transaction`, {
+      data: {
+        operations: [{
+          operation: 'delete',
+          document: 'tx-schema',
+          version: documentVersion,
+          collections: [{
+            collection: 'state',
+            properties: ['property1']
+          }]
+        }, {
+          operation: 'upsert',
+          document: 'tx-schema',
+          version: documentVersion,
+          collections: [{
+            collection: 'state',
+            properties: { property2: 'value2' }
+          }]
+        }]
+      }
+    });
+    expect(response.status()).toEqual(400);
+    expect((await response.json()).type).toEqual('data.validation.schema');
+
+    await getData(userRequest, `${baseUrl}/tx-schema/state`, json => {
+      expect(json['tx-schema'].state).toEqual({ property1: 'value1' });
+    });
+
+    response = await adminRequest.delete(schemaUrl, {
+      data: { collection: 'state' }
+    });
+    expect(response.ok()).toBeTruthy();
+    await deleteData(userRequest, `${baseUrl}/tx-schema`, {
+      deleteDocument: true,
+      version: documentVersion
+    });
+  });
+
+  test('transaction bad input', async ({ userRequest, request }) => {
+    for (const data of [{}, { operations: [] }, { operations: [{ operation: 'replace', document: 'home', version: '0' }] }]) {
+      const response = await userRequest.post(`${baseUrl}/_transaction`, { data });
+      expect(response.status()).toEqual(400);
+    }
+
+    const response = await request.post(`${baseUrl}/_transaction`, { data: { operations: [] } });
+    expect(response.status()).toEqual(403);
+  });
+
+  test('share a document with another user', async ({ userRequest, adminRequest }) => {
+    const sharedUrl = `${process.env.BASE_URL}/api/data/shared`;
+    const adminEmail = `admin-${test.info().parallelIndex}@test.local`;
+    const userEmail = `user-${test.info().parallelIndex}@test.local`;
+
+    await getData(userRequest, `${baseUrl}/home/_share`, 204);
+
+    let response = await userRequest.post(`${baseUrl}/home/_share`, {
+      data: { email: adminEmail, access: 'read' }
+    });
+    expect(response.status()).toEqual(200);
+
+    await getData(userRequest, `${baseUrl}/home/_share`, json => {
+      expect(json).toStrictEqual({
+        home: {
+          [adminEmail]: {
+            access: 'read',
+            grantedAt: expect.any(String)
+          }
+        }
+      });
+    });
+
+    let ownerId;
+    await getData(adminRequest, sharedUrl, json => {
+      [ownerId] = Object.entries(json).find(([, owner]) => owner.email === userEmail);
+      expect(json[ownerId].documents).toEqual(expect.objectContaining({
+        home: {
+          access: 'read',
+          __version: version.user
+        }
+      }));
+    });
+
+    await getData(adminRequest, `${sharedUrl}/${ownerId}/home/state`, json => {
+      expect(json).toEqual({
+        home: {
+          __version: version.user,
+          __versions: expect.any(Object),
+          state: {
+            property1: 'value1',
+            property2: 'value2',
+            property3: 'value3',
+            property4: 'value4'
+          }
+        }
+      });
+    });
+
+    const update = {
+      collections: [{
+        collection: 'state',
+        properties: { property1: 'shared1' }
+      }]
+    };
+    await postData(adminRequest, `${sharedUrl}/${ownerId}/home`, {
+      version: version.user,
+      ...update
+    }, {
+      expectSuccess: false,
+      assertStatus: 403,
+      expectResponseSuccess: false
+    });
+
+    response = await userRequest.post(`${baseUrl}/home/_share`, {
+      data: { email: adminEmail, access: 'write' }
+    });
+    expect(response.status()).toEqual(200);
+
+    version.user = await postData(adminRequest, `${sharedUrl}/${ownerId}/home`, {
+      version: version.user,
+      ...update
+    });
+
+    await getData(userRequest, `${baseUrl}/home/state/property1`, json => {
+      expect(json.home.state.property1).toEqual('shared1');
+    });
+
+    await deleteData(adminRequest, `${sharedUrl}/${ownerId}/home`, {
+      version: version.user,
+      deleteDocument: true
+    }, {
+      expectSuccess: false,
+      assertStatus: 403,
+      expectResponseSuccess: false
+    });
+
+    response = await userRequest.delete(`${baseUrl}/home/_share`, {
+      data: { email: adminEmail }
+    });
+    expect(response.status()).toEqual(200);
+
+    await getData(adminRequest, `${sharedUrl}/${ownerId}/home`, 403);
+  });
+
+  test('changes to a shared document are published to the grantee', async ({ userRequest, adminRequest }) => {
+    const sharedUrl = `${process.env.BASE_URL}/api/data/shared`;
+    const adminEmail = `admin-${test.info().parallelIndex}@test.local`;
+    const userEmail = `user-${test.info().parallelIndex}@test.local`;
+
+    let response = await userRequest.post(`${baseUrl}/home/_share`, {
+      data: { email: adminEmail, access: 'read' }
+    });
+    expect(response.status()).toEqual(200);
+
+    let ownerId;
+    await getData(adminRequest, sharedUrl, json => {
+      [ownerId] = Object.entries(json).find(([, owner]) => owner.email === userEmail);
+    });
+
+    const changes = await subscribeChanges(adminRequest);
+    try {
+      version.user = await postData(userRequest, `${baseUrl}/home`, {
+        version: version.user,
+        collections: [{
+          collection: 'state',
+          properties: { property1: 'published1' }
+        }]
+      });
+
+      const change = await changes.waitForChange(change => change.storeType === `shared:${ownerId}`);
+      expect(change).toStrictEqual({
+        storeType: `shared:${ownerId}`,
+        document: 'home',
+        version: version.user,
+        collections: ['state']
+      });
+    } finally {
+      changes.close();
+    }
+
+    response = await userRequest.delete(`${baseUrl}/home/_share`, {
+      data: { email: adminEmail }
+    });
+    expect(response.status()).toEqual(200);
+  });
+
+  test('share bad input', async ({ userRequest, request }) => {
+    await postData(userRequest, `${baseUrl}/home/_share`, {
+      email: 'nobody@test.local',
+      access: 'read'
+    }, {
+      expectSuccess: false,
+      assertStatus: 404,
+      expectResponseSuccess: false
+    });
+
+    await postData(userRequest, `${baseUrl}/home/_share`, {
+      email: 'nobody@test.local',
+      access: 'owner'
+    }, {
+      expectSuccess: false,
+      assertStatus: 400,
+      expectResponseSuccess: false
+    });
+
+    await getData(request, `${process.env.BASE_URL}/api/data/shared`, 403);
+  });
+
+  test('collections named share and link are served by the collection routes', async ({ userRequest }) => {
+    for (const collection of ['share', 'link']) {
+      version.user = await postData(userRequest, `${baseUrl}/home`, {
+        version: version.user,
+        collections: [{
+          collection,
+          properties: {
+            property1: 'value1'
+          }
+        }]
+      });
+
+      await getData(userRequest, `${baseUrl}/home/${collection}`, json => {
+        expect(json.home[collection]).toEqual({
+          property1: 'value1'
+        });
+      });
+
+      version.user = await deleteData(userRequest, `${baseUrl}/home/${collection}`, {
+        version: version.user
+      });
+
+      await getData(userRequest, `${baseUrl}/home/${collection}`, 404);
+    }
+  });
+
+  test('public document links', async ({ userRequest, request }) => {
+    const linkUrl = `${process.env.BASE_URL}/api/data/link`;
+
+    await getData(userRequest, `${baseUrl}/home/_link`, 204);
+
+    let response = await userRequest.post(`${baseUrl}/home/_link`, { data: {} });
+    expect(response.status()).toEqual(200);
+    const { token, linkId, expiresAt } = await response.json();
+    expect(expiresAt).toBeNull();
+
+    response = await userRequest.post(`${baseUrl}/home/_link`, { data: { expiresIn: 3600 } });
+    expect(response.status()).toEqual(200);
+    const expiring = await response.json();
+    expect(Date.parse(expiring.expiresAt)).toBeGreaterThan(Date.now());
+
+    await getData(userRequest, `${baseUrl}/home/_link`, json => {
+      expect(json).toStrictEqual({
+        home: {
+          [linkId]: {
+            createdAt: expect.any(String),
+            expiresAt: null
+          },
+          [expiring.linkId]: {
+            createdAt: expect.any(String),
+            expiresAt: expiring.expiresAt
+          }
+        }
+      });
+    });
+
+    await getData(request, `${linkUrl}/${token}`, json => {
+      expect(json).toEqual({
+        home: {
+          __version: version.user,
+          __versions: expect.any(Object),
+          state: {
+            property1: 'value1',
+            property2: 'value2',
+            property3: 'value3',
+            property4: 'value4'
+          },
+          friends: {
+            property1: 'value44',
+            property2: 'value55',
+            property3: 'value46'
+          }
+        }
+      });
+    });
+
+    for (const id of [linkId, expiring.linkId]) {
+      response = await userRequest.delete(`${baseUrl}/home/_link/${id}`);
+      expect(response.status()).toEqual(200);
+    }
+
+    await getData(request, `${linkUrl}/${token}`, 404);
+    await getData(request, `${linkUrl}/${expiring.token}`, 404);
+
+    response = await userRequest.delete(`${baseUrl}/home/_link/${linkId}`);
+    expect(response.status()).toEqual(404);
+    response = await userRequest.post(`${baseUrl}/home/_link`, { data: { expiresIn: -1 } });
+    expect(response.status()).toEqual(400);
+    response = await userRequest.post(`${baseUrl}/nonexistent/_link`, { data: {} });
+    expect(response.status()).toEqual(404);
+  });
+
+  test('rename and move documents and collections, user', async ({ userRequest }) => {
+    const friends = {
+      property1: 'value44',
+      property2: 'value55',
+      property3: 'value46'
+    };
+
+    // Rename the document and back
+    const renamedVersion = await postData(userRequest, `${baseUrl}/home/_rename`, {
+      version: version.user,
+      name: 'renamed'
+    });
+    await getData(userRequest, `${baseUrl}/home`, 404);
+    await getData(userRequest, `${baseUrl}/renamed/friends`, json => {
+      expect(json).toEqual({
+        renamed: {
+          __version: renamedVersion,
+          __versions: expect.any(Object),
+          friends
+        }
+      });
+    });
+    await postData(userRequest, `${baseUrl}/renamed/_rename`, {
+      version: version.user,
+      name: 'home'
+    }, {
+      expectSuccess: false,
+      assertStatus: 409,
+      expectResponseSuccess: false,
+      expectVersionError: true
+    });
+    version.user = await postData(userRequest, `${baseUrl}/renamed/_rename`, {
+      version: renamedVersion,
+      name: 'home'
+    });
+
+    // Rename a collection
+    version.user = await postData(userRequest, `${baseUrl}/home/friends/_rename`, {
+      version: version.user,
+      name: 'pals'
+    });
+    await getData(userRequest, `${baseUrl}/home/friends`, 204);
+    await getData(userRequest, `${baseUrl}/home/pals`, json => {
+      expect(json.home.pals).toEqual(friends);
+    });
+
+    // Move the collection to a new document, and back
+    let response = await userRequest.post(`${baseUrl}/home/pals/_rename`, {
+      data: {
+        version: version.user,
+        name: 'friends',
+        document: 'other',
+        targetVersion: '0'
+      }
+    });
+    expect(response.status()).toEqual(200);
+    let json = await response.json();
+    expect(json.versions).toEqual({
+      home: expect.any(String),
+      other: expect.any(String)
+    });
+    await getData(userRequest, `${baseUrl}/other/friends`, json => {
+      expect(json.other.friends).toEqual(friends);
+    });
+
+    response = await userRequest.post(`${baseUrl}/other/friends/_rename`, {
+      data: {
+        version: json.versions.other,
+        document: 'home',
+        targetVersion: json.versions.home
+      }
+    });
+    expect(response.status()).toEqual(200);
+    json = await response.json();
+    version.user = json.versions.home;
+    await getData(userRequest, `${baseUrl}/home/friends`, json => {
+      expect(json.home.friends).toEqual(friends);
+    });
+
+    // The new name must not exist
+    await postData(userRequest, `${baseUrl}/home/state/_rename`, {
+      version: version.user,
+      name: 'friends'
+    }, {
+      expectSuccess: false,
+      assertStatus: 409,
+      expectResponseSuccess: false
+    });
+    await postData(userRequest, `${baseUrl}/home/_rename`, {
+      version: version.user,
+      name: ''
+    }, {
+      expectSuccess: false,
+      assertStatus: 400,
+      expectResponseSuccess: false
+    });
+
+    await deleteData(userRequest, `${baseUrl}/other`, {
+      deleteDocument: true,
+      version: json.versions.other
+    });
+  });
+
+  test('rename onto the name of a deleted document retires its history, user', async ({ userRequest }) => {
+    const collections = [{
+      collection: 'state',
+      properties: { property1: 'value1' }
+    }];
+
+    const deletedVersion = await postData(userRequest, `${baseUrl}/retired`, { version: '0', collections });
+    await deleteData(userRequest, `${baseUrl}/retired`, {
+      deleteDocument: true,
+      version: deletedVersion
+    });
+
+    let versions;
+    await getData(userRequest, `${baseUrl}/usage`, json => {
+      versions = json.usage.history.versions;
+    });
+
+    const createdVersion = await postData(userRequest, `${baseUrl}/replacement`, { version: '0', collections });
+    const renamedVersion = await postData(userRequest, `${baseUrl}/replacement/_rename`, {
+      version: createdVersion,
+      name: 'retired'
+    });
+
+    // The history only has the renamed document, the retired history is kept
+    await getData(userRequest, `${baseUrl}/retired/_history`, json => {
+      expect(json.retired.map(item => [item.version, item.operation])).toEqual([
+        [renamedVersion, 'rename'],
+        [createdVersion, 'upsert']
+      ]);
+    });
+    await getData(userRequest, `${baseUrl}/usage`, json => {
+      expect(json.usage.history.versions).toEqual(versions + 2);
+    });
+
+    await deleteData(userRequest, `${baseUrl}/retired`, {
+      deleteDocument: true,
+      version: renamedVersion
+    });
+  });
+
+  test('export and import user documents', async ({ userRequest, request }) => {
+    const state = {
+      property1: 'value1',
+      property2: 'value2',
+      property3: 'value3',
+      property4: 'value4'
+    };
+
+    let response = await userRequest.get(`${baseUrl}/_export`);
+    expect(response.status()).toEqual(200);
+    expect(response.headers()['content-disposition']).toMatch(/^attachment; filename="jam-build-.+\.json"$/);
+    let json = await response.json();
+    expect(json).toEqual(expect.objectContaining({
+      format: 'jam-build-user-archive',
+      exportedAt: expect.any(String),
+      documents: expect.arrayContaining([{
+        document: 'home',
+        version: version.user,
+        createdAt: expect.any(String),
+        updatedAt: expect.any(String),
+        collections: expect.objectContaining({ state })
+      }])
+    }));
+
+    response = await userRequest.get(`${baseUrl}/_export?format=ndjson`);
+    expect(response.status()).toEqual(200);
+    expect(response.headers()['content-type']).toMatch(/^application\/x-ndjson/);
+    const lines = (await response.text()).split('\n').filter(line => line);
+    const home = lines.map(line => JSON.parse(line)).find(doc => doc.document === 'home');
+    expect(home.collections.state).toEqual(state);
+
+    // Merge an archive into the current documents, as JSON and NDJSON
+    response = await userRequest.post(`${baseUrl}/_import`, {
+      data: {
+        mode: 'merge',
+        documents: [{
+          document: 'home',
+          collections: { state: { property5: 'value5' } }
+        }]
+      }
+    });
+    expect(response.status()).toEqual(200);
+    json = await response.json();
+    expect(json.mode).toEqual('merge');
+    version.user = json.versions.home;
+
+    await getData(userRequest, `${baseUrl}/home/state`, json => {
+      expect(json.home.state).toEqual({ ...state, property5: 'value5' });
+    });
+
+    response = await userRequest.post(`${baseUrl}/_import`, {
+      data: `${JSON.stringify({ document: 'imported', collections: { notes: { note1: 'text' } } })}\n`,
+      headers: { 'Content-Type': 'application/x-ndjson' }
+    });
+    expect(response.status()).toEqual(200);
+    json = await response.json();
+    await getData(userRequest, `${baseUrl}/imported`, json => {
+      expect(json.imported.notes).toEqual({ note1: 'text' });
+    });
+    await deleteData(userRequest, `${baseUrl}/imported`, {
+      deleteDocument: true,
+      version: json.versions.imported
+    });
+
+    // Bad input
+    response = await userRequest.post(`${baseUrl}/_import`, { data: { documents: [] } });
+    expect(response.status()).toEqual(400);
+    response = await userRequest.post(`${baseUrl}/_import?mode=overwrite`, {
+      data: { documents: [{ document: 'home', collections: {} }] }
+    });
+    expect(response.status()).toEqual(400);
+    response = await userRequest.post(`${baseUrl}/_import`, {
+      data: 'not json\n',
+      headers: { 'Content-Type': 'application/x-ndjson' }
+    });
+    expect(response.status()).toEqual(400);
+    response = await userRequest.get(`${baseUrl}/_export?format=xml`);
+    expect(response.status()).toEqual(400);
+    response = await request.get(`${baseUrl}/_export`);
+    expect(response.ok()).not.toBeTruthy();
+  });
+
+  test('idempotency key of an ndjson import is for its archive', async ({ userRequest }) => {
+    const headers = { 'Content-Type': 'application/x-ndjson', 'Idempotency-Key': `test-import-${Date.now()}` };
+    const makeArchive = note => `${JSON.stringify({ document: 'imported', collections: { notes: { note } } })}\n`;
+
+    let response = await userRequest.post(`${baseUrl}/_import`, { data: makeArchive('first'), headers });
+    expect(response.status()).toEqual(200);
+    const json = await response.json();
+
+    // The key cannot be used for a different archive
+    response = await userRequest.post(`${baseUrl}/_import`, { data: makeArchive('second'), headers });
+    expect(response.status()).toEqual(422);
+
+    await getData(userRequest, `${baseUrl}/imported`, json => {
+      expect(json.imported.notes).toEqual({ note: 'first' });
+    });
+    await deleteData(userRequest, `${baseUrl}/imported`, {
+      deleteDocument: true,
+      version: json.versions.imported
+    });
+  });
+
   test('delete the home document entirely', async ({ userRequest, adminRequest }) => {
     await deleteHomeDocument([
       [userRequest, baseUrl, 'user'],
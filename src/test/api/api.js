@@ -60,12 +60,14 @@ export async function postData (request, url, data, {
   expectResponse = true,
   assertStatus = 0,
   expectResponseSuccess = true,
-  expectVersionError = false
+  expectVersionError = false,
+  headers = {}
 } = {}) {
   debug(`POST request for ${url}...`);
 
   const response = await request.post(url, {
-    data
+    data,
+    headers
   });
 
   let json;
@@ -124,12 +126,14 @@ export async function deleteData (request, url, data, {
   expectResponse = true,
   assertStatus = 0,
   expectResponseSuccess = true,
-  expectVersionError = false
+  expectVersionError = false,
+  headers = {}
 } = {}) {
   debug(`DELETE request for ${url}...`);
 
   const response = await request.delete(url, {
-    data
+    data,
+    headers
   });
 
   let json;
@@ -61,3 +61,51 @@ export async function deleteHomeDocument (requests, deleteCanFail = false) {
 
   return version;
 }
+
+/**
+ * Subscribe to the data change feed as the account of a request context.
+ *
+ * @param {APIRequestContext} request - The request context of the account, its session cookies are sent
+ * @returns {Promise<Object>} Resolves to the subscription { waitForChange(predicate), close() }
+ */
+export async function subscribeChanges (request) {
+  const { cookies } = await request.storageState();
+  const controller = new AbortController();
+
+  const response = await fetch(`${process.env.BASE_URL}/api/data/changes`, {
+    headers: {
+      Cookie: cookies.map(({ name, value }) => `${name}=${value}`).join('; ')
+    },
+    signal: controller.signal
+  });
+  expect(response.status).toEqual(200);
+
+  const reader = response.body.pipeThrough(new TextDecoderStream()).getReader();
+  let buffer = '';
+
+  return {
+    async waitForChange (predicate) {
+      for (;;) {
+        let end;
+        while ((end = buffer.indexOf('\n\n')) >= 0) {
+          const message = buffer.slice(0, end);
+          buffer = buffer.slice(end + 2);
+          const data = message.match(/^event: change\ndata: (?<data>.+)$/m)?.groups.data;
+          const change = data && JSON.parse(data);
+          if (change && predicate(change)) {
+            return change;
+          }
+        }
+
+        const { value, done } = await reader.read();
+        if (done) {
+          throw new Error('The change feed closed');
+        }
+        buffer += value;
+      }
+    },
+    close () {
+      controller.abort();
+    }
+  };
+}
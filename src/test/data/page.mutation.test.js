@@ -34,6 +34,7 @@ import {
 import { startJS, stopJS, createMap, createReport } from '#test/coverage.js';
 import {
   doMutations,
+  forceBatchTerminusNav,
   testMessageExists,
   testMutations,
   slowTimeoutAddition
@@ -294,6 +295,71 @@ test.describe('mutation tests', () => {
     await context.close();
   });
 
+  test('replay of a committed mutation gets the kept response', async ({ browser, browserName }, testInfo) => {
+    // we can only test this with chromium
+    /* eslint-disable-next-line playwright/no-skipped-test */
+    testInfo.skip(browserName !== 'chromium', 'Routing service worker requests is only supported in playwright.dev chromium browser');
+
+    // must be run properly, too
+    // This allows 'route' to abort service worker requests
+    expect(process.env.PW_EXPERIMENTAL_SERVICE_WORKER_NETWORK_EVENTS).toBeTruthy();
+
+    test.setTimeout(testInfo.timeout + slowTimeoutAddition);
+
+    const context = await browser.newContext();
+    const page = await context.newPage();
+    await startJS(browserName, page);
+    await manualLogin(baseUrl, page);
+    await page.goto(baseUrl);
+
+    // The first mutation is committed by the service, but its response is lost
+    const mutationRequests = [];
+    await context.route('**/api/data/user/home**', async route => {
+      const request = route.request();
+      if (request.method() === 'GET') {
+        return route.continue();
+      }
+
+      const response = await route.fetch();
+      mutationRequests.push({
+        key: request.headers()['idempotency-key'],
+        replayed: response.headers()['idempotent-replayed'] === 'true'
+      });
+
+      if (mutationRequests.length === 1) {
+        return route.abort();
+      }
+      return route.fulfill({ response });
+    });
+
+    const userStateControl = page.locator('#user-home-state');
+    const mutations = await doMutations(userStateControl);
+    await forceBatchTerminusNav(page, 'About', baseUrl, 250);
+
+    // artifically force replay like a 'sync' message
+    await page.evaluate(async () => {
+      const reg = await navigator.serviceWorker.ready;
+      reg.active.postMessage({
+        action: '__forceReplay__'
+      });
+    });
+
+    // wait for sync
+    await new Promise(res => setTimeout(res, 1500)); // increase this to visually debug
+
+    // The lost mutation was sent again with its key, and got the kept response
+    const [lost, ...sent] = mutationRequests;
+    expect(lost.replayed).toBe(false);
+    expect(sent).toContainEqual({ key: lost.key, replayed: true });
+
+    // Verify
+    await page.goto(baseUrl);
+    await testMutations(page, userStateControl, mutations);
+
+    await stopJS(browserName, page, map);
+    await context.close();
+  });
+
   test('simple version conflict', async ({ page, browserName, browser }, testInfo) => {
     test.setTimeout(testInfo.timeout + slowTimeoutAddition + 10000);
 
@@ -89,7 +89,7 @@ export function waitForDataUpdate (page, {
           const storeTypeParts = storeType.split(':');
           const store = storeTypeParts[0];
           const scope = storeTypeParts[1];
-          const storeName = `${store}_documents_1`;
+          const storeName = `${store}_documents_2`;
 
           const request = indexedDB.open(dbname);
           request.onsuccess = event => {